@@ -0,0 +1,198 @@
+/**
+ * KDT Aso - Standing Order Action Plan Tests
+ */
+
+const { planActions, runPlan } = require('../core/action-plan');
+const AgentRouter = require('../core/router');
+const AgentHealth = require('../core/agent-health');
+const { PromptGuard } = require('../core/prompt-guard');
+const { ToolRegistry } = require('../core/agent-tools');
+
+describe('planActions', () => {
+  it('should default ids to the action name', () => {
+    const plan = planActions([
+      { agent: 'surveillance_officer', action: 'confirm_and_track' },
+      { agent: 'watch_officer', action: 'assess', depends_on: 'confirm_and_track', timeout: '30s', retries: 2 }
+    ]);
+    expect(plan[1]).toMatchObject({ id: 'assess', dependsOn: ['confirm_and_track'], timeout: 30000, retries: 2 });
+    expect(plan[0].timeout).toBe(60000);
+  });
+
+  it('should reject unknown dependencies, duplicates and cycles', () => {
+    expect(() => planActions([{ agent: 'a', action: 'x', depends_on: ['y'] }])).toThrow('unknown action "y"');
+    expect(() => planActions([{ agent: 'a', action: 'x' }, { agent: 'b', action: 'x' }])).toThrow('Duplicate action id "x"');
+    expect(() => planActions([
+      { agent: 'a', action: 'x', depends_on: ['z'] },
+      { agent: 'b', action: 'y', depends_on: ['x'] },
+      { agent: 'c', action: 'z', depends_on: ['y'] }
+    ])).toThrow('cycle: x -> z -> y -> x');
+  });
+});
+
+describe('runPlan', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  };
+
+  it('should run independent actions in parallel and pass upstream output down', async () => {
+    const started = [];
+    const gates = { a: deferred(), b: deferred() };
+    const plan = planActions([
+      { agent: 'x', action: 'a' },
+      { agent: 'y', action: 'b' },
+      { agent: 'z', action: 'c', depends_on: ['a', 'b'] }
+    ]);
+
+    const done = runPlan(plan, async (action, upstream) => {
+      started.push(action.id);
+      if (gates[action.id]) return gates[action.id].promise;
+      return `saw ${upstream.map(u => u.response).join(' + ')}`;
+    }, { retryDelayMs: 0 });
+
+    await new Promise(setImmediate);
+    expect(started).toEqual(['a', 'b']);
+    gates.b.resolve('B');
+    gates.a.resolve('A');
+
+    const results = await done;
+    expect(results.map(r => r.status)).toEqual(['success', 'success', 'success']);
+    expect(results[2].response).toBe('saw A + B');
+  });
+
+  it('should retry failures and skip dependents of failed actions', async () => {
+    let calls = 0;
+    const plan = planActions([
+      { agent: 'x', action: 'flaky', retries: 1 },
+      { agent: 'x', action: 'broken' },
+      { agent: 'y', action: 'after_broken', depends_on: 'broken' },
+      { agent: 'y', action: 'denied', skip: 'Denied by approver' }
+    ]);
+
+    const results = await runPlan(plan, async (action) => {
+      if (action.id === 'flaky' && ++calls === 1) throw new Error('overloaded');
+      if (action.id === 'broken') throw new Error('bad request');
+      return 'ok';
+    }, { retryDelayMs: 0 });
+
+    expect(results[0]).toMatchObject({ status: 'success', attempts: 2 });
+    expect(results[1]).toMatchObject({ status: 'failure', attempts: 1, error: 'bad request' });
+    expect(results[2]).toMatchObject({ status: 'skipped', attempts: 0, error: 'Upstream action "broken" failed' });
+    expect(results[3]).toMatchObject({ status: 'skipped', error: 'Denied by approver' });
+  });
+
+  it('should not retry an attempt that already made changes', async () => {
+    const plan = planActions([
+      { agent: 'x', action: 'raise_alert', retries: 2 },
+      { agent: 'x', action: 'look_up', retries: 1 }
+    ]);
+    const results = await runPlan(plan, async (action, upstream, signal, attempt) => {
+      if (action.id === 'raise_alert') attempt.sideEffects = true;
+      throw new Error('overloaded');
+    }, { retryDelayMs: 0 });
+
+    expect(results[0]).toMatchObject({
+      status: 'failure',
+      attempts: 1,
+      error: 'overloaded (not retried: the attempt had already made changes)'
+    });
+    expect(results[1]).toMatchObject({ status: 'failure', attempts: 2, error: 'overloaded' });
+  });
+
+  it('should time out slow actions and abort them', async () => {
+    let aborted = false;
+    const plan = planActions([{ agent: 'x', action: 'slow', timeout: 0.05 }]);
+    const results = await runPlan(plan, (action, upstream, signal) => new Promise(() => {
+      signal.addEventListener('abort', () => { aborted = true; });
+    }), { retryDelayMs: 0 });
+
+    expect(results[0]).toMatchObject({ status: 'failure', error: 'Timed out after 50ms' });
+    expect(aborted).toBe(true);
+  });
+});
+
+describe('AgentRouter.executeStandingOrder', () => {
+  it('should give dependent agents the upstream results', async () => {
+    const prompts = {};
+    const client = {
+      messages: {
+        create: async (params) => {
+          const action = params.messages[0].content.match(/Action required: (.*)/)[1];
+          prompts[action] = params.messages[0].content;
+          return { content: [{ text: action === 'confirm_and_track' ? 'Two subjects confirmed at gate 3' : 'Assessed' }] };
+        }
+      }
+    };
+    const router = {
+      agents: {
+        surveillance_officer: { name: 'Surveillance Officer', soul: '' },
+        watch_officer: { name: 'Watch Officer', soul: '' }
+      },
+      health: new AgentHealth(),
+      guard: new PromptGuard(),
+      executeStandingOrder: AgentRouter.prototype.executeStandingOrder
+    };
+
+    const results = await router.executeStandingOrder({
+      name: 'perimeter_alert',
+      actions: [
+        { agent: 'surveillance_officer', action: 'confirm_and_track' },
+        { agent: 'ghost_officer', action: 'haunt' },
+        { agent: 'watch_officer', action: 'assess_threat_level', depends_on: ['confirm_and_track'] }
+      ]
+    }, { zone: 'south' }, { client });
+
+    expect(prompts.assess_threat_level).toContain('Surveillance Officer (confirm_and_track): Two subjects confirmed at gate 3');
+    expect(results.map(r => [r.agentId, r.status])).toEqual([
+      ['surveillance_officer', 'success'],
+      ['ghost_officer', 'skipped'],
+      ['watch_officer', 'success']
+    ]);
+    expect(results[1].error).toBe('Unknown agent "ghost_officer"');
+  });
+
+  it('should not repeat tool calls with side effects when an action fails', async () => {
+    const raised = [];
+    const tools = new ToolRegistry()
+      .register('create_alert', { permission: 'alerts:create', handler: (input) => { raised.push(input.title); return { id: 'a1' }; } })
+      .register('list_alerts', { permission: 'alerts:view', readOnly: true, handler: () => [] });
+    const replies = {
+      look_up: [{ stop_reason: 'tool_use', content: [{ type: 'tool_use', id: 't1', name: 'list_alerts', input: {} }] }],
+      raise: [{ stop_reason: 'tool_use', content: [{ type: 'tool_use', id: 't2', name: 'create_alert', input: { title: 'Gate 3' } }] }]
+    };
+    const client = {
+      messages: {
+        create: async (params) => {
+          const action = params.messages[0].content.match(/Action required: (.*)/)[1];
+          // Each action's first turn calls a tool; the turn after it fails
+          if (params.messages.length === 1) return replies[action][0];
+          throw new Error('overloaded');
+        }
+      }
+    };
+    const router = {
+      agents: { watch_officer: { name: 'Watch Officer', soul: '' } },
+      tools,
+      health: new AgentHealth(),
+      guard: new PromptGuard(),
+      executeStandingOrder: AgentRouter.prototype.executeStandingOrder
+    };
+
+    const results = await router.executeStandingOrder({
+      id: 'gate_watch',
+      name: 'Gate watch',
+      authority_level: 2,
+      action_retries: 2,
+      actions: [
+        { agent: 'watch_officer', action: 'raise' },
+        { agent: 'watch_officer', action: 'look_up' }
+      ]
+    }, {}, { client, retryDelayMs: 0 });
+
+    expect(raised).toEqual(['Gate 3']);
+    expect(results[0]).toMatchObject({ status: 'failure', attempts: 1 });
+    expect(results[0].toolCalls.map(c => [c.tool, c.sideEffects])).toEqual([['create_alert', true]]);
+    expect(results[1]).toMatchObject({ status: 'failure', attempts: 3 });
+  });
+});
@@ -129,6 +129,13 @@ describe('AdminSystem', () => {
       expect(adminSystem.hasPermission(viewerUser, 'dashboard:view')).toBe(true);
       expect(adminSystem.hasPermission(viewerUser, 'users:delete')).toBe(false);
     });
+
+    it('should scope standing order approvals by authority level', () => {
+      expect(adminSystem.canApproveLevel({ role: 'admin' }, 5)).toBe(true);
+      expect(adminSystem.canApproveLevel({ role: 'operator' }, 4)).toBe(true);
+      expect(adminSystem.canApproveLevel({ role: 'operator' }, 5)).toBe(false);
+      expect(adminSystem.canApproveLevel({ role: 'viewer' }, 4)).toBe(false);
+    });
   });
 
   describe('Settings Management', () => {
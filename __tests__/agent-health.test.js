@@ -0,0 +1,184 @@
+/**
+ * KDT Aso - Agent Health Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AgentHealth = require('../core/agent-health');
+const { PromptGuard } = require('../core/prompt-guard');
+const AgentRouter = require('../core/router');
+
+const agents = {
+  watch_officer: { name: 'Watch Officer', soul: '', backup: 'operations_officer' },
+  operations_officer: { name: 'Operations Officer', soul: '', backup: 'plans_officer' },
+  plans_officer: { name: 'Plans Officer', soul: '', backup: 'operations_officer' },
+  admin_officer: { name: 'Admin Officer', soul: '' }
+};
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+describe('AgentHealth', () => {
+  let tmpDir;
+  let file;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-health-'));
+    file = path.join(tmpDir, 'maintenance.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should queue calls beyond the concurrency limit and run them in order', async () => {
+    const health = new AgentHealth({ maxConcurrent: 1, file });
+    const first = deferred();
+    const order = [];
+
+    const a = health.run('watch_officer', async () => { order.push('a'); await first.promise; return 'a'; });
+    const b = health.run('watch_officer', async () => { order.push('b'); return 'b'; });
+    const c = health.run('watch_officer', async () => { order.push('c'); return 'c'; });
+    await Promise.resolve();
+
+    expect(health.status('watch_officer')).toMatchObject({ status: 'busy', active: 1, queueDepth: 2 });
+    expect(order).toEqual(['a']);
+
+    first.resolve();
+    expect(await Promise.all([a, b, c])).toEqual(['a', 'b', 'c']);
+    expect(order).toEqual(['a', 'b', 'c']);
+    expect(health.status('watch_officer')).toMatchObject({ status: 'idle', active: 0, queueDepth: 0, calls: 3 });
+  });
+
+  it('should drop a queued call when its request is cancelled', async () => {
+    const health = new AgentHealth({ maxConcurrent: 1, file });
+    const first = deferred();
+    const controller = new AbortController();
+    const fn = jest.fn();
+
+    const a = health.run('watch_officer', () => first.promise);
+    const b = health.run('watch_officer', fn, { signal: controller.signal });
+    controller.abort();
+
+    await expect(b).rejects.toThrow('Request aborted');
+    expect(health.status('watch_officer').queueDepth).toBe(0);
+    first.resolve('done');
+    await a;
+    expect(fn).not.toHaveBeenCalled();
+    expect(health.status('watch_officer').active).toBe(0);
+  });
+
+  it('should track latency, error rate and degraded health over recent calls', async () => {
+    const health = new AgentHealth({ window: 4, file });
+    await health.run('admin_officer', async () => 'ok');
+    for (let i = 0; i < 3; i++) {
+      await expect(health.run('admin_officer', async () => { throw new Error('model unavailable'); })).rejects.toThrow();
+    }
+
+    const status = health.status('admin_officer');
+    expect(status).toMatchObject({ health: 'degraded', errorRate: 0.75, calls: 4, errors: 3 });
+    expect(status.latencyMs).toEqual(expect.any(Number));
+    expect(status.lastError.message).toBe('model unavailable');
+    expect(status.lastActivity).toEqual(expect.any(String));
+
+    // Only the window counts towards health
+    for (let i = 0; i < 4; i++) await health.run('admin_officer', async () => 'ok');
+    expect(health.status('admin_officer')).toMatchObject({ health: 'ok', errorRate: 0, errors: 3 });
+  });
+
+  it('should keep maintenance across restarts and fail over to the backup', () => {
+    const health = new AgentHealth({ file });
+    const updates = [];
+    health.on('updated', (agentId, status) => updates.push([agentId, status.status]));
+
+    health.setMaintenance('watch_officer', { reason: 'Soul rewrite', by: 'admin' });
+    expect(updates).toEqual([['watch_officer', 'maintenance']]);
+    expect(health.resolve('watch_officer', agents)).toEqual({ agentId: 'operations_officer', failoverFrom: 'watch_officer' });
+    expect(health.resolve('operations_officer', agents)).toEqual({ agentId: 'operations_officer', failoverFrom: null });
+
+    const restarted = new AgentHealth({ file });
+    expect(restarted.status('watch_officer')).toMatchObject({ status: 'maintenance', maintenance: { reason: 'Soul rewrite', backup: null } });
+
+    expect(restarted.clearMaintenance('watch_officer')).toBe(true);
+    expect(restarted.clearMaintenance('watch_officer')).toBe(false);
+    expect(new AgentHealth({ file }).status('watch_officer').status).toBe('idle');
+  });
+
+  it('should follow backups past agents also in maintenance and give up on loops', () => {
+    const health = new AgentHealth({ file });
+    health.setMaintenance('watch_officer');
+    health.setMaintenance('operations_officer');
+    expect(health.resolve('watch_officer', agents)).toEqual({ agentId: 'plans_officer', failoverFrom: 'watch_officer' });
+
+    health.setMaintenance('plans_officer');
+    expect(health.resolve('watch_officer', agents)).toBeNull();
+
+    // A named backup overrides the manifest; an agent with none has nowhere to go
+    health.setMaintenance('plans_officer', { backup: 'admin_officer' });
+    expect(health.resolve('watch_officer', agents).agentId).toBe('admin_officer');
+    health.setMaintenance('admin_officer');
+    expect(health.resolve('admin_officer', agents)).toBeNull();
+    expect(() => health.setMaintenance('admin_officer', { backup: 'admin_officer' })).toThrow('own backup');
+  });
+});
+
+describe('AgentRouter with agent health', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-health-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const stubRouter = () => ({
+    agents: { ...agents, watch_officer: { ...agents.watch_officer, type: 'agent', section: 'operations' } },
+    health: new AgentHealth({ file: path.join(tmpDir, 'maintenance.json') }),
+    guard: new PromptGuard(),
+    executeStandingOrder: AgentRouter.prototype.executeStandingOrder,
+    getAgentStatus: AgentRouter.prototype.getAgentStatus
+  });
+  const client = { messages: { create: async (params) => ({ content: [{ text: `Done by ${params.system.split('\n')[0] || 'nobody'}` }] }) } };
+
+  it('should hand standing order actions to the backup of an agent in maintenance', async () => {
+    const router = stubRouter();
+    router.agents.operations_officer.soul = 'operations';
+    router.health.setMaintenance('watch_officer', { reason: 'Soul rewrite' });
+    router.health.setMaintenance('admin_officer');
+
+    const results = await router.executeStandingOrder({
+      name: 'perimeter_alert',
+      actions: [
+        { agent: 'watch_officer', action: 'assess_threat_level' },
+        { agent: 'admin_officer', action: 'file_report' }
+      ]
+    }, {}, { client });
+
+    expect(results[0]).toMatchObject({ agentId: 'operations_officer', failoverFrom: 'watch_officer', status: 'success', response: 'Done by operations' });
+    expect(results[1]).toMatchObject({ status: 'skipped', error: 'Admin Officer is in maintenance with no backup' });
+    expect(router.health.status('operations_officer').calls).toBe(1);
+  });
+
+  it('should report live state with the agent status', () => {
+    const router = stubRouter();
+    router.health.setMaintenance('watch_officer', { reason: 'Soul rewrite' });
+
+    expect(router.getAgentStatus()).toEqual({
+      watch_officer: expect.objectContaining({
+        name: 'Watch Officer',
+        section: 'operations',
+        status: 'maintenance',
+        backup: 'operations_officer',
+        queueDepth: 0,
+        maintenance: expect.objectContaining({ reason: 'Soul rewrite' })
+      })
+    });
+  });
+});
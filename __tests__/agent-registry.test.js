@@ -0,0 +1,138 @@
+/**
+ * KDT Aso - Agent Registry Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AgentRegistry = require('../core/agent-registry');
+const AgentRouter = require('../core/router');
+
+describe('AgentRegistry', () => {
+  let agentsDir;
+
+  const addAgent = (section, agentId, manifest) => {
+    const dir = path.join(agentsDir, section, agentId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'SOUL.md'), `# ${agentId}`);
+    if (manifest !== undefined) fs.writeFileSync(path.join(dir, 'agent.yaml'), manifest);
+  };
+
+  beforeEach(() => {
+    agentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-agents-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(agentsDir, { recursive: true, force: true });
+  });
+
+  it('should discover agents and read their manifests', () => {
+    fs.writeFileSync(path.join(agentsDir, 'ASO.md'), '# Aso');
+    addAgent('logistics', 'logistics_officer', `name: Logistics Officer
+keywords: [log, Logistics]
+duties: Vehicles and supplies
+tools: [list_alerts]
+model: local
+voice: { id: odq8hYkDhTreDLlPKjFy, name: Patrick }
+authority_ceiling: 3
+backup: fuel_clerk
+`);
+    addAgent('logistics', 'fuel_clerk');
+    fs.mkdirSync(path.join(agentsDir, 'logistics', 'notes'));
+
+    const agents = new AgentRegistry({ agentsDir }).load();
+
+    expect(Object.keys(agents)).toEqual(['aso', 'fuel_clerk', 'logistics_officer']);
+    expect(agents.aso).toMatchObject({ type: 'orchestrator', keywords: ['aso', 'staff'], soul: '# Aso' });
+    expect(agents.logistics_officer).toMatchObject({
+      name: 'Logistics Officer',
+      section: 'logistics',
+      type: 'agent',
+      keywords: ['log', 'logistics'],
+      duties: 'Vehicles and supplies',
+      tools: ['list_alerts'],
+      model: 'local',
+      voice: { id: 'odq8hYkDhTreDLlPKjFy', name: 'Patrick' },
+      authorityCeiling: 3,
+      backup: 'fuel_clerk',
+      soul: '# logistics_officer'
+    });
+    // No manifest: defaults
+    expect(agents.fuel_clerk).toMatchObject({ name: 'Fuel Clerk', keywords: [], tools: null, model: null, authorityCeiling: null });
+  });
+
+  it('should follow the enable flags in system.yaml', () => {
+    addAgent('hero', 'intelligence_officer');
+    addAgent('hero', 'intel_analyst');
+    addAgent('operations', 'watch_officer');
+    addAgent('operations', 'plans_officer');
+    addAgent('admin', 'admin_officer');
+
+    const registry = new AgentRegistry({ agentsDir });
+    const agents = registry.load({
+      hero: { enabled: true, personnel: { intelligence_officer: true, intel_analyst: false } },
+      operations: { personnel: ['watch_officer', 'ghost_officer'] },
+      admin: { enabled: false }
+    });
+
+    expect(Object.keys(agents).sort()).toEqual(['intelligence_officer', 'watch_officer']);
+    expect(registry.list().find(a => a.id === 'plans_officer')).toMatchObject({ enabled: false, error: null });
+    expect(registry.list()[0].soul).toBeUndefined();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('operations/ghost_officer'));
+  });
+
+  it('should take agents with broken manifests offline', () => {
+    addAgent('ops', 'watch_officer', 'authority_ceiling: 9\n');
+    addAgent('ops', 'duty_clerk', 'tools: list_alerts\n');
+    addAgent('ops', 'runner', 'name: [unclosed\n');
+    addAgent('ops', 'sentry', 'backup: sentry\n');
+
+    const registry = new AgentRegistry({ agentsDir });
+    expect(registry.load()).toEqual({});
+    expect(registry.list().map(a => a.error)).toEqual([
+      'agent.yaml: tools must be a list of strings',
+      expect.stringMatching(/^agent\.yaml: /),
+      'agent.yaml: backup must be another agent id',
+      'agent.yaml: authority_ceiling must be a whole number from 0 to 5'
+    ]);
+  });
+
+  it('should reload the roster in place', () => {
+    addAgent('ops', 'watch_officer');
+    const router = {
+      registry: new AgentRegistry({ agentsDir }),
+      systemConfig: {},
+      loadConfig: () => ({ agents: { ops: { personnel: { watch_officer: false } } } }),
+      loadAgents: AgentRouter.prototype.loadAgents,
+      reloadAgents: AgentRouter.prototype.reloadAgents,
+      initializeAgentMemories: jest.fn()
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    router.agents = router.loadAgents();
+    const roster = router.agents;
+    addAgent('ops', 'duty_clerk');
+
+    expect(router.reloadAgents()).toEqual({ agents: ['duty_clerk'], added: ['duty_clerk'], removed: ['watch_officer'] });
+    expect(router.agents).toBe(roster);
+    expect(Object.keys(roster)).toEqual(['duty_clerk']);
+  });
+
+  it('should load the shipped roster with every manifest valid', () => {
+    const registry = new AgentRegistry();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const config = AgentRouter.prototype.loadConfig();
+    const agents = registry.load(config.agents);
+
+    expect(registry.list().filter(a => a.error)).toEqual([]);
+    expect(Object.keys(agents)).toContain('plans_officer');
+    expect(Object.keys(agents)).toHaveLength(12);
+    for (const agent of Object.values(agents).filter(a => a.type === 'agent')) {
+      expect(agent.duties).toBeTruthy();
+      expect(agent.voice).toBeTruthy();
+      expect(agents[agent.backup]?.type).toBe('agent');
+    }
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * KDT Aso - Agent Tool Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ToolRegistry, registerSubsystemTools } = require('../core/agent-tools');
+const AlertSystem = require('../core/alerts');
+const AgentRouter = require('../core/router');
+const AgentHealth = require('../core/agent-health');
+const { PromptGuard } = require('../core/prompt-guard');
+
+describe('ToolRegistry', () => {
+  const permissions = {
+    admin: ['*'],
+    operator: ['alerts:view', 'alerts:acknowledge'],
+    viewer: ['alerts:view']
+  };
+  const admin = { id: 'u1', role: 'admin' };
+  const operator = { id: 'u2', role: 'operator' };
+  const viewer = { id: 'u3', role: 'viewer' };
+
+  let alertSystem;
+  let alertsDir;
+  let markers;
+  let registry;
+
+  beforeEach(() => {
+    alertsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-tools-'));
+    alertSystem = new AlertSystem({ dir: alertsDir });
+    markers = [];
+    registry = new ToolRegistry({
+      hasPermission: (user, permission) => permissions[user.role].includes('*') || permissions[user.role].includes(permission)
+    });
+    registerSubsystemTools(registry, {
+      alertSystem,
+      addGeoMarker: (marker) => {
+        markers.push(marker);
+        return { id: `marker-${markers.length}`, ...marker };
+      }
+    });
+  });
+
+  afterEach(() => {
+    for (const alert of alertSystem.alerts.values()) alertSystem.clearEscalation(alert.id);
+    fs.rmSync(alertsDir, { recursive: true, force: true });
+  });
+
+  // Scripted model: replies with each step in turn, recording requests
+  const scriptedClient = (steps) => {
+    const requests = [];
+    return {
+      requests,
+      messages: {
+        create: async (params) => {
+          requests.push(JSON.parse(JSON.stringify(params)));
+          return steps[requests.length - 1];
+        }
+      }
+    };
+  };
+  const toolUse = (id, name, input) => ({ stop_reason: 'tool_use', content: [{ type: 'tool_use', id, name, input }] });
+  const text = (value) => ({ stop_reason: 'end_turn', content: [{ type: 'text', text: value }] });
+
+  it('should only offer tools the operator may use', () => {
+    expect(registry.definitions({ user: operator }).map(t => t.name)).toEqual(['list_alerts', 'acknowledge_alert']);
+    expect(registry.definitions({ user: viewer }).map(t => t.name)).toEqual(['list_alerts']);
+    expect(registry.definitions({}).map(t => t.name)).toEqual([]);
+  });
+
+  it('should check permissions and authority level before running', async () => {
+    const denied = await registry.execute('create_alert', { title: 'x', message: 'y' }, { user: operator, agentId: 'watch_officer' });
+    expect(denied).toMatchObject({ ok: false, denied: true, error: 'Role operator lacks permission alerts:create' });
+
+    const lowOrder = await registry.execute('create_alert', { title: 'x', message: 'y' }, { orderId: 'routine', authorityLevel: 1 });
+    expect(lowOrder.error).toBe('create_alert needs authority level 2; standing order is level 1');
+
+    const allowed = await registry.execute('create_alert', { title: 'Gate 3', message: 'Two subjects' }, { orderId: 'perimeter_alert', authorityLevel: 2, agentId: 'watch_officer' });
+    expect(allowed).toMatchObject({ ok: true, result: { title: 'Gate 3', source: 'agent:watch_officer' } });
+    expect(alertSystem.getActive()).toHaveLength(1);
+  });
+
+  it('should limit agents to the tools in their manifest', async () => {
+    const limited = new ToolRegistry({
+      hasPermission: () => true,
+      allowedTools: (agentId) => (agentId === 'logistics_officer' ? ['list_alerts'] : null)
+    });
+    registerSubsystemTools(limited, { alertSystem });
+
+    expect(limited.definitions({ user: admin, agentId: 'logistics_officer' }).map(t => t.name)).toEqual(['list_alerts']);
+    expect(limited.definitions({ user: admin, agentId: 'watch_officer' }).length).toBeGreaterThan(1);
+    const denied = await limited.execute('create_alert', { title: 'x', message: 'y' }, { orderId: 'o1', authorityLevel: 5, agentId: 'logistics_officer' });
+    expect(denied).toMatchObject({ denied: true, error: 'logistics_officer may not use create_alert' });
+  });
+
+  it('should validate tool input', async () => {
+    const missing = await registry.execute('add_map_marker', { lat: 9.08, label: 'Contact' }, { user: admin });
+    expect(missing).toMatchObject({ ok: false, error: 'lng is required' });
+    const badType = await registry.execute('add_map_marker', { lat: '9.08', lng: 7.49, label: 'Contact' }, { user: admin });
+    expect(badType.error).toBe('lat must be a number');
+    const badEnum = await registry.execute('add_map_marker', { lat: 9.08, lng: 7.49, label: 'Contact', type: 'alien' }, { user: admin });
+    expect(badEnum.error).toMatch(/type must be one of/);
+    expect(markers).toHaveLength(0);
+  });
+
+  it('should run tool calls and feed the results back to the model', async () => {
+    const alert = alertSystem.create({ title: 'Perimeter', message: 'Movement', priority: 'high' });
+    const client = scriptedClient([
+      toolUse('t1', 'acknowledge_alert', { alertId: alert.id, note: 'On it' }),
+      toolUse('t2', 'create_alert', { title: 'x', message: 'y' }),
+      text('Alert acknowledged, Operator.')
+    ]);
+
+    const result = await registry.converse(client, {
+      model: 'test', max_tokens: 100, messages: [{ role: 'user', content: 'Acknowledge the perimeter alert' }]
+    }, { user: operator, agentId: 'watch_officer' });
+
+    expect(result.text).toBe('Alert acknowledged, Operator.');
+    expect(result.toolCalls.map(c => [c.tool, c.ok])).toEqual([['acknowledge_alert', true], ['create_alert', false]]);
+    expect(alertSystem.get(alert.id)).toMatchObject({ acknowledged: true, acknowledgedBy: 'u2' });
+
+    expect(client.requests[0].tools.map(t => t.name)).toEqual(['list_alerts', 'acknowledge_alert']);
+    const fedBack = client.requests[2].messages;
+    expect(fedBack[1]).toMatchObject({ role: 'assistant', content: [{ type: 'tool_use', id: 't1' }] });
+    expect(fedBack[2].content[0]).toMatchObject({ type: 'tool_result', tool_use_id: 't1', is_error: false });
+    expect(fedBack[4].content[0]).toMatchObject({ tool_use_id: 't2', is_error: true });
+    expect(JSON.parse(fedBack[4].content[0].content).error).toMatch(/lacks permission/);
+  });
+
+  it('should stop offering tools after the turn limit', async () => {
+    registry.maxTurns = 1;
+    const client = scriptedClient([
+      toolUse('t1', 'list_alerts', {}),
+      text('Nothing active.')
+    ]);
+    const result = await registry.converse(client, { messages: [{ role: 'user', content: 'status' }] }, { user: viewer });
+    expect(result.text).toBe('Nothing active.');
+    expect(client.requests[1].tools).toBeUndefined();
+  });
+
+  it('should let standing order agents use tools within the order authority level', async () => {
+    const client = scriptedClient([
+      toolUse('t1', 'add_map_marker', { lat: 9.08, lng: 7.49, label: 'Subjects', type: 'hostile' }),
+      text('Marked on the map.')
+    ]);
+    const router = {
+      agents: { geospatial_officer: { name: 'Geospatial Officer', soul: '' } },
+      tools: registry,
+      health: new AgentHealth(),
+      guard: new PromptGuard(),
+      executeStandingOrder: AgentRouter.prototype.executeStandingOrder
+    };
+
+    const results = await router.executeStandingOrder({
+      id: 'perimeter_alert',
+      name: 'perimeter_alert',
+      authority_level: 2,
+      actions: [{ agent: 'geospatial_officer', action: 'mark_contact' }]
+    }, {}, { client });
+
+    expect(results[0]).toMatchObject({ status: 'success', response: 'Marked on the map.' });
+    expect(results[0].toolCalls).toEqual([expect.objectContaining({ tool: 'add_map_marker', ok: true, orderId: 'perimeter_alert' })]);
+    expect(markers[0]).toMatchObject({ position: [9.08, 7.49], createdBy: 'standing-order:perimeter_alert' });
+    expect(client.requests[0].tools.map(t => t.name)).toEqual(['list_alerts', 'create_alert', 'acknowledge_alert', 'add_map_marker']);
+  });
+
+  it('should cap standing order tools at the agent authority ceiling', async () => {
+    const client = scriptedClient([text('Noted.')]);
+    const router = {
+      agents: { admin_officer: { name: 'Admin Officer', soul: '', authorityCeiling: 1 } },
+      tools: registry,
+      health: new AgentHealth(),
+      guard: new PromptGuard(),
+      executeStandingOrder: AgentRouter.prototype.executeStandingOrder
+    };
+
+    await router.executeStandingOrder({
+      id: 'shift_report',
+      authority_level: 3,
+      actions: [{ agent: 'admin_officer', action: 'file_report' }]
+    }, {}, { client });
+
+    expect(client.requests[0].tools.map(t => t.name)).toEqual(['list_alerts', 'add_map_marker']);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * KDT Aso - Alert Correlation Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlertCorrelator = require('../core/alert-correlation');
+const AlertSystem = require('../core/alerts');
+
+const MINUTE = 60 * 1000;
+
+describe('AlertCorrelator', () => {
+  it('should pick the first rule for the category and source', () => {
+    const correlator = new AlertCorrelator({ config: {
+      defaults: { dedupe_window: '10m' },
+      rules: [
+        { category: 'security', source: 'security-system', dedupe_window: '5m', dedupe_by: ['title', 'data.sensorId'] },
+        { category: ['system', 'administrative'], dedupe_window: '0s', correlate_by: [] }
+      ]
+    } });
+
+    const sensor = { category: 'security', source: 'security-system', title: 'FORCED ENTRY', data: { sensorId: 's1', zone: 'north' } };
+    expect(correlator.ruleFor(sensor)).toMatchObject({ dedupeWindow: 5 * MINUTE, correlateWindow: 15 * MINUTE });
+    expect(correlator.ruleFor({ category: 'security', source: 'api' })).toBe(correlator.defaults);
+    expect(correlator.ruleFor({ category: 'administrative', source: 'api' })).toMatchObject({ dedupeWindow: 0, correlateBy: [] });
+
+    expect(correlator.fingerprint(sensor)).toBe(correlator.fingerprint({ ...sensor, message: 'Again', data: { sensorId: 's1' } }));
+    expect(correlator.fingerprint(sensor)).not.toBe(correlator.fingerprint({ ...sensor, data: { sensorId: 's2' } }));
+    expect(correlator.correlationKeys(sensor)).toEqual(['data.zone=north']);
+
+    expect(() => new AlertCorrelator({ config: { rules: [{ dedupe_window: 'soon' }] } })).toThrow('Invalid duration in alert correlation rule #1');
+  });
+
+  it('should load the shipped rules', () => {
+    const correlator = new AlertCorrelator();
+    expect(correlator.ruleFor({ category: 'security', source: 'security-system' }).dedupeWindow).toBe(5 * MINUTE);
+  });
+});
+
+describe('AlertSystem correlation', () => {
+  let dir;
+  let alertSystem;
+
+  const sensorAlert = (trigger, zone, priority = 'high', sensorId = `cam-${zone}`) =>
+    alertSystem.security(trigger.toUpperCase(), `${sensorId} (${zone}): ${trigger}`, priority, { trigger, sensorId, zone });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T02:00:00Z') });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-correlation-'));
+    alertSystem = new AlertSystem({
+      dir,
+      correlator: new AlertCorrelator({ config: {
+        defaults: { dedupe_window: '10m', correlate_window: '15m' },
+        rules: [{ category: 'system', correlate_by: [] }]
+      } })
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should fold repeats into one alert with a single escalation timer', () => {
+    const created = [];
+    const repeated = [];
+    alertSystem.on('alert:created', a => created.push(a));
+    alertSystem.on('alert:repeated', a => repeated.push(a));
+
+    const first = sensorAlert('motion_detected', 'north');
+    for (let i = 0; i < 19; i++) {
+      jest.advanceTimersByTime(MINUTE / 4);
+      expect(sensorAlert('motion_detected', 'north')).toBe(first);
+    }
+
+    expect(created).toHaveLength(1);
+    expect(repeated).toHaveLength(19);
+    expect(alertSystem.getActive()).toHaveLength(1);
+    expect(alertSystem.escalationTimers.size).toBe(1);
+    expect(first).toMatchObject({ occurrences: 20, firstSeenAt: '2026-10-19T02:00:00.000Z', lastSeenAt: '2026-10-19T02:04:45.000Z' });
+    // The escalation clock runs from the first occurrence
+    expect(first.escalationDueAt).toBe('2026-10-19T02:05:00.000Z');
+    expect(new AlertSystem({ dir, correlator: alertSystem.correlator }).get(first.id).occurrences).toBe(20);
+  });
+
+  it('should raise a folded alert to a higher priority and start again after the window or resolution', () => {
+    const first = sensorAlert('motion_detected', 'north', 'medium');
+    expect(sensorAlert('motion_detected', 'north', 'critical')).toBe(first);
+    expect(first).toMatchObject({ priority: 'critical', escalationDueAt: null });
+    expect(alertSystem.escalationTimers.size).toBe(0);
+
+    // Another sensor, or the same one after a quiet spell, is a new alert
+    expect(sensorAlert('motion_detected', 'north', 'medium', 'cam-2')).not.toBe(first);
+    jest.advanceTimersByTime(11 * MINUTE);
+    expect(sensorAlert('motion_detected', 'north', 'critical')).not.toBe(first);
+
+    alertSystem.resolve(first.id, 'u1');
+    expect(alertSystem.findRepeat(first.fingerprint, 10 * MINUTE)).not.toBe(first);
+  });
+
+  it('should group related alerts into one incident candidate', () => {
+    const groups = [];
+    alertSystem.on('alert:correlated', g => groups.push(g));
+
+    const motion = sensorAlert('motion_detected', 'north', 'medium');
+    const elsewhere = sensorAlert('motion_detected', 'south', 'medium');
+    jest.advanceTimersByTime(5 * MINUTE);
+    const entry = sensorAlert('forced_entry', 'north', 'critical');
+    expect(motion.groupId).toBeTruthy();
+    expect(entry.groupId).toBe(motion.groupId);
+    expect(elsewhere.groupId).toBeNull();
+
+    // System alerts don't correlate under this config
+    const offline = alertSystem.system('Sensor offline', 'cam-north', 'low', { zone: 'north' });
+    expect(offline.groupId).toBeNull();
+
+    const group = alertSystem.getGroup(motion.groupId);
+    expect(group).toMatchObject({
+      alertIds: [entry.id, motion.id],
+      priority: 'critical',
+      categories: ['security'],
+      sharedKeys: ['data.zone=north'],
+      occurrences: 2,
+      firstSeenAt: '2026-10-19T02:00:00.000Z',
+      lastSeenAt: '2026-10-19T02:05:00.000Z',
+      incidentId: null
+    });
+    expect(groups).toEqual([group]);
+    expect(alertSystem.getGroups()).toEqual([group]);
+    expect(alertSystem.getActive({ groupId: group.id }).map(a => a.id)).toEqual(group.alertIds);
+
+    expect(alertSystem.linkIncident(group.id, 'inc-1')).toMatchObject({ incidentId: 'inc-1' });
+    expect(new AlertSystem({ dir, correlator: alertSystem.correlator }).getGroup(group.id).incidentId).toBe('inc-1');
+
+    // Past the window nothing links
+    jest.advanceTimersByTime(20 * MINUTE);
+    expect(sensorAlert('tamper_alert', 'north').groupId).toBeNull();
+  });
+
+  it('should merge groups an alert bridges', () => {
+    alertSystem.correlator.loadConfig({ defaults: { correlate_by: ['data.zone', 'data.entityId'] } });
+    const a = alertSystem.intelligence('Face match', 'Gate 1', 'high', { zone: 'gate1', entityId: 'wl-7' });
+    const b = alertSystem.intelligence('Plate seen', 'Gate 1', 'high', { zone: 'gate1' });
+    const c = alertSystem.intelligence('Second face match', 'Market', 'high', { zone: 'market', entityId: 'wl-9' });
+    const d = alertSystem.intelligence('Vehicle stop', 'Market', 'high', { zone: 'market' });
+    expect(a.groupId).toBe(b.groupId);
+    expect(c.groupId).toBe(d.groupId);
+    expect(a.groupId).not.toBe(c.groupId);
+
+    const bridge = alertSystem.intelligence('Same person at market', 'Market', 'medium', { zone: 'market', entityId: 'wl-7' });
+    expect(new Set([a, b, c, d, bridge].map(x => x.groupId)).size).toBe(1);
+    expect(alertSystem.getGroups()).toHaveLength(1);
+  });
+});
@@ -2,13 +2,23 @@
  * KDT Aso - Alert System Tests
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const AlertSystem = require('../core/alerts');
 
 describe('AlertSystem', () => {
   let alertSystem;
+  let dir;
 
   beforeEach(() => {
-    alertSystem = new AlertSystem();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-alerts-'));
+    alertSystem = new AlertSystem({ dir });
+  });
+
+  afterEach(() => {
+    for (const id of alertSystem.escalationTimers.keys()) alertSystem.clearEscalation(id);
+    fs.rmSync(dir, { recursive: true, force: true });
   });
 
   describe('create', () => {
@@ -140,4 +150,84 @@ describe('AlertSystem', () => {
       expect(counts.byCategory.security).toBe(2);
     });
   });
+
+  describe('persistence', () => {
+    const MINUTE = 60 * 1000;
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should reload active alerts with their notes and assignments', () => {
+      const alert = alertSystem.create({ priority: 'critical', category: 'security', title: 'Forced entry', message: 'Gate 3' });
+      alertSystem.addNote(alert.id, 'u1', 'Patrol sent');
+      alertSystem.assign(alert.id, 'qrf_lead');
+      alertSystem.acknowledge(alert.id, 'u1', 'On it');
+      const resolved = alertSystem.create({ priority: 'low', title: 'Done', message: 'M' });
+      alertSystem.resolve(resolved.id, 'u1');
+
+      const reloaded = new AlertSystem({ dir });
+      expect(reloaded.getActive()).toEqual([alert]);
+      expect(reloaded.get(alert.id)).toMatchObject({
+        assignedTo: 'qrf_lead',
+        acknowledgedBy: 'u1',
+        notes: [{ type: 'note', text: 'Patrol sent' }, { type: 'assignment' }, { type: 'acknowledgment', text: 'On it' }]
+      });
+      expect(reloaded.escalationTimers.size).toBe(0);
+    });
+
+    it('should resume escalation from the original deadline after a restart', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T08:00:00Z') });
+      const alert = alertSystem.create({ priority: 'medium', title: 'Comms check missed', message: 'Post 4' });
+      expect(alert.escalationDueAt).toBe('2026-10-19T08:15:00.000Z');
+
+      // Restart ten minutes in: five minutes left on the clock
+      jest.clearAllTimers();
+      jest.setSystemTime(new Date('2026-10-19T08:10:00Z'));
+      const restarted = new AlertSystem({ dir });
+      jest.advanceTimersByTime(4 * MINUTE);
+      expect(restarted.get(alert.id).priority).toBe('medium');
+      jest.advanceTimersByTime(MINUTE);
+      expect(restarted.get(alert.id)).toMatchObject({ priority: 'high', escalationLevel: 1, escalationDueAt: '2026-10-19T08:20:00.000Z' });
+      expect(new AlertSystem({ dir }).get(alert.id).priority).toBe('high');
+    });
+
+    it('should catch up on escalations that fell due while down', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T08:00:00Z') });
+      const alert = alertSystem.create({ priority: 'medium', title: 'Comms check missed', message: 'Post 4' });
+      const acked = alertSystem.create({ priority: 'medium', title: 'Seen', message: 'Post 5' });
+      alertSystem.acknowledge(acked.id, 'u1');
+
+      jest.clearAllTimers();
+      jest.setSystemTime(new Date('2026-10-19T09:00:00Z'));
+      const restarted = new AlertSystem({ dir });
+      const escalated = [];
+      restarted.on('alert:escalated', a => escalated.push(a.priority));
+      jest.runAllTimers();
+
+      expect(escalated).toEqual(['high', 'critical']);
+      expect(restarted.get(alert.id)).toMatchObject({ priority: 'critical', escalationLevel: 2, escalationDueAt: null });
+      expect(restarted.get(acked.id).priority).toBe('medium');
+    });
+
+    it('should page through resolved alerts across days', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-17T08:00:00Z') });
+      const titles = ['A', 'B', 'C', 'D'];
+      titles.forEach((title, i) => {
+        jest.setSystemTime(new Date(Date.parse('2026-10-17T08:00:00Z') + i * 24 * 60 * MINUTE));
+        const alert = alertSystem.create({ priority: i % 2 ? 'high' : 'low', category: 'security', title, message: 'M', autoEscalate: false });
+        alertSystem.resolve(alert.id, 'u1', 'Cleared');
+      });
+
+      expect(fs.readdirSync(path.join(dir, 'history')).sort()).toEqual(['2026-10-17.jsonl', '2026-10-18.jsonl', '2026-10-19.jsonl', '2026-10-20.jsonl']);
+      expect(fs.readdirSync(path.join(dir, 'active'))).toEqual([]);
+
+      const history = new AlertSystem({ dir });
+      expect(history.getHistory().map(a => a.title)).toEqual(['D', 'C', 'B', 'A']);
+      expect(history.getHistory(2, { offset: 1 }).map(a => a.title)).toEqual(['C', 'B']);
+      expect(history.getHistory(10, { priority: 'high' }).map(a => a.title)).toEqual(['D', 'B']);
+      expect(history.getHistory(10, { from: '2026-10-18T00:00:00Z', to: '2026-10-19T12:00:00Z' }).map(a => a.title)).toEqual(['C', 'B']);
+      expect(history.getHistory(1)[0]).toMatchObject({ resolved: true, resolvedBy: 'u1', notes: [{ type: 'resolution', text: 'Cleared' }] });
+    });
+  });
 });
@@ -2,21 +2,32 @@
  * KDT Aso - API Integration Tests
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 
 // Mock express app for testing
 let app;
+let memoryDir;
 
 beforeAll(() => {
   // Set test environment
   process.env.NODE_ENV = 'test';
   process.env.JWT_SECRET = 'test-secret';
+  // Keep the server's agent memory out of the repo's memory/
+  memoryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-api-memory-'));
+  process.env.MEMORY_DIR = memoryDir;
   
   // Import after setting env
   const server = require('../core/index');
   app = server.app;
 });
 
+afterAll(() => {
+  fs.rmSync(memoryDir, { recursive: true, force: true });
+});
+
 describe('API Endpoints', () => {
   let authToken;
   let authCookie;
@@ -0,0 +1,99 @@
+/**
+ * KDT Aso - Standing Order Approval Tests
+ */
+
+const ApprovalQueue = require('../core/approvals');
+
+describe('ApprovalQueue', () => {
+  const order = {
+    id: 'emergency_broadcast',
+    trigger: 'emergency_declared',
+    authority_level: 5,
+    actions: [
+      { agent: 'comms_officer', action: 'broadcast_all_channels' },
+      { agent: 'watch_officer', action: 'coordinate_response' }
+    ]
+  };
+  const admin = { id: 'u1', username: 'cmdr', role: 'admin' };
+  const operator = { id: 'u2', username: 'op', role: 'operator' };
+
+  let queue;
+
+  beforeEach(() => {
+    queue = new ApprovalQueue({
+      canApprove: (user, level) => user.role === 'admin' || level <= 4,
+      isKnownAgent: (agentId) => ['comms_officer', 'watch_officer', 'operations_officer'].includes(agentId)
+    });
+  });
+
+  afterEach(() => {
+    queue.stop();
+    jest.useRealTimers();
+  });
+
+  const pendingId = () => queue.list({ status: 'pending' })[0].id;
+
+  it('should resolve with every action when approved', async () => {
+    const result = queue.request(order, { trigger: 'emergency_declared' });
+    queue.decide(pendingId(), admin, { decision: 'approve', note: 'confirmed by radio' });
+
+    const decision = await result;
+    expect(decision.status).toBe('approved');
+    expect(decision.actions).toEqual(order.actions.map(a => ({ ...a, id: a.action })));
+    expect(decision.approval.chain).toEqual([
+      expect.objectContaining({ userId: 'u1', role: 'admin', decision: 'approve', actionIndex: null, note: 'confirmed by radio' })
+    ]);
+  });
+
+  it('should let approvers deny and modify single actions', async () => {
+    const result = queue.request(order);
+    const id = pendingId();
+    queue.decide(id, admin, { decision: 'modify', index: 0, action: 'broadcast_sector_north' });
+    expect(queue.get(id).status).toBe('pending');
+    queue.decide(id, admin, { decision: 'deny', index: 1 });
+
+    const decision = await result;
+    expect(decision.status).toBe('partially_approved');
+    expect(decision.actions).toEqual([
+      { id: 'broadcast_all_channels', agent: 'comms_officer', action: 'broadcast_sector_north' },
+      { id: 'coordinate_response', agent: 'watch_officer', action: 'coordinate_response', skip: 'Denied by approver' }
+    ]);
+    expect(decision.approval.actions[0].original).toEqual(order.actions[0]);
+  });
+
+  it('should run nothing when denied', async () => {
+    const result = queue.request(order);
+    queue.decide(pendingId(), admin, { decision: 'deny', note: 'false alarm' });
+    expect(await result).toMatchObject({ status: 'denied', actions: [] });
+  });
+
+  it('should check the approver role against the authority level', () => {
+    queue.request(order);
+    const id = pendingId();
+    expect(() => queue.decide(id, operator, { decision: 'approve' })).toThrow('may not approve authority level 5');
+    expect(queue.get(id).chain).toHaveLength(0);
+  });
+
+  it('should validate decisions before applying any', () => {
+    queue.request(order);
+    const id = pendingId();
+    expect(() => queue.decide(id, admin, [
+      { decision: 'approve', index: 0 },
+      { decision: 'modify', index: 1, agent: 'nobody' }
+    ])).toThrow('Unknown agent: nobody');
+    expect(queue.get(id).actions[0].status).toBe('pending');
+  });
+
+  it('should expire after the deadline', async () => {
+    jest.useFakeTimers();
+    const resolved = jest.fn();
+    queue.on('resolved', resolved);
+    const result = queue.request(order, {}, { timeout: 60000 });
+    const id = pendingId();
+
+    jest.advanceTimersByTime(60000);
+    expect(await result).toMatchObject({ status: 'expired', actions: [] });
+    expect(resolved).toHaveBeenCalled();
+    expect(() => queue.decide(id, admin, { decision: 'approve' })).toThrow('already expired');
+  });
+});
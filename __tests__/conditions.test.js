@@ -0,0 +1,89 @@
+/**
+ * KDT Aso - Condition Expression Tests
+ */
+
+const { compile, parse, parseDuration, isEventName } = require('../core/conditions');
+
+describe('conditions', () => {
+  describe('parse', () => {
+    it('should respect AND/OR/NOT precedence', () => {
+      const ast = parse('a OR b AND NOT c');
+      expect(ast.type).toBe('or');
+      expect(ast.right.type).toBe('and');
+      expect(ast.right.right.type).toBe('not');
+    });
+
+    it('should report the column of a syntax error', () => {
+      expect(() => parse("zone == 'north' AND")).toThrow(/end of expression at column 20/);
+      try {
+        parse('zone == == 3');
+      } catch (err) {
+        expect(err.position).toBe(8);
+      }
+    });
+
+    it('should reject unterminated strings and unknown units', () => {
+      expect(() => parse("zone == 'north")).toThrow('Unterminated string');
+      expect(() => parse('count(5parsecs) > 1')).toThrow('Unknown duration unit');
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should compare field paths into the context', () => {
+      const expr = compile("sensor.type == 'motion_sensor' AND zone == 'north'");
+      expect(expr.evaluate({ sensor: { type: 'motion_sensor' }, zone: 'north' })).toBe(true);
+      expect(expr.evaluate({ sensor: { type: 'camera' }, zone: 'north' })).toBe(false);
+      expect(expr.evaluate({})).toBe(false);
+    });
+
+    it('should support numeric comparisons and word operators', () => {
+      expect(compile('data.battery < 20').evaluate({ data: { battery: 12 } })).toBe(true);
+      expect(compile('data.battery LT 20').evaluate({ data: { battery: 25 } })).toBe(false);
+      expect(compile('count GTE 3 || flag').evaluate({ count: 1, flag: true })).toBe(true);
+    });
+
+    it('should coerce numeric strings when compared with numbers', () => {
+      expect(compile('time == 0600').evaluate({ time: '0600' })).toBe(true);
+    });
+
+    it('should evaluate durations as milliseconds', () => {
+      expect(compile('duration > 30min').evaluate({ duration: 31 * 60000 })).toBe(true);
+      expect(parseDuration('7days')).toBe(7 * 86400000);
+    });
+
+    it('should support CONTAINS on strings and arrays', () => {
+      expect(compile("tags CONTAINS 'armed'").evaluate({ tags: ['armed', 'vehicle'] })).toBe(true);
+      expect(compile("response contains 'ARMED'").evaluate({ response: 'two armed men' })).toBe(true);
+    });
+
+    it('should fall back to the resolver for unknown names', () => {
+      const expr = compile('unknown_pattern OR armed_individuals');
+      const resolve = (name) => name === 'armed_individuals';
+      expect(expr.evaluate({}, { resolve })).toBe(true);
+    });
+
+    it('should call functions with duration arguments', () => {
+      const expr = compile('count(5m) >= 3');
+      expect(expr.maxWindow).toBe(300000);
+      expect(expr.evaluate({}, { functions: { count: () => 3 } })).toBe(true);
+    });
+  });
+
+  describe('compile', () => {
+    it('should reject unknown functions', () => {
+      expect(() => compile('sum(5m) > 1')).toThrow("Unknown function 'sum'");
+    });
+
+    it('should require a duration argument for count()', () => {
+      expect(() => compile('count(5) > 1')).toThrow('count() takes a single duration');
+    });
+  });
+
+  describe('isEventName', () => {
+    it('should distinguish event names from expressions', () => {
+      expect(isEventName('movement_detected_perimeter')).toBe(true);
+      expect(isEventName('time == 0600')).toBe(false);
+      expect(isEventName('NOT')).toBe(false);
+    });
+  });
+});
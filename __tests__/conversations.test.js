@@ -0,0 +1,206 @@
+/**
+ * KDT Aso - Conversation Thread Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConversationStore, alternate } = require('../core/conversations');
+const AgentHealth = require('../core/agent-health');
+const { PromptGuard } = require('../core/prompt-guard');
+const AgentRouter = require('../core/router');
+
+describe('ConversationStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-conv-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep each operator\'s threads across restarts', () => {
+    const store = new ConversationStore({ dir });
+    const thread = store.create('u1');
+    store.append(thread, { role: 'user', content: 'Status of the north gate?' });
+    store.append(thread, { role: 'assistant', content: 'Quiet.', agentId: 'watch_officer', agent: 'Watch Officer' });
+    store.create('u2', { title: 'Logistics' });
+
+    const restarted = new ConversationStore({ dir });
+    expect(restarted.list('u1')).toEqual([expect.objectContaining({
+      id: thread.id,
+      title: 'Status of the north gate?',
+      messageCount: 2,
+      lastMessage: 'Quiet.'
+    })]);
+    expect(restarted.get(thread.id, 'u1').messages[1]).toMatchObject({ role: 'assistant', agent: 'Watch Officer' });
+    expect(restarted.get(thread.id, 'u2')).toBeNull();
+
+    expect(restarted.rename(thread.id, 'u1', '  Gate watch  ').title).toBe('Gate watch');
+    expect(() => restarted.rename(thread.id, 'u1', '')).toThrow('title is required');
+    expect(restarted.delete(thread.id, 'u2')).toBe(false);
+    expect(restarted.delete(thread.id, 'u1')).toBe(true);
+    expect(new ConversationStore({ dir }).list('u1')).toEqual([]);
+  });
+
+  it('should find an operator\'s most recent thread', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T08:00:00Z') });
+    try {
+      const store = new ConversationStore({ dir });
+      expect(store.latest('u1')).toBeNull();
+      const first = store.create('u1');
+      jest.advanceTimersByTime(1000);
+      const second = store.create('u1');
+      store.create('u2');
+      expect(store.latest('u1').id).toBe(second.id);
+
+      jest.advanceTimersByTime(1000);
+      store.append(first, { role: 'user', content: 'Back to the gate' });
+      expect(new ConversationStore({ dir }).latest('u1').id).toBe(first.id);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should keep transient threads in memory only', () => {
+    const store = new ConversationStore({ dir, maxTransient: 2 });
+    store.append(store.transient('api-1'), { role: 'user', content: 'hello' });
+    expect(store.transient('api-1').messages).toHaveLength(1);
+    store.transient('api-2');
+    store.transient('api-3');
+    expect(store.transient('api-1').messages).toHaveLength(0);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('should send history as alternating turns', async () => {
+    const store = new ConversationStore({ dir });
+    const thread = store.create('u1');
+    store.append(thread, { role: 'user', content: 'Fuel state?' });
+    store.append(thread, { role: 'assistant', content: '80 percent.', agentId: 'logistics_officer', agent: 'Logistics Officer' });
+    store.append(thread, { role: 'user', content: 'And the threat?' });   // Reply never came
+    store.append(thread, { role: 'user', content: 'Threat picture please' });
+    store.append(thread, { role: 'assistant', content: 'Low.', agentId: 'intelligence_officer', agent: 'Intelligence Officer' });
+
+    const { summary, messages } = await store.history(thread, { agentId: 'intelligence_officer' });
+    expect(summary).toBeNull();
+    expect(messages).toEqual([
+      { role: 'user', content: 'Fuel state?' },
+      { role: 'assistant', content: '[Logistics Officer] 80 percent.' },
+      { role: 'user', content: 'And the threat?\n\nThreat picture please' },
+      { role: 'assistant', content: 'Low.' }
+    ]);
+    expect(alternate([{ role: 'assistant', content: 'hi' }, { role: 'user', content: 'go' }])).toEqual([{ role: 'user', content: 'go' }]);
+  });
+
+  it('should fold old turns into a summary once over budget', async () => {
+    const summarize = jest.fn(async (previous, transcript) => `Summary of ${transcript.split('\n\n').length} turns`);
+    const store = new ConversationStore({ dir, contextTokens: 100, keepRecent: 2, summarize });
+    const events = [];
+    store.on('summarized', e => events.push(e));
+    const thread = store.create('u1');
+    for (let i = 0; i < 4; i++) {
+      store.append(thread, { role: 'user', content: `Question ${i} ${'x'.repeat(80)}` });
+      store.append(thread, { role: 'assistant', content: `Answer ${i} ${'y'.repeat(80)}`, agentId: 'watch_officer', agent: 'Watch Officer' });
+    }
+
+    const { summary, messages } = await store.history(thread, { agentId: 'watch_officer', tags: { operatorId: 'u1' } });
+    expect(summarize).toHaveBeenCalledWith(null, expect.stringContaining('Operator: Question 0'), { operatorId: 'u1' });
+    expect(summary).toBe('Summary of 6 turns');
+    expect(messages.map(m => m.content.split(' ')[0] + m.content.split(' ')[1])).toEqual(['Question3', 'Answer3']);
+    expect(events).toEqual([{ threadId: thread.id, operatorId: 'u1', turns: 6 }]);
+    expect(new ConversationStore({ dir }).get(thread.id)).toMatchObject({ summary: 'Summary of 6 turns', summarizedThrough: 6 });
+  });
+
+  it('should send only the recent turns that fit when summarizing fails', async () => {
+    const store = new ConversationStore({ dir, contextTokens: 40, keepRecent: 2, summarize: async () => { throw new Error('model unavailable'); } });
+    const thread = store.create('u1');
+    for (let i = 0; i < 3; i++) {
+      store.append(thread, { role: 'user', content: `Question ${i} ${'x'.repeat(80)}` });
+      store.append(thread, { role: 'assistant', content: `Answer ${i}` });
+    }
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { summary, messages } = await store.history(thread);
+    expect(summary).toBeNull();
+    expect(messages).toEqual([{ role: 'user', content: expect.stringMatching(/^Question 2/) }, { role: 'assistant', content: 'Answer 2' }]);
+    expect(thread.summarizedThrough).toBe(0);
+    console.error.mockRestore();
+  });
+});
+
+describe('AgentRouter conversation threads', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-conv-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const stubRouter = (requests) => ({
+    agents: { watch_officer: { name: 'Watch Officer', section: 'operations', type: 'agent', soul: 'You are the Watch Officer.' } },
+    conversations: new ConversationStore({ dir }),
+    health: new AgentHealth({ file: path.join(dir, 'maintenance.json') }),
+    guard: new PromptGuard(),
+    language: {
+      detectLanguage: () => 'en',
+      isEmergency: () => false,
+      getLanguageContext: () => '',
+      getLanguageInfo: () => ({ name: 'English' })
+    },
+    memory: { getOperationalContext: () => '', logOperationalEvent: () => {} },
+    retrieval: { search: async () => [] },
+    llm: {
+      client: () => ({
+        messages: {
+          create: async (params) => {
+            requests.push(JSON.parse(JSON.stringify(params)));
+            return { content: [{ text: `Reply ${requests.length}` }] };
+          }
+        }
+      })
+    },
+    tools: null,
+    determineRoute: async (message) => ({ agentId: 'watch_officer', message, method: 'direct', confidence: 1, candidates: [], decision: { id: 'd1' } }),
+    route: AgentRouter.prototype.route
+  });
+
+  it('should carry earlier turns of a thread as messages', async () => {
+    const requests = [];
+    const router = stubRouter(requests);
+    const thread = router.conversations.create('u1');
+    const user = { id: 'u1' };
+
+    await router.route('Anything at the gate?', null, 'en', thread.id, { user, threadId: thread.id });
+    const response = await router.route('Keep watching it', null, 'en', thread.id, { user, threadId: thread.id });
+
+    expect(response.threadId).toBe(thread.id);
+    expect(requests[1].messages).toEqual([
+      { role: 'user', content: 'Anything at the gate?' },
+      { role: 'assistant', content: 'Reply 1' },
+      { role: 'user', content: 'Keep watching it' }
+    ]);
+    expect(requests[1].system).not.toContain('Anything at the gate?');
+    expect(router.conversations.get(thread.id).messages.map(m => m.content))
+      .toEqual(['Anything at the gate?', 'Reply 1', 'Keep watching it', 'Reply 2']);
+
+    await expect(router.route('hi', null, 'en', thread.id, { user: { id: 'u2' }, threadId: thread.id }))
+      .rejects.toThrow('Conversation thread not found');
+  });
+
+  it('should keep a transient thread per session without one', async () => {
+    const requests = [];
+    const router = stubRouter(requests);
+
+    const first = await router.route('Anything at the gate?', null, 'en', 'api-u1', { user: { id: 'u1' } });
+    await router.route('And now?', null, 'en', 'api-u1', { user: { id: 'u1' } });
+
+    expect(first.threadId).toBeUndefined();
+    expect(requests[1].messages).toHaveLength(3);
+    expect(router.conversations.list('u1')).toEqual([]);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * KDT Aso - Escalation Policy Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EscalationPolicies = require('../core/escalation-policies');
+const AlertSystem = require('../core/alerts');
+const AlertCorrelator = require('../core/alert-correlation');
+const OperatorManager = require('../core/operators');
+const ShiftManager = require('../core/shifts');
+
+const MINUTE = 60 * 1000;
+
+const POLICIES = {
+  policies: [
+    {
+      id: 'security',
+      category: 'security',
+      priority: ['critical', 'high'],
+      steps: [
+        { notify: 'assigned' },
+        { after: '5m', notify: 'shift_lead' },
+        { after: '10m', notify: ['role:commander', 'user:duty_officer'] }
+      ]
+    },
+    { id: 'standard', priority: 'medium', steps: [{ notify: 'shift' }] }
+  ]
+};
+
+describe('EscalationPolicies', () => {
+  let dir;
+  let alertSystem;
+  let operators;
+  let policies;
+  let paged;
+
+  const profile = (id, notifications = {}) => operators.operators.set(id, {
+    id,
+    notifications: { overnight_critical_only: true, overnight_hours: '2200-0600', receive_alerts: { critical: true, high: true, medium: true }, ...notifications }
+  });
+
+  const build = () => {
+    alertSystem = new AlertSystem({ dir, correlator: new AlertCorrelator({ config: { defaults: { dedupe_window: '0s', correlate_by: [] } } }) });
+    policies = new EscalationPolicies({
+      alerts: alertSystem,
+      shifts: { getOnDuty: () => [{ scheduleId: 's1', shiftName: 'Night Watch', lead: 'lead1', users: ['lead1', 'op2'] }] },
+      operators,
+      users: () => [{ id: 'cmd1', role: 'commander' }, { id: 'op2', role: 'operator' }],
+      config: POLICIES
+    }).attach();
+    paged = [];
+    policies.on('notify', ({ operatorId, step }) => paged.push(`${step.step}:${operatorId}`));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.useFakeTimers({ now: new Date(2026, 9, 19, 14, 0) });   // Local time: quiet hours are local
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-oncall-'));
+    operators = new OperatorManager();
+    for (const id of ['op1', 'lead1', 'op2', 'cmd1', 'duty_officer']) profile(id);
+    build();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    console.log.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should check policies when they load and pick the first that matches', () => {
+    expect(policies.policyFor({ category: 'security', priority: 'high', source: 'api' }).id).toBe('security');
+    expect(policies.policyFor({ category: 'system', priority: 'medium' }).id).toBe('standard');
+    expect(policies.policyFor({ category: 'system', priority: 'low' })).toBeNull();
+    expect(policies.policies[0].steps.map(s => s.after)).toEqual([0, 5 * MINUTE, 10 * MINUTE]);
+
+    const load = (steps) => () => policies.loadConfig({ policies: [{ id: 'p', steps }] });
+    expect(load([])).toThrow('needs at least one step');
+    expect(load([{ notify: 'everyone' }])).toThrow('unknown target "everyone"');
+    expect(load([{ after: '10m', notify: 'shift' }, { after: '5m', notify: 'shift_lead' }])).toThrow('comes before the step above it');
+    expect(load([{ after: 'later', notify: 'shift' }])).toThrow('Invalid duration');
+  });
+
+  it('should warn about role targets that match no configured role', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const checked = new EscalationPolicies({ alerts: alertSystem, roles: () => ['admin', 'operator'], config: POLICIES });
+    expect(warn).toHaveBeenCalledWith('[ESCALATION] Policy security step 3 pages role:commander, but no such role is configured');
+    expect(checked.checkRoles()).toEqual(['role:commander']);
+
+    checked.roles = () => ['admin', 'commander', 'operator'];
+    expect(checked.checkRoles()).toEqual([]);
+    warn.mockRestore();
+  });
+
+  it('should page down the chain until someone acknowledges', () => {
+    const alert = alertSystem.create({ priority: 'high', category: 'security', title: 'Gate 3 breach', message: 'Fence cut', assignedTo: 'op1', autoEscalate: false });
+    jest.advanceTimersByTime(0);
+    expect(paged).toEqual(['1:op1']);
+    expect(alert.escalationChain).toMatchObject({ policyId: 'security', nextStep: 1, nextStepDueAt: new Date(2026, 9, 19, 14, 5).toISOString() });
+
+    jest.advanceTimersByTime(5 * MINUTE);
+    expect(paged).toEqual(['1:op1', '2:lead1']);
+
+    alertSystem.acknowledge(alert.id, 'lead1');
+    jest.advanceTimersByTime(10 * MINUTE);
+    expect(paged).toEqual(['1:op1', '2:lead1']);
+    expect(policies.timers.size).toBe(0);
+
+    const saved = new AlertSystem({ dir, correlator: alertSystem.correlator }).get(alert.id);
+    expect(saved.escalationChain).toMatchObject({ nextStep: 2, nextStepDueAt: null, stoppedReason: 'acknowledged', completedAt: null });
+    expect(saved.escalationChain.steps).toEqual([
+      { step: 1, notify: ['assigned'], at: new Date(2026, 9, 19, 14, 0).toISOString(), delivered: ['op1'], suppressed: [] },
+      { step: 2, notify: ['shift_lead'], at: new Date(2026, 9, 19, 14, 5).toISOString(), delivered: ['lead1'], suppressed: [] }
+    ]);
+    expect(saved.notes.filter(n => n.type === 'notification').map(n => n.text)).toEqual([
+      'Step 1 (assigned): paged op1',
+      'Step 2 (shift_lead): paged lead1'
+    ]);
+  });
+
+  it('should hold back people in quiet hours and page them when the hours end', () => {
+    jest.setSystemTime(new Date(2026, 9, 19, 23, 30));
+    profile('cmd1', { overnight_critical_only: false });
+    const alert = alertSystem.create({ priority: 'high', category: 'security', title: 'Movement', message: 'North fence', assignedTo: 'op1', autoEscalate: false });
+
+    // Step 1 and 2 reach nobody overnight, so step 3 follows straight away
+    jest.advanceTimersByTime(1000);
+    expect(paged).toEqual(['3:cmd1']);
+    expect(alert.escalationChain.steps.map(s => [s.delivered, s.suppressed])).toEqual([
+      [[], ['op1']],
+      [[], ['lead1']],
+      [['cmd1'], ['duty_officer']]
+    ]);
+    expect(alert.escalationChain.completedAt).toBeTruthy();
+    expect(alert.notes.find(n => n.type === 'notification').text).toBe('Step 1 (assigned): nobody reachable; held back for op1');
+    const sixAm = new Date(2026, 9, 20, 6, 0).toISOString();
+    expect(alert.escalationChain.held).toEqual([
+      { operatorId: 'op1', step: 1, until: sixAm },
+      { operatorId: 'lead1', step: 2, until: sixAm },
+      { operatorId: 'duty_officer', step: 3, until: sixAm }
+    ]);
+
+    // The pages held back go out when quiet hours end
+    jest.advanceTimersByTime(6.5 * 60 * MINUTE);
+    expect(paged).toEqual(['3:cmd1', '1:op1', '2:lead1', '3:duty_officer']);
+    expect(alert.escalationChain.held).toEqual([]);
+    expect(alert.escalationChain.steps[0].delivered).toEqual(['op1']);
+    expect(alert.notes[alert.notes.length - 1].text).toBe('Step 3 (role:commander, user:duty_officer): paged duty_officer after quiet hours');
+    expect(policies.timers.size).toBe(0);
+
+    // Critical gets through quiet hours
+    jest.setSystemTime(new Date(2026, 9, 20, 23, 30));
+    alertSystem.create({ priority: 'critical', category: 'security', title: 'Forced entry', message: 'Gate 3', assignedTo: 'op1', autoEscalate: false });
+    jest.runOnlyPendingTimers();
+    expect(paged[paged.length - 1]).toBe('1:op1');
+  });
+
+  it('should go by each operator\'s own clock and drop held pages once acknowledged', () => {
+    jest.setSystemTime(Date.UTC(2026, 9, 19, 14, 0));
+    operators.operators.get('op1').preferences = { timezone: 'Asia/Tokyo' };       // 23:00 there
+    operators.operators.get('lead1').preferences = { timezone: 'Europe/London' };  // 15:00 there
+    expect(operators.shouldNotify('op1', 'high', new Date())).toBe(false);
+    expect(operators.quietUntil('op1', 'high', new Date()).toISOString()).toBe('2026-10-19T21:00:00.000Z');
+    expect(operators.quietUntil('op1', 'critical', new Date())).toBeNull();
+    expect(operators.quietUntil('lead1', 'high', new Date())).toBeNull();
+
+    const alert = alertSystem.create({ priority: 'high', category: 'security', title: 'Gate 3 breach', message: 'Fence cut', assignedTo: 'op1', autoEscalate: false });
+    jest.advanceTimersByTime(1000);
+    expect(paged).toEqual(['2:lead1']);
+    expect(alert.escalationChain.held).toEqual([{ operatorId: 'op1', step: 1, until: '2026-10-19T21:00:00.000Z' }]);
+
+    alertSystem.acknowledge(alert.id, 'lead1');
+    jest.advanceTimersByTime(8 * 60 * MINUTE);
+    expect(paged).toEqual(['2:lead1']);
+    expect(alert.escalationChain.held).toEqual([]);
+    expect(policies.timers.size).toBe(0);
+  });
+
+  it('should pick up a chain where it was after a restart', () => {
+    const alert = alertSystem.create({ priority: 'high', category: 'security', title: 'Gate 3 breach', message: 'Fence cut', assignedTo: 'op1', autoEscalate: false });
+    jest.advanceTimersByTime(0);
+    jest.clearAllTimers();
+
+    // Down for seven minutes: step 2 is overdue, step 3 is three minutes off
+    jest.setSystemTime(new Date(2026, 9, 19, 14, 7));
+    build();
+    jest.advanceTimersByTime(0);
+    expect(paged).toEqual(['2:lead1']);
+    jest.advanceTimersByTime(3 * MINUTE);
+    expect(paged).toEqual(['2:lead1', '3:cmd1', '3:duty_officer']);
+    expect(alertSystem.get(alert.id).escalationChain.steps.map(s => s.step)).toEqual([1, 2, 3]);
+  });
+
+  it('should start a chain when an alert escalates into a policy', () => {
+    const alert = alertSystem.create({ priority: 'low', category: 'security', title: 'Loiterer', message: 'Gate 1', autoEscalate: false });
+    expect(alert.escalationChain).toBeNull();
+    jest.advanceTimersByTime(MINUTE);
+    alertSystem.escalate(alert.id, 'Second sighting');
+    jest.advanceTimersByTime(0);
+    expect(alert.escalationChain).toMatchObject({ policyId: 'standard', startedAt: new Date(2026, 9, 19, 14, 1).toISOString() });
+    expect(paged).toEqual(['1:lead1', '1:op2']);
+  });
+});
+
+describe('ShiftManager on duty', () => {
+  it('should name the lead and users of each active shift', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-shifts-'));
+    const shifts = new ShiftManager({ dataDir });
+    const day = shifts.createSchedule({ name: 'Day', startTime: '0600', endTime: '1800', assignedUsers: ['u1', 'u2'] });
+    const night = shifts.createSchedule({ name: 'Night', startTime: '1800', endTime: '0600', assignedUsers: ['u3', 'u4'], lead: 'u4' });
+    shifts.createSchedule({ name: 'Reserve', startTime: '0000', endTime: '2359', assignedUsers: ['u5'] });
+    shifts._startShift(day.id, day);
+    shifts._startShift(night.id, night);
+
+    expect(shifts.getOnDuty()).toEqual([
+      { scheduleId: day.id, shiftName: 'Day', lead: 'u1', users: ['u1', 'u2'] },
+      { scheduleId: night.id, shiftName: 'Night', lead: 'u4', users: ['u3', 'u4'] }
+    ]);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+});
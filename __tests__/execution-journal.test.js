@@ -0,0 +1,87 @@
+/**
+ * KDT Aso - Standing Order Execution Journal Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExecutionJournal = require('../core/execution-journal');
+
+describe('ExecutionJournal', () => {
+  let dir;
+  let journal;
+
+  const action = (status, response = null) => ({ id: 'assess', agentId: 'watch_officer', action: 'assess', status, response });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-journal-'));
+    journal = new ExecutionJournal({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should append executions to a file per day and survive a restart', () => {
+    const entry = journal.record({
+      orderId: 'perimeter_alert',
+      trigger: 'movement_detected_perimeter',
+      context: { zone: 'south' },
+      actions: [action('success', 'Two subjects confirmed')],
+      triggeredAt: '2026-10-18T22:15:00.000Z',
+      completedAt: '2026-10-18T22:15:04.500Z'
+    });
+
+    expect(entry).toMatchObject({ outcome: 'success', escalated: false, durationMs: 4500 });
+    expect(fs.readdirSync(dir)).toEqual(['2026-10-18.jsonl']);
+
+    const reopened = new ExecutionJournal({ dir });
+    expect(reopened.get(entry.id)).toEqual(entry);
+    expect(reopened.get('missing')).toBeNull();
+  });
+
+  it('should work out outcomes from the action results', () => {
+    expect(ExecutionJournal.outcomeOf([action('success'), action('failure')])).toBe('partial');
+    expect(ExecutionJournal.outcomeOf([action('skipped'), action('failure')])).toBe('failure');
+    expect(ExecutionJournal.outcomeOf([])).toBe('success');
+    expect(() => journal.record({ orderId: 'x', outcome: 'maybe' })).toThrow('Unknown outcome "maybe"');
+  });
+
+  describe('query', () => {
+    beforeEach(() => {
+      journal.record({ orderId: 'perimeter_alert', actions: [action('success')], triggeredAt: '2026-10-16T08:00:00.000Z' });
+      journal.record({ orderId: 'perimeter_alert', actions: [action('failure')], triggeredAt: '2026-10-17T09:00:00.000Z' });
+      journal.record({
+        orderId: 'emergency_broadcast',
+        actions: [action('success')],
+        escalation: { priority: 'critical' },
+        approval: { id: 'a1', status: 'approved' },
+        triggeredAt: '2026-10-17T23:30:00.000Z'
+      });
+      journal.record({ orderId: 'emergency_broadcast', outcome: 'denied', triggeredAt: '2026-10-18T01:00:00.000Z' });
+    });
+
+    it('should return executions newest first', () => {
+      expect(journal.query().map(e => e.triggeredAt.slice(0, 13))).toEqual([
+        '2026-10-18T01', '2026-10-17T23', '2026-10-17T09', '2026-10-16T08'
+      ]);
+      expect(journal.query({ limit: 1, offset: 1 })[0].triggeredAt).toBe('2026-10-17T23:30:00.000Z');
+    });
+
+    it('should filter by order, outcome, escalation and approval', () => {
+      expect(journal.query({ orderId: 'perimeter_alert' })).toHaveLength(2);
+      expect(journal.query({ outcome: ['failure', 'denied'] }).map(e => e.outcome)).toEqual(['denied', 'failure']);
+      expect(journal.query({ escalated: 'true' })).toEqual([expect.objectContaining({ orderId: 'emergency_broadcast', outcome: 'success' })]);
+      expect(journal.query({ escalated: false })).toHaveLength(3);
+      expect(journal.query({ approvalId: 'a1' })).toHaveLength(1);
+      expect(() => journal.query({ outcome: 'maybe' })).toThrow('Unknown outcome');
+    });
+
+    it('should filter by date range', () => {
+      expect(journal.query({ from: '2026-10-17', to: '2026-10-17' })).toHaveLength(2);
+      expect(journal.query({ from: '2026-10-17T12:00:00Z' })).toHaveLength(2);
+      expect(journal.query({ to: '2026-10-16' })).toHaveLength(1);
+      expect(() => journal.query({ from: 'last tuesday' })).toThrow('Invalid date "last tuesday"');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * KDT Aso - Fact Extraction Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FactExtractor, parseExtractedFacts } = require('../core/fact-extraction');
+const MemoryService = require('../core/memory');
+const { RetrievalIndex } = require('../core/retrieval');
+const { ConversationStore } = require('../core/conversations');
+const AgentHealth = require('../core/agent-health');
+const { PromptGuard } = require('../core/prompt-guard');
+const AgentRouter = require('../core/router');
+
+const modelReply = (facts) => ({
+  create: jest.fn(async () => ({ content: [{ text: JSON.stringify({ facts }) }] }))
+});
+
+describe('FactExtractor', () => {
+  let dir;
+  let memory;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-extract-'));
+    memory = new MemoryService({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read the model\'s facts and drop what it can\'t use', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    expect(parseExtractedFacts(`Here you go: {"facts": [
+      {"fact": "Sgt Bello commands gate 3", "category": "person", "confidence": 0.9},
+      {"fact": "Route Blue is closed", "category": "place", "confidence": 2, "expires": "2026-10-20T06:00:00Z"},
+      {"fact": "Old closure", "category": "place", "confidence": 0.8, "expires": "2026-10-18T06:00:00Z"},
+      {"fact": "Nice weather", "category": "smalltalk", "confidence": 0.9},
+      {"category": "vehicle"}
+    ]}`, now)).toEqual([
+      { fact: 'Sgt Bello commands gate 3', category: 'person', confidence: 0.9, expiresAt: null },
+      { fact: 'Route Blue is closed', category: 'place', confidence: 1, expiresAt: '2026-10-20T06:00:00.000Z' },
+      { fact: 'Old closure', category: 'place', confidence: 0.8, expiresAt: null }
+    ]);
+    expect(parseExtractedFacts('no facts here')).toEqual([]);
+    expect(parseExtractedFacts('{"facts": [')).toEqual([]);
+  });
+
+  it('should store new facts as pending with where they came from', async () => {
+    memory.addFact('watch_officer', 'Sgt Bello commands gate 3');
+    const llm = modelReply([
+      { fact: 'Sgt Bello commands gate 3', category: 'person', confidence: 0.9 },
+      { fact: 'White Hilux KJA-123 is cleared for the north gate', category: 'vehicle', confidence: 0.85, expires: '2099-01-01T00:00:00Z' },
+      { fact: 'Maybe a patrol tonight', category: 'decision', confidence: 0.3 }
+    ]);
+    const extractor = new FactExtractor({ llm, memory, guard: new PromptGuard() });
+    const events = [];
+    extractor.on('extracted', e => events.push(e));
+
+    const added = await extractor.extract({
+      agentId: 'watch_officer',
+      message: 'The white Hilux KJA-123 is cleared for the north gate until further notice',
+      reply: 'Understood.',
+      threadId: 't1',
+      tags: { operatorId: 'u1' }
+    });
+
+    expect(added).toEqual([expect.objectContaining({
+      fact: 'White Hilux KJA-123 is cleared for the north gate',
+      category: 'vehicle',
+      source: 'extracted',
+      status: 'pending',
+      confidence: 0.85,
+      expiresAt: '2099-01-01T00:00:00.000Z',
+      sourceMessage: { text: 'The white Hilux KJA-123 is cleared for the north gate until further notice', threadId: 't1', operatorId: 'u1' }
+    })]);
+    expect(events).toEqual([{ agentId: 'watch_officer', operatorId: 'u1', threadId: 't1', facts: added }]);
+    expect(memory.pendingFacts()).toEqual([expect.objectContaining({ agentId: 'watch_officer', id: added[0].id })]);
+    expect(llm.create.mock.calls[0][1]).toMatchObject({ task: 'extraction', agent: 'watch_officer' });
+    expect(llm.create.mock.calls[0][0].messages[0].content).toContain('<untrusted_content source="agent" label="Agent reply">');
+
+    // Greetings and short replies aren't worth a model call
+    await extractor.extract({ agentId: 'watch_officer', message: 'Thanks, out', reply: 'Out.' });
+    expect(llm.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let an operator confirm, edit or discard what was learned', async () => {
+    const llm = modelReply([
+      { fact: 'Route Blue is closed', category: 'place', confidence: 0.9 },
+      { fact: 'Cpl Musa is on leave', category: 'person', confidence: 0.8 }
+    ]);
+    const extractor = new FactExtractor({ llm, memory });
+    const retrieval = new RetrievalIndex({ dir, embedder: null });
+    retrieval.indexMemory(memory);
+    const [route, musa] = await extractor.extract({ agentId: 'logistics_officer', message: 'Route Blue is closed and Cpl Musa is on leave', reply: 'Noted.' });
+
+    expect((await retrieval.search('route blue', { agentId: 'logistics_officer' }))[0].meta.status).toBe('pending');
+    expect(() => extractor.confirm('logistics_officer', route.id, { category: 'rumour' })).toThrow('category must be one of');
+
+    const confirmed = extractor.confirm('logistics_officer', route.id, { fact: 'Route Blue is closed to heavy vehicles', expiresAt: '2099-01-01' }, 'u1');
+    expect(confirmed).toMatchObject({ status: 'confirmed', fact: 'Route Blue is closed to heavy vehicles', expiresAt: '2099-01-01T00:00:00.000Z', reviewedBy: 'u1' });
+    expect(await retrieval.search('heavy vehicles', { agentId: 'logistics_officer' })).toEqual([
+      expect.objectContaining({ id: `fact:${route.id}`, meta: expect.objectContaining({ status: 'confirmed' }) })
+    ]);
+    expect(extractor.confirm('logistics_officer', route.id)).toBeNull();   // No longer pending
+
+    expect(extractor.discard('logistics_officer', musa.id, 'u1')).toBe(true);
+    expect(extractor.discard('logistics_officer', musa.id, 'u1')).toBe(false);
+    expect(await retrieval.search('musa', { agentId: 'logistics_officer' })).toEqual([]);
+    expect(memory.pendingFacts()).toEqual([]);
+    expect(new MemoryService({ dir }).agentMemory('logistics_officer').facts.map(f => f.fact)).toEqual(['Route Blue is closed to heavy vehicles']);
+  });
+
+  it('should forget facts once they expire', async () => {
+    const past = new Date(Date.now() - 60 * 1000).toISOString();
+    memory.addFact('watch_officer', 'North gate closed for resurfacing', { expiresAt: past });
+    memory.addFact('watch_officer', 'North gate camera faces the road');
+    const retrieval = new RetrievalIndex({ dir, embedder: null });
+    retrieval.indexMemory(memory);
+
+    expect((await retrieval.search('north gate', { agentId: 'watch_officer' })).map(r => r.text)).toEqual(['North gate camera faces the road']);
+    expect(memory.prune({ force: true })).toMatchObject({ facts: 1 });
+    expect(memory.agentMemory('watch_officer').facts.map(f => f.fact)).toEqual(['North gate camera faces the road']);
+  });
+});
+
+describe('AgentRouter fact extraction', () => {
+  it('should extract facts after replying, without waiting on it', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-extract-'));
+    let finish;
+    const extractor = { extract: jest.fn(() => new Promise(resolve => { finish = resolve; })) };
+    const router = {
+      agents: { watch_officer: { name: 'Watch Officer', section: 'operations', type: 'agent', soul: 'You are the Watch Officer.' } },
+      conversations: new ConversationStore({ dir }),
+      health: new AgentHealth({ file: path.join(dir, 'maintenance.json') }),
+      guard: new PromptGuard(),
+      language: { detectLanguage: () => 'en', isEmergency: () => false, getLanguageContext: () => '', getLanguageInfo: () => ({ name: 'English' }) },
+      memory: { getOperationalContext: () => '', logOperationalEvent: () => {} },
+      retrieval: { search: async () => [] },
+      extractor,
+      llm: { client: () => ({ messages: { create: async () => ({ content: [{ text: 'Understood.' }] }) } }) },
+      tools: null,
+      determineRoute: async (message) => ({ agentId: 'watch_officer', message, method: 'direct', confidence: 1, candidates: [], decision: { id: 'd1' } }),
+      route: AgentRouter.prototype.route
+    };
+    const thread = router.conversations.create('u1');
+
+    const response = await router.route('Sgt Bello has command of gate 3 tonight', null, 'en', thread.id, { user: { id: 'u1' }, threadId: thread.id });
+    expect(response.content).toBe('Understood.');
+    expect(extractor.extract).toHaveBeenCalledWith({
+      agentId: 'watch_officer',
+      message: 'Sgt Bello has command of gate 3 tonight',
+      reply: 'Understood.',
+      threadId: thread.id,
+      tags: expect.objectContaining({ operatorId: 'u1' })
+    });
+    finish([]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
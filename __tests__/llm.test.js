@@ -0,0 +1,235 @@
+/**
+ * KDT Aso - LLM Provider Tests
+ */
+
+const path = require('path');
+const { LLMService, OpenAICompatibleProvider, MockProvider } = require('../core/llm');
+const { ToolRegistry } = require('../core/agent-tools');
+
+describe('LLMService', () => {
+  const config = {
+    default_provider: 'anthropic',
+    providers: {
+      anthropic: { type: 'anthropic' },
+      local: { type: 'openai', base_url: 'http://127.0.0.1:8080/v1', model: 'llama-3.1-8b' },
+      mock: { type: 'mock' }
+    },
+    models: {
+      default: 'claude-sonnet-4-20250514',
+      tasks: { routing: 'claude-3-5-haiku-20241022' },
+      agents: { intel_analyst: 'local', plans_officer: 'local:qwen2.5:14b' }
+    },
+    aliases: { 'claude-3-sonnet': 'claude-sonnet-4-20250514' }
+  };
+
+  it('should load the shipped configuration', () => {
+    const llm = new LLMService();
+    expect(llm.resolve()).toMatchObject({ provider: 'anthropic', model: 'claude-sonnet-4-20250514' });
+    expect(llm.resolve({ model: 'claude-3-sonnet' }).model).toBe('claude-sonnet-4-20250514');
+    expect(llm.resolve({ model: 'local' })).toMatchObject({ provider: 'local', model: 'default' });
+  });
+
+  it('should pick the model by agent, then task, then the settings default', () => {
+    let settingsModel = null;
+    const llm = new LLMService({ config, getDefaultModel: () => settingsModel });
+
+    expect(llm.resolve({ task: 'chat', agent: 'watch_officer' })).toMatchObject({ provider: 'anthropic', model: 'claude-sonnet-4-20250514' });
+    expect(llm.resolve({ task: 'routing' }).model).toBe('claude-3-5-haiku-20241022');
+    expect(llm.resolve({ task: 'routing', agent: 'intel_analyst' })).toMatchObject({ provider: 'local', model: 'llama-3.1-8b' });
+    expect(llm.resolve({ agent: 'plans_officer' })).toMatchObject({ provider: 'local', model: 'qwen2.5:14b' });
+
+    settingsModel = 'mock';
+    expect(llm.resolve({ task: 'chat' })).toMatchObject({ provider: 'mock', model: 'mock' });
+    expect(llm.resolve({ task: 'routing' }).provider).toBe('anthropic');
+    expect(llm.resolve({ model: 'anthropic:claude-opus-4-20250514' }).model).toBe('claude-opus-4-20250514');
+  });
+
+  it('should follow default_provider when no default model is set', () => {
+    let settingsModel = require('../config/settings.json').agents.defaultModel;
+    const { default: _default, ...models } = config.models;
+    const shipped = { ...config, models };
+    const llm = new LLMService({ config: shipped, getDefaultModel: () => settingsModel });
+    expect(llm.resolve({ task: 'chat' })).toMatchObject({ provider: 'anthropic', model: 'claude-sonnet-4-20250514' });
+
+    shipped.default_provider = 'local';
+    expect(llm.resolve({ task: 'chat' })).toMatchObject({ provider: 'local', model: 'llama-3.1-8b' });
+    expect(llm.resolve({ agent: 'plans_officer' }).model).toBe('qwen2.5:14b');
+
+    settingsModel = 'anthropic';
+    expect(llm.resolve({ task: 'chat' })).toMatchObject({ provider: 'anthropic', model: 'claude-sonnet-4-20250514' });
+  });
+
+  it('should use the model from the agent manifest unless llm.yaml names one', () => {
+    const manifestModels = { intel_analyst: 'mock', logistics_officer: 'local' };
+    const llm = new LLMService({ config, getAgentModel: (agentId) => manifestModels[agentId] });
+
+    expect(llm.resolve({ task: 'chat', agent: 'logistics_officer' }).provider).toBe('local');
+    expect(llm.resolve({ task: 'chat', agent: 'intel_analyst' })).toMatchObject({ provider: 'local', model: 'llama-3.1-8b' });
+    expect(llm.resolve({ task: 'routing' }).model).toBe('claude-3-5-haiku-20241022');
+  });
+
+  it('should reject unknown provider types', () => {
+    expect(() => new LLMService({ config: { providers: { cloud: { type: 'carrier-pigeon' } } } }))
+      .toThrow('unknown type "carrier-pigeon"');
+    expect(() => new LLMService({ configPath: path.join(__dirname, 'missing.yaml') })).not.toThrow();
+  });
+
+  it('should give deterministic mock replies', async () => {
+    const llm = new LLMService({ config, getDefaultModel: () => 'mock' });
+    const client = llm.client({ task: 'chat', agent: 'watch_officer' });
+    const params = { max_tokens: 10, messages: [{ role: 'user', content: 'Status report\nall sectors' }] };
+
+    const first = await client.messages.create(params);
+    expect(first.content[0].text).toBe('[mock mock] Status report');
+    expect(await client.messages.create(params)).toEqual(first);
+  });
+
+  it('should let tests script the mock provider', async () => {
+    const mock = new MockProvider({ reply: (params) => `seen ${params.messages.length}` });
+    const llm = new LLMService({ config, providers: { mock }, getDefaultModel: () => 'mock:scripted' });
+    const response = await llm.create({ messages: [{ role: 'user', content: 'hi' }] });
+    expect(response.content[0].text).toBe('seen 1');
+    expect(mock.calls[0].model).toBe('scripted');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  const completion = (message, finishReason = 'stop') => ({
+    ok: true,
+    json: async () => ({
+      id: 'chatcmpl-1',
+      model: 'llama-3.1-8b',
+      choices: [{ message, finish_reason: finishReason }],
+      usage: { prompt_tokens: 12, completion_tokens: 5 }
+    })
+  });
+
+  it('should translate messages, tools and tool results', async () => {
+    const requests = [];
+    const replies = [
+      completion({ content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'list_alerts', arguments: '{"unacknowledged":true}' } }] }, 'tool_calls'),
+      completion({ content: 'No open alerts, Operator.' })
+    ];
+    const provider = new OpenAICompatibleProvider({
+      base_url: 'http://127.0.0.1:8080/v1/',
+      fetch: async (url, init) => {
+        requests.push({ url, body: JSON.parse(init.body) });
+        return replies.shift();
+      }
+    });
+
+    const tools = new ToolRegistry({ hasPermission: () => true });
+    tools.register('list_alerts', {
+      description: 'List alerts',
+      input_schema: { type: 'object', properties: { unacknowledged: { type: 'boolean' } } },
+      permission: 'alerts:view',
+      handler: () => []
+    });
+    const llm = new LLMService({
+      config: { default_provider: 'local', providers: {}, models: { default: 'local' } },
+      providers: { local: provider }
+    });
+
+    const result = await tools.converse(llm.client({ task: 'chat' }), {
+      max_tokens: 200,
+      system: 'You are the watch officer.',
+      messages: [{ role: 'user', content: 'Any alerts?' }]
+    }, { user: { id: 'u1', role: 'operator' } });
+
+    expect(result.text).toBe('No open alerts, Operator.');
+    expect(result.toolCalls[0]).toMatchObject({ tool: 'list_alerts', ok: true, input: { unacknowledged: true } });
+
+    expect(requests[0].url).toBe('http://127.0.0.1:8080/v1/chat/completions');
+    expect(requests[0].body).toMatchObject({
+      model: 'default',
+      max_tokens: 200,
+      messages: [
+        { role: 'system', content: 'You are the watch officer.' },
+        { role: 'user', content: 'Any alerts?' }
+      ],
+      tools: [{ type: 'function', function: { name: 'list_alerts', parameters: { type: 'object' } } }]
+    });
+    expect(requests[1].body.messages.slice(2)).toEqual([
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'list_alerts', arguments: '{"unacknowledged":true}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '[]' }
+    ]);
+  });
+
+  it('should report server errors', async () => {
+    const provider = new OpenAICompatibleProvider({
+      fetch: async () => ({ ok: false, status: 503, text: async () => 'model loading' })
+    });
+    await expect(provider.createMessage({ model: 'x', messages: [] })).rejects.toThrow('Local model request failed: 503 model loading');
+  });
+});
+
+describe('Streaming', () => {
+  const sse = (events) => ({
+    ok: true,
+    body: (async function* () {
+      const encoder = new TextEncoder();
+      const text = events.map(e => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join('');
+      // Split mid-line to exercise buffering
+      for (let i = 0; i < text.length; i += 17) yield encoder.encode(text.slice(i, i + 17));
+    })()
+  });
+
+  it('should stream mock replies word by word', async () => {
+    const llm = new LLMService({ config: { default_provider: 'mock', providers: { mock: { type: 'mock' } } } });
+    const deltas = [];
+    const response = await llm.create({ messages: [{ role: 'user', content: 'Report contacts' }] }, { onText: d => deltas.push(d) });
+
+    expect(deltas.join('')).toBe(response.content[0].text);
+    expect(deltas.length).toBeGreaterThan(1);
+  });
+
+  it('should stop a mock stream when the signal aborts', async () => {
+    const mock = new MockProvider({ reply: () => 'one two three four' });
+    const controller = new AbortController();
+    const deltas = [];
+    const onText = (d) => { deltas.push(d); controller.abort(); };
+
+    await expect(mock.createMessage({ messages: [] }, { signal: controller.signal, onText })).rejects.toThrow('Request aborted');
+    expect(deltas).toEqual(['one ']);
+  });
+
+  it('should read server-sent chunks from OpenAI-compatible servers', async () => {
+    let body;
+    const provider = new OpenAICompatibleProvider({
+      fetch: async (url, init) => {
+        body = JSON.parse(init.body);
+        return sse([
+          { id: 'c1', model: 'llama', choices: [{ delta: { role: 'assistant', content: 'All ' } }] },
+          { id: 'c1', choices: [{ delta: { content: 'quiet, ' } }] },
+          { id: 'c1', choices: [{ delta: { content: 'Operator.' }, finish_reason: 'stop' }] },
+          { id: 'c1', choices: [], usage: { prompt_tokens: 9, completion_tokens: 4 } },
+          '[DONE]'
+        ]);
+      }
+    });
+    const deltas = [];
+    const response = await provider.createMessage({ model: 'llama', messages: [{ role: 'user', content: 'Status?' }] }, { onText: d => deltas.push(d) });
+
+    expect(body.stream).toBe(true);
+    expect(deltas).toEqual(['All ', 'quiet, ', 'Operator.']);
+    expect(response).toMatchObject({
+      content: [{ type: 'text', text: 'All quiet, Operator.' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 9, output_tokens: 4 }
+    });
+  });
+
+  it('should assemble streamed tool calls', async () => {
+    const provider = new OpenAICompatibleProvider({
+      fetch: async () => sse([
+        { id: 'c2', choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_9', function: { name: 'list_alerts', arguments: '{"unack' } }] } }] },
+        { id: 'c2', choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'nowledged":true}' } }] }, finish_reason: 'tool_calls' }] },
+        '[DONE]'
+      ])
+    });
+    const response = await provider.createMessage({ model: 'llama', messages: [] }, { onText: () => {} });
+
+    expect(response.stop_reason).toBe('tool_use');
+    expect(response.content).toEqual([{ type: 'tool_use', id: 'call_9', name: 'list_alerts', input: { unacknowledged: true } }]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * KDT Aso - Memory Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryService = require('../core/memory');
+
+describe('MemoryService', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-memory-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep facts and notes per agent across restarts', () => {
+    const memory = new MemoryService({ dir });
+    const added = [];
+    memory.on('added', e => added.push(e.kind));
+    memory.addFact('watch_officer', 'Gate 3 camera is offline until Friday', { category: 'sensors', addedBy: 'u1' });
+    memory.addFact('watch_officer', 'Patrols change over at 0600');
+    memory.addNote('watch_officer', 'Operator prefers short sitreps');
+
+    const restarted = new MemoryService({ dir }).agentMemory('watch_officer');
+    expect(restarted.facts.map(f => [f.fact, f.category])).toEqual([
+      ['Gate 3 camera is offline until Friday', 'sensors'],
+      ['Patrols change over at 0600', 'general']
+    ]);
+    expect(restarted.facts[0]).toMatchObject({ source: 'operator', addedBy: 'u1' });
+    expect(restarted.notes).toEqual([expect.objectContaining({ note: 'Operator prefers short sitreps', source: 'agent' })]);
+    expect(added).toEqual(['fact', 'fact', 'note']);
+
+    expect(memory.agentMemory('logistics_officer').facts).toEqual([]);
+    expect(() => memory.addFact('watch_officer', '  ')).toThrow('fact is required');
+    expect(() => memory.agentMemory('../users')).toThrow('Invalid agentId');
+  });
+
+  it('should log and read back operational events', () => {
+    const memory = new MemoryService({ dir });
+    memory.logOperationalEvent({ type: 'conversation', agent: 'Watch Officer', summary: 'Responded to Operator' });
+
+    expect(memory.recentOperations(1)).toEqual([expect.objectContaining({ type: 'conversation', agent: 'Watch Officer', summary: 'Responded to Operator' })]);
+    expect(memory.getOperationalContext()).toMatch(/## Recent Operational Activity\n- \d{2}:\d{2}Z \[conversation\] Watch Officer: Responded to Operator/);
+  });
+
+  it('should convert markdown memory and leave the originals in place', () => {
+    fs.mkdirSync(path.join(dir, 'agents'));
+    fs.mkdirSync(path.join(dir, 'operational'));
+    const today = new Date().toISOString().slice(0, 10);
+    fs.writeFileSync(path.join(dir, 'agents', 'intel_analyst.md'), `# Intel Analyst — Memory Log
+
+This file contains persistent memories and notes for the Intel Analyst.
+
+---
+
+## ${today}T08:00:00.000Z
+Convoy sighted on the northern route
+
+## ${today}T09:30:00.000Z
+Source ALPHA reliability B
+`);
+    fs.writeFileSync(path.join(dir, 'agents', 'comms_officer.md'), '# Comms Officer — Memory Log\n\n---\n');
+    fs.writeFileSync(path.join(dir, 'operational', `${today}.md`), `# Operational Log — ${today}
+
+## ${today}T06:16:14.193Z
+**Type:** conversation
+**Agent:** Plans Officer
+**Summary:** Responded to Operator: "Generate 3rd PLT OPORD"
+
+
+---
+`);
+    fs.writeFileSync(path.join(dir, 'KNOWLEDGE.md'), `# KDT Aso — Knowledge Base
+
+---
+
+### Languages (2026-02-18)
+System supports: English, Hausa, Yoruba
+`);
+
+    const memory = new MemoryService({ dir });
+    expect(memory.agentMemory('intel_analyst').notes.map(n => [n.note, n.source])).toEqual([
+      ['Convoy sighted on the northern route', 'migrated'],
+      ['Source ALPHA reliability B', 'migrated']
+    ]);
+    expect(memory.recentOperations(48)).toEqual([expect.objectContaining({ agent: 'Plans Officer', summary: 'Responded to Operator: "Generate 3rd PLT OPORD"' })]);
+    expect(memory.searchKnowledge('hausa')).toEqual([expect.objectContaining({ category: 'Languages', fact: 'System supports: English, Hausa, Yoruba' })]);
+
+    // The originals stay put, recorded as converted
+    expect(fs.readdirSync(path.join(dir, 'agents')).sort()).toEqual(['comms_officer.md', 'intel_analyst.json', 'intel_analyst.md']);
+    expect(fs.existsSync(path.join(dir, 'KNOWLEDGE.md'))).toBe(true);
+    expect(Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'migrated.json'), 'utf-8')).files).sort()).toEqual([
+      'KNOWLEDGE.md', 'agents/comms_officer.md', 'agents/intel_analyst.md', `operational/${today}.md`
+    ]);
+
+    // Nothing left to convert the second time
+    const again = new MemoryService({ dir });
+    expect(again.migrate()).toEqual({ agents: 0, notes: 0, operationalEvents: 0, knowledge: 0 });
+    expect(again.agentMemory('intel_analyst').notes).toHaveLength(2);
+    expect(again.recentOperations(48)).toHaveLength(1);
+  });
+
+  it('should not apply retention to migrated memory until it has aged here', () => {
+    const old = '2025-06-02';
+    fs.mkdirSync(path.join(dir, 'agents'));
+    fs.mkdirSync(path.join(dir, 'operational'));
+    fs.writeFileSync(path.join(dir, 'agents', 'watch_officer.md'), `# Watch Officer — Memory Log\n\n## ${old}T08:00:00.000Z\nGate 3 camera replaced\n`);
+    fs.writeFileSync(path.join(dir, 'operational', `${old}.md`), `# Operational Log — ${old}\n\n## ${old}T06:16:14.193Z\n**Type:** conversation\n**Agent:** Watch Officer\n**Summary:** Shift handover\n`);
+    fs.writeFileSync(path.join(dir, 'KNOWLEDGE.md'), `# KDT Aso — Knowledge Base\n\n### Languages (${old})\nSystem supports: English, Hausa\n`);
+    const retention = { operational_days: 90, note_days: 30, knowledge_days: 30 };
+
+    const memory = new MemoryService({ dir, retention });
+    expect(fs.existsSync(path.join(dir, 'operational', `${old}.jsonl`))).toBe(true);
+    expect(memory.agentMemory('watch_officer').notes.map(n => n.note)).toEqual(['Gate 3 camera replaced']);
+    expect(memory.searchKnowledge('hausa')).toHaveLength(1);
+    expect(memory.prune({ force: true })).toEqual({ operationalLogs: 0, notes: 0, facts: 0, knowledge: 0 });
+
+    // Once it has been here longer than the policy allows, it goes
+    jest.useFakeTimers({ now: Date.now() + 91 * 24 * 60 * 60 * 1000 });
+    try {
+      expect(memory.prune({ force: true })).toEqual({ operationalLogs: 1, notes: 1, facts: 0, knowledge: 1 });
+      expect(fs.readdirSync(path.join(dir, 'operational'))).toEqual([`${old}.md`]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should apply the retention policy', () => {
+    const old = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000);
+    fs.mkdirSync(path.join(dir, 'operational'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'operational', `${old.toISOString().slice(0, 10)}.jsonl`), '{}\n');
+
+    const memory = new MemoryService({ dir, retention: { note_days: 30, max_facts_per_agent: 2 } });
+    const removed = [];
+    memory.on('removed', e => removed.push([e.kind, e.ids.length]));
+    memory.addNote('watch_officer', 'Stale note', { addedAt: old.toISOString() });
+    memory.addNote('watch_officer', 'Fresh note');
+    for (const fact of ['one', 'two', 'three']) memory.addFact('watch_officer', fact);
+
+    expect(fs.readdirSync(path.join(dir, 'operational'))).toEqual([]);
+    expect(memory.agentMemory('watch_officer').facts.map(f => f.fact)).toEqual(['two', 'three']);
+    expect(memory.prune()).toBeNull();   // Already ran today
+    expect(memory.prune({ force: true })).toEqual({ operationalLogs: 0, notes: 1, facts: 0, knowledge: 0 });
+    expect(removed).toEqual([['fact', 1], ['note', 1]]);
+    expect(new MemoryService({ dir }).agentMemory('watch_officer').notes.map(n => n.note)).toEqual(['Fresh note']);
+  });
+});
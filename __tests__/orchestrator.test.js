@@ -0,0 +1,132 @@
+/**
+ * KDT Aso - Staff Orchestrator Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StaffOrchestrator, parseStaffPlan } = require('../core/orchestrator');
+const { LLMService, MockProvider } = require('../core/llm');
+const AgentHealth = require('../core/agent-health');
+
+const agents = {
+  aso: { name: 'KDT Aso', soul: 'You are KDT Aso.', type: 'orchestrator' },
+  intelligence_officer: { name: 'Intelligence Officer', section: 'hero', soul: 'You are the Intelligence Officer.', type: 'agent' },
+  geospatial_officer: { name: 'Geospatial Officer', section: 'geospatial', soul: 'You are the Geospatial Officer.', type: 'agent' },
+  operations_officer: { name: 'Operations Officer', section: 'operations', soul: 'You are the Operations Officer.', type: 'agent' }
+};
+
+describe('parseStaffPlan', () => {
+  it('should read tasks from the planner reply', () => {
+    const text = `Here is the plan:
+{"tasks": [
+  {"id": "threat", "agent": "intelligence_officer", "task": "Assess the threat at Checkpoint Alpha"},
+  {"id": "patrol", "agent": "operations_officer", "task": "Plan a patrol", "depends_on": ["threat", "ghost"]}
+]}`;
+    expect(parseStaffPlan(text, agents)).toEqual([
+      { id: 'threat', agent: 'intelligence_officer', action: 'Assess the threat at Checkpoint Alpha', depends_on: [] },
+      { id: 'patrol', agent: 'operations_officer', action: 'Plan a patrol', depends_on: ['threat'] }
+    ]);
+  });
+
+  it('should drop unknown agents and reject unusable replies', () => {
+    const text = '{"tasks": [{"agent": "aso", "task": "x"}, {"agent": "retired_officer", "task": "y"}, {"agent": "geospatial_officer", "task": "Map it"}]}';
+    expect(parseStaffPlan(text, agents)).toEqual([{ id: 'task_1', agent: 'geospatial_officer', action: 'Map it', depends_on: [] }]);
+    expect(parseStaffPlan('intelligence_officer', agents)).toEqual([]);
+    expect(parseStaffPlan('{"tasks": [', agents)).toEqual([]);
+  });
+
+  it('should cap the number of tasks', () => {
+    const tasks = Array.from({ length: 8 }, (_, i) => ({ id: `t${i}`, agent: 'intelligence_officer', task: `Task ${i}` }));
+    expect(parseStaffPlan(JSON.stringify({ tasks }), agents, 3)).toHaveLength(3);
+  });
+});
+
+describe('StaffOrchestrator', () => {
+  const setup = (plannerReply) => {
+    const mock = new MockProvider({
+      reply: (params) => {
+        const prompt = params.messages[0].content;
+        if (prompt.startsWith('Break the Operator')) return plannerReply;
+        if (prompt.startsWith('The Operator asked')) return `SYNTHESIS\n${prompt}`;
+        return `${params.system.split('\n')[0]} reporting on: ${prompt.match(/Your part: (.*)/)[1]}`;
+      }
+    });
+    const llm = new LLMService({ config: { default_provider: 'mock', providers: {} }, providers: { mock } });
+    return { mock, orchestrator: new StaffOrchestrator({ llm, agents }) };
+  };
+
+  it('should split a compound request and credit each agent', async () => {
+    const { mock, orchestrator } = setup(JSON.stringify({ tasks: [
+      { id: 'threat', agent: 'intelligence_officer', task: 'Assess the threat at Checkpoint Alpha' },
+      { id: 'terrain', agent: 'geospatial_officer', task: 'Describe routes to Checkpoint Alpha' },
+      { id: 'patrol', agent: 'operations_officer', task: 'Plan a patrol', depends_on: ['threat', 'terrain'] }
+    ] }));
+    const contributions = [];
+    orchestrator.on('contribution', c => contributions.push(c));
+    const deltas = [];
+
+    const result = await orchestrator.run('Assess the threat at Checkpoint Alpha and plan a patrol there', {
+      context: 'Address the user as "Operator".',
+      onText: d => deltas.push(d)
+    });
+
+    expect(contributions.map(c => c.agentId).sort()).toEqual(['geospatial_officer', 'intelligence_officer', 'operations_officer']);
+    expect(contributions[2]).toMatchObject({ agentId: 'operations_officer', agent: 'Operations Officer', task: 'Plan a patrol' });
+    expect(result.contributions.map(c => c.status)).toEqual(['success', 'success', 'success']);
+
+    // The dependent task saw its upstreams
+    const patrolCall = mock.calls.find(p => p.messages[0].content.includes('Your part: Plan a patrol'));
+    expect(patrolCall.messages[0].content).toContain('- Intelligence Officer: You are the Intelligence Officer. reporting on: Assess the threat');
+    expect(patrolCall.system).toContain('Address the user as "Operator".');
+
+    expect(result.content).toMatch(/^SYNTHESIS/);
+    expect(result.content).toContain('### Geospatial Officer\nTask: Describe routes to Checkpoint Alpha');
+    expect(deltas.join('')).toBe(result.content);
+    expect(mock.calls).toHaveLength(5);
+  });
+
+  it('should fall back to the watch officer when the plan is unusable', async () => {
+    const { orchestrator } = setup('I cannot plan that.');
+    orchestrator.agents = { ...agents, watch_officer: { name: 'Watch Officer', soul: 'You are the Watch Officer.', type: 'agent' } };
+
+    const result = await orchestrator.run('Everything, all at once');
+    expect(result.contributions).toEqual([expect.objectContaining({ agentId: 'watch_officer', task: 'Everything, all at once', status: 'success' })]);
+  });
+
+  it('should report staff failures in the synthesis', async () => {
+    const { mock, orchestrator } = setup(JSON.stringify({ tasks: [
+      { id: 'threat', agent: 'intelligence_officer', task: 'Assess' },
+      { id: 'patrol', agent: 'operations_officer', task: 'Plan', depends_on: 'threat' }
+    ] }));
+    const reply = mock.reply;
+    mock.reply = (params) => params.system.startsWith('You are the Intelligence') ? Promise.reject(new Error('model offline')) : reply(params);
+
+    const result = await orchestrator.run('Assess and plan');
+    expect(result.contributions.map(c => c.status)).toEqual(['failure', 'skipped']);
+    expect(result.content).toContain('No report: model offline');
+    expect(result.content).toContain('No report: Upstream action "threat" failed');
+  });
+
+  it('should hand sub-tasks for agents in maintenance to their backups', async () => {
+    const { orchestrator } = setup(JSON.stringify({ tasks: [
+      { id: 'threat', agent: 'intelligence_officer', task: 'Assess' },
+      { id: 'terrain', agent: 'geospatial_officer', task: 'Map it' }
+    ] }));
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-orch-'));
+    orchestrator.health = new AgentHealth({ file: path.join(tmpDir, 'maintenance.json') });
+    orchestrator.health.setMaintenance('intelligence_officer', { backup: 'operations_officer' });
+    orchestrator.health.setMaintenance('geospatial_officer');
+
+    try {
+      const result = await orchestrator.run('Assess and map');
+      expect(result.contributions).toEqual([
+        expect.objectContaining({ agentId: 'operations_officer', task: 'Assess', status: 'success' }),
+        expect.objectContaining({ agentId: 'geospatial_officer', status: 'skipped', error: 'Geospatial Officer is in maintenance with no backup' })
+      ]);
+      expect(orchestrator.health.status('operations_officer').calls).toBe(1);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * KDT Aso - Retention and Redaction Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PrivacyControls, createMatcher, hashTerm } = require('../core/privacy');
+const MemoryService = require('../core/memory');
+const { ConversationStore } = require('../core/conversations');
+const { RoutingClassifier, RoutingLog } = require('../core/routing');
+const { RetrievalIndex } = require('../core/retrieval');
+const BackupSystem = require('../core/backup');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('createMatcher', () => {
+  it('should match whole words whatever the case and spacing', () => {
+    const matcher = createMatcher(['Musa Bello', 'KJA-123']);
+    expect(matcher.test('Saw musa  bello at the gate')).toBe(true);
+    expect(matcher.test('Plate kja-123 again')).toBe(true);
+    expect(matcher.test('Musa Bellow')).toBe(false);
+    expect(matcher.replace('Musa Bello drove KJA-123; MUSA BELLO left')).toBe('[REDACTED] drove [REDACTED]; [REDACTED] left');
+
+    expect(() => createMatcher([])).toThrow('At least one term is required');
+    expect(() => createMatcher(['  '])).toThrow('At least one term is required');
+    expect(() => createMatcher('ab')).toThrow('at least 3 characters');
+  });
+});
+
+describe('PrivacyControls', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-privacy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should apply retention to each class of data', () => {
+    const memory = new MemoryService({ dir: path.join(dir, 'memory'), retention: { fact_days: 30, knowledge_days: 365 } });
+    memory.addFact('watch_officer', 'Old fact', { addedAt: daysAgo(40) });
+    memory.addFact('watch_officer', 'New fact');
+    memory.addKnowledge('Terrain', 'Old bridge still standing', { addedAt: daysAgo(400) });
+    memory.addKnowledge('Terrain', 'River is in flood');
+    const conversations = new ConversationStore({ dir: path.join(dir, 'conversations') });
+    const stale = conversations.create('u1');
+    stale.updatedAt = daysAgo(10);
+    conversations.create('u1');
+
+    const privacy = new PrivacyControls({ memory, conversations, sessionDays: 7, dir });
+    const events = [];
+    privacy.on('retention', e => events.push(e));
+
+    expect(privacy.applyRetention()).toMatchObject({ sessions: 1, facts: 1, knowledge: 1, notes: 0, operationalLogs: 0 });
+    expect(memory.agentMemory('watch_officer').facts.map(f => f.fact)).toEqual(['New fact']);
+    expect(memory.getKnowledge('Terrain').entries.map(e => e.fact)).toEqual(['River is in flood']);
+    expect(conversations.list('u1')).toHaveLength(1);
+    expect(events).toHaveLength(1);
+    expect(privacy.lastRetention).toBe(events[0]);
+  });
+
+  it('should remove a person from every store and report what went', async () => {
+    const memory = new MemoryService({ dir: path.join(dir, 'memory') });
+    memory.addFact('watch_officer', 'Musa Bello drives the white Hilux');
+    memory.addFact('watch_officer', 'Gate 3 camera is offline');
+    memory.addNote('intel_analyst', 'Source says musa bello moved north');
+    memory.addKnowledge('People', 'Musa Bello, driver, contact 0803 555 0101');
+    memory.logOperationalEvent({ type: 'conversation', agent: 'Watch Officer', summary: 'Asked about Musa Bello' });
+    memory.logOperationalEvent({ type: 'conversation', agent: 'Watch Officer', summary: 'Gate check' });
+    fs.writeFileSync(path.join(dir, 'memory', 'agents', 'watch_officer.md'), '## 2026-02-18T08:00:00.000Z\nMusa Bello cleared\n');
+
+    const conversations = new ConversationStore({ dir: path.join(dir, 'conversations') });
+    const thread = conversations.create('u1');
+    conversations.append(thread, { role: 'user', content: 'Where is Musa Bello?' });
+    conversations.append(thread, { role: 'assistant', content: 'Unknown.' });
+
+    const routingLog = new RoutingLog({ dir: path.join(dir, 'routing') });
+    routingLog.record({ message: 'Where is Musa Bello?', method: 'model', agentId: 'intel_analyst' });
+    const classifier = new RoutingClassifier({ agents: { intel_analyst: { name: 'Intel Analyst' } }, dir: path.join(dir, 'routing') });
+    classifier.learn('track musa bello', 'intel_analyst');
+
+    const retrieval = new RetrievalIndex({ dir, embedder: null });
+    retrieval.indexMemory(memory);
+    retrieval.upsertDocument({ id: 'd1', title: 'Watchlist', category: 'intel', content: 'Musa Bello is on the watchlist.' });
+    const documents = {
+      list: () => [{ id: 'd1' }],
+      get: async () => ({ id: 'd1', title: 'Watchlist', category: 'intel', tags: [], content: 'Musa Bello is on the watchlist.' })
+    };
+
+    const privacy = new PrivacyControls({ memory, conversations, routingLog, classifier, retrieval, documents, dir });
+    const report = await privacy.redact(['Musa Bello'], { requestedBy: 'admin', reason: 'Request from Musa Bello' });
+
+    expect(report).toMatchObject({
+      requestedBy: 'admin',
+      reason: 'Request from [REDACTED]',
+      termHashes: [hashTerm('musa bello')],
+      purged: {
+        memory: { facts: 1, notes: 1, knowledge: 1, operationalEvents: 1, legacyFiles: 1 },
+        conversations: { threads: 1, messages: 1 },
+        routingDecisions: 1,
+        learnedRoutes: 1,
+        searchIndexEntries: 5
+      },
+      backups: [],
+      documentsMentioning: [{ id: 'd1', title: 'Watchlist', category: 'intel' }]
+    });
+    expect(JSON.stringify(report)).not.toMatch(/musa/i);
+
+    // Nothing left on disk or in the index
+    const onDisk = (root) => fs.readdirSync(root, { recursive: true })
+      .map(f => path.join(root, f))
+      .filter(f => fs.statSync(f).isFile())
+      .some(f => /musa/i.test(fs.readFileSync(f, 'utf-8')));
+    expect(onDisk(path.join(dir, 'memory'))).toBe(false);
+    expect(onDisk(path.join(dir, 'conversations'))).toBe(false);
+    expect(onDisk(path.join(dir, 'routing'))).toBe(false);
+    expect(await retrieval.search('musa bello', { agentId: 'watch_officer' })).toEqual([]);
+    expect(memory.agentMemory('watch_officer').facts.map(f => f.fact)).toEqual(['Gate 3 camera is offline']);
+    expect(new ConversationStore({ dir: path.join(dir, 'conversations') }).get(thread.id).messages[0].content).toBe('Where is [REDACTED]?');
+    expect(new RoutingLog({ dir: path.join(dir, 'routing') }).entries[0].message).toBe('Where is [REDACTED]?');
+
+    expect(privacy.reports()).toEqual([report]);
+    expect(privacy.report(report.id)).toEqual(report);
+  });
+
+  it('should scrub the memory in backups and keep them restorable', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const dataDir = path.join(dir, 'data');
+    const memory = new MemoryService({ dir: path.join(dataDir, 'memory') });
+    memory.addFact('watch_officer', 'KJA-123 belongs to the contractor');
+    fs.mkdirSync(path.join(dataDir, 'documents'), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, 'documents', 'note.md'), 'KJA-123 seen');
+
+    const backups = new BackupSystem({ backupDir: path.join(dir, 'backups'), dataDir });
+    await backups.init();
+    const { id } = await backups.createBackup({ description: 'Before KJA-123 cleanup' });
+
+    const privacy = new PrivacyControls({ memory, backups, dir });
+    const report = await privacy.redact('KJA-123');
+    expect(report.backups).toEqual([{ backupId: id, files: 1 }]);
+
+    const manifest = await backups.getBackupInfo(id);
+    expect(manifest.description).toBe('Before [REDACTED] cleanup');
+    expect(manifest.redactions).toEqual([expect.objectContaining({ redactionId: report.id, files: 1 })]);
+
+    const restored = await backups.restore(id, { dryRun: true });
+    expect(restored.restored).toEqual(['memory', 'documents']);
+    expect(await privacy.redact('KJA-123')).toMatchObject({ backups: [] });   // Nothing left to scrub
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * KDT Aso - Retrieval Index Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RetrievalIndex, HashEmbedder, LocalEmbedder, tokenize, chunkText } = require('../core/retrieval');
+const MemoryService = require('../core/memory');
+const DocumentStorage = require('../core/documents');
+const { ConversationStore } = require('../core/conversations');
+const AgentHealth = require('../core/agent-health');
+const { PromptGuard } = require('../core/prompt-guard');
+const AgentRouter = require('../core/router');
+
+describe('RetrievalIndex', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-retrieval-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should tokenize and chunk text', () => {
+    expect(tokenize('The convoys were stopped; Gate-3 is OFFLINE')).toEqual(['convoy', 'stop', 'gate', 'offline']);
+    const chunks = chunkText(`${'a'.repeat(500)}\n\n${'b'.repeat(500)}\n\n${'c'.repeat(1700)}`);
+    expect(chunks.map(c => c.length)).toEqual([500, 500, 800, 800, 100]);
+  });
+
+  it('should rank by relevance and keep facts to their agent', async () => {
+    const index = new RetrievalIndex({ dir, embedder: null });
+    index.upsert({ id: 'fact:1', kind: 'fact', agentId: 'watch_officer', text: 'Gate 3 camera is offline until Friday' });
+    index.upsert({ id: 'fact:2', kind: 'fact', agentId: 'logistics_officer', text: 'Generator at gate 3 needs fuel' });
+    index.upsert({ id: 'knowledge:1', kind: 'knowledge', text: 'Patrols change over at 0600 at the main gate' });
+    index.upsert({ id: 'event:1', kind: 'event', text: 'Watch Officer: Camera sweep of the motor pool' });
+
+    const ids = async (query, opts) => (await index.search(query, opts)).map(r => r.id);
+    expect(await ids('is the gate 3 camera working?', { agentId: 'watch_officer' })).toEqual(['fact:1', 'event:1', 'knowledge:1']);
+    expect(await ids('gate 3', { agentId: 'logistics_officer' })).toEqual(['fact:2', 'knowledge:1']);
+    expect(await ids('camera', { kinds: ['event'] })).toEqual(['event:1']);
+    expect(await ids('camera', { agentId: 'watch_officer', k: 1 })).toEqual(['fact:1']);
+    expect(await ids('weather report')).toEqual([]);
+
+    // Unchanged text isn't reindexed; changed text replaces the old terms
+    expect(index.upsert({ id: 'fact:1', kind: 'fact', agentId: 'watch_officer', text: 'Gate 3 camera is offline until Friday' })).toBe(false);
+    index.upsert({ id: 'fact:1', kind: 'fact', agentId: 'watch_officer', text: 'Gate 3 camera repaired' });
+    expect(await ids('offline', { agentId: 'watch_officer' })).toEqual([]);
+    index.remove('fact:1');
+    expect(await ids('repaired', { agentId: 'watch_officer' })).toEqual([]);
+    expect(index.postings.has('repair')).toBe(false);
+  });
+
+  it('should follow memory as it changes', async () => {
+    const memory = new MemoryService({ dir: path.join(dir, 'memory'), retention: { max_notes_per_agent: 1 } });
+    memory.addKnowledge('Languages', 'System supports English, Hausa and Yoruba');
+    const index = new RetrievalIndex({ dir, embedder: null });
+    index.indexMemory(memory);
+    expect(await index.search('hausa')).toEqual([expect.objectContaining({ kind: 'knowledge', meta: expect.objectContaining({ category: 'Languages' }) })]);
+
+    memory.addNote('intel_analyst', 'Convoy sighted on the northern route');
+    memory.logOperationalEvent({ type: 'alert', agent: 'Watch Officer', summary: 'Convoy passed checkpoint north' });
+    expect((await index.search('convoy north', { agentId: 'intel_analyst' })).map(r => r.kind).sort()).toEqual(['event', 'note']);
+
+    // Retention drops the first note from the index too
+    memory.addNote('intel_analyst', 'Source ALPHA reliability B');
+    expect((await index.search('convoy', { agentId: 'intel_analyst' })).map(r => r.kind)).toEqual(['event']);
+  });
+
+  it('should follow document contents as they change', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const documents = new DocumentStorage(path.join(dir, 'documents'));
+    const index = new RetrievalIndex({ dir, embedder: null });
+    await index.indexDocuments(documents);
+
+    const doc = await documents.create({ title: 'Fuel SOP', category: 'sop', content: 'Refuel generators every 12 hours from the bowser.' });
+    expect(await index.search('generator refuel')).toEqual([expect.objectContaining({
+      id: `document:${doc.id}#0`,
+      kind: 'document',
+      meta: expect.objectContaining({ documentId: doc.id, title: 'Fuel SOP', category: 'sop' })
+    })]);
+
+    await documents.update(doc.id, { content: 'Generators run on diesel only.' });
+    expect(await index.search('bowser')).toEqual([]);
+    expect(await index.search('diesel')).toHaveLength(1);
+    await documents.delete(doc.id);
+    expect(index.size).toBe(0);
+    console.log.mockRestore();
+  });
+
+  it('should blend in embeddings and fall back to BM25 without them', async () => {
+    const index = new RetrievalIndex({ dir, embedder: new HashEmbedder() });
+    index.upsert({ id: 'knowledge:1', kind: 'knowledge', text: 'Reconnaissance drones launch from pad B' });
+    index.upsert({ id: 'knowledge:2', kind: 'knowledge', text: 'Mess hall opens at 0700' });
+    // No shared term with the first entry, only shared word pieces
+    expect((await index.search('recon drone'))[0].id).toBe('knowledge:1');
+
+    const failing = new RetrievalIndex({ dir, embedder: { model: 'x', embed: async () => { throw new Error('connection refused'); } } });
+    failing.upsert({ id: 'knowledge:1', kind: 'knowledge', text: 'Mess hall opens at 0700' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await failing.search('mess hall')).map(r => r.id)).toEqual(['knowledge:1']);
+    console.error.mockRestore();
+  });
+
+  it('should cache vectors from a local embedding server', async () => {
+    const fetch = jest.fn(async (url, { body }) => ({
+      ok: true,
+      json: async () => ({ data: JSON.parse(body).input.map((text, index) => ({ index, embedding: [text.length, 1] })) })
+    }));
+    const embeddings = { provider: 'local', base_url: 'http://127.0.0.1:8080/v1/', model: 'nomic', fetch };
+    const index = new RetrievalIndex({ dir, embedder: new LocalEmbedder(embeddings), embeddings });
+    index.upsert({ id: 'fact:1', kind: 'fact', agentId: 'watch_officer', text: 'Gate 3 camera is offline' });
+    await index.search('camera', { agentId: 'watch_officer' });
+
+    expect(fetch.mock.calls[0][0]).toBe('http://127.0.0.1:8080/v1/embeddings');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'vectors.json'), 'utf-8')).model).toBe('nomic');
+
+    // Only the query needs embedding after a restart
+    const restarted = new RetrievalIndex({ dir, embedder: new LocalEmbedder(embeddings), embeddings });
+    restarted.upsert({ id: 'fact:1', kind: 'fact', agentId: 'watch_officer', text: 'Gate 3 camera is offline' });
+    await restarted.search('camera', { agentId: 'watch_officer' });
+    expect(JSON.parse(fetch.mock.calls[2][1].body).input).toEqual(['camera']);
+  });
+});
+
+describe('AgentRouter retrieval', () => {
+  it('should put the snippets relevant to the message in the prompt', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-retrieval-'));
+    const retrieval = new RetrievalIndex({ dir, embedder: null });
+    retrieval.upsert({ id: 'fact:1', kind: 'fact', agentId: 'watch_officer', text: 'Gate 3 camera is offline until Friday', meta: { category: 'sensors' } });
+    retrieval.upsert({ id: 'fact:2', kind: 'fact', agentId: 'watch_officer', text: 'Mess hall opens at 0700', meta: { category: 'general' } });
+    retrieval.upsert({ id: 'document:d1#0', kind: 'document', text: 'Gate 3 is manned from 1800 to 0600.', meta: { title: 'Gate SOP', category: 'sop' } });
+
+    const requests = [];
+    const router = {
+      agents: { watch_officer: { name: 'Watch Officer', section: 'operations', type: 'agent', soul: 'You are the Watch Officer.' } },
+      conversations: new ConversationStore({ dir }),
+      health: new AgentHealth({ file: path.join(dir, 'maintenance.json') }),
+      guard: new PromptGuard(),
+      language: { detectLanguage: () => 'en', isEmergency: () => false, getLanguageContext: () => '', getLanguageInfo: () => ({ name: 'English' }) },
+      memory: { getOperationalContext: () => '', logOperationalEvent: () => {} },
+      retrieval,
+      retrievalTopK: 6,
+      llm: { client: () => ({ messages: { create: async (params) => { requests.push(params); return { content: [{ text: 'Noted.' }] }; } } }) },
+      tools: null,
+      determineRoute: async (message) => ({ agentId: 'watch_officer', message, method: 'direct', confidence: 1, candidates: [], decision: { id: 'd1' } }),
+      formatSnippets: AgentRouter.prototype.formatSnippets,
+      route: AgentRouter.prototype.route
+    };
+
+    await router.route('Who is on gate 3 tonight?', null, 'en', 's1', { user: { id: 'u1' } });
+    const system = requests[0].system;
+    expect(system).toContain('## Relevant Memory');
+    expect(system).toContain('<untrusted_content source="memory" label="Agent memory">\n- Gate 3 camera is offline until Friday (sensors)\n</untrusted_content>');
+    expect(system).toContain('<untrusted_content source="document" label="Document excerpts">\n### Gate SOP (sop)\nGate 3 is manned from 1800 to 0600.\n</untrusted_content>');
+    expect(system).not.toContain('Mess hall');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
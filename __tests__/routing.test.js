@@ -0,0 +1,255 @@
+/**
+ * KDT Aso - Routing Classifier and Audit Log Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RoutingClassifier, RoutingLog } = require('../core/routing');
+const { LLMService, MockProvider } = require('../core/llm');
+const AgentRouter = require('../core/router');
+
+const agents = {
+  aso: { name: 'KDT Aso', type: 'orchestrator', keywords: ['aso', 'staff'], duties: 'Compound requests' },
+  intelligence_officer: { name: 'Intelligence Officer', type: 'agent', keywords: ['intel', 'intelligence'], duties: 'Threat assessment' },
+  operations_officer: { name: 'Operations Officer', type: 'agent', keywords: ['ops'], duties: 'Missions' },
+  watch_officer: { name: 'Watch Officer', type: 'agent', keywords: ['watch'], duties: 'Current situation' },
+  logistics_officer: { name: 'Logistics Officer', type: 'agent', keywords: ['log', 'logistics'], duties: 'Vehicles and supplies' },
+  plans_officer: { name: 'Plans Officer', type: 'agent', keywords: ['plans'] }
+};
+
+const modelReplying = (reply) => {
+  const mock = new MockProvider({ reply: () => reply });
+  return { mock, llm: new LLMService({ config: { default_provider: 'mock', providers: {} }, providers: { mock } }) };
+};
+
+describe('RoutingClassifier', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-routing-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should route direct address without asking the model', async () => {
+    const { mock, llm } = modelReplying('{}');
+    const classifier = new RoutingClassifier({ agents, llm, dir: tmpDir });
+
+    expect(await classifier.classify('Logistics Officer, fuel state on vehicle 3?')).toEqual({
+      candidates: [{ agentId: 'logistics_officer', confidence: 1, source: 'direct' }],
+      method: 'direct'
+    });
+    expect((await classifier.classify('Plans officer: draft the FRAGO')).candidates[0].agentId).toBe('plans_officer');
+    expect((await classifier.classify('@watch_officer anything new?')).candidates[0].agentId).toBe('watch_officer');
+    expect(mock.calls).toHaveLength(0);
+  });
+
+  it('should score keywords as hints rather than direct address', async () => {
+    const { mock, llm } = modelReplying('{"candidates": [{"agent": "intelligence_officer", "confidence": 0.7}]}');
+    const classifier = new RoutingClassifier({ agents, llm, dir: tmpDir });
+
+    expect(await classifier.classify('Log a sighting of two trucks at checkpoint 3')).toEqual({
+      candidates: [
+        { agentId: 'intelligence_officer', confidence: 0.7, source: 'model' },
+        { agentId: 'logistics_officer', confidence: 0.4, source: 'keyword' }
+      ],
+      method: 'model'
+    });
+    expect(mock.calls).toHaveLength(1);
+
+    const offline = new RoutingClassifier({ agents, dir: tmpDir });
+    expect(await offline.classify('Watch the north gate for movement')).toEqual({
+      candidates: [{ agentId: 'watch_officer', confidence: 0.4, source: 'keyword' }],
+      method: 'keyword'
+    });
+  });
+
+  it('should treat agent terms as literal text', async () => {
+    const odd = { ...agents, cyber_officer: { name: 'Cyber (C++) Officer', type: 'agent', keywords: ['c++', '('] } };
+    const classifier = new RoutingClassifier({ agents: odd, dir: tmpDir });
+
+    expect((await classifier.classify('Any c++ exploits reported?')).candidates).toEqual([
+      { agentId: 'cyber_officer', confidence: 0.4, source: 'keyword' }
+    ]);
+    expect(classifier.matchAgent('cyber (c++) officer, status')).toBe('cyber_officer');
+    expect(classifier.parseCorrection('No, send that to c++')).toBe('cyber_officer');
+  });
+
+  it('should offer the model the agents that list duties, staff first', async () => {
+    const { mock, llm } = modelReplying('{"candidates": []}');
+    await new RoutingClassifier({ agents, llm, dir: tmpDir }).classify('Anything new?');
+
+    const listed = mock.calls[0].messages[0].content.match(/^- \w+/gm);
+    expect(listed).toEqual(['- intelligence_officer', '- operations_officer', '- watch_officer', '- logistics_officer', '- aso']);
+  });
+
+  it('should rank model candidates and drop unknown agents', async () => {
+    const { llm } = modelReplying('{"candidates": [{"agent": "operations_officer", "confidence": 0.4}, {"agent": "ghost_officer", "confidence": 0.9}, {"agent": "logistics_officer", "confidence": 0.7}]}');
+    const classifier = new RoutingClassifier({ agents, llm, dir: tmpDir });
+
+    expect(await classifier.classify('How many trucks can move tonight?')).toEqual({
+      candidates: [
+        { agentId: 'logistics_officer', confidence: 0.7, source: 'model' },
+        { agentId: 'operations_officer', confidence: 0.4, source: 'model' }
+      ],
+      method: 'model'
+    });
+  });
+
+  it('should not guess when the model reply is unusable', async () => {
+    const classifier = new RoutingClassifier({ agents, llm: modelReplying('Hard to say.').llm, dir: tmpDir });
+    expect(await classifier.classify('Hmm')).toEqual({ candidates: [], method: 'none' });
+
+    classifier.llm = modelReplying('intelligence_officer').llm;
+    expect((await classifier.classify('Hmm')).candidates).toEqual([{ agentId: 'intelligence_officer', confidence: 0.5, source: 'model' }]);
+  });
+
+  it('should read operator corrections', () => {
+    const classifier = new RoutingClassifier({ agents, dir: tmpDir });
+    expect(classifier.parseCorrection('No, send that to logistics')).toBe('logistics_officer');
+    expect(classifier.parseCorrection("Wrong agent - that's for the plans officer")).toBe('plans_officer');
+    expect(classifier.parseCorrection('Route it to intel instead.')).toBe('intelligence_officer');
+    expect(classifier.parseCorrection('No contact at the gate')).toBeNull();
+    expect(classifier.parseChoice('the second one', [{ agentId: 'watch_officer' }, { agentId: 'logistics_officer' }])).toBe('logistics_officer');
+  });
+
+  it('should learn from corrections and keep them across restarts', async () => {
+    const { mock, llm } = modelReplying('{"candidates": [{"agent": "operations_officer", "confidence": 0.6}]}');
+    const classifier = new RoutingClassifier({ agents, llm, dir: tmpDir });
+    classifier.learn('Fuel resupply for the convoy tonight', 'logistics_officer');
+
+    const reloaded = new RoutingClassifier({ agents, llm, dir: tmpDir });
+    const result = await reloaded.classify('Fuel resupply for the convoy tomorrow');
+    expect(result.candidates[0]).toEqual({ agentId: 'logistics_officer', confidence: 0.6, source: 'learned' });
+    expect(result.candidates[1]).toMatchObject({ agentId: 'operations_officer', source: 'model' });
+
+    // An exact repeat is confident enough to skip the model
+    expect((await reloaded.classify('fuel resupply for the convoy tonight')).method).toBe('learned');
+    expect(mock.calls).toHaveLength(1);
+
+    expect(reloaded.forget(reloaded.learned[0].id)).toBe(true);
+    expect(new RoutingClassifier({ agents, dir: tmpDir }).learned).toEqual([]);
+  });
+});
+
+describe('RoutingLog', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-routing-log-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should record, correct, reload and summarise decisions', () => {
+    const log = new RoutingLog({ dir: tmpDir });
+    const first = log.record({ message: 'Trucks?', method: 'model', agentId: 'operations_officer', confidence: 0.6 });
+    log.record({ userId: 'u2', message: 'Intel, any contacts?', method: 'direct', agentId: 'intelligence_officer', confidence: 1 });
+    log.record({ message: 'Hmm', method: 'none', clarification: true });
+    log.correct(first.id, 'logistics_officer');
+
+    const reloaded = new RoutingLog({ dir: tmpDir });
+    expect(reloaded.get(first.id).correction).toMatchObject({ agentId: 'logistics_officer' });
+    expect(reloaded.query({ corrected: 'true' }).map(e => e.id)).toEqual([first.id]);
+    expect(reloaded.query({ method: 'direct' })).toHaveLength(1);
+    expect(reloaded.query({ userId: 'u2' }).map(e => e.message)).toEqual(['Intel, any contacts?']);
+    expect(reloaded.stats({ userId: 'u2' })).toMatchObject({ total: 1, byMethod: { direct: 1 } });
+    expect(reloaded.query().map(e => e.message)).toEqual(['Hmm', 'Intel, any contacts?', 'Trucks?']);
+
+    expect(reloaded.stats()).toEqual({
+      total: 3,
+      clarifications: 1,
+      corrections: 1,
+      correctionRate: 0.333,
+      byMethod: { model: 1, direct: 1, none: 1 },
+      byAgent: {
+        operations_officer: { routed: 1, corrected: 1, averageConfidence: 0.6 },
+        intelligence_officer: { routed: 1, corrected: 0, averageConfidence: 1 }
+      },
+      confusions: [{ from: 'operations_officer', to: 'logistics_officer', count: 1 }]
+    });
+    expect(() => reloaded.query({ from: 'yesterday-ish' })).toThrow('Invalid date');
+  });
+});
+
+describe('AgentRouter.determineRoute', () => {
+  let tmpDir;
+  let router;
+  let modelReply;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-route-'));
+    const mock = new MockProvider({ reply: () => modelReply });
+    const llm = new LLMService({ config: { default_provider: 'mock', providers: {} }, providers: { mock } });
+    router = {
+      agents,
+      systemConfig: { routing: { clarify_below: 0.5, clarify_margin: 0.1 } },
+      classifier: new RoutingClassifier({ agents, llm, dir: tmpDir }),
+      routingLog: new RoutingLog({ dir: tmpDir }),
+      pendingClarifications: new Map(),
+      lastRoutes: new Map(),
+      maxSessions: 2,
+      remember: AgentRouter.prototype.remember,
+      determineRoute: AgentRouter.prototype.determineRoute,
+      clarifyingQuestion: AgentRouter.prototype.clarifyingQuestion
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should route confident decisions and log them', async () => {
+    modelReply = '{"candidates": [{"agent": "watch_officer", "confidence": 0.9}, {"agent": "operations_officer", "confidence": 0.3}]}';
+    const route = await router.determineRoute('What is happening at the gate?', 's1', { user: { id: 'u1' } });
+
+    expect(route).toMatchObject({ agentId: 'watch_officer', method: 'model', confidence: 0.9, clarify: false });
+    expect(router.routingLog.get(route.decision.id)).toMatchObject({ sessionId: 's1', userId: 'u1', agentId: 'watch_officer' });
+  });
+
+  it('should ask when unsure and route the original message once answered', async () => {
+    modelReply = '{"candidates": [{"agent": "logistics_officer", "confidence": 0.55}, {"agent": "operations_officer", "confidence": 0.5}]}';
+    const asked = await router.determineRoute('Can we move tonight?', 's1');
+
+    expect(asked).toMatchObject({ clarify: true, method: 'model' });
+    expect(router.clarifyingQuestion(asked.candidates, { address_as: 'Sir' }))
+      .toBe("Sir, I'm not sure who should take that. Should it go to the Logistics Officer or Operations Officer?");
+
+    const answered = await router.determineRoute('the second one', 's1');
+    expect(answered).toMatchObject({ agentId: 'operations_officer', message: 'Can we move tonight?', method: 'clarified', clarify: false });
+    expect(router.classifier.learned[0]).toMatchObject({ agentId: 'operations_officer', message: 'Can we move tonight?' });
+  });
+
+  it('should not hold up an emergency for a question', async () => {
+    modelReply = 'no idea';
+    const route = await router.determineRoute('Shots fired at the north gate', 's1', { urgent: true });
+    expect(route).toMatchObject({ agentId: 'watch_officer', method: 'fallback', clarify: false });
+  });
+
+  it('should re-route the last message on correction and learn from it', async () => {
+    modelReply = '{"candidates": [{"agent": "operations_officer", "confidence": 0.8}]}';
+    const first = await router.determineRoute('Fuel resupply for the convoy', 's1');
+    const corrected = await router.determineRoute('No, send that to logistics', 's1');
+
+    expect(corrected).toMatchObject({ agentId: 'logistics_officer', message: 'Fuel resupply for the convoy', method: 'correction' });
+    expect(router.routingLog.get(first.decision.id).correction.agentId).toBe('logistics_officer');
+
+    const next = await router.determineRoute('Fuel resupply for the convoy', 's2');
+    expect(next).toMatchObject({ agentId: 'logistics_officer', method: 'learned' });
+  });
+
+  it('should only remember the most recent sessions', async () => {
+    modelReply = '{"candidates": [{"agent": "logistics_officer", "confidence": 0.55}, {"agent": "operations_officer", "confidence": 0.5}]}';
+    for (const session of ['s1', 's2', 's3']) await router.determineRoute('Can we move tonight?', session);
+    expect([...router.pendingClarifications.keys()]).toEqual(['s2', 's3']);
+
+    modelReply = '{"candidates": [{"agent": "watch_officer", "confidence": 0.9}]}';
+    for (const session of ['s4', 's5', 's4']) await router.determineRoute('Gate status?', session);
+    expect([...router.lastRoutes.keys()]).toEqual(['s5', 's4']);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * KDT Aso - Scheduler Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../core/scheduler');
+const ShiftManager = require('../core/shifts');
+
+describe('Scheduler', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-sched-'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const nextRuns = (spec, from, count = 3, timezone = 'Africa/Lagos') => {
+    const scheduler = new Scheduler({ timezone, stateFile: null });
+    scheduler.add('job', spec, () => {});
+    return scheduler.nextRuns('job', count, new Date(from));
+  };
+
+  describe('parseSchedule', () => {
+    it('should reject malformed specs', () => {
+      expect(() => Scheduler.parseSchedule('0 6 * *')).toThrow('5 fields');
+      expect(() => Scheduler.parseSchedule('61 * * * *')).toThrow('out of range');
+      expect(() => Scheduler.parseSchedule({ at: '2500' })).toThrow('Invalid time');
+      expect(() => Scheduler.parseSchedule({ every: '90s' })).toThrow('whole minutes');
+      expect(() => Scheduler.parseSchedule({ cron: '@daily', timezone: 'Mars/Olympus' })).toThrow('Unknown timezone');
+      expect(() => Scheduler.parseSchedule({ cron: '@daily', catch_up: 'some' })).toThrow('catch_up');
+    });
+  });
+
+  describe('nextRuns', () => {
+    it('should evaluate cron expressions in the scheduler timezone', () => {
+      // Friday 2026-10-23 12:00 UTC; Lagos is UTC+1
+      expect(nextRuns('0 6 * * MON-FRI', '2026-10-23T12:00:00Z')).toEqual([
+        '2026-10-26T05:00:00.000Z',
+        '2026-10-27T05:00:00.000Z',
+        '2026-10-28T05:00:00.000Z'
+      ]);
+      expect(nextRuns('0 6 * * *', '2026-10-23T12:00:00Z', 1, 'Asia/Tokyo')).toEqual(['2026-10-23T21:00:00.000Z']);
+    });
+
+    it('should support steps, lists and macros', () => {
+      expect(nextRuns('*/20 9,17 * * *', '2026-10-23T08:30:00Z', 4)).toEqual([
+        '2026-10-23T08:40:00.000Z',
+        '2026-10-23T16:00:00.000Z',
+        '2026-10-23T16:20:00.000Z',
+        '2026-10-23T16:40:00.000Z'
+      ]);
+      expect(nextRuns('@monthly', '2026-10-23T12:00:00Z', 1)).toEqual(['2026-10-31T23:00:00.000Z']);
+    });
+
+    it('should run every N minutes inside a window crossing midnight', () => {
+      expect(nextRuns({ every: '30m', between: '2300-0030' }, '2026-10-23T21:00:00Z', 5)).toEqual([
+        '2026-10-23T22:00:00.000Z',
+        '2026-10-23T22:30:00.000Z',
+        '2026-10-23T23:00:00.000Z',
+        '2026-10-23T23:30:00.000Z',
+        '2026-10-24T22:00:00.000Z'
+      ]);
+    });
+
+    it('should restrict time rules to days of the week', () => {
+      expect(nextRuns({ at: ['0600', '1800'], days: ['sat'] }, '2026-10-23T12:00:00Z', 3)).toEqual([
+        '2026-10-24T05:00:00.000Z',
+        '2026-10-24T17:00:00.000Z',
+        '2026-10-31T05:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('running jobs', () => {
+    it('should fire each scheduled minute once', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-23T04:58:30Z') });
+      const scheduler = new Scheduler({ stateFile: null });
+      const runs = [];
+      scheduler.add('brief', { at: '0600' }, (run) => runs.push(run));
+      scheduler.start();
+
+      jest.advanceTimersByTime(5 * 60 * 1000);
+      scheduler.stop();
+
+      expect(runs).toHaveLength(1);
+      expect(runs[0]).toMatchObject({ jobId: 'brief', scheduledFor: '2026-10-23T05:00:00.000Z', missed: false });
+    });
+
+    it('should catch up runs missed while stopped', () => {
+      const stateFile = path.join(tmpDir, 'state.json');
+      jest.useFakeTimers({ now: new Date('2026-10-23T04:00:00Z') });
+
+      const before = new Scheduler({ stateFile });
+      before.add('hourly', '0 * * * *', () => {});
+      before.start();
+      before.stop();
+
+      // Down for three hours
+      jest.setSystemTime(new Date('2026-10-23T07:10:00Z'));
+      const latest = [];
+      const all = [];
+      const none = [];
+      const after = new Scheduler({ stateFile });
+      after.add('hourly', '0 * * * *', (run) => latest.push(run));
+      after.add('hourly-all', { cron: '0 * * * *', catch_up: 'all' }, (run) => all.push(run));
+      after.add('hourly-none', { cron: '0 * * * *', catch_up: 'none' }, (run) => none.push(run));
+      after.start();
+      after.stop();
+
+      expect(latest.map(r => r.scheduledFor)).toEqual(['2026-10-23T07:00:00.000Z']);
+      expect(latest[0].missed).toBe(true);
+      expect(all.map(r => r.scheduledFor)).toEqual([
+        '2026-10-23T05:00:00.000Z',
+        '2026-10-23T06:00:00.000Z',
+        '2026-10-23T07:00:00.000Z'
+      ]);
+      expect(none).toHaveLength(0);
+    });
+
+    it('should keep running when a job throws or rejects', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-23T04:58:30Z') });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const scheduler = new Scheduler({ stateFile: path.join(tmpDir, 'state.json') });
+      const errors = [];
+      const runs = [];
+      scheduler.on('job:error', (e) => errors.push(e));
+      scheduler.add('throws', '* * * * *', () => { throw new Error('boom'); });
+      scheduler.add('rejects', '* * * * *', async () => { throw new Error('later'); });
+      scheduler.add('fine', '* * * * *', (run) => runs.push(run));
+      scheduler.start();
+
+      jest.advanceTimersByTime(3 * 60 * 1000);
+      await Promise.resolve();
+      scheduler.stop();
+
+      expect(runs).toHaveLength(3);
+      expect(errors.filter(e => e.jobId === 'throws').map(e => e.error)).toEqual(['boom', 'boom', 'boom']);
+      expect(errors.filter(e => e.jobId === 'rejects').map(e => e.error)).toEqual(['later', 'later', 'later']);
+      expect(JSON.parse(fs.readFileSync(path.join(tmpDir, 'state.json'), 'utf-8')).jobs.throws.lastRun).toBe('2026-10-23T05:01:00.000Z');
+      console.error.mockRestore();
+    });
+
+    it('should follow timezone changes', () => {
+      const scheduler = new Scheduler({ stateFile: null });
+      scheduler.add('brief', { at: '0600' }, () => {});
+      scheduler.setTimezone('UTC');
+      expect(scheduler.nextRuns('brief', 1, new Date('2026-10-23T12:00:00Z'))).toEqual(['2026-10-24T06:00:00.000Z']);
+      expect(() => scheduler.setTimezone('Nowhere/Special')).toThrow('Unknown timezone');
+    });
+  });
+
+  describe('ShiftManager integration', () => {
+    it('should start and end shifts from the scheduler', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-23T17:59:30Z') });
+      const scheduler = new Scheduler({ stateFile: null });
+      const shifts = new ShiftManager({ dataDir: tmpDir, scheduler });
+      const schedule = shifts.createSchedule({ name: 'Night Watch', startTime: '1900', endTime: '0700' });
+      const events = [];
+      const io = { emit: (event, payload) => events.push({ event, payload }) };
+
+      shifts.startAutoCheck(io, () => ({}));
+      scheduler.start();
+      expect(shifts.getActiveShifts()).toHaveLength(0);
+
+      jest.advanceTimersByTime(60 * 1000);
+      expect(shifts.getActiveShifts()[0].scheduleId).toBe(schedule.id);
+
+      jest.setSystemTime(new Date('2026-10-24T05:59:30Z'));
+      jest.advanceTimersByTime(60 * 1000);
+      expect(shifts.getActiveShifts()).toHaveLength(0);
+      expect(events.map(e => e.event)).toEqual(['shift:start', 'shift:end']);
+      shifts.stop();
+      scheduler.stop();
+    });
+
+    it('should resume a shift in progress on startup', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-24T01:00:00Z') });
+      const scheduler = new Scheduler({ stateFile: null });
+      const shifts = new ShiftManager({ dataDir: tmpDir, scheduler });
+      shifts.createSchedule({ name: 'Night Watch', startTime: '1900', endTime: '0700', daysOfWeek: [5] });
+
+      shifts.startAutoCheck(null, () => ({}));
+      expect(shifts.getActiveShifts()).toHaveLength(1);
+      shifts.stop();
+    });
+
+    it('should reject malformed shift times', () => {
+      const shifts = new ShiftManager({ dataDir: tmpDir, scheduler: new Scheduler({ stateFile: null }) });
+      expect(() => shifts.createSchedule({ name: 'Bad', startTime: '2500', endTime: '0700' })).toThrow('startTime');
+    });
+  });
+});
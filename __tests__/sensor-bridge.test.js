@@ -0,0 +1,145 @@
+/**
+ * KDT Aso - Sensor Trigger Bridge Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SensorSystem = require('../core/sensors');
+const StandingOrders = require('../core/standing-orders');
+const SensorTriggerBridge = require('../core/sensor-bridge');
+
+describe('SensorTriggerBridge', () => {
+  let tmpDir;
+  let sensorSystem;
+  let standingOrders;
+  let fired;
+
+  const writeFile = (name, content) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-bridge-'));
+    sensorSystem = new SensorSystem();
+    standingOrders = new StandingOrders({ ordersPath: writeFile('orders.yaml', `standing_orders:
+  perimeter_alert:
+    trigger: "movement_detected_perimeter"
+    actions: []
+  north_burst:
+    trigger: "zone == 'north' AND count(5m) >= 2"
+    actions: []
+`) });
+    fired = [];
+    standingOrders.on('trigger', (order, context) => fired.push({ id: order.id, context }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const createBridge = (config) => new SensorTriggerBridge({
+    standingOrders,
+    configPath: writeFile('sensor_triggers.yaml', config)
+  }).attach(sensorSystem);
+
+  it('should fire the mapped standing order with the causing data point', () => {
+    createBridge(`sensor_triggers:
+  mappings:
+    - sensor_trigger: motion_detected
+      standing_order_trigger: movement_detected_perimeter
+`);
+    const sensor = sensorSystem.register({ name: 'Gate PIR', type: 'motion_sensor', zone: 'south' });
+    const dataPoint = sensorSystem.ingest(sensor.id, { triggered: true });
+
+    expect(fired).toHaveLength(1);
+    expect(fired[0].id).toBe('perimeter_alert');
+    expect(fired[0].context.sensor).toEqual({ id: sensor.id, name: 'Gate PIR', type: 'motion_sensor', zone: 'south' });
+    expect(fired[0].context.cause.dataPointId).toBe(dataPoint.id);
+    expect(standingOrders.getLogs()[0].details.cause.sensorId).toBe(sensor.id);
+  });
+
+  it('should cool down per sensor', () => {
+    const bridge = createBridge(`sensor_triggers:
+  defaults:
+    dedupe_window: 0s
+  mappings:
+    - sensor_trigger: motion_detected
+      standing_order_trigger: movement_detected_perimeter
+      cooldown: 1m
+`);
+    const a = sensorSystem.register({ name: 'A', type: 'motion_sensor', zone: 'south' });
+    const b = sensorSystem.register({ name: 'B', type: 'motion_sensor', zone: 'south' });
+
+    sensorSystem.ingest(a.id, { triggered: true, seq: 1 });
+    sensorSystem.ingest(a.id, { triggered: true, seq: 2 });
+    sensorSystem.ingest(b.id, { triggered: true, seq: 1 });
+
+    expect(fired.map(f => f.context.sensor.name)).toEqual(['A', 'B']);
+    expect(bridge.getHistory(10, { outcome: 'cooldown' })).toHaveLength(1);
+  });
+
+  it('should drop duplicate data points inside the dedupe window', () => {
+    const bridge = createBridge(`sensor_triggers:
+  defaults:
+    dedupe_window: 10s
+    cooldown: 0s
+  mappings:
+    - sensor_trigger: motion_detected
+      standing_order_trigger: movement_detected_perimeter
+`);
+    const sensor = sensorSystem.register({ name: 'A', type: 'motion_sensor', zone: 'south' });
+    sensorSystem.ingest(sensor.id, { triggered: true });
+    sensorSystem.ingest(sensor.id, { triggered: true });
+
+    expect(fired).toHaveLength(1);
+    expect(bridge.getHistory(10, { outcome: 'duplicate' })).toHaveLength(1);
+  });
+
+  it('should apply mapping conditions', () => {
+    createBridge(`sensor_triggers:
+  mappings:
+    - sensor_trigger: motion_detected
+      standing_order_trigger: movement_detected_perimeter
+      when: "zone == 'north'"
+`);
+    const south = sensorSystem.register({ name: 'S', type: 'motion_sensor', zone: 'south' });
+    sensorSystem.ingest(south.id, { triggered: true });
+    expect(fired).toHaveLength(0);
+  });
+
+  it('should feed expression standing orders', () => {
+    createBridge(`sensor_triggers:
+  defaults:
+    dedupe_window: 0s
+  mappings: []
+`);
+    const sensor = sensorSystem.register({ name: 'N', type: 'motion_sensor', zone: 'north' });
+    sensorSystem.ingest(sensor.id, { triggered: true });
+    sensorSystem.ingest(sensor.id, { triggered: true });
+
+    expect(fired.map(f => f.id)).toEqual(['north_burst']);
+  });
+
+  it('should map sensors going offline', () => {
+    createBridge(`sensor_triggers:
+  mappings:
+    - sensor_trigger: sensor_offline
+      standing_order_trigger: movement_detected_perimeter
+`);
+    const sensor = sensorSystem.register({ name: 'T', type: 'gps_tracker' });
+    sensorSystem.markOffline(sensor.id);
+    expect(fired[0].context.trigger).toBe('sensor_offline');
+  });
+
+  it('should reject invalid mapping conditions', () => {
+    expect(() => createBridge(`sensor_triggers:
+  mappings:
+    - sensor_trigger: motion_detected
+      standing_order_trigger: movement_detected_perimeter
+      when: "zone =="
+`)).toThrow('Invalid "when"');
+  });
+});
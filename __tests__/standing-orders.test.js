@@ -0,0 +1,274 @@
+/**
+ * KDT Aso - Standing Orders Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StandingOrders = require('../core/standing-orders');
+const Scheduler = require('../core/scheduler');
+
+describe('StandingOrders', () => {
+  let tmpDir;
+
+  const writeOrders = (content) => {
+    const file = path.join(tmpDir, 'standing_orders.yaml');
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-so-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loadOrders', () => {
+    it('should load the shipped standing orders', () => {
+      const orders = new StandingOrders();
+      expect(orders.orders.perimeter_alert).toBeDefined();
+      expect(orders.list().find(o => o.id === 'morning_brief').triggerType).toBe('expression');
+    });
+
+    it('should reject bad expressions with the line number', () => {
+      const ordersPath = writeOrders(`standing_orders:
+  ok_order:
+    trigger: "some_event"
+    actions: []
+  broken_order:
+    trigger: "zone == 'north' AND"
+    actions: []
+`);
+      expect(() => new StandingOrders({ ordersPath })).toThrow(`${ordersPath}:6:`);
+      expect(() => new StandingOrders({ ordersPath })).toThrow('broken_order');
+    });
+
+    it('should reject bad escalation thresholds', () => {
+      const ordersPath = writeOrders(`standing_orders:
+  broken_threshold:
+    trigger: "some_event"
+    escalation:
+      threshold: "duration > > 30min"
+`);
+      expect(() => new StandingOrders({ ordersPath })).toThrow(/escalation\.threshold.*:5:/);
+    });
+
+    it('should reject actions that depend on unknown actions', () => {
+      const ordersPath = writeOrders(`standing_orders:
+  broken_plan:
+    trigger: "some_event"
+    actions:
+      - agent: watch_officer
+        action: "assess"
+        depends_on: [confirm]
+`);
+      expect(() => new StandingOrders({ ordersPath })).toThrow(/actions.*depends on unknown action "confirm"/);
+    });
+  });
+
+  describe('schedules', () => {
+    afterEach(() => jest.useRealTimers());
+
+    it('should fire scheduled and legacy time orders from the scheduler', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-23T04:59:30Z') });
+      const scheduler = new Scheduler({ stateFile: null });
+      const orders = new StandingOrders({ scheduler, ordersPath: writeOrders(`standing_orders:
+  morning_brief:
+    trigger: "time == 0600"
+    actions: []
+  sitrep:
+    trigger: "sitrep_time_reached"
+    schedule: "0 */6 * * *"
+    actions: []
+`) });
+      const fired = [];
+      orders.on('trigger', (order, context) => fired.push({ id: order.id, context }));
+
+      orders.initializeMonitors();
+      scheduler.start();
+      expect(orders.list().find(o => o.id === 'sitrep').nextRun).toBe('2026-10-23T05:00:00.000Z');
+
+      jest.advanceTimersByTime(60 * 1000);
+      scheduler.stop();
+      expect(fired.map(f => f.id).sort()).toEqual(['morning_brief', 'sitrep']);
+      expect(fired[0].context.scheduledFor).toBe('2026-10-23T05:00:00.000Z');
+    });
+
+    it('should reject bad schedules with the line number', () => {
+      const ordersPath = writeOrders(`standing_orders:
+  broken_schedule:
+    trigger: "some_event"
+    schedule: "0 25 * * *"
+`);
+      expect(() => new StandingOrders({ ordersPath })).toThrow(/schedule.*:4:.*out of range/);
+    });
+  });
+
+  describe('triggers', () => {
+    it('should fire named triggers', () => {
+      const orders = new StandingOrders({ ordersPath: writeOrders(`standing_orders:
+  named:
+    trigger: "some_event"
+    actions: []
+`) });
+      const fired = jest.fn();
+      orders.on('trigger', fired);
+
+      expect(orders.checkTrigger('some_event', { a: 1 })).toBe(true);
+      expect(fired).toHaveBeenCalledWith(expect.objectContaining({ id: 'named' }), { a: 1 });
+      expect(orders.checkTrigger('other_event')).toBe(false);
+    });
+
+    it('should fire expression triggers once the windowed count is reached', () => {
+      const orders = new StandingOrders({ ordersPath: writeOrders(`standing_orders:
+  north_motion:
+    trigger: "sensor.type == 'motion_sensor' AND zone == 'north' AND count(5m) >= 3"
+    actions: []
+`) });
+      const north = { sensor: { type: 'motion_sensor' }, zone: 'north' };
+
+      expect(orders.evaluate(north)).toEqual([]);
+      expect(orders.evaluate({ sensor: { type: 'motion_sensor' }, zone: 'south' })).toEqual([]);
+      expect(orders.evaluate(north)).toEqual([]);
+      expect(orders.evaluate(north)).toEqual(['north_motion']);
+    });
+
+    it('should drop events that fall outside the window', () => {
+      jest.useFakeTimers();
+      try {
+        const orders = new StandingOrders({ ordersPath: writeOrders(`standing_orders:
+  bursts:
+    trigger: "count(1m) >= 2"
+    actions: []
+`) });
+        expect(orders.evaluate({})).toEqual([]);
+        jest.advanceTimersByTime(2 * 60 * 1000);
+        expect(orders.evaluate({})).toEqual([]);
+        expect(orders.evaluate({})).toEqual(['bursts']);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('editing', () => {
+    const base = `# Site orders
+standing_orders:
+  perimeter_alert:
+    trigger: "movement_detected_perimeter"
+    authority_level: 2
+    actions:
+      - agent: watch_officer
+        action: "assess"
+`;
+    const newOrder = {
+      trigger: 'movement_detected_perimeter',
+      authority_level: 1,
+      actions: [{ agent: 'surveillance_officer', action: 'track' }]
+    };
+    let orders;
+
+    beforeEach(() => {
+      orders = new StandingOrders({
+        ordersPath: writeOrders(base),
+        revisionsDir: path.join(tmpDir, 'revisions'),
+        isKnownAgent: (agentId) => ['watch_officer', 'surveillance_officer'].includes(agentId)
+      });
+      orders.configureValidation({ triggerSources: [() => ['emergency_declared']] });
+    });
+
+    it('should create orders live and keep the file comments', () => {
+      const revision = orders.createOrder('gate_watch', newOrder, { userId: 'u1' });
+      expect(revision).toMatchObject({ id: 2, action: 'create', orderId: 'gate_watch', userId: 'u1' });
+      expect(orders.revisions.get(1).action).toBe('baseline');
+      expect(orders.checkTrigger('movement_detected_perimeter')).toBe(true);
+      expect(orders.getLogs().filter(l => l.action === 'triggered').map(l => l.orderId))
+        .toEqual(['perimeter_alert', 'gate_watch']);
+      expect(fs.readFileSync(orders.ordersPath, 'utf-8')).toMatch(/^# Site orders/);
+    });
+
+    it('should validate agents, triggers and expressions', () => {
+      expect(() => orders.createOrder('bad', { ...newOrder, actions: [{ agent: 'nobody', action: 'x' }] }))
+        .toThrow('unknown agent "nobody"');
+      expect(() => orders.createOrder('bad', { ...newOrder, trigger: 'made_up_event' })).toThrow('Unknown trigger "made_up_event"');
+      expect(() => orders.createOrder('bad', { ...newOrder, trigger: 'zone == ' })).toThrow('Invalid trigger');
+      expect(orders.createOrder('sos', { ...newOrder, trigger: 'emergency_declared' }).id).toBe(2);
+      expect(fs.readFileSync(orders.ordersPath, 'utf-8')).not.toMatch(/bad:/);
+    });
+
+    it('should stop disabled orders from firing', () => {
+      orders.setEnabled('perimeter_alert', false);
+      expect(orders.list()[0].enabled).toBe(false);
+      expect(orders.checkTrigger('movement_detected_perimeter')).toBe(false);
+      orders.setEnabled('perimeter_alert', true);
+      expect(orders.checkTrigger('movement_detected_perimeter')).toBe(true);
+    });
+
+    it('should roll back to an earlier revision', () => {
+      orders.updateOrder('perimeter_alert', { ...newOrder, authority_level: 4 });
+      orders.deleteOrder('perimeter_alert');
+      expect(orders.orders.perimeter_alert).toBeUndefined();
+
+      const revision = orders.rollback(1, { userId: 'u1' });
+      expect(revision).toMatchObject({ action: 'rollback', rolledBackTo: 1 });
+      expect(orders.orders.perimeter_alert.authority_level).toBe(2);
+      expect(orders.revisions.list({ orderId: 'perimeter_alert' }).map(r => r.action)).toEqual(['delete', 'update']);
+    });
+
+    it('should reload manual edits and keep the old orders on error', () => {
+      fs.writeFileSync(orders.ordersPath, base.replace('authority_level: 2', 'authority_level: 3'));
+      expect(orders.reload().action).toBe('reload');
+      expect(orders.orders.perimeter_alert.authority_level).toBe(3);
+
+      fs.writeFileSync(orders.ordersPath, base.replace('"movement_detected_perimeter"', '"zone =="'));
+      expect(() => orders.reload()).toThrow('Invalid trigger');
+      expect(orders.orders.perimeter_alert.authority_level).toBe(3);
+    });
+  });
+
+  describe('requiresApproval', () => {
+    it('should hold orders above the configured authority level', () => {
+      const orders = new StandingOrders({ ordersPath: writeOrders(`standing_orders:
+  routine:
+    trigger: "a"
+    authority_level: 3
+  critical:
+    trigger: "b"
+    authority_level: 5
+  exempt:
+    trigger: "c"
+    authority_level: 5
+    requires_approval: false
+    approval_timeout: 2m
+defaults:
+  require_approval_above: 3
+  approval_timeout: 10m
+`) });
+      expect(orders.requiresApproval(orders.orders.routine)).toBe(false);
+      expect(orders.requiresApproval(orders.orders.critical)).toBe(true);
+      expect(orders.requiresApproval(orders.orders.exempt)).toBe(false);
+      expect(orders.approvalTimeout(orders.orders.critical)).toBe(10 * 60 * 1000);
+      expect(orders.approvalTimeout(orders.orders.exempt)).toBe(2 * 60 * 1000);
+    });
+  });
+
+  describe('requiresEscalation', () => {
+    it('should match threshold keywords in agent responses', () => {
+      const orders = new StandingOrders();
+      const order = { id: 'perimeter_alert', ...orders.orders.perimeter_alert };
+
+      expect(orders.requiresEscalation(order, [{ response: 'Two armed individuals at the gate' }])).toBe(true);
+      expect(orders.requiresEscalation(order, [{ response: 'Stray goat, benign' }])).toBe(false);
+    });
+
+    it('should evaluate comparisons against the trigger context', () => {
+      const orders = new StandingOrders();
+      const order = { id: 'asset_offline', ...orders.orders.asset_offline };
+
+      expect(orders.requiresEscalation(order, [{ response: 'No maintenance planned' }], { duration: 45 * 60000, not_scheduled_maintenance: true })).toBe(true);
+      expect(orders.requiresEscalation(order, [{ response: 'No maintenance planned' }], { duration: 10 * 60000, not_scheduled_maintenance: true })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * KDT Aso - Usage Metering Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UsageMeter = require('../core/usage');
+const { LLMService, MockProvider } = require('../core/llm');
+
+const config = {
+  pricing: {
+    'claude-sonnet-4-20250514': { input: 3, output: 15 },
+    'claude-3-5-haiku-20241022': { input: 0.8, output: 4 }
+  },
+  budgets: {
+    warn_at: 0.8,
+    degrade_to: 'cheap',
+    operators: { default: { daily_usd: 1 }, u_heavy: { daily_tokens: 1000 } },
+    agents: { default: { daily_usd: 5 } }
+  }
+};
+
+const call = (tags, inputTokens, outputTokens, model = 'claude-sonnet-4-20250514') => ({
+  provider: 'anthropic',
+  model,
+  task: 'chat',
+  usage: { input_tokens: inputTokens, output_tokens: outputTokens },
+  ...tags
+});
+
+describe('UsageMeter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-usage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should record tagged calls with their cost', () => {
+    const meter = new UsageMeter({ dir, config });
+    const record = meter.record(call({ operatorId: 'u1', agentId: 'watch_officer', sessionId: 's1', missionId: 'm1' }, 1000, 200));
+
+    expect(record).toMatchObject({
+      provider: 'anthropic',
+      model: 'claude-sonnet-4-20250514',
+      operatorId: 'u1',
+      agentId: 'watch_officer',
+      sessionId: 's1',
+      missionId: 'm1',
+      orderId: null,
+      inputTokens: 1000,
+      outputTokens: 200,
+      costUsd: 0.006,
+      degraded: false
+    });
+    expect(meter.record(call({ orderId: 'perimeter_alert' }, 5000, 5000, 'llama')).costUsd).toBe(0);
+    expect(meter.records().records.map(r => r.orderId)).toEqual(['perimeter_alert', null]);
+  });
+
+  it('should warn near a budget and flag it spent, once each', () => {
+    const meter = new UsageMeter({ dir, config });
+    const events = [];
+    meter.on('budget', e => events.push([e.scope, e.id, e.level]));
+
+    meter.record(call({ operatorId: 'u1' }, 100000, 30000));   // $0.75
+    meter.record(call({ operatorId: 'u1' }, 10000, 0));        // $0.78
+    expect(events).toEqual([]);
+    meter.record(call({ operatorId: 'u1' }, 10000, 0));        // $0.81
+    meter.record(call({ operatorId: 'u1' }, 10000, 0));
+    expect(events).toEqual([['operator', 'u1', 'warning']]);
+    expect(meter.spentBudgets({ tags: { operatorId: 'u1' } })).toEqual([]);
+
+    meter.record(call({ operatorId: 'u1' }, 100000, 0));
+    meter.record(call({ operatorId: 'u1' }, 100000, 0));
+    expect(events).toEqual([['operator', 'u1', 'warning'], ['operator', 'u1', 'exceeded']]);
+    expect(meter.spentBudgets({ agent: 'watch_officer', tags: { operatorId: 'u1' } }))
+      .toEqual([expect.objectContaining({ scope: 'operator', id: 'u1', status: 'exceeded' })]);
+
+    // Token budgets count too
+    meter.record(call({ operatorId: 'u_heavy' }, 900, 150, 'llama'));
+    expect(meter.budgetStatus('operator', 'u_heavy')).toMatchObject({ spentUsd: 0, spentTokens: 1050, status: 'exceeded' });
+  });
+
+  it('should rebuild today\'s spend after a restart', () => {
+    new UsageMeter({ dir, config }).record(call({ operatorId: 'u1', agentId: 'intel_analyst' }, 400000, 0));
+
+    const restarted = new UsageMeter({ dir, config });
+    expect(restarted.budgetStatus('operator', 'u1')).toMatchObject({ spentUsd: 1.2, status: 'exceeded' });
+    expect(restarted.budgetReport()).toMatchObject({
+      degradeTo: 'cheap',
+      operators: [expect.objectContaining({ id: 'u_heavy', status: 'ok' }), expect.objectContaining({ id: 'u1', status: 'exceeded' })],
+      agents: [expect.objectContaining({ id: 'intel_analyst', spentUsd: 1.2, status: 'ok' })]
+    });
+  });
+
+  it('should report totals grouped and filtered', () => {
+    const meter = new UsageMeter({ dir, config });
+    meter.record(call({ operatorId: 'u1', agentId: 'watch_officer', missionId: 'm1' }, 1000, 0));
+    meter.record(call({ operatorId: 'u1', agentId: 'intel_analyst', missionId: 'm1' }, 2000, 0));
+    meter.record(call({ operatorId: 'u2', agentId: 'intel_analyst' }, 1000, 1000));
+
+    const byAgent = meter.report({ groupBy: 'agent' });
+    expect(byAgent.totals).toMatchObject({ calls: 3, inputTokens: 4000, outputTokens: 1000, costUsd: 0.027 });
+    expect(byAgent.groups.map(g => [g.key, g.calls, g.costUsd])).toEqual([['intel_analyst', 2, 0.024], ['watch_officer', 1, 0.003]]);
+
+    const mission = meter.report({ groupBy: 'operator', missionId: 'm1' });
+    expect(mission.groups).toEqual([expect.objectContaining({ key: 'u1', calls: 2, inputTokens: 3000 })]);
+    expect(meter.report({ groupBy: 'day' }).groups[0].key).toBe(new Date().toISOString().slice(0, 10));
+
+    expect(() => meter.report({ groupBy: 'weather' })).toThrow('Cannot group usage by "weather"');
+    expect(() => meter.report({ from: 'last week' })).toThrow('YYYY-MM-DD');
+  });
+
+  it('should drop records past retention', () => {
+    fs.writeFileSync(path.join(dir, '2020-01-01.jsonl'), '{}\n');
+    new UsageMeter({ dir, config: { ...config, retention_days: 30 } });
+    expect(fs.existsSync(path.join(dir, '2020-01-01.jsonl'))).toBe(false);
+  });
+});
+
+describe('LLMService with a usage meter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kdt-usage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const setup = (meterConfig) => {
+    const mock = new MockProvider({
+      reply: (params) => ({
+        type: 'message',
+        role: 'assistant',
+        model: params.model,
+        content: [{ type: 'text', text: `from ${params.model}` }],
+        usage: { input_tokens: 300000, output_tokens: 10000 }
+      })
+    });
+    const meter = new UsageMeter({ dir, config: meterConfig });
+    const llm = new LLMService({
+      config: { default_provider: 'mock', providers: {}, models: { default: 'mock:claude-sonnet-4-20250514' } },
+      providers: { mock },
+      meter
+    });
+    return { llm, meter };
+  };
+
+  it('should meter each call under its tags', async () => {
+    const { llm, meter } = setup({ pricing: { 'mock:claude-sonnet-4-20250514': { input: 3, output: 15 } } });
+    await llm.client({ task: 'chat', agent: 'watch_officer', tags: { operatorId: 'u1', sessionId: 's1' } })
+      .messages.create({ messages: [{ role: 'user', content: 'hi' }] });
+
+    expect(meter.records().records[0]).toMatchObject({
+      provider: 'mock',
+      model: 'claude-sonnet-4-20250514',
+      task: 'chat',
+      agentId: 'watch_officer',
+      operatorId: 'u1',
+      sessionId: 's1',
+      inputTokens: 300000,
+      outputTokens: 10000,
+      costUsd: 1.05
+    });
+  });
+
+  it('should degrade to the cheaper model once a budget is spent', async () => {
+    const { llm, meter } = setup({ ...config, pricing: { 'mock:claude-sonnet-4-20250514': { input: 3, output: 15 } }, budgets: { ...config.budgets, degrade_to: 'mock:haiku' } });
+    const ask = () => llm.create({ messages: [{ role: 'user', content: 'hi' }] }, { tags: { operatorId: 'u1' } });
+
+    expect((await ask()).content[0].text).toBe('from claude-sonnet-4-20250514');
+    const degraded = await ask();
+    expect(degraded.content[0].text).toBe('from haiku');
+    expect(meter.records().records[0]).toMatchObject({ model: 'haiku', degraded: true });
+    expect(meter.report({ groupBy: 'operator' }).groups[0]).toMatchObject({ key: 'u1', calls: 2, degradedCalls: 1 });
+  });
+
+  it('should refuse calls over budget when there is nothing cheaper', async () => {
+    const { llm } = setup({ ...config, pricing: { 'mock:claude-sonnet-4-20250514': { input: 3, output: 15 } }, budgets: { ...config.budgets, degrade_to: null } });
+    const ask = () => llm.create({ messages: [{ role: 'user', content: 'hi' }] }, { agent: 'watch_officer', tags: { operatorId: 'u1' } });
+
+    await ask();
+    await expect(ask()).rejects.toThrow('Daily budget spent for operator u1');
+  });
+});
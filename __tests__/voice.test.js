@@ -0,0 +1,61 @@
+/**
+ * KDT Aso - Voice Interface Tests
+ */
+
+const VoiceInterface = require('../core/voice');
+
+describe('VoiceInterface.speakStream', () => {
+  let voice;
+  let spoken;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    voice = new VoiceInterface();
+    spoken = [];
+    // Later sentences finish synthesising first
+    voice.speak = jest.fn((text) => {
+      spoken.push(text);
+      const delay = 30 - spoken.length * 10;
+      return new Promise(resolve => setTimeout(() => resolve({ audioUrl: `/audio/${spoken.length}.mp3`, voice: 'Adam' }), Math.max(delay, 0)));
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should speak each sentence as soon as it is complete', async () => {
+    const delivered = [];
+    const speech = voice.speakStream('watch_officer', audio => delivered.push(audio), { minLength: 10 });
+
+    speech.push('Contact reported at ');
+    expect(spoken).toEqual([]);
+    speech.push('grid 4471. Patrol is en ');
+    expect(spoken).toEqual(['Contact reported at grid 4471.']);
+    speech.push('route. Standing by');
+    const results = await speech.end();
+
+    expect(spoken).toEqual(['Contact reported at grid 4471.', 'Patrol is en route.', 'Standing by']);
+    expect(delivered.map(a => a.index)).toEqual([0, 1, 2]);
+    expect(delivered.map(a => a.text)).toEqual(spoken);
+    expect(results).toEqual(delivered);
+  });
+
+  it('should merge short sentences', async () => {
+    const speech = voice.speakStream('watch_officer', () => {}, { minLength: 20 });
+    speech.push('Roger. Wilco. Moving to checkpoint two now. Out.');
+    await speech.end();
+
+    expect(spoken).toEqual(['Roger. Wilco. Moving to checkpoint two now.', 'Out.']);
+  });
+
+  it('should drop queued audio on cancel', async () => {
+    const delivered = [];
+    const speech = voice.speakStream('watch_officer', audio => delivered.push(audio), { minLength: 5 });
+    speech.push('First sentence here. Second sentence');
+    speech.cancel();
+    speech.push(' continues. Third.');
+
+    expect(await speech.end()).toEqual([]);
+    expect(spoken).toEqual(['First sentence here.']);
+    expect(delivered).toEqual([]);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * KDT Aso - Standing Order Action Plans
+ * Runs an order's actions as a dependency graph: independent actions in
+ * parallel, dependent ones after their upstreams with their outputs.
+ *
+ * Action fields:
+ *   id          - name other actions depend on (defaults to `action`)
+ *   depends_on  - id or list of ids that must succeed first
+ *   timeout     - per attempt, duration string or seconds (default 60s)
+ *   retries     - extra attempts after a failure or timeout (default 0);
+ *                 an attempt that already changed something (e.g. raised
+ *                 an alert through a tool) is not retried
+ */
+
+const { parseDuration } = require('./conditions');
+
+const DEFAULT_TIMEOUT = 60 * 1000;
+
+function toMs(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === 'number') return value * 1000;
+  const ms = parseDuration(String(value));
+  if (ms === null) throw new Error(`Invalid duration "${value}"`);
+  return ms;
+}
+
+/**
+ * Normalise actions and check ids and dependencies. Throws on unknown
+ * dependencies, duplicate ids or cycles.
+ */
+function planActions(actions = [], defaults = {}) {
+  if (!Array.isArray(actions)) throw new Error('actions must be a list');
+
+  const plan = actions.map((action, index) => {
+    const id = String(action.id || action.action || `action_${index + 1}`);
+    const dependsOn = action.depends_on === undefined ? [] : [].concat(action.depends_on).map(String);
+    const retries = action.retries === undefined ? (defaults.retries || 0) : action.retries;
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new Error(`Action "${id}": retries must be a whole number`);
+    }
+    let timeout;
+    try {
+      timeout = toMs(action.timeout, toMs(defaults.timeout, DEFAULT_TIMEOUT));
+    } catch (err) {
+      throw new Error(`Action "${id}": ${err.message}`);
+    }
+    return { ...action, id, index, dependsOn, timeout, retries };
+  });
+
+  const byId = new Map();
+  for (const action of plan) {
+    if (byId.has(action.id)) {
+      throw new Error(`Duplicate action id "${action.id}"; give one of them an id`);
+    }
+    byId.set(action.id, action);
+  }
+  for (const action of plan) {
+    for (const dep of action.dependsOn) {
+      if (!byId.has(dep)) throw new Error(`Action "${action.id}" depends on unknown action "${dep}"`);
+    }
+  }
+
+  // Depth-first cycle check
+  const state = new Map();
+  const visit = (action, trail) => {
+    if (state.get(action.id) === 'done') return;
+    if (state.get(action.id) === 'visiting') {
+      throw new Error(`Action dependency cycle: ${[...trail, action.id].join(' -> ')}`);
+    }
+    state.set(action.id, 'visiting');
+    for (const dep of action.dependsOn) visit(byId.get(dep), [...trail, action.id]);
+    state.set(action.id, 'done');
+  };
+  for (const action of plan) visit(action, []);
+
+  return plan;
+}
+
+function withTimeout(run, timeout) {
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${timeout}ms`));
+    }, timeout);
+  });
+  return Promise.race([run(controller.signal), timedOut]).finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a plan. runAction(action, upstream, signal, attempt) returns the
+ * response text, where upstream is the results of the action's
+ * dependencies. runAction sets attempt.sideEffects once the attempt has
+ * changed something, so a failure after that isn't retried.
+ * Actions with a `skip` reason, or whose dependencies did not succeed,
+ * are skipped. Results come back in declaration order.
+ */
+async function runPlan(plan, runAction, opts = {}) {
+  const retryDelay = opts.retryDelayMs === undefined ? 1000 : opts.retryDelayMs;
+  const byId = new Map(plan.map(a => [a.id, a]));
+  const running = new Map();
+
+  const execute = async (action) => {
+    const upstream = await Promise.all(action.dependsOn.map(dep => start(byId.get(dep))));
+    const result = {
+      id: action.id,
+      agentId: action.agent,
+      action: action.action,
+      dependsOn: action.dependsOn,
+      status: 'skipped',
+      response: null,
+      error: null,
+      attempts: 0,
+      startedAt: null,
+      completedAt: null,
+      durationMs: 0
+    };
+
+    const blocked = upstream.find(u => u.status !== 'success');
+    if (action.skip || blocked) {
+      result.error = action.skip || `Upstream action "${blocked.id}" ${blocked.status === 'failure' ? 'failed' : 'was skipped'}`;
+      result.completedAt = new Date().toISOString();
+      return result;
+    }
+
+    const started = Date.now();
+    result.startedAt = new Date(started).toISOString();
+    while (result.attempts <= action.retries) {
+      result.attempts++;
+      const attempt = { number: result.attempts, sideEffects: false };
+      try {
+        result.response = await withTimeout(signal => runAction(action, upstream, signal, attempt), action.timeout);
+        result.status = 'success';
+        result.error = null;
+        break;
+      } catch (err) {
+        result.status = 'failure';
+        result.error = err.message;
+        if (attempt.sideEffects) {
+          if (result.attempts <= action.retries) result.error += ' (not retried: the attempt had already made changes)';
+          break;
+        }
+        if (result.attempts <= action.retries && retryDelay > 0) await sleep(retryDelay * result.attempts);
+      }
+    }
+    result.completedAt = new Date().toISOString();
+    result.durationMs = Date.now() - started;
+    return result;
+  };
+
+  const start = (action) => {
+    if (!running.has(action.id)) running.set(action.id, execute(action));
+    return running.get(action.id);
+  };
+
+  return Promise.all(plan.map(start));
+}
+
+module.exports = { planActions, runPlan };
@@ -27,6 +27,26 @@ class AdminSystem {
         permissions: ['*'],
         description: 'Full system access'
       },
+      commander: {
+        id: 'commander',
+        name: 'Commander',
+        permissions: [
+          'dashboard:view',
+          'agents:interact',
+          'alerts:view',
+          'alerts:create',
+          'alerts:acknowledge',
+          'sensors:view',
+          'map:view',
+          'map:edit',
+          'incidents:create',
+          'documents:create',
+          'missions:edit',
+          'standing-orders:view',
+          'standing-orders:approve:*'
+        ],
+        description: 'Operational command; last on the on-call escalation chain'
+      },
       operator: {
         id: 'operator',
         name: 'Operator',
@@ -34,10 +54,16 @@ class AdminSystem {
           'dashboard:view',
           'agents:interact',
           'alerts:view',
+          'alerts:create',
           'alerts:acknowledge',
           'sensors:view',
           'map:view',
-          'standing-orders:view'
+          'map:edit',
+          'incidents:create',
+          'documents:create',
+          'missions:edit',
+          'standing-orders:view',
+          'standing-orders:approve:4'
         ],
         description: 'Standard operational access'
       },
@@ -69,7 +95,7 @@ class AdminSystem {
         requireMFA: false
       },
       agents: {
-        defaultModel: 'claude-3-sonnet',
+        defaultModel: null,   // Model spec overriding config/llm.yaml models.default
         maxConcurrentSessions: 10,
         sessionTimeout: 1800
       },
@@ -282,6 +308,13 @@ class AdminSystem {
     return role.permissions.includes(permission);
   }
 
+  // Approving a standing order of a given authority level needs
+  // standing-orders:approve:<level> (or standing-orders:approve:*)
+  canApproveLevel(user, level) {
+    return this.hasPermission(user, `standing-orders:approve:${level}`) ||
+      this.hasPermission(user, 'standing-orders:approve:*');
+  }
+
   // ==================== SETTINGS MANAGEMENT ====================
 
   async loadSettings() {
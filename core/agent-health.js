@@ -0,0 +1,166 @@
+/**
+ * KDT Aso - Agent Health
+ * Tracks what each agent is actually doing: calls in flight, calls queued
+ * behind them, recent latency and error rate, and last activity. Agents
+ * can be taken offline for maintenance, with their traffic failing over
+ * to a backup.
+ *
+ * Events:
+ *   updated - (agentId, status) whenever an agent's state changes
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+class AgentHealth extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.maxConcurrent = opts.maxConcurrent || 2;   // Model calls per agent at once; more wait in its queue
+    this.window = opts.window || 20;                // Recent calls used for latency and error rate
+    this.degradedErrorRate = opts.degradedErrorRate ?? 0.5;
+    this.file = opts.file || path.join(__dirname, '..', 'data', 'agents', 'maintenance.json');
+    this.agents = new Map();
+    this.maintenance = this.loadMaintenance();   // agentId -> { reason, backup, by, since }
+  }
+
+  loadMaintenance() {
+    try {
+      if (fs.existsSync(this.file)) return new Map(Object.entries(JSON.parse(fs.readFileSync(this.file, 'utf-8'))));
+    } catch (err) {
+      console.error('[AGENTS] Could not read maintenance state:', err.message);
+    }
+    return new Map();
+  }
+
+  saveMaintenance() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(Object.fromEntries(this.maintenance), null, 2));
+  }
+
+  state(agentId) {
+    if (!this.agents.has(agentId)) {
+      this.agents.set(agentId, { active: 0, waiting: [], recent: [], total: 0, errors: 0, lastActivity: null, lastError: null });
+    }
+    return this.agents.get(agentId);
+  }
+
+  /**
+   * Run one call to an agent, waiting for a free slot first. Rejects
+   * without running if opts.signal aborts while it waits.
+   */
+  async run(agentId, fn, opts = {}) {
+    const state = this.state(agentId);
+    if (state.active < this.maxConcurrent) {
+      state.active++;
+    } else {
+      // A finishing call hands its slot straight to the next in line
+      await new Promise((resolve, reject) => {
+        const waiter = { resolve, reject };
+        state.waiting.push(waiter);
+        this.emit('updated', agentId, this.status(agentId));
+        opts.signal?.addEventListener('abort', () => {
+          const index = state.waiting.indexOf(waiter);
+          if (index === -1) return;
+          state.waiting.splice(index, 1);
+          this.emit('updated', agentId, this.status(agentId));
+          reject(new Error('Request aborted'));
+        }, { once: true });
+      });
+    }
+
+    state.lastActivity = new Date().toISOString();
+    this.emit('updated', agentId, this.status(agentId));
+    const started = Date.now();
+    let ok = false;
+    try {
+      const result = await fn();
+      ok = true;
+      return result;
+    } catch (err) {
+      state.lastError = { message: err.message, at: new Date().toISOString() };
+      throw err;
+    } finally {
+      state.total++;
+      if (!ok) state.errors++;
+      state.recent.push({ ok, durationMs: Date.now() - started });
+      if (state.recent.length > this.window) state.recent.shift();
+      state.lastActivity = new Date().toISOString();
+      const next = state.waiting.shift();
+      if (next) next.resolve();
+      else state.active--;
+      this.emit('updated', agentId, this.status(agentId));
+    }
+  }
+
+  /**
+   * Current state of one agent: status is maintenance, busy or idle;
+   * health is degraded when too many recent calls failed
+   */
+  status(agentId) {
+    const state = this.state(agentId);
+    const maintenance = this.maintenance.get(agentId) || null;
+    const succeeded = state.recent.filter(c => c.ok);
+    const failed = state.recent.length - succeeded.length;
+    const errorRate = state.recent.length ? Math.round((failed / state.recent.length) * 100) / 100 : 0;
+    return {
+      status: maintenance ? 'maintenance' : state.active > 0 ? 'busy' : 'idle',
+      health: state.recent.length >= 3 && errorRate >= this.degradedErrorRate ? 'degraded' : 'ok',
+      active: state.active,
+      queueDepth: state.waiting.length,
+      latencyMs: succeeded.length ? Math.round(succeeded.reduce((sum, c) => sum + c.durationMs, 0) / succeeded.length) : null,
+      errorRate,
+      calls: state.total,
+      errors: state.errors,
+      lastActivity: state.lastActivity,
+      lastError: state.lastError,
+      maintenance
+    };
+  }
+
+  /**
+   * Take an agent offline. Its traffic goes to `backup`, or its standing
+   * backup when none is given, until maintenance ends.
+   */
+  setMaintenance(agentId, opts = {}) {
+    if (opts.backup === agentId) throw new Error('An agent cannot be its own backup');
+    const entry = {
+      reason: opts.reason || null,
+      backup: opts.backup || null,
+      by: opts.by || null,
+      since: new Date().toISOString()
+    };
+    this.maintenance.set(agentId, entry);
+    this.saveMaintenance();
+    this.emit('updated', agentId, this.status(agentId));
+    return entry;
+  }
+
+  clearMaintenance(agentId) {
+    if (!this.maintenance.delete(agentId)) return false;
+    this.saveMaintenance();
+    this.emit('updated', agentId, this.status(agentId));
+    return true;
+  }
+
+  /**
+   * Who should take work meant for an agent in the `agents` roster.
+   * Follows backups past agents that are also in maintenance; an agent
+   * falls back to its manifest backup when maintenance didn't name one.
+   * Returns { agentId, failoverFrom } or null when nobody is available.
+   */
+  resolve(agentId, agents) {
+    const seen = new Set();
+    let current = agentId;
+    while (this.maintenance.has(current)) {
+      seen.add(current);
+      const next = this.maintenance.get(current).backup || agents[current]?.backup;
+      if (!next || seen.has(next)) return null;
+      current = next;
+    }
+    if (!agents[current]) return null;
+    return { agentId: current, failoverFrom: current === agentId ? null : agentId };
+  }
+}
+
+module.exports = AgentHealth;
@@ -0,0 +1,183 @@
+/**
+ * KDT Aso - Agent Registry
+ * Discovers staff agents from agents/<section>/<agent>/: SOUL.md is the
+ * agent's prompt and agent.yaml its manifest. The `agents` block of
+ * config/system.yaml switches sections and agents on or off.
+ *
+ * Manifest fields (all optional):
+ *   name              - display name (default from the directory name)
+ *   keywords          - words that hint a message is for the agent ("log")
+ *   duties            - one line the router uses to pick the agent
+ *   tools             - agent tools it may call (default: all)
+ *   model             - model spec, see config/llm.yaml
+ *   voice             - { id, name } ElevenLabs voice
+ *   authority_ceiling - highest authority level it acts at (0-5)
+ *   backup            - agent id that takes its work while it is in maintenance
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+
+const AGENT_ID = /^[a-z][a-z0-9_]*$/;
+
+// The Aso identity (agents/ASO.md) coordinates the staff
+const ASO = {
+  name: 'KDT Aso',
+  keywords: ['aso', 'staff'],
+  duties: 'Compound requests that need several of the agents above working together (e.g. "assess the threat at the checkpoint and plan a patrol there")'
+};
+
+function formatAgentName(agentId) {
+  return agentId
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+const stringList = (value, field) => {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || !value.every(v => typeof v === 'string' && v.trim())) {
+    throw new Error(`${field} must be a list of strings`);
+  }
+  return value.map(v => v.trim());
+};
+
+/**
+ * Check a manifest and map it onto agent fields
+ */
+function parseManifest(manifest, agentId) {
+  if (manifest === null || manifest === undefined) manifest = {};
+  if (typeof manifest !== 'object' || Array.isArray(manifest)) throw new Error('manifest must be a mapping');
+
+  const ceiling = manifest.authority_ceiling;
+  if (ceiling !== undefined && (!Number.isInteger(ceiling) || ceiling < 0 || ceiling > 5)) {
+    throw new Error('authority_ceiling must be a whole number from 0 to 5');
+  }
+  const voice = manifest.voice;
+  if (voice !== undefined && (typeof voice?.id !== 'string' || !voice.id)) {
+    throw new Error('voice needs an id');
+  }
+  if (manifest.backup !== undefined && (typeof manifest.backup !== 'string' || !AGENT_ID.test(manifest.backup) || manifest.backup === agentId)) {
+    throw new Error('backup must be another agent id');
+  }
+  for (const field of ['name', 'duties', 'model']) {
+    if (manifest[field] !== undefined && typeof manifest[field] !== 'string') throw new Error(`${field} must be a string`);
+  }
+
+  return {
+    name: manifest.name || formatAgentName(agentId),
+    keywords: (stringList(manifest.keywords, 'keywords') || []).map(k => k.toLowerCase()),
+    duties: manifest.duties || null,
+    tools: stringList(manifest.tools, 'tools'),
+    model: manifest.model || null,
+    voice: voice ? { id: voice.id, name: voice.name || voice.id } : null,
+    authorityCeiling: ceiling ?? null,
+    backup: manifest.backup || null
+  };
+}
+
+class AgentRegistry {
+  constructor(opts = {}) {
+    this.agentsDir = opts.agentsDir || path.join(__dirname, '..', 'agents');
+    this.entries = new Map();   // agentId -> agent, including disabled ones
+  }
+
+  /**
+   * Whether system.yaml enables an agent. `config` is its `agents` block:
+   * a section can set `enabled: false`, and `personnel` is either a list
+   * (unlisted agents are off) or a mapping of agent id to true/false.
+   * Sections and agents system.yaml doesn't mention are on.
+   */
+  static isEnabled(config, section, agentId) {
+    const sectionConfig = config?.[section];
+    if (!sectionConfig) return true;
+    if (sectionConfig.enabled === false) return false;
+    const personnel = sectionConfig.personnel;
+    if (Array.isArray(personnel)) return personnel.includes(agentId);
+    if (personnel && typeof personnel === 'object' && agentId in personnel) return personnel[agentId] !== false;
+    return true;
+  }
+
+  /**
+   * Scan the agents directory. Returns the enabled agents by id; the full
+   * roster, with disabled and broken agents, is in list().
+   */
+  load(config = {}) {
+    const entries = new Map();
+
+    const asoPath = path.join(this.agentsDir, 'ASO.md');
+    if (fs.existsSync(asoPath)) {
+      entries.set('aso', {
+        id: 'aso',
+        ...ASO,
+        soul: fs.readFileSync(asoPath, 'utf-8'),
+        type: 'orchestrator',
+        enabled: true,
+        error: null
+      });
+    }
+
+    const dirs = (dir) => fs.existsSync(dir)
+      ? fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name).sort()
+      : [];
+
+    for (const section of dirs(this.agentsDir)) {
+      for (const agentId of dirs(path.join(this.agentsDir, section))) {
+        const dir = path.join(this.agentsDir, section, agentId);
+        const soulPath = path.join(dir, 'SOUL.md');
+        if (!fs.existsSync(soulPath)) continue;
+        if (!AGENT_ID.test(agentId) || entries.has(agentId)) {
+          console.error(`[AGENTS] Skipping ${section}/${agentId}: ${entries.has(agentId) ? 'duplicate agent id' : 'invalid agent id'}`);
+          continue;
+        }
+
+        const entry = {
+          id: agentId,
+          ...parseManifest({}, agentId),
+          section,
+          soul: fs.readFileSync(soulPath, 'utf-8'),
+          type: 'agent',
+          status: 'online',
+          enabled: AgentRegistry.isEnabled(config, section, agentId),
+          error: null
+        };
+        const manifestPath = path.join(dir, 'agent.yaml');
+        if (fs.existsSync(manifestPath)) {
+          try {
+            Object.assign(entry, parseManifest(yaml.parse(fs.readFileSync(manifestPath, 'utf-8')), agentId));
+          } catch (err) {
+            // A broken manifest takes the agent offline rather than failing the load
+            entry.error = `agent.yaml: ${err.message}`;
+            entry.enabled = false;
+            console.error(`[AGENTS] ${section}/${agentId} disabled: ${entry.error}`);
+          }
+        }
+        entries.set(agentId, entry);
+      }
+    }
+
+    for (const [section, sectionConfig] of Object.entries(config || {})) {
+      const personnel = Array.isArray(sectionConfig?.personnel) ? sectionConfig.personnel : Object.keys(sectionConfig?.personnel || {});
+      for (const agentId of personnel) {
+        if (!entries.has(agentId)) console.warn(`[AGENTS] system.yaml lists ${section}/${agentId} but agents/${section}/${agentId}/SOUL.md is missing`);
+      }
+    }
+
+    this.entries = entries;
+    const agents = {};
+    for (const [id, entry] of entries) {
+      if (entry.enabled) agents[id] = entry;
+    }
+    return agents;
+  }
+
+  /**
+   * Every discovered agent without its prompt, for the admin panel
+   */
+  list() {
+    return Array.from(this.entries.values()).map(({ soul, ...entry }) => entry);
+  }
+}
+
+module.exports = AgentRegistry;
@@ -0,0 +1,352 @@
+/**
+ * KDT Aso - Agent Tools
+ * Registry of actions agents can take through the model's tool use.
+ * Every call is checked before it runs: operators need the tool's
+ * permission, standing orders need at least the tool's authority level.
+ */
+
+const EventEmitter = require('events');
+
+const MAX_TOOL_TURNS = 5;
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && !isNaN(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  array: (v) => Array.isArray(v),
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+};
+
+class ToolRegistry extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.tools = new Map();
+    // (user, permission) -> boolean
+    this.hasPermission = opts.hasPermission || ((user) => user?.role === 'admin');
+    // agentId -> tool names the agent may call, or null for all
+    this.allowedTools = opts.allowedTools || (() => null);
+    // (source, text, meta) -> text: readies a tool's result for the prompt
+    this.guardResult = opts.guardResult || ((source, text) => text);
+    this.maxTurns = opts.maxTurns || MAX_TOOL_TURNS;
+  }
+
+  /**
+   * Register a tool: { description, input_schema, permission,
+   * authorityLevel, source, readOnly, handler(input, ctx) }. authorityLevel
+   * is the lowest standing order level that may use it (default 1). source
+   * names where its results come from (e.g. sensor) when they carry
+   * content that isn't the system's own, for the prompt guard. readOnly
+   * marks tools that change nothing, so a call is safe to repeat.
+   */
+  register(name, tool) {
+    if (!/^[a-z][a-z0-9_]*$/.test(name)) throw new Error(`Invalid tool name "${name}"`);
+    if (typeof tool.handler !== 'function') throw new Error(`Tool "${name}" needs a handler`);
+    if (!tool.permission) throw new Error(`Tool "${name}" needs a permission`);
+    this.tools.set(name, {
+      name,
+      description: tool.description || '',
+      input_schema: tool.input_schema || { type: 'object', properties: {} },
+      permission: tool.permission,
+      authorityLevel: tool.authorityLevel || 1,
+      source: tool.source || null,
+      readOnly: tool.readOnly === true,
+      handler: tool.handler
+    });
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Why a call may not run, or null if it may. ctx is { user } for
+   * operator conversations or { authorityLevel, orderId } for standing
+   * orders, plus the calling agentId.
+   */
+  denial(name, ctx = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) return `Unknown tool "${name}"`;
+    const allowed = ctx.agentId ? this.allowedTools(ctx.agentId) : null;
+    if (allowed && !allowed.includes(name)) return `${ctx.agentId} may not use ${name}`;
+    if (ctx.orderId) {
+      if ((ctx.authorityLevel || 0) < tool.authorityLevel) {
+        return `${name} needs authority level ${tool.authorityLevel}; standing order is level ${ctx.authorityLevel || 0}`;
+      }
+      return null;
+    }
+    if (!ctx.user) return `${name} needs an authenticated operator`;
+    if (!this.hasPermission(ctx.user, tool.permission)) {
+      return `Role ${ctx.user.role || 'unknown'} lacks permission ${tool.permission}`;
+    }
+    return null;
+  }
+
+  /**
+   * Tool definitions (Anthropic format) the caller is allowed to use
+   */
+  definitions(ctx = {}) {
+    return Array.from(this.tools.values())
+      .filter(tool => this.denial(tool.name, ctx) === null)
+      .map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+  }
+
+  validateInput(tool, input) {
+    if (!TYPE_CHECKS.object(input)) throw new Error('input must be an object');
+    const { properties = {}, required = [] } = tool.input_schema;
+    for (const field of required) {
+      if (input[field] === undefined || input[field] === null || input[field] === '') {
+        throw new Error(`${field} is required`);
+      }
+    }
+    for (const [field, value] of Object.entries(input)) {
+      const schema = properties[field];
+      if (!schema || value === undefined || value === null) continue;
+      if (schema.type && TYPE_CHECKS[schema.type] && !TYPE_CHECKS[schema.type](value)) {
+        throw new Error(`${field} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        throw new Error(`${field} must be one of ${schema.enum.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Check and run one tool call. Never throws; failures come back as
+   * { ok: false, error }. sideEffects is set once the handler of a tool
+   * that isn't readOnly has run, whether or not it succeeded.
+   */
+  async execute(name, input = {}, ctx = {}) {
+    const call = {
+      tool: name,
+      input,
+      agentId: ctx.agentId || null,
+      userId: ctx.user?.id || null,
+      orderId: ctx.orderId || null,
+      ok: false,
+      sideEffects: false,
+      result: null,
+      error: null,
+      timestamp: new Date().toISOString()
+    };
+
+    const denied = this.denial(name, ctx);
+    if (denied) {
+      call.error = denied;
+      call.denied = true;
+      this.emit('denied', call);
+      return call;
+    }
+
+    const tool = this.tools.get(name);
+    try {
+      this.validateInput(tool, input);
+      call.sideEffects = !tool.readOnly;
+      call.result = await tool.handler(input, ctx);
+      call.ok = true;
+    } catch (err) {
+      call.error = err.message;
+    }
+    this.emit('executed', call);
+    return call;
+  }
+
+  /**
+   * Run a model conversation with tools: execute each tool_use block,
+   * return the results to the model and repeat until it answers in text.
+   * Resolves to { text, toolCalls, response }. requestOpts.onToolCall(call)
+   * hears of each call as it runs, even if the conversation later fails.
+   */
+  async converse(client, params, ctx = {}, { onToolCall, ...requestOpts } = {}) {
+    const tools = this.definitions(ctx);
+    const messages = [...params.messages];
+    const toolCalls = [];
+
+    for (let turn = 0; ; turn++) {
+      const request = { ...params, messages };
+      // Out of turns: ask for a final answer without tools
+      if (tools.length > 0 && turn < this.maxTurns) request.tools = tools;
+      const response = await client.messages.create(request, requestOpts);
+      const content = response.content || [];
+      const uses = content.filter(block => block.type === 'tool_use');
+
+      if (response.stop_reason !== 'tool_use' || uses.length === 0 || !request.tools) {
+        const text = content.filter(block => block.type === 'text' || block.type === undefined)
+          .map(block => block.text)
+          .join('\n')
+          .trim();
+        return { text, toolCalls, response };
+      }
+
+      const results = [];
+      for (const use of uses) {
+        const call = await this.execute(use.name, use.input, ctx);
+        toolCalls.push(call);
+        if (onToolCall) onToolCall(call);
+        const output = JSON.stringify(call.ok ? call.result : { error: call.error });
+        const source = call.ok && this.tools.get(use.name).source;
+        results.push({
+          type: 'tool_result',
+          tool_use_id: use.id,
+          content: source
+            ? this.guardResult(source, output, { label: `${use.name} result`, agentId: ctx.agentId, userId: ctx.user?.id, orderId: ctx.orderId })
+            : output,
+          is_error: !call.ok
+        });
+      }
+      messages.push({ role: 'assistant', content }, { role: 'user', content: results });
+    }
+  }
+}
+
+/**
+ * Tools backed by the core subsystems. systems: { alertSystem,
+ * addGeoMarker, missionPlanner, incidentTracker, documentStorage }.
+ */
+function registerSubsystemTools(registry, systems) {
+  const { alertSystem, addGeoMarker, missionPlanner, incidentTracker, documentStorage } = systems;
+  const alertPriorities = alertSystem ? Object.keys(alertSystem.priorities) : [];
+  const actor = (ctx) => ctx.user?.id || (ctx.orderId ? `standing-order:${ctx.orderId}` : `agent:${ctx.agentId}`);
+
+  if (alertSystem) {
+    registry.register('list_alerts', {
+      description: 'List active alerts, optionally only unacknowledged ones or one priority.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          priority: { type: 'string', enum: alertPriorities },
+          unacknowledged: { type: 'boolean' }
+        }
+      },
+      permission: 'alerts:view',
+      authorityLevel: 1,
+      readOnly: true,
+      source: 'sensor',   // Alert titles are often raised from sensor payloads
+      handler: (input) => alertSystem.getActive(input).map(a => ({
+        id: a.id, priority: a.priority, title: a.title, acknowledged: a.acknowledged, createdAt: a.createdAt
+      }))
+    });
+
+    registry.register('create_alert', {
+      description: 'Raise an alert on the operations dashboard.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          message: { type: 'string' },
+          priority: { type: 'string', enum: alertPriorities },
+          category: { type: 'string', enum: alertSystem.categories }
+        },
+        required: ['title', 'message']
+      },
+      permission: 'alerts:create',
+      authorityLevel: 2,
+      handler: (input, ctx) => alertSystem.create({ ...input, source: `agent:${ctx.agentId}` })
+    });
+
+    registry.register('acknowledge_alert', {
+      description: 'Acknowledge an alert by id, with an optional note.',
+      input_schema: {
+        type: 'object',
+        properties: { alertId: { type: 'string' }, note: { type: 'string' } },
+        required: ['alertId']
+      },
+      permission: 'alerts:acknowledge',
+      authorityLevel: 2,
+      handler: (input, ctx) => {
+        const alert = alertSystem.acknowledge(input.alertId, actor(ctx), input.note || null);
+        if (!alert) throw new Error(`Alert not found: ${input.alertId}`);
+        return { id: alert.id, acknowledged: true, acknowledgedBy: alert.acknowledgedBy };
+      }
+    });
+  }
+
+  if (addGeoMarker) {
+    registry.register('add_map_marker', {
+      description: 'Drop a marker on the operational map.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          lat: { type: 'number' },
+          lng: { type: 'number' },
+          label: { type: 'string' },
+          type: { type: 'string', enum: ['friendly', 'hostile', 'neutral', 'objective', 'poi', 'asset'] },
+          details: { type: 'string' }
+        },
+        required: ['lat', 'lng', 'label']
+      },
+      permission: 'map:edit',
+      authorityLevel: 1,
+      handler: ({ lat, lng, label, type = 'poi', details = '' }, ctx) =>
+        addGeoMarker({ position: [lat, lng], label, type, details, createdBy: actor(ctx) })
+    });
+  }
+
+  if (missionPlanner) {
+    registry.register('add_mission_tasking', {
+      description: 'Assign a tasking to a unit on an existing mission.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          missionId: { type: 'string' },
+          unit: { type: 'string' },
+          tasks: { type: 'array', items: { type: 'string' } },
+          purpose: { type: 'string' },
+          priority: { type: 'string', enum: ['routine', 'priority', 'immediate', 'flash'] }
+        },
+        required: ['missionId', 'unit', 'tasks']
+      },
+      permission: 'missions:edit',
+      authorityLevel: 3,
+      handler: ({ missionId, ...tasking }, ctx) =>
+        missionPlanner.addTasking(missionId, { ...tasking, assignedBy: actor(ctx) })
+    });
+  }
+
+  if (incidentTracker) {
+    registry.register('create_incident', {
+      description: 'Open an incident report.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          description: { type: 'string' },
+          type: { type: 'string', enum: incidentTracker.getTypes() },
+          priority: { type: 'string', enum: incidentTracker.getPriorityLevels() },
+          missionId: { type: 'string' }
+        },
+        required: ['title']
+      },
+      permission: 'incidents:create',
+      authorityLevel: 2,
+      handler: (input, ctx) => incidentTracker.create({ ...input, reportedBy: actor(ctx) })
+    });
+  }
+
+  if (documentStorage) {
+    registry.register('create_document', {
+      description: 'File a document such as a sitrep or intel report.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          content: { type: 'string' },
+          category: { type: 'string', enum: Object.keys(documentStorage.categories || {}) },
+          tags: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['title', 'content']
+      },
+      permission: 'documents:create',
+      authorityLevel: 1,
+      handler: async (input, ctx) => {
+        const doc = await documentStorage.create({ ...input, author: actor(ctx) });
+        return { id: doc.id, title: doc.title, category: doc.category };
+      }
+    });
+  }
+
+  return registry;
+}
+
+module.exports = { ToolRegistry, registerSubsystemTools };
@@ -0,0 +1,103 @@
+/**
+ * KDT Aso - Alert Correlation Rules
+ * Decides when a new alert is a repeat of an open one and which open
+ * alerts it is related to. Rules come from config/alert_correlation.yaml
+ * and are matched on the alert's category and source; the first match
+ * applies, with anything it leaves out taken from the defaults.
+ *
+ *   dedupe_window / dedupe_by       - a repeat has the same category,
+ *                                     source and dedupe_by fields, inside
+ *                                     the window since it was last seen
+ *   correlate_window / correlate_by - related alerts share a value of any
+ *                                     correlate_by field (zone, entity),
+ *                                     inside the window
+ *
+ * Fields are paths into the alert, such as `title` or `data.zone`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const conditions = require('./conditions');
+
+const DEFAULTS = {
+  dedupe_window: '10m',
+  dedupe_by: ['title', 'data.sensorId'],
+  correlate_window: '15m',
+  correlate_by: ['data.zone', 'data.entityId']
+};
+
+const valueAt = (object, field) => field.split('.').reduce((value, key) => value?.[key], object);
+
+class AlertCorrelator {
+  constructor(opts = {}) {
+    this.configPath = opts.configPath || path.join(__dirname, '..', 'config', 'alert_correlation.yaml');
+    this.loadConfig(opts.config);
+  }
+
+  /**
+   * Load rules from `config` ({ defaults, rules }) or the config file.
+   * Invalid windows throw at load.
+   */
+  loadConfig(config = null) {
+    if (!config) {
+      config = fs.existsSync(this.configPath)
+        ? yaml.parse(fs.readFileSync(this.configPath, 'utf-8'))?.alert_correlation || {}
+        : {};
+    }
+
+    this.defaults = this.compile({ ...DEFAULTS, ...(config.defaults || {}) }, 'defaults');
+    this.rules = (config.rules || []).map((rule, index) => ({
+      categories: rule.category ? [].concat(rule.category) : null,
+      sources: rule.source ? [].concat(rule.source) : null,
+      ...this.defaults,
+      ...this.compile(rule, `rule #${index + 1}`)
+    }));
+    return this.rules;
+  }
+
+  compile(rule, label) {
+    const compiled = {};
+    if (rule.dedupe_window !== undefined) compiled.dedupeWindow = this.parseWindow(rule.dedupe_window, label);
+    if (rule.dedupe_by !== undefined) compiled.dedupeBy = [].concat(rule.dedupe_by || []);
+    if (rule.correlate_window !== undefined) compiled.correlateWindow = this.parseWindow(rule.correlate_window, label);
+    if (rule.correlate_by !== undefined) compiled.correlateBy = [].concat(rule.correlate_by || []);
+    return compiled;
+  }
+
+  parseWindow(value, label) {
+    if (typeof value === 'number') return value * 1000;
+    const ms = conditions.parseDuration(value);
+    if (ms === null) throw new Error(`Invalid duration in alert correlation ${label}: ${value}`);
+    return ms;
+  }
+
+  /**
+   * The rule for an alert's category and source
+   */
+  ruleFor(alert) {
+    return this.rules.find(rule =>
+      (!rule.categories || rule.categories.includes(alert.category)) &&
+      (!rule.sources || rule.sources.includes(alert.source))
+    ) || this.defaults;
+  }
+
+  /**
+   * What repeats of this alert have in common
+   */
+  fingerprint(alert, rule = this.ruleFor(alert)) {
+    return JSON.stringify([alert.category, alert.source, ...rule.dedupeBy.map(field => valueAt(alert, field) ?? null)]);
+  }
+
+  /**
+   * `field=value` keys an alert shares with the alerts related to it
+   */
+  correlationKeys(alert, rule = this.ruleFor(alert)) {
+    return rule.correlateBy
+      .map(field => [field, valueAt(alert, field)])
+      .filter(([, value]) => value !== undefined && value !== null && value !== '' && typeof value !== 'object')
+      .map(([field, value]) => `${field}=${value}`);
+  }
+}
+
+module.exports = AlertCorrelator;
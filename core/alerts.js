@@ -1,19 +1,42 @@
 /**
  * KDT Aso - Alert System
  * Manages alerts, notifications, and escalations
+ *
+ * Active alerts, with their notes, assignments and escalations, are kept
+ * under data/alerts/active/<id>.json and reloaded on start; pending
+ * escalations are rescheduled from when they fell due, so a restart
+ * neither loses an alert nor resets its clock. Resolved alerts go to
+ * data/alerts/history/, one JSON line per alert in a file per day (UTC)
+ * of resolution.
+ *
+ * Correlation rules (config/alert_correlation.yaml, see
+ * alert-correlation.js) fold a repeat of an open alert into it, counting
+ * occurrences instead of raising a new alert and timer, and link related
+ * open alerts (same zone or entity, close in time) into a group: an
+ * incident candidate an operator can raise as one incident.
+ *
+ * Events besides the alert lifecycle:
+ *   alert:repeated   - (alert) when a repeat is folded into an open alert
+ *   alert:correlated - (group) when an alert joins or forms a group
  */
 
 const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const AlertCorrelator = require('./alert-correlation');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'alerts');
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
 
 class AlertSystem extends EventEmitter {
-  constructor() {
+  constructor(opts = {}) {
     super();
+    this.dir = opts.dir || DEFAULT_DIR;
+    this.activeDir = path.join(this.dir, 'active');
+    this.historyDir = path.join(this.dir, 'history');
     this.alerts = new Map();
-    this.history = [];
-    this.maxHistory = 1000;
+    this.correlator = opts.correlator || new AlertCorrelator({ configPath: opts.correlationConfigPath });
     
     // Alert priority levels
     this.priorities = {
@@ -35,6 +58,32 @@ class AlertSystem extends EventEmitter {
     
     // Escalation timers
     this.escalationTimers = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Reload active alerts and reschedule their pending escalations. Ones
+   * that fell due while we were down escalate straight away.
+   */
+  load() {
+    if (!fs.existsSync(this.activeDir)) return;
+    for (const file of fs.readdirSync(this.activeDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const alert = JSON.parse(fs.readFileSync(path.join(this.activeDir, file), 'utf-8'));
+        this.alerts.set(alert.id, alert);
+        if (alert.escalationDueAt && !alert.acknowledged) this.scheduleEscalation(alert);
+      } catch (err) {
+        console.error(`[ALERTS] Skipping ${file}: ${err.message}`);
+      }
+    }
+    if (this.alerts.size > 0) console.log(`[ALERTS] Restored ${this.alerts.size} active alerts`);
+  }
+
+  save(alert) {
+    fs.mkdirSync(this.activeDir, { recursive: true });
+    fs.writeFileSync(path.join(this.activeDir, `${alert.id}.json`), JSON.stringify(alert, null, 2));
   }
 
   /**
@@ -73,23 +122,155 @@ class AlertSystem extends EventEmitter {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       escalationLevel: 0,
+      escalatedAt: null,
+      escalationDueAt: null,
+      occurrences: 1,
+      firstSeenAt: null,
+      lastSeenAt: null,
+      fingerprint: null,
+      correlationKeys: [],
+      groupId: null,
+      incidentId: null,
+      escalationChain: null,   // On-call paging, run by escalation-policies.js
       notes: []
     };
+    alert.firstSeenAt = alert.lastSeenAt = alert.createdAt;
+
+    const rule = this.correlator.ruleFor(alert);
+    alert.fingerprint = this.correlator.fingerprint(alert, rule);
+    const repeated = rule.dedupeWindow > 0 && this.findRepeat(alert.fingerprint, rule.dedupeWindow);
+    if (repeated) return this.recordOccurrence(repeated, alert);
 
+    alert.correlationKeys = this.correlator.correlationKeys(alert, rule);
     this.alerts.set(alert.id, alert);
     
     // Set up auto-escalation timer
     if (autoEscalate && this.priorities[priority]?.timeout) {
       this.setupEscalation(alert);
     }
+    this.save(alert);
 
     // Emit event
     this.emit('alert:created', alert);
     this.emit('alert', alert);
 
+    this.correlate(alert, rule);
+    return alert;
+  }
+
+  /**
+   * The open alert a new one repeats, if it was seen within the window
+   */
+  findRepeat(fingerprint, window) {
+    const now = Date.now();
+    for (const alert of this.alerts.values()) {
+      if (alert.fingerprint === fingerprint && !alert.resolved && now - Date.parse(alert.lastSeenAt) <= window) {
+        return alert;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fold a repeat into the open alert. A repeat at a higher priority
+   * raises the alert to it.
+   */
+  recordOccurrence(alert, repeat) {
+    alert.occurrences = (alert.occurrences || 1) + 1;
+    alert.lastSeenAt = repeat.createdAt;
+    alert.updatedAt = repeat.createdAt;
+
+    if (repeat.priorityLevel > alert.priorityLevel) {
+      const escalating = this.escalationTimers.has(alert.id);
+      alert.priority = repeat.priority;
+      alert.priorityLevel = repeat.priorityLevel;
+      if (escalating) this.setupEscalation(alert);
+    }
+    this.save(alert);
+
+    this.emit('alert:repeated', alert);
     return alert;
   }
 
+  /**
+   * Link an alert to the open alerts it shares a zone or entity with,
+   * joining (and merging) their groups or forming a new one
+   */
+  correlate(alert, rule) {
+    if (alert.correlationKeys.length === 0) return null;
+    const now = Date.now();
+    const related = Array.from(this.alerts.values()).filter(other =>
+      other.id !== alert.id &&
+      !other.resolved &&
+      now - Date.parse(other.lastSeenAt) <= rule.correlateWindow &&
+      (other.correlationKeys || []).some(key => alert.correlationKeys.includes(key))
+    );
+    if (related.length === 0) return null;
+
+    const groupId = related.find(other => other.groupId)?.groupId || uuidv4();
+    const merging = new Set(related.map(other => other.groupId).filter(Boolean));
+    const members = new Set([alert, ...related]);
+    for (const other of this.alerts.values()) {
+      if (merging.has(other.groupId)) members.add(other);
+    }
+    for (const member of members) {
+      if (member.groupId === groupId) continue;
+      member.groupId = groupId;
+      this.save(member);
+    }
+
+    const group = this.getGroup(groupId);
+    this.emit('alert:correlated', group);
+    return group;
+  }
+
+  /**
+   * Open alert groups (incident candidates), most recently seen first
+   */
+  getGroups() {
+    const ids = new Set(Array.from(this.alerts.values()).map(a => a.groupId).filter(Boolean));
+    return Array.from(ids)
+      .map(id => this.getGroup(id))
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+  }
+
+  /**
+   * One group: its open alerts, the keys they share and its span in time
+   */
+  getGroup(groupId) {
+    const alerts = this.getActive({ groupId });
+    if (alerts.length === 0) return null;
+    const counts = new Map();
+    for (const key of alerts.flatMap(a => a.correlationKeys || [])) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return {
+      id: groupId,
+      alertIds: alerts.map(a => a.id),
+      priority: alerts[0].priority,
+      categories: [...new Set(alerts.map(a => a.category))],
+      sharedKeys: Array.from(counts).filter(([, count]) => count > 1).map(([key]) => key),
+      occurrences: alerts.reduce((sum, a) => sum + (a.occurrences || 1), 0),
+      firstSeenAt: alerts.map(a => a.firstSeenAt || a.createdAt).sort()[0],
+      lastSeenAt: alerts.map(a => a.lastSeenAt || a.createdAt).sort().pop(),
+      incidentId: alerts.find(a => a.incidentId)?.incidentId || null
+    };
+  }
+
+  /**
+   * Record the incident raised from a group on each of its alerts
+   */
+  linkIncident(groupId, incidentId) {
+    const alerts = this.getActive({ groupId });
+    for (const alert of alerts) {
+      alert.incidentId = incidentId;
+      alert.updatedAt = new Date().toISOString();
+      this.save(alert);
+    }
+    return alerts.length > 0 ? this.getGroup(groupId) : null;
+  }
+
   /**
    * Get an alert by ID
    */
@@ -113,6 +294,9 @@ class AlertSystem extends EventEmitter {
     if (filters.unacknowledged) {
       alerts = alerts.filter(a => !a.acknowledged);
     }
+    if (filters.groupId) {
+      alerts = alerts.filter(a => a.groupId === filters.groupId);
+    }
 
     // Sort by priority (highest first) then by date (newest first)
     return alerts.sort((a, b) => {
@@ -162,6 +346,7 @@ class AlertSystem extends EventEmitter {
 
     // Clear escalation timer
     this.clearEscalation(alertId);
+    this.save(alert);
 
     this.emit('alert:acknowledged', alert);
     return alert;
@@ -194,6 +379,7 @@ class AlertSystem extends EventEmitter {
     // Move to history
     this.addToHistory(alert);
     this.alerts.delete(alertId);
+    fs.rmSync(path.join(this.activeDir, `${alertId}.json`), { force: true });
 
     this.emit('alert:resolved', alert);
     return alert;
@@ -210,10 +396,16 @@ class AlertSystem extends EventEmitter {
     const currentIndex = priorities.indexOf(alert.priority);
     
     if (currentIndex < priorities.length - 1) {
+      // An escalation that fell due runs the next clock from when it was due
+      const due = alert.escalationDueAt ? Date.parse(alert.escalationDueAt) : NaN;
+      const from = due <= Date.now() ? due : Date.now();
+      this.clearEscalation(alertId);
+
       const newPriority = priorities[currentIndex + 1];
       alert.priority = newPriority;
       alert.priorityLevel = this.priorities[newPriority].level;
       alert.escalationLevel++;
+      alert.escalatedAt = new Date().toISOString();
       alert.updatedAt = new Date().toISOString();
 
       alert.notes.push({
@@ -225,8 +417,9 @@ class AlertSystem extends EventEmitter {
 
       // Set up new escalation timer
       if (this.priorities[newPriority]?.timeout) {
-        this.setupEscalation(alert);
+        this.setupEscalation(alert, from);
       }
+      this.save(alert);
 
       this.emit('alert:escalated', alert);
       this.emit('alert', alert);
@@ -249,6 +442,7 @@ class AlertSystem extends EventEmitter {
       timestamp: new Date().toISOString()
     });
     alert.updatedAt = new Date().toISOString();
+    this.save(alert);
 
     this.emit('alert:updated', alert);
     return alert;
@@ -270,27 +464,38 @@ class AlertSystem extends EventEmitter {
       text: `Assigned to ${assignee}`,
       timestamp: new Date().toISOString()
     });
+    this.save(alert);
 
     this.emit('alert:assigned', alert);
     return alert;
   }
 
   /**
-   * Setup escalation timer for an alert
+   * Setup escalation timer for an alert, due one timeout after `from`
+   * (default now)
    */
-  setupEscalation(alert) {
+  setupEscalation(alert, from = Date.now()) {
     this.clearEscalation(alert.id);
     
     const timeout = this.priorities[alert.priority]?.timeout;
     if (timeout && !alert.acknowledged) {
-      const timer = setTimeout(() => {
-        this.escalate(alert.id);
-      }, timeout);
-      
-      this.escalationTimers.set(alert.id, timer);
+      alert.escalationDueAt = new Date(from + timeout).toISOString();
+      this.scheduleEscalation(alert);
     }
   }
 
+  /**
+   * Start the timer for an alert's escalationDueAt
+   */
+  scheduleEscalation(alert) {
+    const delay = Math.max(0, Date.parse(alert.escalationDueAt) - Date.now());
+    const timer = setTimeout(() => {
+      this.escalate(alert.id);
+    }, delay);
+    
+    this.escalationTimers.set(alert.id, timer);
+  }
+
   /**
    * Clear escalation timer
    */
@@ -300,38 +505,73 @@ class AlertSystem extends EventEmitter {
       clearTimeout(timer);
       this.escalationTimers.delete(alertId);
     }
+    const alert = this.alerts.get(alertId);
+    if (alert) alert.escalationDueAt = null;
   }
 
   /**
    * Add alert to history
    */
   addToHistory(alert) {
-    this.history.unshift(alert);
-    if (this.history.length > this.maxHistory) {
-      this.history = this.history.slice(0, this.maxHistory);
-    }
+    const resolvedAt = alert.resolvedAt || new Date().toISOString();
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    fs.appendFileSync(path.join(this.historyDir, `${resolvedAt.slice(0, 10)}.jsonl`), JSON.stringify(alert) + '\n');
   }
 
   /**
-   * Get alert history
+   * History day files, newest first. Alerts are created before they are
+   * resolved, so days before `from` can be skipped.
    */
-  getHistory(limit = 100, filters = {}) {
-    let history = [...this.history];
+  _historyFiles(from = null) {
+    if (!fs.existsSync(this.historyDir)) return [];
+    const first = from ? from.toISOString().slice(0, 10) : null;
+    return fs.readdirSync(this.historyDir)
+      .map(name => name.match(DAY_FILE)?.[1])
+      .filter(day => day && (!first || day >= first))
+      .sort()
+      .reverse()
+      .map(day => path.join(this.historyDir, `${day}.jsonl`));
+  }
 
-    if (filters.priority) {
-      history = history.filter(a => a.priority === filters.priority);
-    }
-    if (filters.category) {
-      history = history.filter(a => a.category === filters.category);
-    }
-    if (filters.from) {
-      history = history.filter(a => new Date(a.createdAt) >= new Date(filters.from));
-    }
-    if (filters.to) {
-      history = history.filter(a => new Date(a.createdAt) <= new Date(filters.to));
+  _readHistory(file) {
+    const alerts = [];
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        alerts.push(JSON.parse(line));
+      } catch (err) {
+        console.error(`[ALERTS] Skipping unreadable history line in ${path.basename(file)}`);
+      }
     }
+    return alerts.reverse();
+  }
 
-    return history.slice(0, limit);
+  /**
+   * Get resolved alerts, most recently resolved first. Filters: priority,
+   * category, from, to (on createdAt), offset.
+   */
+  getHistory(limit = 100, filters = {}) {
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+    const offset = filters.offset || 0;
+
+    const results = [];
+    let skipped = 0;
+    for (const file of this._historyFiles(from && !isNaN(from) ? from : null)) {
+      for (const alert of this._readHistory(file)) {
+        if (filters.priority && alert.priority !== filters.priority) continue;
+        if (filters.category && alert.category !== filters.category) continue;
+        if (from && new Date(alert.createdAt) < from) continue;
+        if (to && new Date(alert.createdAt) > to) continue;
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+        results.push(alert);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
   }
 
   /**
@@ -0,0 +1,200 @@
+/**
+ * KDT Aso - Standing Order Approvals
+ * Holds high-authority standing orders until a human approves, denies
+ * or modifies each action. Pending requests expire after a deadline.
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const DECISIONS = ['approve', 'deny', 'modify'];
+
+class ApprovalQueue extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.defaultTimeout = opts.defaultTimeout || 15 * 60 * 1000;
+    // (user, authorityLevel) -> boolean
+    this.canApprove = opts.canApprove || ((user) => user?.role === 'admin');
+    this.isKnownAgent = opts.isKnownAgent || (() => true);
+    this.approvals = new Map();
+    this.pending = new Map();   // approvalId -> { resolve, timer, definitions }
+    this.maxResolved = 500;
+  }
+
+  /**
+   * Queue an order for approval. Resolves once every action has been
+   * decided, the whole request is denied, or the deadline passes.
+   */
+  request(order, context = {}, opts = {}) {
+    const timeout = opts.timeout || this.defaultTimeout;
+    const now = Date.now();
+    const approval = {
+      id: uuidv4(),
+      orderId: order.id,
+      orderName: order.name || order.id,
+      authorityLevel: order.authority_level,
+      trigger: order.trigger,
+      context,
+      status: 'pending',
+      actions: (order.actions || []).map((action, index) => ({
+        index,
+        agent: action.agent,
+        action: action.action,
+        status: 'pending',
+        original: null
+      })),
+      chain: [],
+      requestedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + timeout).toISOString(),
+      resolvedAt: null
+    };
+    this.approvals.set(approval.id, approval);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this.expire(approval.id), timeout);
+      if (timer.unref) timer.unref();
+      this.pending.set(approval.id, { resolve, timer, definitions: order.actions || [] });
+      this.emit('requested', approval);
+    });
+  }
+
+  get(approvalId) {
+    return this.approvals.get(approvalId) || null;
+  }
+
+  /**
+   * List approvals, newest first
+   */
+  list(filters = {}) {
+    let approvals = Array.from(this.approvals.values()).reverse();
+    if (filters.status) approvals = approvals.filter(a => a.status === filters.status);
+    if (filters.orderId) approvals = approvals.filter(a => a.orderId === filters.orderId);
+    return approvals.slice(0, filters.limit || 100);
+  }
+
+  /**
+   * Record decisions from an approver. Each decision is
+   * { decision: approve|deny|modify, index?, agent?, action?, note? };
+   * without an index it applies to every action still pending.
+   */
+  decide(approvalId, user, decisions) {
+    const approval = this.approvals.get(approvalId);
+    if (!approval) throw new Error(`Approval not found: ${approvalId}`);
+    if (approval.status !== 'pending') throw new Error(`Approval is already ${approval.status}`);
+    if (!this.canApprove(user, approval.authorityLevel)) {
+      throw new Error(`Role ${user?.role || 'unknown'} may not approve authority level ${approval.authorityLevel} orders`);
+    }
+
+    const list = Array.isArray(decisions) ? decisions : [decisions];
+    // Validate everything before applying anything
+    for (const d of list) {
+      if (!DECISIONS.includes(d.decision)) throw new Error(`Unknown decision: ${d.decision}`);
+      if (d.index !== undefined && !approval.actions[d.index]) throw new Error(`No action at index ${d.index}`);
+      if (d.decision === 'modify') {
+        if (d.index === undefined) throw new Error('modify needs an action index');
+        if (!d.agent && !d.action) throw new Error('modify needs a new agent or action');
+        if (d.agent && !this.isKnownAgent(d.agent)) throw new Error(`Unknown agent: ${d.agent}`);
+      }
+    }
+
+    const timestamp = new Date().toISOString();
+    for (const d of list) {
+      const targets = d.index === undefined
+        ? approval.actions.filter(a => a.status === 'pending')
+        : [approval.actions[d.index]];
+
+      for (const action of targets) {
+        if (d.decision === 'modify') {
+          action.original = action.original || { agent: action.agent, action: action.action };
+          action.agent = d.agent || action.agent;
+          action.action = d.action || action.action;
+          action.status = 'modified';
+        } else {
+          action.status = d.decision === 'approve' ? 'approved' : 'denied';
+        }
+      }
+
+      approval.chain.push({
+        userId: user.id,
+        username: user.username,
+        role: user.role,
+        decision: d.decision,
+        actionIndex: d.index === undefined ? null : d.index,
+        changes: d.decision === 'modify' ? { agent: d.agent, action: d.action } : null,
+        note: d.note || null,
+        timestamp
+      });
+    }
+
+    if (approval.actions.every(a => a.status !== 'pending')) {
+      const runnable = approval.actions.filter(a => a.status !== 'denied');
+      let status = 'approved';
+      if (runnable.length === 0) status = 'denied';
+      else if (runnable.length < approval.actions.length) status = 'partially_approved';
+      this.finish(approval, status);
+    } else {
+      this.emit('updated', approval);
+    }
+
+    return approval;
+  }
+
+  /**
+   * Expire a pending approval. Nothing runs.
+   */
+  expire(approvalId) {
+    const approval = this.approvals.get(approvalId);
+    if (!approval || approval.status !== 'pending') return null;
+    approval.chain.push({ userId: null, username: null, role: null, decision: 'expire', actionIndex: null, changes: null, note: 'Approval deadline passed', timestamp: new Date().toISOString() });
+    this.finish(approval, 'expired');
+    return approval;
+  }
+
+  finish(approval, status) {
+    approval.status = status;
+    approval.resolvedAt = new Date().toISOString();
+
+    const pending = this.pending.get(approval.id);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending.delete(approval.id);
+    }
+
+    // Actions keep their definition (id, depends_on, timeout...). Denied
+    // ones stay in the plan as skipped so their dependents skip too.
+    const definitions = pending?.definitions || [];
+    const actions = ['approved', 'partially_approved'].includes(status)
+      ? approval.actions.map(a => {
+        const definition = definitions[a.index] || {};
+        const action = {
+          ...definition,
+          id: definition.id || definition.action || a.action,
+          agent: a.agent,
+          action: a.action
+        };
+        if (a.status === 'denied') action.skip = 'Denied by approver';
+        return action;
+      })
+      : [];
+
+    this.emit('resolved', approval);
+    if (pending) pending.resolve({ status, actions, approval });
+    this.prune();
+  }
+
+  prune() {
+    const resolved = Array.from(this.approvals.values()).filter(a => a.status !== 'pending');
+    for (const approval of resolved.slice(0, Math.max(0, resolved.length - this.maxResolved))) {
+      this.approvals.delete(approval.id);
+    }
+  }
+
+  /**
+   * Clear all pending timers (shutdown)
+   */
+  stop() {
+    for (const { timer } of this.pending.values()) clearTimeout(timer);
+  }
+}
+
+module.exports = ApprovalQueue;
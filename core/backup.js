@@ -317,6 +317,64 @@ class BackupSystem {
     }
   }
 
+  /**
+   * Scrub what the matcher matches from the memory copy in every backup
+   * and from its manifest, and record the redaction there (without the
+   * redacted terms). The checksum is recomputed so the backup still
+   * restores. Returns [{ backupId, files }] for the backups changed.
+   */
+  async redact(matcher, record = {}) {
+    const results = [];
+    for (const backup of await this.listBackups()) {
+      const compressedPath = path.join(this.backupDir, backup.filename);
+      const extractPath = path.join(this.backupDir, `_redact_${backup.id}`);
+      try {
+        await this.extractBackup(compressedPath, extractPath);
+        let files = 0;
+        const scrub = async (dir) => {
+          const entries = await fs.readdir(dir, { withFileTypes: true });
+          for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+              await scrub(fullPath);
+              continue;
+            }
+            const content = await fs.readFile(fullPath);
+            if (content.includes(0)) continue;   // Binary
+            const text = content.toString('utf8');
+            if (!matcher.test(text)) continue;
+            await fs.writeFile(fullPath, matcher.replace(text));
+            files++;
+          }
+        };
+        try {
+          await scrub(path.join(extractPath, 'memory'));
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+
+        const manifestPath = path.join(extractPath, 'manifest.json');
+        const original = await fs.readFile(manifestPath, 'utf8');
+        const manifest = JSON.parse(matcher.replace(original));
+        if (files === 0 && !matcher.test(original)) continue;
+
+        manifest.checksum = await this.calculateBackupChecksum(extractPath);
+        manifest.redactions = [...(manifest.redactions || []), { ...record, files, redactedAt: new Date().toISOString() }];
+        await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+
+        // Written in place so the backup keeps its age
+        const tmpPath = `${compressedPath}.tmp`;
+        await this.compressBackup(extractPath, tmpPath);
+        await fs.copyFile(tmpPath, compressedPath);
+        await fs.unlink(tmpPath);
+        results.push({ backupId: backup.id, files });
+      } finally {
+        await this.removeDirectory(extractPath);
+      }
+    }
+    return results;
+  }
+
   // ==================== HELPER METHODS ====================
 
   async copyDirectory(src, dest) {
@@ -0,0 +1,442 @@
+/**
+ * KDT Aso - Condition Expressions
+ * Parser and evaluator for standing order triggers and escalation thresholds
+ *
+ * Grammar (keywords are case-insensitive):
+ *   expr       := or
+ *   or         := and ( (OR | ||) and )*
+ *   and        := not ( (AND | &&) not )*
+ *   not        := (NOT | !) not | comparison
+ *   comparison := value ( op value )?
+ *   op         := == | != | < | <= | > | >= | CONTAINS | EQ | NE | LT | LE | GT | GE
+ *   value      := number | duration | 'string' | "string" | true | false | null
+ *               | name '(' args ')' | path | '(' expr ')'
+ *   path       := name ( '.' name )*
+ *
+ * Durations (30s, 5m, 30min, 2h, 7days) evaluate to milliseconds.
+ * The word operators exist because the API input sanitizer strips angle
+ * brackets from request bodies.
+ */
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+  h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+  d: 86400000, day: 86400000, days: 86400000,
+  w: 604800000, week: 604800000, weeks: 604800000
+};
+
+const KEYWORDS = {
+  and: 'AND', or: 'OR', not: 'NOT', contains: 'CONTAINS',
+  true: 'TRUE', false: 'FALSE', null: 'NULL',
+  eq: '==', ne: '!=', lt: '<', le: '<=', lte: '<=', gt: '>', ge: '>=', gte: '>='
+};
+
+const COMPARISON_OPS = new Set(['==', '!=', '<', '<=', '>', '>=', 'CONTAINS']);
+
+/**
+ * Build a syntax error that carries the offending offset in the expression
+ */
+function syntaxError(message, position) {
+  const err = new Error(`${message} at column ${position + 1}`);
+  err.position = position;
+  return err;
+}
+
+/**
+ * Parse a duration literal such as "5m" or "7days" into milliseconds
+ */
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)([a-z]+)$/i.exec(String(text).trim());
+  if (!match) return null;
+  const unit = DURATION_UNITS[match[2].toLowerCase()];
+  return unit ? parseFloat(match[1]) * unit : null;
+}
+
+// ==================== LEXER ====================
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    // Strings
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw syntaxError('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'STRING', value, pos: start });
+      continue;
+    }
+
+    // Numbers and durations
+    if (/\d/.test(ch)) {
+      while (i < source.length && /[\d.]/.test(source[i])) i++;
+      const digits = source.slice(start, i);
+      while (i < source.length && /[a-z]/i.test(source[i])) i++;
+      const suffix = source.slice(start + digits.length, i);
+
+      if (suffix) {
+        const ms = parseDuration(digits + suffix);
+        if (ms === null) throw syntaxError(`Unknown duration unit '${suffix}'`, start);
+        tokens.push({ type: 'DURATION', value: ms, text: digits + suffix, pos: start });
+      } else {
+        if (!/^\d+(\.\d+)?$/.test(digits)) throw syntaxError(`Invalid number '${digits}'`, start);
+        tokens.push({ type: 'NUMBER', value: parseFloat(digits), text: digits, pos: start });
+      }
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (/[A-Za-z_]/.test(ch)) {
+      while (i < source.length && /[\w-]/.test(source[i])) i++;
+      const word = source.slice(start, i);
+      const keyword = KEYWORDS[word.toLowerCase()];
+      if (keyword && COMPARISON_OPS.has(keyword)) {
+        tokens.push({ type: 'OP', value: keyword, pos: start });
+      } else if (keyword) {
+        tokens.push({ type: keyword, value: word, pos: start });
+      } else {
+        tokens.push({ type: 'IDENT', value: word, pos: start });
+      }
+      continue;
+    }
+
+    // Operators and punctuation
+    const two = source.slice(i, i + 2);
+    if (['==', '!=', '<=', '>='].includes(two)) {
+      tokens.push({ type: 'OP', value: two, pos: start });
+      i += 2;
+      continue;
+    }
+    if (two === '&&') {
+      tokens.push({ type: 'AND', value: two, pos: start });
+      i += 2;
+      continue;
+    }
+    if (two === '||') {
+      tokens.push({ type: 'OR', value: two, pos: start });
+      i += 2;
+      continue;
+    }
+    if (ch === '<' || ch === '>') {
+      tokens.push({ type: 'OP', value: ch, pos: start });
+      i++;
+      continue;
+    }
+    if (ch === '!') {
+      tokens.push({ type: 'NOT', value: ch, pos: start });
+      i++;
+      continue;
+    }
+    if ('().,'.includes(ch)) {
+      tokens.push({ type: ch, value: ch, pos: start });
+      i++;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character '${ch}'`, start);
+  }
+
+  tokens.push({ type: 'EOF', value: null, pos: source.length });
+  return tokens;
+}
+
+// ==================== PARSER ====================
+
+/**
+ * Parse an expression into an AST
+ */
+function parse(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw syntaxError('Empty expression', 0);
+  }
+
+  const tokens = tokenize(source);
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const next = () => tokens[current++];
+  const describe = (token) => token.type === 'EOF' ? 'end of expression' : `'${source.slice(token.pos).split(/\s/)[0] || token.value}'`;
+
+  const expect = (type) => {
+    const token = peek();
+    if (token.type !== type) {
+      const wanted = type === 'IDENT' ? 'a field name' : `'${type}'`;
+      throw syntaxError(`Expected ${wanted} but found ${describe(token)}`, token.pos);
+    }
+    return next();
+  };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek().type === 'OR') {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (peek().type === 'AND') {
+      next();
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (peek().type === 'NOT') {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseValue();
+    const token = peek();
+    if (token.type === 'OP' || token.type === 'CONTAINS') {
+      next();
+      const op = token.type === 'CONTAINS' ? 'CONTAINS' : token.value;
+      return { type: 'compare', op, left, right: parseValue() };
+    }
+    return left;
+  }
+
+  function parseValue() {
+    const token = next();
+
+    switch (token.type) {
+      case 'NUMBER':
+        return { type: 'literal', value: token.value, text: token.text };
+      case 'DURATION':
+        return { type: 'literal', value: token.value, text: token.text, duration: true };
+      case 'STRING':
+        return { type: 'literal', value: token.value };
+      case 'TRUE':
+        return { type: 'literal', value: true };
+      case 'FALSE':
+        return { type: 'literal', value: false };
+      case 'NULL':
+        return { type: 'literal', value: null };
+      case '(': {
+        const inner = parseOr();
+        expect(')');
+        return inner;
+      }
+      case 'IDENT': {
+        if (peek().type === '(') {
+          next();
+          const args = [];
+          if (peek().type !== ')') {
+            args.push(parseOr());
+            while (peek().type === ',') {
+              next();
+              args.push(parseOr());
+            }
+          }
+          expect(')');
+          return { type: 'call', name: token.value, args, pos: token.pos };
+        }
+
+        const parts = [token.value];
+        while (peek().type === '.') {
+          next();
+          parts.push(expect('IDENT').value);
+        }
+        return { type: 'path', path: parts, name: parts.join('.') };
+      }
+      default:
+        throw syntaxError(`Unexpected ${describe(token)}`, token.pos);
+    }
+  }
+
+  const ast = parseOr();
+  if (peek().type !== 'EOF') {
+    throw syntaxError(`Unexpected ${describe(peek())}`, peek().pos);
+  }
+  return ast;
+}
+
+// ==================== EVALUATOR ====================
+
+function resolvePath(context, parts) {
+  let value = context;
+  for (const part of parts) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+function compare(op, left, right) {
+  if (op === 'CONTAINS') {
+    if (Array.isArray(left)) return left.includes(right);
+    if (typeof left === 'string') return left.toLowerCase().includes(String(right).toLowerCase());
+    return false;
+  }
+
+  // Coerce numeric strings when compared against numbers ("0600" == 600)
+  if ((typeof left === 'number' || typeof right === 'number') && isNumeric(left) && isNumeric(right)) {
+    left = Number(left);
+    right = Number(right);
+  }
+
+  switch (op) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case '<': return left !== undefined && left !== null && left < right;
+    case '<=': return left !== undefined && left !== null && left <= right;
+    case '>': return left !== undefined && left !== null && left > right;
+    case '>=': return left !== undefined && left !== null && left >= right;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate an AST against a context object.
+ * options.functions supplies callable functions (e.g. count),
+ * options.resolve is consulted for names missing from the context.
+ */
+function evaluate(ast, context = {}, options = {}) {
+  const functions = options.functions || {};
+
+  function visit(node) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'path': {
+        const value = resolvePath(context, node.path);
+        if (value === undefined && options.resolve) {
+          return options.resolve(node.name, context);
+        }
+        return value;
+      }
+      case 'not':
+        return !visit(node.operand);
+      case 'and':
+        return Boolean(visit(node.left)) && Boolean(visit(node.right));
+      case 'or':
+        return Boolean(visit(node.left)) || Boolean(visit(node.right));
+      case 'compare':
+        return compare(node.op, visit(node.left), visit(node.right));
+      case 'call': {
+        const fn = functions[node.name.toLowerCase()];
+        if (!fn) throw new Error(`Unknown function '${node.name}'`);
+        return fn(...node.args.map(visit));
+      }
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
+    }
+  }
+
+  return visit(ast);
+}
+
+/**
+ * Collect all function calls with the given name from an AST
+ */
+function collectCalls(ast, name) {
+  const calls = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'call' && node.name.toLowerCase() === name) calls.push(node);
+    for (const child of [node.left, node.right, node.operand, ...(node.args || [])]) {
+      walk(child);
+    }
+  };
+  walk(ast);
+  return calls;
+}
+
+/**
+ * Collect the dotted field paths referenced by an AST
+ */
+function collectPaths(ast) {
+  const paths = new Set();
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'path') paths.add(node.name);
+    for (const child of [node.left, node.right, node.operand, ...(node.args || [])]) {
+      walk(child);
+    }
+  };
+  walk(ast);
+  return Array.from(paths);
+}
+
+/**
+ * Parse and validate an expression, returning a reusable compiled form.
+ * allowedFunctions limits which calls may appear (validated at compile time).
+ */
+function compile(source, { allowedFunctions = ['count'] } = {}) {
+  const ast = parse(source);
+
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'call') {
+      const name = node.name.toLowerCase();
+      if (!allowedFunctions.includes(name)) {
+        throw syntaxError(`Unknown function '${node.name}'`, node.pos);
+      }
+      if (name === 'count') {
+        if (node.args.length !== 1 || node.args[0].type !== 'literal' || !node.args[0].duration) {
+          throw syntaxError('count() takes a single duration such as count(5m)', node.pos);
+        }
+      }
+    }
+    for (const child of [node.left, node.right, node.operand, ...(node.args || [])]) {
+      walk(child);
+    }
+  };
+  walk(ast);
+
+  const windows = collectCalls(ast, 'count').map(call => call.args[0].value);
+
+  return {
+    source,
+    ast,
+    paths: collectPaths(ast),
+    maxWindow: windows.length ? Math.max(...windows) : 0,
+    evaluate: (context, options) => evaluate(ast, context, options)
+  };
+}
+
+/**
+ * True when a trigger is a plain event name rather than an expression
+ */
+function isEventName(trigger) {
+  return typeof trigger === 'string' && /^[A-Za-z_][\w-]*$/.test(trigger.trim()) &&
+    !KEYWORDS[trigger.trim().toLowerCase()];
+}
+
+module.exports = {
+  parse,
+  compile,
+  evaluate,
+  tokenize,
+  parseDuration,
+  isEventName,
+  collectPaths
+};
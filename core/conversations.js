@@ -0,0 +1,294 @@
+/**
+ * KDT Aso - Conversation Threads
+ * Named conversation threads per operator, kept under
+ * data/conversations/<id>.json so an operator can pick a thread back up
+ * after reconnecting. Each turn goes to the model as a proper
+ * user/assistant message. Once a thread's history passes the context
+ * budget, its oldest turns are folded into a running summary.
+ *
+ * Calls without a saved thread (the REST API, simulations) get a
+ * transient one per session, held in memory only.
+ *
+ * Events:
+ *   updated    - (thread) after a turn is added or the thread is renamed
+ *   summarized - ({ threadId, operatorId, turns }) when older turns are
+ *                folded into the summary
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'conversations');
+
+// Rough token count; near enough to decide when to summarize
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Merge consecutive turns from the same side and drop anything before
+ * the first user turn, so the messages alternate as the model expects
+ */
+function alternate(messages) {
+  const result = [];
+  for (const message of messages) {
+    if (result.length === 0 && message.role !== 'user') continue;
+    const last = result[result.length - 1];
+    if (last && last.role === message.role) {
+      last.content = `${last.content}\n\n${message.content}`;
+    } else {
+      result.push({ role: message.role, content: message.content });
+    }
+  }
+  return result;
+}
+
+class ConversationStore extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.dir = opts.dir || DEFAULT_DIR;
+    this.contextTokens = opts.contextTokens || 6000;   // Summary plus recent turns sent with each request
+    this.keepRecent = opts.keepRecent || 6;            // Turns never folded into the summary
+    this.maxMessages = opts.maxMessages || 500;        // Summarized turns beyond this are dropped from the file
+    this.maxTransient = opts.maxTransient || 200;
+    this.summarize = opts.summarize || null;           // async (previousSummary, transcript, tags) -> summary
+    this.threads = this.load();
+    this.transients = new Map();   // sessionId -> thread, oldest first
+  }
+
+  load() {
+    const threads = new Map();
+    if (!fs.existsSync(this.dir)) return threads;
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const thread = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8'));
+        threads.set(thread.id, thread);
+      } catch (err) {
+        console.error(`[CONVERSATIONS] Skipping ${file}: ${err.message}`);
+      }
+    }
+    return threads;
+  }
+
+  save(thread) {
+    if (thread.transient) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, `${thread.id}.json`), JSON.stringify(thread, null, 2));
+  }
+
+  create(operatorId, opts = {}) {
+    if (!operatorId) throw new Error('operatorId is required');
+    const now = new Date().toISOString();
+    const thread = {
+      id: uuidv4(),
+      operatorId,
+      title: opts.title ? String(opts.title).slice(0, 100) : null,
+      createdAt: now,
+      updatedAt: now,
+      summary: null,
+      summarizedThrough: 0,   // Turns before this index are covered by the summary
+      messages: []
+    };
+    this.threads.set(thread.id, thread);
+    this.save(thread);
+    return thread;
+  }
+
+  /**
+   * A saved thread, or null if there is none or it belongs to another
+   * operator
+   */
+  get(threadId, operatorId) {
+    const thread = this.threads.get(threadId);
+    if (!thread || (operatorId && thread.operatorId !== operatorId)) return null;
+    return thread;
+  }
+
+  /**
+   * In-memory thread for a session with no saved thread
+   */
+  transient(sessionId) {
+    let thread = this.transients.get(sessionId);
+    if (thread) {
+      this.transients.delete(sessionId);
+    } else {
+      const now = new Date().toISOString();
+      thread = { id: sessionId, operatorId: null, title: null, createdAt: now, updatedAt: now, summary: null, summarizedThrough: 0, messages: [], transient: true };
+    }
+    this.transients.set(sessionId, thread);
+    if (this.transients.size > this.maxTransient) this.transients.delete(this.transients.keys().next().value);
+    return thread;
+  }
+
+  /**
+   * A thread without its messages
+   */
+  describe(thread) {
+    return {
+      id: thread.id,
+      title: thread.title,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      messageCount: thread.messages.length,
+      summarized: !!thread.summary,
+      lastMessage: thread.messages[thread.messages.length - 1]?.content.slice(0, 100) || null
+    };
+  }
+
+  /**
+   * An operator's threads, most recent first
+   */
+  list(operatorId) {
+    return [...this.threads.values()]
+      .filter(t => t.operatorId === operatorId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(t => this.describe(t));
+  }
+
+  /**
+   * An operator's most recently updated thread, or null if they have none
+   */
+  latest(operatorId) {
+    let latest = null;
+    for (const thread of this.threads.values()) {
+      if (thread.operatorId === operatorId && (!latest || thread.updatedAt > latest.updatedAt)) latest = thread;
+    }
+    return latest;
+  }
+
+  rename(threadId, operatorId, title) {
+    const thread = this.get(threadId, operatorId);
+    if (!thread) return null;
+    if (typeof title !== 'string' || !title.trim()) throw new Error('title is required');
+    thread.title = title.trim().slice(0, 100);
+    thread.updatedAt = new Date().toISOString();
+    this.save(thread);
+    this.emit('updated', thread);
+    return thread;
+  }
+
+  delete(threadId, operatorId) {
+    if (!this.get(threadId, operatorId)) return false;
+    this.threads.delete(threadId);
+    const file = path.join(this.dir, `${threadId}.json`);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+    return true;
+  }
+
+  /**
+   * Delete saved threads untouched for more than `days`; returns how many
+   */
+  prune(days) {
+    if (!days) return 0;
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    let removed = 0;
+    for (const thread of [...this.threads.values()]) {
+      if (thread.updatedAt >= cutoff) continue;
+      this.delete(thread.id);
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Scrub what the matcher matches from every thread's title, summary
+   * and messages, saved or transient. Turns are kept so the thread still
+   * reads in order. Returns { threads, messages } changed.
+   */
+  redact(matcher) {
+    const purged = { threads: 0, messages: 0 };
+    for (const thread of [...this.threads.values(), ...this.transients.values()]) {
+      let changed = false;
+      for (const message of thread.messages) {
+        if (!matcher.test(message.content)) continue;
+        message.content = matcher.replace(message.content);
+        purged.messages++;
+        changed = true;
+      }
+      for (const field of ['title', 'summary']) {
+        if (thread[field] && matcher.test(thread[field])) {
+          thread[field] = matcher.replace(thread[field]);
+          changed = true;
+        }
+      }
+      if (!changed) continue;
+      purged.threads++;
+      this.save(thread);
+    }
+    return purged;
+  }
+
+  /**
+   * Add a turn. turn: { role: 'user' | 'assistant', content, agentId, agent }
+   */
+  append(thread, turn) {
+    const message = {
+      role: turn.role,
+      content: String(turn.content ?? ''),
+      agentId: turn.agentId || null,
+      agent: turn.agent || null,
+      timestamp: new Date().toISOString()
+    };
+    thread.messages.push(message);
+    thread.updatedAt = message.timestamp;
+    if (!thread.title && message.role === 'user') {
+      thread.title = message.content.length > 60 ? `${message.content.slice(0, 57)}...` : message.content;
+    }
+    // Only turns already in the summary are ever dropped
+    const excess = Math.min(thread.messages.length - this.maxMessages, thread.summarizedThrough);
+    if (excess > 0) {
+      thread.messages.splice(0, excess);
+      thread.summarizedThrough -= excess;
+    }
+    this.save(thread);
+    this.emit('updated', thread);
+    return message;
+  }
+
+  /**
+   * The thread's history for a model request: { summary, messages }
+   * where messages alternate user/assistant. Another agent's replies are
+   * labelled with its name. When the turns outside the summary pass the
+   * context budget, the oldest are summarized first; if that fails only
+   * the most recent turns that fit are sent. opts: { agentId, tags }
+   */
+  async history(thread, opts = {}) {
+    const budget = this.contextTokens - estimateTokens(thread.summary);
+    let recent = thread.messages.slice(thread.summarizedThrough);
+    const size = (messages) => messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+    if (size(recent) > budget && this.summarize) {
+      // Fold everything but the latest turns, cutting where the operator spoke
+      let cut = recent.length - this.keepRecent;
+      while (cut > 0 && recent[cut].role !== 'user') cut--;
+      if (cut > 0) {
+        const folded = recent.slice(0, cut);
+        try {
+          const transcript = folded.map(m => `${m.role === 'user' ? 'Operator' : m.agent || 'Agent'}: ${m.content}`).join('\n\n');
+          thread.summary = await this.summarize(thread.summary, transcript, opts.tags);
+          thread.summarizedThrough += cut;
+          this.save(thread);
+          this.emit('summarized', { threadId: thread.id, operatorId: thread.operatorId, turns: cut });
+          recent = recent.slice(cut);
+        } catch (err) {
+          console.error(`[CONVERSATIONS] Could not summarize thread ${thread.id}: ${err.message}`);
+        }
+      }
+    }
+
+    // Whatever still doesn't fit is left out, oldest first
+    const remaining = this.contextTokens - estimateTokens(thread.summary);
+    while (recent.length > 0 && size(recent) > remaining) recent = recent.slice(1);
+
+    const messages = recent.map(m => ({
+      role: m.role,
+      content: m.role === 'assistant' && m.agentId && m.agentId !== opts.agentId && m.agent
+        ? `[${m.agent}] ${m.content}`
+        : m.content
+    }));
+    return { summary: thread.summary, messages: alternate(messages) };
+  }
+}
+
+module.exports = { ConversationStore, alternate, estimateTokens };
@@ -1,15 +1,21 @@
 /**
  * KDT Aso - Document Storage System
  * Manages intel reports, mission plans, AARs, and other documents
+ *
+ * Events:
+ *   changed - (doc with content) after a document is created or updated
+ *   deleted - (id) after a document is deleted
  */
 
+const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { validatePathComponent } = require('./security');
 
-class DocumentStorage {
+class DocumentStorage extends EventEmitter {
   constructor(storageDir = './documents') {
+    super();
     this.storageDir = storageDir;
     this.metadataFile = path.join(storageDir, 'metadata.json');
     this.documents = new Map();
@@ -25,7 +31,7 @@ class DocumentStorage {
       other: 'Other Documents'
     };
     
-    this.init();
+    this.ready = this.init();
   }
 
   async init() {
@@ -114,6 +120,7 @@ class DocumentStorage {
     // Save metadata
     this.documents.set(id, doc);
     await this.saveMetadata();
+    this.emit('changed', { ...doc, content });
 
     return doc;
   }
@@ -141,6 +148,7 @@ class DocumentStorage {
         // File missing, remove from metadata
         this.documents.delete(id);
         await this.saveMetadata();
+        this.emit('deleted', id);
         return null;
       }
       throw err;
@@ -173,6 +181,8 @@ class DocumentStorage {
     }
 
     await this.saveMetadata();
+    const current = await this.get(id);
+    if (current) this.emit('changed', current);
     return doc;
   }
 
@@ -198,6 +208,7 @@ class DocumentStorage {
 
     this.documents.delete(id);
     await this.saveMetadata();
+    this.emit('deleted', id);
     return true;
   }
 
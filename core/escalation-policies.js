@@ -0,0 +1,361 @@
+/**
+ * KDT Aso - On-call Escalation Policies
+ * Works out who is paged about an alert, and when. Policies come from
+ * config/escalation_policies.yaml; the first one matching an alert's
+ * category, priority and source runs its chain of steps:
+ *
+ *   - notify: assigned              # the alert's assignee
+ *   - after: 5m
+ *     notify: shift_lead            # lead of each active shift
+ *   - after: 10m
+ *     notify: [role:commander]      # every user with the role
+ *
+ * `after` is measured from when the alert was raised (or escalated or
+ * repeated into a policy), so a chain picks up where it was after a
+ * restart. Each person is only paged if OperatorManager.shouldNotify
+ * allows it for the alert's priority at that moment, on their own clock
+ * (quiet hours, priorities they opted out of); anyone held back is
+ * recorded as suppressed. Quiet hours only delay a page: people they
+ * held back are kept in chain.held and paged when their quiet hours
+ * end, unless the alert has been acknowledged by then. A step that
+ * reaches nobody moves straight on to the next. Acknowledging or
+ * resolving the alert stops the chain.
+ *
+ * The chain and every step run are kept on the alert itself
+ * (alert.escalationChain, plus a 'notification' note), so they are saved
+ * and reloaded with it.
+ *
+ * Events:
+ *   notify  - ({ operatorId, alert, step }) once per person paged
+ *   step    - ({ alert, step }) after each step runs, and again when
+ *             people it held back are paged
+ *   stopped - ({ alert, reason }) when a chain ends before its last step
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const conditions = require('./conditions');
+
+const TARGETS = ['assigned', 'shift', 'shift_lead'];
+const TARGET_PREFIXES = ['role:', 'user:'];
+
+class EscalationPolicies extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.alerts = opts.alerts;
+    this.shifts = opts.shifts || null;
+    this.operators = opts.operators || null;
+    this.users = opts.users || (() => []);   // () -> [{ id, role }]
+    this.roles = opts.roles || (() => []);   // () -> configured role ids
+    this.configPath = opts.configPath || path.join(__dirname, '..', 'config', 'escalation_policies.yaml');
+    this.timers = new Map();   // alertId -> timeout for the next step
+    this.loadConfig(opts.config);
+  }
+
+  /**
+   * Load policies from `config` ({ policies }) or the config file.
+   * Malformed policies throw at load; role: targets naming no configured
+   * role only warn, as roles can be added later.
+   */
+  loadConfig(config = null) {
+    if (!config) {
+      config = fs.existsSync(this.configPath)
+        ? yaml.parse(fs.readFileSync(this.configPath, 'utf-8'))?.escalation_policies || {}
+        : {};
+    }
+
+    this.policies = (config.policies || []).map((policy, index) => {
+      const label = `Escalation policy ${policy.id || `#${index + 1}`}`;
+      if (!policy.id) throw new Error(`${label} needs an id`);
+      if (!Array.isArray(policy.steps) || policy.steps.length === 0) throw new Error(`${label} needs at least one step`);
+
+      let previous = 0;
+      const steps = policy.steps.map((step, n) => {
+        const notify = [].concat(step.notify || []);
+        if (notify.length === 0) throw new Error(`${label} step ${n + 1} needs notify`);
+        for (const target of notify) {
+          if (!TARGETS.includes(target) && !TARGET_PREFIXES.some(prefix => target.startsWith(prefix) && target.length > prefix.length)) {
+            throw new Error(`${label} step ${n + 1}: unknown target "${target}"`);
+          }
+        }
+        const after = this.parseWindow(step.after ?? 0, `${label} step ${n + 1}`);
+        if (after < previous) throw new Error(`${label} step ${n + 1} comes before the step above it`);
+        previous = after;
+        return { after, notify };
+      });
+
+      return {
+        id: String(policy.id),
+        categories: policy.category ? [].concat(policy.category) : null,
+        priorities: policy.priority ? [].concat(policy.priority) : null,
+        sources: policy.source ? [].concat(policy.source) : null,
+        steps
+      };
+    });
+    this.checkRoles();
+    return this.policies;
+  }
+
+  /**
+   * Warn about role: targets that match no configured role, and return
+   * them. Skipped while no roles are known yet.
+   */
+  checkRoles() {
+    const roles = this.roles();
+    if (roles.length === 0) return [];
+    const unknown = [];
+    for (const policy of this.policies) {
+      policy.steps.forEach((step, n) => {
+        for (const target of step.notify.filter(t => t.startsWith('role:'))) {
+          if (roles.includes(target.slice('role:'.length))) continue;
+          console.warn(`[ESCALATION] Policy ${policy.id} step ${n + 1} pages ${target}, but no such role is configured`);
+          unknown.push(target);
+        }
+      });
+    }
+    return unknown;
+  }
+
+  parseWindow(value, label) {
+    if (typeof value === 'number') return value * 1000;
+    const ms = conditions.parseDuration(value);
+    if (ms === null) throw new Error(`Invalid duration in ${label}: ${value}`);
+    return ms;
+  }
+
+  /**
+   * The policy for an alert, or null if none applies
+   */
+  policyFor(alert) {
+    return this.policies.find(policy =>
+      (!policy.categories || policy.categories.includes(alert.category)) &&
+      (!policy.priorities || policy.priorities.includes(alert.priority)) &&
+      (!policy.sources || policy.sources.includes(alert.source))
+    ) || null;
+  }
+
+  /**
+   * Start chains for new alerts (and for alerts escalated into a policy),
+   * stop them on acknowledgment or resolution, and resume the chains of
+   * alerts reloaded from disk
+   */
+  attach() {
+    this.alerts.on('alert:created', (alert) => this.start(alert));
+    this.alerts.on('alert:escalated', (alert) => this.start(alert, alert.escalatedAt));
+    this.alerts.on('alert:repeated', (alert) => this.start(alert, alert.lastSeenAt));
+    this.alerts.on('alert:acknowledged', (alert) => this.stop(alert, 'acknowledged'));
+    this.alerts.on('alert:resolved', (alert) => this.stop(alert, 'resolved'));
+    this.resume();
+    return this;
+  }
+
+  /**
+   * Start an alert's chain, timed from `from` (default when it was
+   * raised), if a policy applies and none has run yet
+   */
+  start(alert, from = alert.createdAt) {
+    if (alert.escalationChain || alert.acknowledged || alert.resolved) return null;
+    const policy = this.policyFor(alert);
+    if (!policy) return null;
+
+    alert.escalationChain = {
+      policyId: policy.id,
+      startedAt: from,
+      nextStep: 0,
+      nextStepDueAt: new Date(Date.parse(from) + policy.steps[0].after).toISOString(),
+      completedAt: null,
+      stoppedAt: null,
+      stoppedReason: null,
+      steps: [],
+      held: []   // [{ operatorId, step, until }] paged when their quiet hours end
+    };
+    this.alerts.save(alert);
+    this.schedule(alert);
+    return alert.escalationChain;
+  }
+
+  /**
+   * Reschedule the chains still running on active alerts
+   */
+  resume() {
+    for (const alert of this.alerts.getActive()) {
+      const chain = alert.escalationChain;
+      if (chain && !chain.stoppedAt && !alert.acknowledged) this.schedule(alert);
+    }
+  }
+
+  /**
+   * When a chain next has something to do: its next step, or the end of
+   * someone's quiet hours. Null once there is nothing left.
+   */
+  nextDueAt(chain) {
+    const times = [chain.nextStepDueAt, ...(chain.held || []).map(h => h.until)].filter(Boolean).map(Date.parse);
+    return times.length ? Math.min(...times) : null;
+  }
+
+  schedule(alert) {
+    this.clear(alert.id);
+    const due = this.nextDueAt(alert.escalationChain);
+    if (due === null) return;
+    const delay = Math.max(0, due - Date.now());
+    this.timers.set(alert.id, setTimeout(() => this.runStep(alert.id), delay));
+  }
+
+  clear(alertId) {
+    const timer = this.timers.get(alertId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(alertId);
+    }
+  }
+
+  /**
+   * Stop an alert's chain
+   */
+  stop(alert, reason) {
+    this.clear(alert.id);
+    const chain = alert.escalationChain;
+    if (!chain || chain.completedAt || chain.stoppedAt) return false;
+    chain.stoppedAt = new Date().toISOString();
+    chain.stoppedReason = reason;
+    chain.nextStepDueAt = null;
+    chain.held = [];
+    if (!alert.resolved) this.alerts.save(alert);
+    this.emit('stopped', { alert, reason });
+    return true;
+  }
+
+  /**
+   * Users a step's targets name for this alert, without repeats
+   */
+  resolveTargets(targets, alert) {
+    const onDuty = this.shifts ? this.shifts.getOnDuty() : [];
+    const ids = [];
+    for (const target of targets) {
+      if (target === 'assigned') {
+        if (alert.assignedTo) ids.push(alert.assignedTo);
+      } else if (target === 'shift_lead') {
+        ids.push(...onDuty.map(shift => shift.lead).filter(Boolean));
+      } else if (target === 'shift') {
+        ids.push(...onDuty.flatMap(shift => shift.users));
+      } else if (target.startsWith('role:')) {
+        const role = target.slice('role:'.length);
+        ids.push(...this.users().filter(user => user.role === role).map(user => user.id));
+      } else if (target.startsWith('user:')) {
+        ids.push(target.slice('user:'.length));
+      }
+    }
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Page anyone whose quiet hours have ended, run the next step of an
+   * alert's chain if it is due, and schedule whatever comes after
+   */
+  runStep(alertId) {
+    this.timers.delete(alertId);
+    const alert = this.alerts.get(alertId);
+    const chain = alert?.escalationChain;
+    if (!chain || alert.acknowledged || alert.resolved || chain.stoppedAt) return null;
+    chain.held = chain.held || [];
+    this.pageHeld(alert, new Date());
+    if (!chain.nextStepDueAt || Date.parse(chain.nextStepDueAt) > Date.now()) {
+      this.schedule(alert);
+      return null;
+    }
+    const policy = this.policies.find(p => p.id === chain.policyId);
+    if (!policy || chain.nextStep >= policy.steps.length) {
+      this.stop(alert, 'policy removed');
+      return null;
+    }
+
+    const now = new Date();
+    const { notify } = policy.steps[chain.nextStep];
+    const delivered = [];
+    const suppressed = [];
+    for (const operatorId of this.resolveTargets(notify, alert)) {
+      if (this.operators && !this.operators.shouldNotify(operatorId, alert.priority, now)) {
+        suppressed.push(operatorId);
+        const until = this.operators.quietUntil(operatorId, alert.priority, now);
+        if (until && !chain.held.some(h => h.operatorId === operatorId)) {
+          chain.held.push({ operatorId, step: chain.nextStep + 1, until: until.toISOString() });
+        }
+      } else {
+        delivered.push(operatorId);
+      }
+    }
+    // Paged now, so no longer waiting on their quiet hours
+    chain.held = chain.held.filter(h => !delivered.includes(h.operatorId));
+
+    const step = { step: chain.nextStep + 1, notify, at: now.toISOString(), delivered, suppressed };
+    chain.steps.push(step);
+    alert.notes.push({
+      type: 'notification',
+      user: 'system',
+      text: `Step ${step.step} (${notify.join(', ')}): ` +
+        (delivered.length ? `paged ${delivered.join(', ')}` : 'nobody reachable') +
+        (suppressed.length ? `; held back for ${suppressed.join(', ')}` : ''),
+      timestamp: now.toISOString()
+    });
+
+    chain.nextStep++;
+    if (chain.nextStep >= policy.steps.length) {
+      chain.completedAt = now.toISOString();
+      chain.nextStepDueAt = null;
+    } else {
+      // Nobody reached: don't wait for the next step
+      const due = Date.parse(chain.startedAt) + policy.steps[chain.nextStep].after;
+      chain.nextStepDueAt = new Date(delivered.length ? Math.max(due, now.getTime()) : now.getTime()).toISOString();
+    }
+    this.schedule(alert);
+    alert.updatedAt = now.toISOString();
+    this.alerts.save(alert);
+
+    for (const operatorId of delivered) this.emit('notify', { operatorId, alert, step });
+    this.emit('step', { alert, step });
+    return step;
+  }
+
+  /**
+   * Page the people whose quiet hours have ended, if they are reachable
+   * now; anyone still held back waits for their next window
+   */
+  pageHeld(alert, now) {
+    const chain = alert.escalationChain;
+    const ready = chain.held.filter(h => Date.parse(h.until) <= now.getTime());
+    if (ready.length === 0) return;
+    chain.held = chain.held.filter(h => !ready.includes(h));
+
+    const paged = new Map();   // step record -> operator ids paged for it
+    for (const { operatorId, step: n } of ready) {
+      if (this.operators && !this.operators.shouldNotify(operatorId, alert.priority, now)) {
+        const until = this.operators.quietUntil(operatorId, alert.priority, now);
+        if (until) chain.held.push({ operatorId, step: n, until: until.toISOString() });
+        continue;
+      }
+      const step = chain.steps.find(s => s.step === n);
+      step.delivered.push(operatorId);
+      paged.set(step, [...(paged.get(step) || []), operatorId]);
+    }
+
+    for (const [step, ids] of paged) {
+      alert.notes.push({
+        type: 'notification',
+        user: 'system',
+        text: `Step ${step.step} (${step.notify.join(', ')}): paged ${ids.join(', ')} after quiet hours`,
+        timestamp: now.toISOString()
+      });
+    }
+    alert.updatedAt = now.toISOString();
+    this.alerts.save(alert);
+
+    for (const [step, ids] of paged) {
+      for (const operatorId of ids) this.emit('notify', { operatorId, alert, step });
+      this.emit('step', { alert, step });
+    }
+  }
+}
+
+module.exports = EscalationPolicies;
@@ -0,0 +1,151 @@
+/**
+ * KDT Aso - Standing Order Execution Journal
+ * Append-only record of every automatic execution: trigger context,
+ * approval, each agent's response, escalation and timings. One JSON line
+ * per execution in a file per day (UTC), so incidents can be replayed
+ * after a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const OUTCOMES = ['success', 'partial', 'failure', 'denied', 'expired', 'error'];
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function parseDate(value, endOfDay = false) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value);
+  // A bare date covers the whole day
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+    : new Date(text);
+  if (isNaN(date.getTime())) throw new Error(`Invalid date "${value}"`);
+  return date;
+}
+
+class ExecutionJournal {
+  constructor(opts = {}) {
+    this.dir = opts.dir || path.join(__dirname, '..', 'data', 'standing-orders', 'journal');
+  }
+
+  /**
+   * Work out an execution's outcome from its action results
+   */
+  static outcomeOf(actions = []) {
+    const succeeded = actions.filter(a => a.status === 'success').length;
+    if (succeeded === actions.length) return 'success';
+    return succeeded > 0 ? 'partial' : 'failure';
+  }
+
+  /**
+   * Append an execution. Fills in id, outcome and timings when missing.
+   */
+  record(execution) {
+    const completedAt = execution.completedAt || new Date().toISOString();
+    const triggeredAt = execution.triggeredAt || completedAt;
+    const entry = {
+      id: execution.id || uuidv4(),
+      orderId: execution.orderId,
+      orderName: execution.orderName || execution.orderId,
+      authorityLevel: execution.authorityLevel ?? null,
+      trigger: execution.trigger || null,
+      context: execution.context || {},
+      outcome: execution.outcome || ExecutionJournal.outcomeOf(execution.actions),
+      approval: execution.approval || null,
+      actions: execution.actions || [],
+      escalated: Boolean(execution.escalation),
+      escalation: execution.escalation || null,
+      error: execution.error || null,
+      triggeredAt,
+      completedAt,
+      durationMs: Date.parse(completedAt) - Date.parse(triggeredAt)
+    };
+    if (!OUTCOMES.includes(entry.outcome)) throw new Error(`Unknown outcome "${entry.outcome}"`);
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(path.join(this.dir, `${triggeredAt.slice(0, 10)}.jsonl`), JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  /**
+   * Day files, newest first, optionally limited to a date range
+   */
+  _files(from = null, to = null) {
+    if (!fs.existsSync(this.dir)) return [];
+    const first = from ? from.toISOString().slice(0, 10) : null;
+    const last = to ? to.toISOString().slice(0, 10) : null;
+    return fs.readdirSync(this.dir)
+      .map(name => name.match(DAY_FILE)?.[1])
+      .filter(day => day && (!first || day >= first) && (!last || day <= last))
+      .sort()
+      .reverse()
+      .map(day => path.join(this.dir, `${day}.jsonl`));
+  }
+
+  _read(file) {
+    const entries = [];
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        console.error(`[STANDING ORDERS] Skipping unreadable journal line in ${path.basename(file)}`);
+      }
+    }
+    return entries.reverse();
+  }
+
+  /**
+   * Query executions, newest first. Filters: orderId, from, to (ISO dates
+   * or times; a bare `to` date includes that whole day), outcome (one or a
+   * list), escalated, approvalId, limit, offset.
+   */
+  query(filters = {}) {
+    const from = parseDate(filters.from);
+    const to = parseDate(filters.to, true);
+    const outcomes = filters.outcome ? [].concat(filters.outcome) : null;
+    for (const outcome of outcomes || []) {
+      if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown outcome "${outcome}"`);
+    }
+    const escalated = filters.escalated === undefined || filters.escalated === null
+      ? null
+      : String(filters.escalated) === 'true';
+    const limit = filters.limit || 100;
+    const offset = filters.offset || 0;
+
+    const results = [];
+    let skipped = 0;
+    for (const file of this._files(from, to)) {
+      for (const entry of this._read(file)) {
+        const at = Date.parse(entry.triggeredAt);
+        if (from && at < from.getTime()) continue;
+        if (to && at > to.getTime()) continue;
+        if (filters.orderId && entry.orderId !== filters.orderId) continue;
+        if (outcomes && !outcomes.includes(entry.outcome)) continue;
+        if (escalated !== null && entry.escalated !== escalated) continue;
+        if (filters.approvalId && entry.approval?.id !== filters.approvalId) continue;
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+        results.push(entry);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Get one execution by id
+   */
+  get(id) {
+    for (const file of this._files()) {
+      const entry = this._read(file).find(e => e.id === id);
+      if (entry) return entry;
+    }
+    return null;
+  }
+}
+
+module.exports = ExecutionJournal;
@@ -0,0 +1,138 @@
+/**
+ * KDT Aso - Fact Extraction
+ * After each chat reply, a background model call reads what the operator
+ * said and pulls out facts worth keeping: people, places, vehicles,
+ * decisions and standing instructions. They go into the answering
+ * agent's memory as pending facts with the message they came from, a
+ * confidence and an optional expiry. Pending facts are in the agent's
+ * prompt marked unconfirmed until an operator confirms, edits or
+ * discards them through the review queue (/api/memory/review).
+ *
+ * Events:
+ *   extracted - ({ agentId, operatorId, threadId, facts }) when new facts
+ *               are waiting for review
+ *   reviewed  - ({ agentId, factId, action, fact, reviewedBy }) when an
+ *               operator confirms or discards one
+ */
+
+const EventEmitter = require('events');
+
+const CATEGORIES = ['person', 'place', 'vehicle', 'decision', 'instruction'];
+
+const normalize = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Pull the candidate facts out of the model's reply. Unknown categories,
+ * unreadable expiries and expiries already past are dropped.
+ */
+function parseExtractedFacts(text, now = new Date()) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch (err) {
+    return [];
+  }
+  return (Array.isArray(parsed.facts) ? parsed.facts : [])
+    .filter(f => f && typeof f.fact === 'string' && f.fact.trim() && CATEGORIES.includes(f.category))
+    .map(f => {
+      const expires = f.expires ? new Date(f.expires) : null;
+      return {
+        fact: f.fact.trim().slice(0, 500),
+        category: f.category,
+        confidence: Math.min(1, Math.max(0, Number(f.confidence) || 0)),
+        expiresAt: expires && !isNaN(expires) && expires > now ? expires.toISOString() : null
+      };
+    });
+}
+
+class FactExtractor extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.llm = opts.llm;
+    this.memory = opts.memory;
+    this.guard = opts.guard || null;
+    this.enabled = opts.enabled !== false;
+    this.minConfidence = opts.minConfidence ?? 0.6;   // Candidates below this are dropped
+    this.maxFacts = opts.maxFacts || 5;               // Per message
+    this.minWords = opts.minWords || 4;               // Shorter messages are skipped
+  }
+
+  /**
+   * Extract facts from one exchange and store them as pending. turn:
+   * { agentId, message, reply, threadId, tags } where tags.operatorId is
+   * who said it. Resolves to the facts added.
+   */
+  async extract(turn) {
+    if (!this.enabled || String(turn.message || '').trim().split(/\s+/).length < this.minWords) return [];
+    const tags = turn.tags || {};
+    const now = new Date();
+    const reply = this.guard
+      ? this.guard.prepare('agent', turn.reply || '', { label: 'Agent reply', userId: tags.operatorId, agentId: turn.agentId }).text
+      : turn.reply || '';
+
+    const response = await this.llm.create({
+      max_tokens: 600,
+      system: `You pick out durable facts an Operator states to the KDT Aso staff, so the staff remember them. Only record what the Operator said, not the agent's reply (that is context). Categories:
+- person: who someone is, their role, callsign or contact
+- place: locations, routes, checkpoints and their state
+- vehicle: vehicles, plates, equipment and their state
+- decision: something decided or approved
+- instruction: a standing instruction for the staff
+
+Skip questions, greetings, one-off requests and anything uncertain. Give each fact a confidence from 0 to 1 and, if it stops being true at a known time, an "expires" ISO 8601 timestamp (current time: ${now.toISOString()}).
+
+Respond with ONLY JSON: {"facts": [{"fact": "Sgt Bello is the gate 3 commander", "category": "person", "confidence": 0.9, "expires": null}]}${this.guard ? `\n\n${this.guard.instructions()}` : ''}`,
+      messages: [{ role: 'user', content: `Operator: ${turn.message}\n\nAgent reply:\n${reply}` }]
+    }, { task: 'extraction', agent: turn.agentId, tags });
+
+    const known = new Set(this.memory.agentMemory(turn.agentId).facts.map(f => normalize(f.fact)));
+    const added = [];
+    for (const candidate of parseExtractedFacts(response.content[0].text, now)) {
+      if (added.length >= this.maxFacts) break;
+      if (candidate.confidence < this.minConfidence || known.has(normalize(candidate.fact))) continue;
+      known.add(normalize(candidate.fact));
+      added.push(this.memory.addFact(turn.agentId, candidate.fact, {
+        category: candidate.category,
+        source: 'extracted',
+        status: 'pending',
+        confidence: candidate.confidence,
+        expiresAt: candidate.expiresAt,
+        sourceMessage: { text: String(turn.message).slice(0, 1000), threadId: turn.threadId || null, operatorId: tags.operatorId || null }
+      }));
+    }
+    if (added.length > 0) {
+      this.emit('extracted', { agentId: turn.agentId, operatorId: tags.operatorId || null, threadId: turn.threadId || null, facts: added });
+    }
+    return added;
+  }
+
+  /**
+   * Confirm a pending fact, applying any edits: { fact, category, expiresAt }
+   */
+  confirm(agentId, factId, edits = {}, reviewedBy = null) {
+    const pending = this.memory.agentMemory(agentId).facts.find(f => f.id === factId && f.status === 'pending');
+    if (!pending) return null;
+    if (edits.category !== undefined && !CATEGORIES.includes(edits.category)) {
+      throw new Error(`category must be one of ${CATEGORIES.join(', ')}`);
+    }
+    const changes = { status: 'confirmed', reviewedBy, reviewedAt: new Date().toISOString() };
+    for (const field of ['fact', 'category', 'expiresAt']) {
+      if (edits[field] !== undefined) changes[field] = edits[field];
+    }
+    const fact = this.memory.updateFact(agentId, factId, changes);
+    this.emit('reviewed', { agentId, factId, action: 'confirm', fact, reviewedBy });
+    return fact;
+  }
+
+  discard(agentId, factId, reviewedBy = null) {
+    const pending = this.memory.agentMemory(agentId).facts.find(f => f.id === factId && f.status === 'pending');
+    if (!pending) return false;
+    this.memory.removeFact(agentId, factId);
+    this.emit('reviewed', { agentId, factId, action: 'discard', fact: pending, reviewedBy });
+    return true;
+  }
+}
+
+module.exports = { FactExtractor, parseExtractedFacts, CATEGORIES };
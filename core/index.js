@@ -11,19 +11,28 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 
 const AgentRouter = require('./router');
+const { ToolRegistry, registerSubsystemTools } = require('./agent-tools');
+const { LLMService } = require('./llm');
+const UsageMeter = require('./usage');
 const StandingOrders = require('./standing-orders');
+const Scheduler = require('./scheduler');
+const ApprovalQueue = require('./approvals');
+const StandingOrderSimulator = require('./simulator');
 const OperatorManager = require('./operators');
 const { AuthManager, authMiddleware, requireRole } = require('./auth');
 const VoiceInterface = require('./voice');
 const AlertSystem = require('./alerts');
+const EscalationPolicies = require('./escalation-policies');
 const SensorSystem = require('./sensors');
+const SensorTriggerBridge = require('./sensor-bridge');
 const AdminSystem = require('./admin');
 const LanguageSupport = require('./languages');
-const PersistentMemory = require('./persistent-memory');
 const DocumentStorage = require('./documents');
 const BackupSystem = require('./backup');
+const { PrivacyControls, createMatcher } = require('./privacy');
 const EncryptionSystem = require('./encryption');
 const TileServer = require('./tile-server');
 const MissionPlanner = require('./mission-planner');
@@ -61,14 +70,14 @@ const {
 setupProcessHandlers();
 
 const languageSupport = new LanguageSupport();
-const persistentMemory = new PersistentMemory('./memory');
 const documentStorage = new DocumentStorage('./documents');
 const backupSystem = new BackupSystem({ backupDir: './backups', dataDir: '.' });
 const encryptionSystem = new EncryptionSystem({ keyDir: './config/keys' });
 const tileServer = new TileServer(path.join(__dirname, '..', 'tiles'));
 const missionPlanner = new MissionPlanner();
 const incidentTracker = new IncidentTracker();
-const shiftManager = new ShiftManager();
+const scheduler = new Scheduler();
+const shiftManager = new ShiftManager({ scheduler });
 
 // Security systems
 const securityAudit = new SecurityAuditLog();
@@ -204,15 +213,61 @@ app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? 1 : false);
 setInterval(() => accountLockout.cleanup(), 5 * 60 * 1000);
 
 // Initialize core systems
-const agentRouter = new AgentRouter();
-const standingOrders = new StandingOrders();
+// Per-agent tools and models come from the agent manifests
+const agentTools = new ToolRegistry({
+  hasPermission: (user, permission) => adminSystem.hasPermission(user, permission),
+  allowedTools: (agentId) => agentRouter.agents[agentId]?.tools || null,
+  guardResult: (source, text, meta) => agentRouter.guard.prepare(source, text, meta).text
+});
+const usageMeter = new UsageMeter();
+const llm = new LLMService({
+  getDefaultModel: () => adminSystem.getSettings('agents')?.defaultModel,
+  getAgentModel: (agentId) => agentRouter.agents[agentId]?.model,
+  meter: usageMeter
+});
+// MEMORY_DIR moves agent memory out of the checkout's memory/ (tests use a temp dir)
+const agentRouter = new AgentRouter({ tools: agentTools, llm, memoryDir: process.env.MEMORY_DIR || undefined });
+agentRouter.retrieval.indexDocuments(documentStorage)
+  .catch(err => console.error('Document indexing failed:', err));
+const retentionConfig = agentRouter.systemConfig.memory?.retention || {};
+const privacyControls = new PrivacyControls({
+  memory: agentRouter.memory,
+  conversations: agentRouter.conversations,
+  routingLog: agentRouter.routingLog,
+  classifier: agentRouter.classifier,
+  retrieval: agentRouter.retrieval,
+  backups: backupSystem,
+  documents: documentStorage,
+  sessionDays: retentionConfig.session_days
+});
+scheduler.add('memory-retention', retentionConfig.schedule || '0 3 * * *', () => privacyControls.applyRetention(), { catchUp: 'latest' });
+const standingOrders = new StandingOrders({ scheduler });
 const operatorManager = new OperatorManager();
 const authManager = new AuthManager();
 const voiceInterface = new VoiceInterface();
+const applyAgentVoices = () => {
+  for (const [agentId, agent] of Object.entries(agentRouter.agents)) {
+    if (agent.voice) voiceInterface.setVoiceProfile(agentId, agent.voice.id, agent.voice.name);
+  }
+};
+applyAgentVoices();
 const alertSystem = new AlertSystem();
 const sensorSystem = new SensorSystem();
 const adminSystem = new AdminSystem('./config');
-adminSystem.init().catch(err => console.error('Admin system init failed:', err));
+const sensorBridge = new SensorTriggerBridge({ standingOrders });
+standingOrders.configureValidation({
+  isKnownAgent: (agentId) => Boolean(agentRouter.agents[agentId]),
+  triggerSources: [() => sensorBridge.listMappings().map(m => m.standingOrderTrigger)]
+});
+const simulator = new StandingOrderSimulator({ standingOrders, agentRouter });
+const approvalQueue = new ApprovalQueue({
+  canApprove: (user, level) => adminSystem.canApproveLevel(user, level),
+  isKnownAgent: (agentId) => Boolean(agentRouter.agents[agentId])
+});
+registerSubsystemTools(agentTools, { alertSystem, addGeoMarker, missionPlanner, incidentTracker, documentStorage });
+const adminReady = adminSystem.init()
+  .then(() => scheduler.setTimezone(adminSystem.getSettings('system').timezone || scheduler.timezone))
+  .catch(err => console.error('Admin system init failed:', err));
 
 // Sensor system event handlers
 sensorSystem.on('sensor:registered', (sensor) => {
@@ -240,30 +295,6 @@ sensorSystem.on('sensor:trigger', (trigger) => {
   console.log(`Sensor trigger: ${trigger.trigger} from ${trigger.sensorName}`);
   io.emit('sensor:trigger', trigger);
   
-  // Map sensor triggers to standing order triggers
-  const triggerMapping = {
-    'motion_detected': 'movement_detected_perimeter',
-    'person_detected': 'movement_detected_perimeter',
-    'geofence_breach': 'tracked_asset_leaves_geofence',
-    'face_match': 'watchlist_entity_detected',
-    'sos_activated': 'emergency_declared',
-    'forced_entry': 'movement_detected_perimeter',
-    'smoke_detected': 'emergency_declared',
-    'gas_leak': 'emergency_declared'
-  };
-  
-  const standingOrderTrigger = triggerMapping[trigger.trigger];
-  if (standingOrderTrigger) {
-    standingOrders.checkTrigger(standingOrderTrigger, {
-      sensor: trigger.sensorId,
-      sensorName: trigger.sensorName,
-      sensorType: trigger.sensorType,
-      zone: trigger.zone,
-      originalTrigger: trigger.trigger,
-      data: trigger.data
-    });
-  }
-  
   // Create alert for critical triggers
   const criticalTriggers = ['forced_entry', 'sos_activated', 'smoke_detected', 'gas_leak', 'face_match'];
   const highTriggers = ['geofence_breach', 'tamper_alert', 'jamming_detected'];
@@ -288,17 +319,11 @@ sensorSystem.on('sensor:trigger', (trigger) => {
 sensorSystem.on('sensor:offline', (sensor) => {
   console.log(`Sensor offline: ${sensor.name}`);
   io.emit('sensor:offline', sensor);
-  
-  // Check standing order for asset offline
-  standingOrders.checkTrigger('tracked_asset_no_signal', {
-    sensor: sensor.id,
-    sensorName: sensor.name,
-    sensorType: sensor.type,
-    zone: sensor.zone,
-    lastSeen: sensor.lastSeen
-  });
 });
 
+// Sensor triggers -> standing orders (mappings in config/sensor_triggers.yaml)
+sensorBridge.attach(sensorSystem);
+
 // Alert system event handlers
 alertSystem.on('alert', (alert) => {
   io.emit('alert:new', alert);
@@ -317,6 +342,33 @@ alertSystem.on('alert:escalated', (alert) => {
   console.log(`Alert escalated: ${alert.title} -> ${alert.priority}`);
 });
 
+alertSystem.on('alert:repeated', (alert) => {
+  io.emit('alert:updated', alert);
+});
+
+alertSystem.on('alert:correlated', (group) => {
+  io.emit('alert:correlated', group);
+});
+
+// On-call escalation chains (config/escalation_policies.yaml)
+const escalationPolicies = new EscalationPolicies({
+  alerts: alertSystem,
+  shifts: shiftManager,
+  operators: operatorManager,
+  users: () => authManager.listUsers(),
+  roles: () => adminSystem.listRoles().map(role => role.id)
+}).attach();
+// Roles load with the admin system, after the policies
+adminReady.then(() => escalationPolicies.checkRoles());
+
+escalationPolicies.on('notify', ({ operatorId, alert, step }) => {
+  io.to(`operator:${operatorId}`).emit('alert:page', { alert, step });
+});
+
+escalationPolicies.on('step', ({ alert }) => {
+  io.emit('alert:updated', alert);
+});
+
 // Serve audio files
 app.use('/audio', express.static(path.join(__dirname, '..', 'audio')));
 
@@ -496,12 +548,15 @@ app.get('/api/status', (req, res) => {
 });
 
 app.post('/api/message', authMiddleware(authManager), async (req, res) => {
-  const { operatorId, message, language, sessionId } = req.body;
+  const { operatorId, message, language, sessionId, threadId } = req.body;
   
   try {
+    if (threadId && !agentRouter.conversations.get(threadId, req.user.id)) {
+      return res.status(404).json({ error: 'Conversation thread not found' });
+    }
     const operator = operatorManager.getOperator(operatorId);
-    const session = sessionId || `api-${operatorId || 'default'}`;
-    const response = await agentRouter.route(message, operator, language, session);
+    const session = threadId || sessionId || `api-${operatorId || 'default'}`;
+    const response = await agentRouter.route(message, operator, language, session, { user: req.user, threadId });
     
     // Broadcast to dashboard
     io.emit('message', {
@@ -521,6 +576,109 @@ app.get('/api/agents', authMiddleware(authManager), (req, res) => {
   res.json(agentRouter.getAgentStatus());
 });
 
+// Tools agents may use on the caller's behalf
+app.get('/api/agents/tools', authMiddleware(authManager), (req, res) => {
+  res.json(Array.from(agentTools.tools.values()).map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    permission: tool.permission,
+    authorityLevel: tool.authorityLevel,
+    input_schema: tool.input_schema,
+    allowed: agentTools.denial(tool.name, { user: req.user }) === null
+  })));
+});
+
+// Your own model usage today against your budget
+app.get('/api/usage/me', authMiddleware(authManager), (req, res) => {
+  res.json(usageMeter.budgetStatus('operator', req.user.id));
+});
+
+// ========== Conversations ==========
+
+// Your conversation threads, most recent first
+app.get('/api/conversations', authMiddleware(authManager), (req, res) => {
+  res.json(agentRouter.conversations.list(req.user.id));
+});
+
+app.post('/api/conversations', authMiddleware(authManager), (req, res) => {
+  const thread = agentRouter.conversations.create(req.user.id, { title: req.body.title });
+  res.status(201).json(agentRouter.conversations.describe(thread));
+});
+
+// A thread with its messages, to pick the conversation back up
+app.get('/api/conversations/:threadId', authMiddleware(authManager), (req, res) => {
+  const thread = agentRouter.conversations.get(req.params.threadId, req.user.id);
+  if (!thread) return res.status(404).json({ error: 'Conversation thread not found' });
+  res.json({
+    ...agentRouter.conversations.describe(thread),
+    summary: thread.summary,
+    messages: thread.messages.slice(-(parseInt(req.query.limit) || 100))
+  });
+});
+
+app.patch('/api/conversations/:threadId', authMiddleware(authManager), (req, res) => {
+  try {
+    const thread = agentRouter.conversations.rename(req.params.threadId, req.user.id, req.body.title);
+    if (!thread) return res.status(404).json({ error: 'Conversation thread not found' });
+    res.json(agentRouter.conversations.describe(thread));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/conversations/:threadId', authMiddleware(authManager), (req, res) => {
+  if (!agentRouter.conversations.delete(req.params.threadId, req.user.id)) {
+    return res.status(404).json({ error: 'Conversation thread not found' });
+  }
+  res.json({ success: true });
+});
+
+// ========== Routing Audit ==========
+
+// Routing decisions, newest first
+// Decisions carry the operator's message: only admins see everyone's
+const routingOwner = (req) => (req.user.role === 'admin' ? req.query.userId : req.user.id);
+
+app.get('/api/routing/decisions', authMiddleware(authManager), (req, res) => {
+  try {
+    res.json(agentRouter.routingLog.query({
+      userId: routingOwner(req),
+      agentId: req.query.agentId,
+      method: req.query.method,
+      sessionId: req.query.sessionId,
+      corrected: req.query.corrected,
+      clarification: req.query.clarification,
+      from: req.query.from,
+      to: req.query.to,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+      offset: parseInt(req.query.offset) || 0
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/routing/stats', authMiddleware(authManager), (req, res) => {
+  try {
+    res.json(agentRouter.routingLog.stats({ userId: routingOwner(req), from: req.query.from, to: req.query.to }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Routes learned from operator corrections
+app.get('/api/routing/learned', authMiddleware(authManager), adminAuth, (req, res) => {
+  res.json(agentRouter.classifier.learned);
+});
+
+app.delete('/api/routing/learned/:id', authMiddleware(authManager), adminAuth, async (req, res) => {
+  if (!agentRouter.classifier.forget(req.params.id)) {
+    return res.status(404).json({ error: 'Learned route not found' });
+  }
+  await adminSystem.logAction(req.user.id, 'routing.forget', { learnedId: req.params.id });
+  res.json({ success: true });
+});
+
 app.get('/api/standing-orders', authMiddleware(authManager), (req, res) => {
   res.json(standingOrders.list());
 });
@@ -543,12 +701,207 @@ app.post('/api/standing-orders/trigger', authMiddleware(authManager), async (req
   }
 });
 
+// Dry-run standing orders: returns a report, executes nothing and emits nothing
+app.post('/api/standing-orders/simulate', authMiddleware(authManager), async (req, res) => {
+  const { orderId, order, context, events, trigger, responses, live } = req.body || {};
+  if (live && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required for live agent simulation' });
+  }
+
+  try {
+    const report = await simulator.simulate({ orderId, order, context, events, trigger, responses, live: Boolean(live) });
+    res.json(report);
+  } catch (error) {
+    const status = /not found/i.test(error.message) ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Sensor trigger mappings and recent dispatch decisions
+app.get('/api/standing-orders/sensor-mappings', authMiddleware(authManager), (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  res.json({
+    mappings: sensorBridge.listMappings(),
+    recent: sensorBridge.getHistory(limit, {
+      sensorId: req.query.sensorId,
+      outcome: req.query.outcome
+    })
+  });
+});
+
 // Get standing order logs
 app.get('/api/standing-orders/logs', authMiddleware(authManager), (req, res) => {
   const limit = parseInt(req.query.limit) || 100;
   res.json(standingOrders.getLogs(limit));
 });
 
+// Query the durable execution journal
+app.get('/api/standing-orders/executions', authMiddleware(authManager), (req, res) => {
+  try {
+    res.json(standingOrders.journal.query({
+      orderId: req.query.orderId,
+      from: req.query.from,
+      to: req.query.to,
+      outcome: req.query.outcome ? String(req.query.outcome).split(',') : null,
+      escalated: req.query.escalated,
+      approvalId: req.query.approvalId,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+      offset: parseInt(req.query.offset) || 0
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/standing-orders/executions/:executionId', authMiddleware(authManager), (req, res) => {
+  const execution = standingOrders.journal.get(req.params.executionId);
+  if (execution) {
+    res.json(execution);
+  } else {
+    res.status(404).json({ error: 'Execution not found' });
+  }
+});
+
+// ========== Standing Order Editing (admin) ==========
+
+// Run a standing order edit, audit it and answer with the new revision
+function handleOrderEdit(action, edit) {
+  return async (req, res) => {
+    try {
+      const revision = edit(req, { userId: req.user.id, note: req.body?.note });
+      await adminSystem.logAction(req.user.id, `standing-order.${action}`, {
+        orderId: revision.orderId,
+        revision: revision.id,
+        rolledBackTo: revision.rolledBackTo
+      });
+      res.json({ success: true, revision, order: revision.orderId ? standingOrders.orders[revision.orderId] || null : null });
+    } catch (error) {
+      const status = /not found/i.test(error.message) ? 404 : 400;
+      res.status(status).json({ error: error.message });
+    }
+  };
+}
+
+// Orders submitted as JSON: { id, trigger, authority_level, actions, ... }
+function orderFromBody(body) {
+  const { id, note, ...order } = body || {};
+  return order;
+}
+
+app.post('/api/standing-orders', authMiddleware(authManager), adminAuth, handleOrderEdit('create',
+  (req, meta) => standingOrders.createOrder(req.body?.id, orderFromBody(req.body), meta)
+));
+
+app.post('/api/standing-orders/reload', authMiddleware(authManager), adminAuth, async (req, res) => {
+  try {
+    const revision = standingOrders.reload({ userId: req.user.id });
+    await adminSystem.logAction(req.user.id, 'standing-order.reload', { revision: revision?.id || null });
+    res.json({ success: true, revision, orders: standingOrders.getActiveCount() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/standing-orders/revisions', authMiddleware(authManager), adminAuth, (req, res) => {
+  res.json(standingOrders.revisions.list({
+    orderId: req.query.orderId,
+    limit: parseInt(req.query.limit) || 100
+  }));
+});
+
+app.get('/api/standing-orders/revisions/:rev', authMiddleware(authManager), adminAuth, (req, res) => {
+  const revision = standingOrders.revisions.get(req.params.rev);
+  if (revision) {
+    res.json(revision);
+  } else {
+    res.status(404).json({ error: 'Revision not found' });
+  }
+});
+
+app.post('/api/standing-orders/revisions/:rev/rollback', authMiddleware(authManager), adminAuth, handleOrderEdit('rollback',
+  (req, meta) => standingOrders.rollback(req.params.rev, meta)
+));
+
+app.put('/api/standing-orders/:id', authMiddleware(authManager), adminAuth, handleOrderEdit('update',
+  (req, meta) => standingOrders.updateOrder(req.params.id, orderFromBody(req.body), meta)
+));
+
+app.post('/api/standing-orders/:id/disable', authMiddleware(authManager), adminAuth, handleOrderEdit('disable',
+  (req, meta) => standingOrders.setEnabled(req.params.id, false, meta)
+));
+
+app.post('/api/standing-orders/:id/enable', authMiddleware(authManager), adminAuth, handleOrderEdit('enable',
+  (req, meta) => standingOrders.setEnabled(req.params.id, true, meta)
+));
+
+app.delete('/api/standing-orders/:id', authMiddleware(authManager), adminAuth, handleOrderEdit('delete',
+  (req, meta) => standingOrders.deleteOrder(req.params.id, meta)
+));
+
+// ========== Standing Order Approvals ==========
+
+// Apply approver decisions and audit them. Used by REST and socket handlers.
+async function decideApproval(user, approvalId, decisions) {
+  const approval = approvalQueue.decide(approvalId, user, decisions);
+  await adminSystem.logAction(user.id, 'standing-order.approval', {
+    approvalId,
+    orderId: approval.orderId,
+    decisions,
+    status: approval.status
+  });
+  return approval;
+}
+
+function handleApprovalDecision(buildDecisions) {
+  return async (req, res) => {
+    const approval = approvalQueue.get(req.params.id);
+    if (!approval) {
+      return res.status(404).json({ error: 'Approval not found' });
+    }
+    if (!approvalQueue.canApprove(req.user, approval.authorityLevel)) {
+      return res.status(403).json({ error: `Not permitted to approve authority level ${approval.authorityLevel} orders` });
+    }
+    try {
+      res.json(await decideApproval(req.user, req.params.id, buildDecisions(req.body || {})));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+}
+
+app.get('/api/approvals', authMiddleware(authManager), (req, res) => {
+  res.json(approvalQueue.list({
+    status: req.query.status,
+    orderId: req.query.orderId,
+    limit: parseInt(req.query.limit) || 100
+  }));
+});
+
+app.get('/api/approvals/:id', authMiddleware(authManager), (req, res) => {
+  const approval = approvalQueue.get(req.params.id);
+  if (approval) {
+    res.json(approval);
+  } else {
+    res.status(404).json({ error: 'Approval not found' });
+  }
+});
+
+app.post('/api/approvals/:id/approve', authMiddleware(authManager), handleApprovalDecision(
+  ({ index, note }) => [{ decision: 'approve', index, note }]
+));
+
+app.post('/api/approvals/:id/deny', authMiddleware(authManager), handleApprovalDecision(
+  ({ index, note }) => [{ decision: 'deny', index, note }]
+));
+
+app.post('/api/approvals/:id/modify', authMiddleware(authManager), handleApprovalDecision(
+  ({ index, agent, action, note }) => [{ decision: 'modify', index, agent, action, note }]
+));
+
+app.post('/api/approvals/:id/decide', authMiddleware(authManager), handleApprovalDecision(
+  ({ decisions }) => decisions || []
+));
+
 // Get a specific standing order
 app.get('/api/standing-orders/:id', authMiddleware(authManager), (req, res) => {
   const order = standingOrders.orders[req.params.id];
@@ -580,11 +933,16 @@ app.get('/api/geo/data', authMiddleware(authManager), (req, res) => {
   res.json(geoData);
 });
 
-app.post('/api/geo/marker', authMiddleware(authManager), (req, res) => {
-  const marker = { ...req.body, id: req.body.id || `marker-${Date.now()}` };
+// Shared by the REST route and the add_map_marker agent tool
+function addGeoMarker(data) {
+  const marker = { ...data, id: data.id || `marker-${Date.now()}` };
   geoData.markers.push(marker);
   io.emit('geo:marker:add', marker);
-  res.json(marker);
+  return marker;
+}
+
+app.post('/api/geo/marker', authMiddleware(authManager), (req, res) => {
+  res.json(addGeoMarker(req.body));
 });
 
 app.delete('/api/geo/marker/:id', authMiddleware(authManager), (req, res) => {
@@ -613,7 +971,8 @@ app.get('/api/alerts', authMiddleware(authManager), (req, res) => {
   const filters = {
     priority: req.query.priority,
     category: req.query.category,
-    unacknowledged: req.query.unacknowledged === 'true'
+    unacknowledged: req.query.unacknowledged === 'true',
+    groupId: req.query.groupId
   };
   res.json(alertSystem.getActive(filters));
 });
@@ -623,16 +982,61 @@ app.get('/api/alerts/counts', authMiddleware(authManager), (req, res) => {
 });
 
 app.get('/api/alerts/history', authMiddleware(authManager), (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
   const filters = {
     priority: req.query.priority,
     category: req.query.category,
     from: req.query.from,
-    to: req.query.to
+    to: req.query.to,
+    offset: parseInt(req.query.offset) || 0
   };
   res.json(alertSystem.getHistory(limit, filters));
 });
 
+app.get('/api/alerts/policies', authMiddleware(authManager), (req, res) => {
+  res.json(escalationPolicies.policies);
+});
+
+// Groups of related alerts: incident candidates
+app.get('/api/alerts/groups', authMiddleware(authManager), (req, res) => {
+  res.json(alertSystem.getGroups());
+});
+
+app.get('/api/alerts/groups/:groupId', authMiddleware(authManager), (req, res) => {
+  const group = alertSystem.getGroup(req.params.groupId);
+  if (!group) return res.status(404).json({ error: 'Alert group not found' });
+  res.json({ ...group, alerts: alertSystem.getActive({ groupId: group.id }) });
+});
+
+// Raise a group as one incident
+const INCIDENT_PRIORITY_BY_ALERT = { critical: 'flash', high: 'immediate', medium: 'priority', low: 'routine', info: 'routine' };
+
+app.post('/api/alerts/groups/:groupId/incident', authMiddleware(authManager), (req, res) => {
+  const group = alertSystem.getGroup(req.params.groupId);
+  if (!group) return res.status(404).json({ error: 'Alert group not found' });
+  if (group.incidentId) return res.status(409).json({ error: 'Group already raised as an incident', incidentId: group.incidentId });
+
+  const alerts = alertSystem.getActive({ groupId: group.id });
+  const incident = incidentTracker.create({
+    type: req.body.type || (group.categories.includes('security') ? 'security-breach' : 'other'),
+    priority: req.body.priority || INCIDENT_PRIORITY_BY_ALERT[group.priority],
+    title: req.body.title || alerts[0].title,
+    description: req.body.description || alerts
+      .map(a => `${a.title}: ${a.message}${a.occurrences > 1 ? ` (x${a.occurrences})` : ''}`)
+      .join('\n'),
+    reportedBy: req.user.id
+  });
+  incidentTracker.addEvent(incident.id, {
+    description: `Raised from ${alerts.length} correlated alerts (${group.sharedKeys.join(', ')})`,
+    by: req.user.id,
+    data: { groupId: group.id, alertIds: group.alertIds }
+  });
+  alertSystem.linkIncident(group.id, incident.id);
+
+  io.emit('incident:created', { id: incident.id, title: incident.title, priority: incident.priority });
+  res.status(201).json(incident);
+});
+
 app.get('/api/alerts/:id', authMiddleware(authManager), (req, res) => {
   const alert = alertSystem.get(req.params.id);
   if (alert) {
@@ -837,107 +1241,232 @@ io.on('connection', (socket) => {
     socket.join(`operator:${operatorId}`);
   });
   
+  // Replies still streaming to this socket: responseId -> AbortController
+  const activeResponses = new Map();
+
   socket.on('message', async (data) => {
+    const responseId = uuidv4();
+    let started = false;
     try {
-    // Per-socket rate limiting
-    if (!checkSocketRateLimit(socket.id)) {
-      return socket.emit('response', { agent: 'KDT Aso', content: 'Rate limit exceeded. Please wait before sending more messages.', timestamp: new Date().toISOString() });
-    }
-    // Input validation for socket messages
-    if (!data || typeof data !== 'object') {
-      return socket.emit('response', { agent: 'KDT Aso', content: 'Invalid message format.', timestamp: new Date().toISOString() });
-    }
-    if (typeof data.message !== 'string' || data.message.length === 0 || data.message.length > 10000) {
-      return socket.emit('response', { agent: 'KDT Aso', content: 'Message must be a string between 1 and 10,000 characters.', timestamp: new Date().toISOString() });
-    }
-    if (data.language && (typeof data.language !== 'string' || data.language.length > 10)) {
-      return socket.emit('response', { agent: 'KDT Aso', content: 'Invalid language code.', timestamp: new Date().toISOString() });
-    }
-    if (data.missionId && (typeof data.missionId !== 'string' || data.missionId.length > 100)) {
-      return socket.emit('response', { agent: 'KDT Aso', content: 'Invalid mission ID.', timestamp: new Date().toISOString() });
-    }
-    console.log('[CHAT] Message received:', JSON.stringify({ message: data.message?.substring(0, 50), missionId: data.missionId }));
-    const { message, language, voiceEnabled, missionId } = data;
-    const operator = operatorManager.getOperator(socket.operatorId);
-    const sessionId = `ws-${socket.operatorId || 'default'}-${socket.id}`;
-    
-    let response;
-    if (missionId) {
-      // Route to plans officer with mission context
-      const mission = missionPlanner.getMission(missionId);
-      if (mission) {
-        const taskings = (mission.taskings || []).map(t => {
-          const tasks = Array.isArray(t.tasks) ? t.tasks.join('; ') : String(t.tasks || '');
-          return `${t.unit} [${t.priority}/${t.status}]: ${tasks} — Purpose: ${t.purpose}`;
-        }).join('\n');
-        const overlays = (mission.mapOverlays || []).map(o => `${o.type}: ${o.name} — ${o.description}`).join('\n');
-        
-        let opordText = '';
-        try { opordText = missionPlanner.generateOpordText(missionId); } catch(e) { console.error('[CHAT] OPORD gen error:', e.message); }
-        
-        const missionContext = {
-          opordText,
-          mettTc: JSON.stringify(mission.mettTc || {}, null, 2),
-          taskings,
-          overlays,
-          missionName: mission.name,
-          missionStatus: mission.status,
-        };
-        response = await agentRouter.route(message, operator, language || 'en', sessionId, { missionContext, forceAgent: 'plans_officer' });
+      // Per-socket rate limiting
+      if (!checkSocketRateLimit(socket.id)) {
+        return socket.emit('response', { agent: 'KDT Aso', content: 'Rate limit exceeded. Please wait before sending more messages.', timestamp: new Date().toISOString() });
+      }
+      // Input validation for socket messages
+      if (!data || typeof data !== 'object') {
+        return socket.emit('response', { agent: 'KDT Aso', content: 'Invalid message format.', timestamp: new Date().toISOString() });
+      }
+      if (typeof data.message !== 'string' || data.message.length === 0 || data.message.length > 10000) {
+        return socket.emit('response', { agent: 'KDT Aso', content: 'Message must be a string between 1 and 10,000 characters.', timestamp: new Date().toISOString() });
+      }
+      if (data.language && (typeof data.language !== 'string' || data.language.length > 10)) {
+        return socket.emit('response', { agent: 'KDT Aso', content: 'Invalid language code.', timestamp: new Date().toISOString() });
+      }
+      if (data.missionId && (typeof data.missionId !== 'string' || data.missionId.length > 100)) {
+        return socket.emit('response', { agent: 'KDT Aso', content: 'Invalid mission ID.', timestamp: new Date().toISOString() });
+      }
+      // The conversation continues in the operator's thread, which outlives this socket
+      let thread;
+      if (data.threadId) {
+        thread = typeof data.threadId === 'string' && agentRouter.conversations.get(data.threadId, socket.user?.id);
+        if (!thread) {
+          return socket.emit('response', { agent: 'KDT Aso', content: 'Conversation thread not found.', error: true, timestamp: new Date().toISOString() });
+        }
       } else {
-        response = await agentRouter.route(message, operator, language || 'en', sessionId);
+        // Carry on in the operator's latest thread rather than saving a new one per message
+        thread = (!data.newThread && agentRouter.conversations.latest(socket.user?.id)) ||
+          agentRouter.conversations.create(socket.user?.id);
+        socket.emit('chat:thread', agentRouter.conversations.describe(thread));
       }
-    } else {
-      response = await agentRouter.route(message, operator, language || 'en', sessionId);
-    }
+      console.log('[CHAT] Message received:', JSON.stringify({ message: data.message?.substring(0, 50), missionId: data.missionId }));
+      const { message, language, voiceEnabled, missionId } = data;
+      const operator = operatorManager.getOperator(socket.operatorId);
+      const sessionId = thread.id;
+
+      // Stream the reply: response:start, response:delta..., response:end.
+      // With voice on, each finished sentence is synthesised straight away.
+      const controller = new AbortController();
+      activeResponses.set(responseId, controller);
+      let partial = '';
+      let speech = null;
+      const stream = {
+        user: socket.user,
+        threadId: thread.id,
+        signal: controller.signal,
+        onStart: (agent) => {
+          started = true;
+          socket.emit('response:start', { id: responseId, ...agent, timestamp: new Date().toISOString() });
+          if (voiceEnabled && voiceInterface.isEnabled()) {
+            speech = voiceInterface.speakStream(agent.agentId, (audio) => socket.emit('response:audio', { id: responseId, ...audio }));
+          }
+        },
+        onText: (delta) => {
+          partial += delta;
+          socket.emit('response:delta', { id: responseId, delta });
+          speech?.push(delta);
+        }
+      };
     
-    // Generate voice response if enabled
-    if (voiceEnabled && voiceInterface.isEnabled()) {
+      let response;
       try {
-        const voiceResult = await voiceInterface.speak(response.content, response.agentId);
-        response.audioUrl = voiceResult.audioUrl;
-        response.voice = voiceResult.voice;
+        if (missionId) {
+          // Route to plans officer with mission context
+          const mission = missionPlanner.getMission(missionId);
+          if (mission) {
+            const taskings = (mission.taskings || []).map(t => {
+              const tasks = Array.isArray(t.tasks) ? t.tasks.join('; ') : String(t.tasks || '');
+              return `${t.unit} [${t.priority}/${t.status}]: ${tasks} — Purpose: ${t.purpose}`;
+            }).join('\n');
+            const overlays = (mission.mapOverlays || []).map(o => `${o.type}: ${o.name} — ${o.description}`).join('\n');
+        
+            let opordText = '';
+            try { opordText = missionPlanner.generateOpordText(missionId); } catch(e) { console.error('[CHAT] OPORD gen error:', e.message); }
+        
+            const missionContext = {
+              missionId,
+              opordText,
+              mettTc: JSON.stringify(mission.mettTc || {}, null, 2),
+              taskings,
+              overlays,
+              missionName: mission.name,
+              missionStatus: mission.status,
+            };
+            response = await agentRouter.route(message, operator, language || 'en', sessionId, { ...stream, missionContext, forceAgent: 'plans_officer' });
+          } else {
+            response = await agentRouter.route(message, operator, language || 'en', sessionId, stream);
+          }
+        } else {
+          response = await agentRouter.route(message, operator, language || 'en', sessionId, stream);
+        }
       } catch (err) {
-        console.error('Voice generation error:', err);
+        if (!controller.signal.aborted) throw err;
+        speech?.cancel();
+        socket.emit('response:end', { id: responseId, content: partial, cancelled: true, timestamp: new Date().toISOString() });
+        return;
+      } finally {
+        activeResponses.delete(responseId);
       }
-    }
-    
-    socket.emit('response', response);
-    io.emit('activity', {
-      type: 'message',
-      agent: response.agent,
-      summary: response.content.substring(0, 100)
-    });
+
+      socket.emit('response:end', { id: responseId, ...response, cancelled: false });
+      // Clients that don't stream get the whole reply
+      socket.emit('response', { id: responseId, ...response });
+      speech?.end();
+      io.emit('activity', {
+        type: 'message',
+        agent: response.agent,
+        summary: response.content.substring(0, 100)
+      });
     } catch (err) {
       console.error('[CHAT] FATAL handler error:', err);
-      socket.emit('response', {
+      const failure = {
+        id: responseId,
         agent: 'KDT Aso',
         content: 'Internal error processing your request. Please try again.',
+        error: true,
         timestamp: new Date().toISOString()
-      });
+      };
+      if (started) socket.emit('response:end', { ...failure, cancelled: false });
+      socket.emit('response', failure);
     }
   });
+
+  // Stop a reply mid-stream; the partial text comes back in response:end
+  socket.on('response:cancel', (data) => {
+    activeResponses.get(data?.id)?.abort();
+  });
   
+  socket.on('approval:decide', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      if (!data || typeof data.approvalId !== 'string') {
+        return reply({ error: 'approvalId is required' });
+      }
+      const approval = await decideApproval(socket.user, data.approvalId, data.decisions || []);
+      reply({ approval });
+    } catch (err) {
+      reply({ error: err.message });
+    }
+  });
+
   // STT handled client-side via browser Web Speech API
   // Voice input transcription happens in browser, then sent as regular message
   
   socket.on('disconnect', () => {
     console.log('Dashboard disconnected:', socket.id);
     socketRateLimits.delete(socket.id);
+    for (const controller of activeResponses.values()) controller.abort();
   });
 });
 
 // Standing orders event emitter (for autonomous operations)
 standingOrders.on('trigger', async (order, context) => {
   console.log(`Standing order triggered: ${order.name || order.id}`);
+
+  // Everything that happens is written to the execution journal
+  const execution = {
+    orderId: order.id,
+    orderName: order.name || order.id,
+    authorityLevel: order.authority_level,
+    trigger: order.trigger,
+    context,
+    triggeredAt: new Date().toISOString()
+  };
+  const journal = (details) => {
+    try {
+      return standingOrders.journal.record({ ...execution, ...details });
+    } catch (err) {
+      console.error('Standing order journal error:', err.message);
+      return null;
+    }
+  };
   
   try {
-    const responses = await agentRouter.executeStandingOrder(order, context);
+    let executable = order;
+    if (standingOrders.requiresApproval(order)) {
+      const decision = await approvalQueue.request(order, context, {
+        timeout: standingOrders.approvalTimeout(order)
+      });
+      standingOrders.log(order.id, `approval_${decision.status}`, {
+        approvalId: decision.approval.id,
+        chain: decision.approval.chain
+      });
+      execution.approval = {
+        id: decision.approval.id,
+        status: decision.status,
+        chain: decision.approval.chain,
+        resolvedAt: decision.approval.resolvedAt
+      };
+      if (decision.status === 'denied' || decision.status === 'expired') {
+        const entry = journal({ outcome: decision.status });
+        io.emit('standing-order:blocked', {
+          executionId: entry?.id || null,
+          orderId: order.id,
+          orderName: order.name || order.id,
+          approvalId: decision.approval.id,
+          status: decision.status,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      executable = { ...order, actions: decision.actions, approvalId: decision.approval.id };
+    }
+
+    const responses = await agentRouter.executeStandingOrder(executable, context);
+    execution.actions = responses;
+
+    // Check for escalation
+    let escalation = null;
+    if (standingOrders.requiresEscalation(order, responses, context)) {
+      escalation = standingOrders.escalate(order, responses);
+    }
+    const entry = journal({ escalation });
     
     // Broadcast to all connected dashboards
     io.emit('standing-order:executed', {
+      executionId: entry?.id || null,
       orderId: order.id,
       orderName: order.name || order.id,
+      cause: context?.cause || null,
       responses,
       timestamp: new Date().toISOString()
     });
@@ -946,16 +1475,13 @@ standingOrders.on('trigger', async (order, context) => {
     io.emit('activity', {
       type: 'standing-order',
       order: order.name || order.id,
-      summary: `Standing order executed with ${responses.length} agent actions`
+      summary: `Standing order executed: ${responses.filter(r => r.status === 'success').length}/${responses.length} actions succeeded`
     });
     
-    // Check for escalation
-    if (standingOrders.requiresEscalation(order, responses)) {
-      const escalation = standingOrders.escalate(order, responses);
-      io.emit('escalation', escalation);
-    }
+    if (escalation) io.emit('escalation', escalation);
   } catch (error) {
     console.error('Standing order execution error:', error);
+    journal({ outcome: 'error', error: error.message });
     io.emit('standing-order:error', {
       orderId: order.id,
       error: error.message,
@@ -964,6 +1490,108 @@ standingOrders.on('trigger', async (order, context) => {
   }
 });
 
+// Approval queue events
+approvalQueue.on('requested', (approval) => {
+  io.emit('approval:requested', approval);
+  io.emit('activity', {
+    type: 'approval',
+    order: approval.orderName,
+    summary: `Level ${approval.authorityLevel} standing order awaiting approval`
+  });
+});
+
+approvalQueue.on('updated', (approval) => io.emit('approval:updated', approval));
+
+approvalQueue.on('resolved', (approval) => {
+  io.emit('approval:resolved', approval);
+  if (approval.status === 'expired') {
+    adminSystem.logAction('system', 'standing-order.approval.expired', {
+      approvalId: approval.id,
+      orderId: approval.orderId
+    }).catch(err => console.error('Audit log error:', err));
+  }
+});
+
+// Agent tool calls are broadcast and audited
+agentTools.on('executed', (call) => {
+  io.emit('agent:tool', call);
+  adminSystem.logAction(call.userId || 'system', `agent-tool.${call.tool}`, {
+    agentId: call.agentId,
+    orderId: call.orderId,
+    input: call.input,
+    ok: call.ok,
+    error: call.error
+  }).catch(err => console.error('Audit log error:', err));
+});
+
+agentTools.on('denied', (call) => {
+  io.emit('agent:tool', call);
+  securityAudit.log({
+    category: 'access',
+    action: 'agent_tool_denied',
+    detail: `${call.agentId}: ${call.error}`,
+    userId: call.userId,
+    severity: 'warning'
+  });
+});
+
+// Content that tries to steer the agents is flagged for security review
+agentRouter.guard.on('flagged', (event) => {
+  const high = event.findings.some(f => f.severity === 'high');
+  securityAudit.log({
+    category: 'security',
+    action: 'prompt_injection',
+    detail: `${event.label} (${event.source}, ${event.action}): ${event.findings.map(f => f.pattern).join(', ')}`,
+    source: event.source,
+    trust: event.trust,
+    findings: event.findings,
+    excerpt: event.excerpt,
+    userId: event.userId || null,
+    agentId: event.agentId || null,
+    orderId: event.orderId || null,
+    severity: high ? 'high' : 'warning'
+  });
+});
+
+// Staff contributions to a compound request show in the activity feed
+agentRouter.orchestrator.on('contribution', (contribution) => {
+  io.emit('activity', {
+    type: 'contribution',
+    agent: contribution.agent,
+    summary: `${contribution.task.substring(0, 60)}: ${contribution.response.substring(0, 100)}`,
+    timestamp: contribution.timestamp
+  });
+});
+
+// The operator who said it is asked to review what was learned
+agentRouter.extractor.on('extracted', (event) => {
+  if (event.operatorId) io.to(`operator:${event.operatorId}`).emit('memory:extracted', event);
+  io.emit('activity', {
+    type: 'memory',
+    agent: agentRouter.agents[event.agentId]?.name || event.agentId,
+    summary: `Learned ${event.facts.length} fact${event.facts.length === 1 ? '' : 's'} for review: ${event.facts.map(f => f.fact).join('; ').substring(0, 120)}`,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Budget warnings go to the operator concerned and the activity feed
+usageMeter.on('budget', (event) => {
+  if (event.scope === 'operator') io.to(`operator:${event.id}`).emit('usage:budget', event);
+  io.emit('activity', {
+    type: 'budget',
+    agent: 'KDT Aso',
+    summary: event.level === 'exceeded'
+      ? `Daily model budget spent for ${event.scope} ${event.id}${usageMeter.degradeTo ? `; using ${usageMeter.degradeTo} until tomorrow` : ''}`
+      : `${Math.round(event.ratio * 100)}% of the daily model budget used for ${event.scope} ${event.id}`,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Agent workload and maintenance changes update the staff panel
+agentRouter.health.on('updated', (agentId, status) => {
+  if (agentRouter.agents[agentId]?.type === 'agent') io.emit('agent:status', { agentId, ...status });
+});
+
 // Escalation event handler - creates alert through alert system
 standingOrders.on('escalation', (escalation) => {
   console.log(`Escalation: ${escalation.orderName} - ${escalation.reason}`);
@@ -1003,38 +1631,96 @@ httpServer.listen(PORT, () => {
     console.warn(`[STARTUP] Security self-check has warnings — review above`);
   }
 
-  // Initialize time-based standing orders
+  // Initialize time-based standing orders, then run anything missed while down
   standingOrders.initializeMonitors();
+  scheduler.start();
 });
 
-// Memory API Routes
+// Memory API Routes — the same memory agents see in their prompts
 app.get('/api/memory/stats', authMiddleware(authManager), (req, res) => {
-  persistentMemory.getStats().then(stats => res.json(stats)).catch(err => res.status(500).json({ error: err.message }));
+  try {
+    res.json(agentRouter.memory.stats());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.get('/api/memory/agent/:agentId', authMiddleware(authManager), pathTraversalGuard(['agentId']), async (req, res) => {
+app.get('/api/memory/agent/:agentId', authMiddleware(authManager), pathTraversalGuard(['agentId']), (req, res) => {
   try {
-    const memory = await persistentMemory.loadAgentMemory(req.params.agentId);
-    res.json(memory);
+    res.json(agentRouter.memory.agentMemory(req.params.agentId));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/memory/agent/:agentId/fact', authMiddleware(authManager), pathTraversalGuard(['agentId']), async (req, res) => {
+app.post('/api/memory/agent/:agentId/fact', authMiddleware(authManager), pathTraversalGuard(['agentId']), (req, res) => {
+  const { fact, category } = req.body;
+  if (typeof fact !== 'string' || !fact.trim()) {
+    return res.status(400).json({ error: 'fact is required' });
+  }
   try {
-    const { fact, category } = req.body;
-    const memory = await persistentMemory.addAgentFact(req.params.agentId, fact, category);
-    res.json(memory);
+    agentRouter.memory.addFact(req.params.agentId, fact, { category, source: 'operator', addedBy: req.user.id });
+    res.json(agentRouter.memory.agentMemory(req.params.agentId));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/memory/operational', authMiddleware(authManager), async (req, res) => {
+// Ranked as an agent's prompt would see it; facts and notes only for ?agentId
+app.get('/api/memory/search', authMiddleware(authManager), async (req, res) => {
+  const { q, agentId, kinds, k } = req.query;
+  if (typeof q !== 'string' || !q.trim()) {
+    return res.status(400).json({ error: 'q is required' });
+  }
   try {
-    const events = await persistentMemory.getRecentOperationalContext(req.query.hours || 24);
-    res.json(events);
+    res.json(await agentRouter.retrieval.search(q, {
+      agentId,
+      kinds: typeof kinds === 'string' ? kinds.split(',') : undefined,
+      k: Math.min(parseInt(k, 10) || 10, 50)
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Facts picked out of conversations wait here for an operator
+app.get('/api/memory/review', authMiddleware(authManager), (req, res) => {
+  try {
+    res.json(agentRouter.memory.pendingFacts(req.query.agentId || null));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/memory/review/:agentId/:factId/confirm', authMiddleware(authManager), pathTraversalGuard(['agentId']), async (req, res) => {
+  const { fact, category, expiresAt } = req.body || {};
+  try {
+    const confirmed = agentRouter.extractor.confirm(req.params.agentId, req.params.factId, { fact, category, expiresAt }, req.user.id);
+    if (!confirmed) {
+      return res.status(404).json({ error: 'Pending fact not found' });
+    }
+    await adminSystem.logAction(req.user.id, 'memory.confirm', { agentId: req.params.agentId, factId: req.params.factId, fact: confirmed.fact });
+    res.json(confirmed);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/memory/review/:agentId/:factId/discard', authMiddleware(authManager), pathTraversalGuard(['agentId']), async (req, res) => {
+  try {
+    if (!agentRouter.extractor.discard(req.params.agentId, req.params.factId, req.user.id)) {
+      return res.status(404).json({ error: 'Pending fact not found' });
+    }
+    await adminSystem.logAction(req.user.id, 'memory.discard', { agentId: req.params.agentId, factId: req.params.factId });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/memory/operational', authMiddleware(authManager), (req, res) => {
+  try {
+    res.json(agentRouter.memory.recentOperations(parseFloat(req.query.hours) || 24));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1441,7 +2127,94 @@ app.delete('/api/admin/roles/:id', authMiddleware(authManager), adminAuth, async
   }
 });
 
+// Every discovered agent, including disabled ones and broken manifests
+app.get('/api/admin/agents', authMiddleware(authManager), adminAuth, (req, res) => {
+  res.json(agentRouter.registry.list());
+});
+
+// Pick up new agent directories, manifest edits and system.yaml changes
+app.post('/api/admin/agents/reload', authMiddleware(authManager), adminAuth, async (req, res) => {
+  try {
+    const result = agentRouter.reloadAgents();
+    applyAgentVoices();
+    await adminSystem.logAction(req.user.id, 'agents.reload', { added: result.added, removed: result.removed });
+    io.emit('agents:updated', agentRouter.getAgentStatus());
+    res.json({ success: true, ...result, errors: agentRouter.registry.list().filter(a => a.error).map(a => ({ id: a.id, error: a.error })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Take an agent offline; its traffic fails over to the backup
+app.put('/api/admin/agents/:agentId/maintenance', authMiddleware(authManager), adminAuth, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const { reason, backup } = req.body || {};
+    if (!agentRouter.agents[agentId]) return res.status(404).json({ error: 'Agent not found' });
+    if (backup && !agentRouter.agents[backup]) return res.status(400).json({ error: `Unknown backup agent "${backup}"` });
+    const maintenance = agentRouter.health.setMaintenance(agentId, { reason, backup, by: req.user.id });
+    await adminSystem.logAction(req.user.id, 'agents.maintenance', { agentId, reason: maintenance.reason, backup: maintenance.backup });
+    io.emit('agents:updated', agentRouter.getAgentStatus());
+    res.json({ success: true, agentId, maintenance, failover: agentRouter.health.resolve(agentId, agentRouter.agents) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/agents/:agentId/maintenance', authMiddleware(authManager), adminAuth, async (req, res) => {
+  try {
+    if (!agentRouter.health.clearMaintenance(req.params.agentId)) return res.status(404).json({ error: 'Agent is not in maintenance' });
+    await adminSystem.logAction(req.user.id, 'agents.maintenance.clear', { agentId: req.params.agentId });
+    io.emit('agents:updated', agentRouter.getAgentStatus());
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Settings management
+// Model providers and which model each task and agent uses
+app.get('/api/admin/llm', authMiddleware(authManager), adminAuth, (req, res) => {
+  res.json(llm.describe());
+});
+
+// Token and cost accounting
+const usageFilters = (query) => ({
+  from: query.from,
+  to: query.to,
+  operatorId: query.operatorId,
+  agentId: query.agentId,
+  sessionId: query.sessionId,
+  missionId: query.missionId,
+  orderId: query.orderId,
+  model: query.model,
+  task: query.task
+});
+
+app.get('/api/admin/usage/report', authMiddleware(authManager), adminAuth, (req, res) => {
+  try {
+    res.json(usageMeter.report({ ...usageFilters(req.query), groupBy: req.query.groupBy }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/usage/records', authMiddleware(authManager), adminAuth, (req, res) => {
+  try {
+    res.json(usageMeter.records({
+      ...usageFilters(req.query),
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+      offset: parseInt(req.query.offset) || 0
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/usage/budgets', authMiddleware(authManager), adminAuth, (req, res) => {
+  res.json(usageMeter.budgetReport());
+});
+
 app.get('/api/admin/settings', authMiddleware(authManager), adminAuth, (req, res) => {
   res.json(adminSystem.getSettings());
 });
@@ -1452,7 +2225,16 @@ app.get('/api/admin/settings/:category', authMiddleware(authManager), adminAuth,
 
 app.put('/api/admin/settings/:category', authMiddleware(authManager), adminAuth, async (req, res) => {
   try {
+    const timezone = req.params.category === 'system' ? req.body.timezone : undefined;
+    if (timezone !== undefined && !Scheduler.isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone '${timezone}'` });
+    }
+    const defaultModel = req.params.category === 'agents' ? req.body.defaultModel : undefined;
+    if (defaultModel !== undefined && defaultModel !== null && (typeof defaultModel !== 'string' || !defaultModel.trim())) {
+      return res.status(400).json({ error: 'defaultModel must be a model spec such as "local" or "anthropic:claude-sonnet-4-20250514"' });
+    }
     const settings = await adminSystem.updateSettings(req.params.category, req.body);
+    if (timezone !== undefined) scheduler.setTimezone(timezone);
     await adminSystem.logAction(req.user.id, 'settings.update', { category: req.params.category });
     res.json(settings);
   } catch (error) {
@@ -1470,6 +2252,57 @@ app.post('/api/admin/settings/reset', authMiddleware(authManager), adminAuth, as
   }
 });
 
+// ========== Retention & Redaction (admin) ==========
+
+app.get('/api/admin/retention', authMiddleware(authManager), adminAuth, (req, res) => {
+  res.json({
+    policy: { ...agentRouter.memory.retention, session_days: privacyControls.sessionDays },
+    schedule: scheduler.list(1).find(job => job.id === 'memory-retention') || null,
+    lastRun: privacyControls.lastRetention
+  });
+});
+
+app.post('/api/admin/retention/run', authMiddleware(authManager), adminAuth, async (req, res) => {
+  try {
+    const result = privacyControls.applyRetention();
+    await adminSystem.logAction(req.user.id, 'retention.run', result);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The terms themselves are never logged; reports and the audit trail carry the report id
+app.post('/api/admin/redactions', authMiddleware(authManager), adminAuth, sensitiveOpLimiter, async (req, res) => {
+  const { terms, reason, backups } = req.body || {};
+  if (![].concat(terms ?? []).every(t => typeof t === 'string')) {
+    return res.status(400).json({ error: 'terms must be a string or an array of strings' });
+  }
+  try {
+    createMatcher(terms);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const report = await privacyControls.redact(terms, { requestedBy: req.user.id, reason, backups });
+    await adminSystem.logAction(req.user.id, 'privacy.redact', { reportId: report.id, terms: report.termHashes.length, backups: report.backups.length });
+    securityAudit.logAccess('memory_redaction', '/api/admin/redactions', req.ip, req.user?.id, 'POST');
+    res.status(201).json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/redactions', authMiddleware(authManager), adminAuth, (req, res) => {
+  res.json(privacyControls.reports(parseInt(req.query.limit) || 50));
+});
+
+app.get('/api/admin/redactions/:id', authMiddleware(authManager), adminAuth, (req, res) => {
+  const report = privacyControls.report(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Purge report not found' });
+  res.json(report);
+});
+
 // Audit log
 app.get('/api/admin/audit', authMiddleware(authManager), adminAuth, async (req, res) => {
   const options = {
@@ -1588,12 +2421,7 @@ app.post('/api/missions/:id/generate-overlays', authMiddleware(authManager), asy
       `${o.type}: ${o.name} at ${JSON.stringify(o.coordinates)}`
     ).join('\n');
 
-    const Anthropic = require('@anthropic-ai/sdk');
-    const { getAnthropicApiKey } = require('../scripts/get-api-key');
-    const anthropic = new Anthropic({ apiKey: getAnthropicApiKey() });
-
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await llm.create({
       max_tokens: 4096,
       system: `You are a tactical map overlay generator. Given an OPORD and METT-TC analysis, generate realistic tactical map overlays as JSON.
 
@@ -1611,7 +2439,7 @@ ${existingOverlays || 'None'}`,
         role: 'user',
         content: `Generate tactical overlays for this operation:\n\n## OPORD\n${opordText}\n\n## METT-TC\n${mettTcText}`
       }]
-    });
+    }, { task: 'overlays', tags: { operatorId: req.user.id, missionId: mission.id } });
 
     let overlaysJson;
     try {
@@ -1771,16 +2599,11 @@ Current time: ${new Date().toISOString()}`;
     }
     messages.push({ role: 'user', content: message });
 
-    const Anthropic = require('@anthropic-ai/sdk');
-    const { getAnthropicApiKey } = require('../scripts/get-api-key');
-    const anthropic = new Anthropic({ apiKey: getAnthropicApiKey() });
-    
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await llm.create({
       max_tokens: 4096,
       system: systemPrompt,
       messages: messages,
-    });
+    }, { task: 'mission_chat', agent: 'plans_officer', tags: { operatorId: req.user.id, missionId: mission.id } });
 
     const responseContent = response.content[0].text;
 
@@ -1802,8 +2625,12 @@ app.get('/api/shifts/schedules', authMiddleware(authManager), (req, res) => {
 });
 
 app.post('/api/shifts/schedules', authMiddleware(authManager), adminAuth, (req, res) => {
-  const schedule = shiftManager.createSchedule(req.body);
-  res.json(schedule);
+  try {
+    const schedule = shiftManager.createSchedule(req.body);
+    res.json(schedule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 app.delete('/api/shifts/schedules/:id', authMiddleware(authManager), adminAuth, (req, res) => {
@@ -1815,6 +2642,12 @@ app.get('/api/shifts/active', authMiddleware(authManager), (req, res) => {
   res.json(shiftManager.getActiveShifts());
 });
 
+// ========== Scheduler API ==========
+app.get('/api/schedules', authMiddleware(authManager), (req, res) => {
+  const count = Math.min(parseInt(req.query.count) || 3, 50);
+  res.json({ timezone: scheduler.timezone, jobs: scheduler.list(count) });
+});
+
 // Start shift auto-checker after server init
 shiftManager.startAutoCheck(io, () => ({
   incidents: incidentTracker.list({ status: 'open' }),
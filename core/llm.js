@@ -0,0 +1,408 @@
+/**
+ * KDT Aso - LLM Providers
+ * One place to call language models from. Requests and responses use the
+ * Anthropic Messages shape whatever the backend; providers translate.
+ *
+ *   anthropic - Anthropic API
+ *   openai    - any OpenAI-compatible chat completions server (llama.cpp,
+ *               Ollama, vLLM...) for fully offline operation
+ *   mock      - deterministic replies for tests and demos
+ *
+ * Pass onText(delta) to stream: text arrives as it is generated and the
+ * call still resolves to the complete message.
+ *
+ * Models are chosen per call from config/llm.yaml: an explicit model, then
+ * the agent's model (llm.yaml, then its manifest), the task's model,
+ * settings.agents.defaultModel (unset unless an admin picks one),
+ * models.default and finally the default provider's own model. A model
+ * spec is "provider:model", a provider name (its default model) or a
+ * bare model id on the default provider.
+ *
+ * With a UsageMeter every call's tokens are recorded under its tags
+ * ({ operatorId, sessionId, missionId, orderId }), and a call whose
+ * operator or agent has spent its daily budget is degraded to the meter's
+ * cheaper model, or refused if it has none.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const Anthropic = require('@anthropic-ai/sdk');
+const { findAnthropicApiKey } = require('../scripts/get-api-key');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+function textMessage(text, model) {
+  return {
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+function blocksToText(content) {
+  if (typeof content === 'string') return content;
+  return (content || []).filter(b => b.type === 'text').map(b => b.text).join('\n');
+}
+
+class AnthropicProvider {
+  constructor(opts = {}) {
+    this.type = 'anthropic';
+    this.defaultModel = opts.model || DEFAULT_MODEL;
+    this.apiKey = opts.apiKey || null;
+    this.baseUrl = opts.base_url || opts.baseUrl || undefined;
+    this.sdk = null;
+  }
+
+  // The key is only needed once Anthropic is actually used
+  client() {
+    if (!this.sdk) {
+      const apiKey = this.apiKey || findAnthropicApiKey();
+      if (!apiKey) throw new Error('No Anthropic API key found');
+      this.sdk = new Anthropic({ apiKey, baseURL: this.baseUrl });
+    }
+    return this.sdk;
+  }
+
+  createMessage(params, opts = {}) {
+    const requestOpts = opts.signal ? { signal: opts.signal } : undefined;
+    if (!opts.onText) return this.client().messages.create(params, requestOpts);
+    const stream = this.client().messages.stream(params, requestOpts);
+    stream.on('text', (delta) => opts.onText(delta));
+    return stream.finalMessage();
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor(opts = {}) {
+    this.type = 'openai';
+    this.defaultModel = opts.model || 'default';
+    this.baseUrl = (opts.base_url || opts.baseUrl || 'http://localhost:8080/v1').replace(/\/$/, '');
+    this.apiKey = opts.apiKey || (opts.api_key_env ? process.env[opts.api_key_env] : null) || null;
+    this.timeoutMs = opts.timeout_ms || opts.timeoutMs || 120000;
+    this.fetch = opts.fetch || fetch;
+  }
+
+  /**
+   * Anthropic Messages request -> chat completions request
+   */
+  toRequest(params) {
+    const messages = [];
+    const system = blocksToText(params.system);
+    if (system) messages.push({ role: 'system', content: system });
+
+    for (const message of params.messages || []) {
+      if (typeof message.content === 'string') {
+        messages.push({ role: message.role, content: message.content });
+        continue;
+      }
+      if (message.role === 'assistant') {
+        const toolCalls = message.content.filter(b => b.type === 'tool_use').map(b => ({
+          id: b.id,
+          type: 'function',
+          function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+        }));
+        messages.push({
+          role: 'assistant',
+          content: blocksToText(message.content) || null,
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+        });
+        continue;
+      }
+      for (const block of message.content) {
+        if (block.type === 'tool_result') {
+          messages.push({ role: 'tool', tool_call_id: block.tool_use_id, content: blocksToText(block.content) });
+        }
+      }
+      const text = blocksToText(message.content);
+      if (text) messages.push({ role: 'user', content: text });
+    }
+
+    const body = { model: params.model, messages, max_tokens: params.max_tokens };
+    if (params.temperature !== undefined) body.temperature = params.temperature;
+    if (params.stop_sequences) body.stop = params.stop_sequences;
+    if (params.tools?.length) {
+      body.tools = params.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+      }));
+    }
+    return body;
+  }
+
+  /**
+   * Chat completions response -> Anthropic Messages response
+   */
+  fromResponse(data, model) {
+    const choice = data.choices?.[0];
+    if (!choice) throw new Error('Local model returned no choices');
+    const message = choice.message || {};
+    const content = [];
+    if (message.content) content.push({ type: 'text', text: message.content });
+    (message.tool_calls || []).forEach((call, i) => {
+      let input = {};
+      try {
+        input = JSON.parse(call.function?.arguments || '{}');
+      } catch (err) {
+        input = {};
+      }
+      content.push({ type: 'tool_use', id: call.id || `call_${i}`, name: call.function?.name, input });
+    });
+    if (content.length === 0) content.push({ type: 'text', text: '' });
+
+    let stopReason = 'end_turn';
+    if (content.some(b => b.type === 'tool_use')) stopReason = 'tool_use';
+    else if (choice.finish_reason === 'length') stopReason = 'max_tokens';
+
+    return {
+      id: data.id,
+      type: 'message',
+      role: 'assistant',
+      model: data.model || model,
+      content,
+      stop_reason: stopReason,
+      usage: {
+        input_tokens: data.usage?.prompt_tokens || 0,
+        output_tokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  async createMessage(params, opts = {}) {
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    const signal = opts.signal ? AbortSignal.any([opts.signal, timeout]) : timeout;
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    const body = this.toRequest(params);
+    if (opts.onText) Object.assign(body, { stream: true, stream_options: { include_usage: true } });
+
+    const res = await this.fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => '');
+      throw new Error(`Local model request failed: ${res.status} ${detail.slice(0, 200)}`);
+    }
+    const data = opts.onText ? await this.readStream(res.body, opts.onText) : await res.json();
+    return this.fromResponse(data, params.model);
+  }
+
+  /**
+   * Collect a server-sent event stream of chat completion chunks into one
+   * completion, passing text deltas to onText as they arrive
+   */
+  async readStream(body, onText) {
+    const decoder = new TextDecoder();
+    const message = { content: '', tool_calls: [] };
+    const data = { choices: [{ message, finish_reason: null }] };
+    let buffer = '';
+
+    const handle = (line) => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+      const chunk = JSON.parse(payload);
+      data.id = data.id || chunk.id;
+      data.model = data.model || chunk.model;
+      if (chunk.usage) data.usage = chunk.usage;
+      const choice = chunk.choices?.[0];
+      if (!choice) return;
+      if (choice.finish_reason) data.choices[0].finish_reason = choice.finish_reason;
+      const delta = choice.delta || {};
+      if (delta.content) {
+        message.content += delta.content;
+        onText(delta.content);
+      }
+      for (const part of delta.tool_calls || []) {
+        const index = part.index ?? message.tool_calls.length;
+        const call = message.tool_calls[index] ||
+          (message.tool_calls[index] = { id: part.id, type: 'function', function: { name: '', arguments: '' } });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      }
+    };
+
+    for await (const bytes of body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => handle(line.trim()));
+    }
+    handle(buffer.trim());
+    return data;
+  }
+}
+
+class MockProvider {
+  constructor(opts = {}) {
+    this.type = 'mock';
+    this.defaultModel = opts.model || 'mock';
+    // (params) -> reply text or a full response
+    this.reply = opts.reply || null;
+    this.calls = [];
+  }
+
+  async createMessage(params, opts = {}) {
+    this.calls.push(params);
+    let response;
+    if (this.reply) {
+      const reply = await this.reply(params);
+      response = typeof reply === 'string' ? textMessage(reply, params.model) : reply;
+    } else {
+      const lastUser = [...(params.messages || [])].reverse().find(m => m.role === 'user');
+      const firstLine = blocksToText(lastUser?.content).trim().split('\n')[0] || '';
+      response = textMessage(`[mock ${params.model}] ${firstLine.slice(0, 200)}`, params.model);
+    }
+    // Stream word by word
+    if (opts.onText) {
+      for (const word of blocksToText(response.content).match(/\S+\s*/g) || []) {
+        if (opts.signal?.aborted) throw new Error('Request aborted');
+        opts.onText(word);
+      }
+    }
+    return response;
+  }
+}
+
+const PROVIDER_TYPES = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+class LLMService {
+  constructor(opts = {}) {
+    this.configPath = opts.configPath || path.join(__dirname, '..', 'config', 'llm.yaml');
+    // Live settings.agents.defaultModel
+    this.getDefaultModel = opts.getDefaultModel || (() => null);
+    // agentId -> model from the agent's manifest
+    this.getAgentModel = opts.getAgentModel || (() => null);
+    this.meter = opts.meter || null;
+    this.config = opts.config || this.loadConfig();
+    this.providers = new Map();
+    for (const [name, definition] of Object.entries(this.config.providers || {})) {
+      this.providers.set(name, LLMService.createProvider(name, definition));
+    }
+    for (const [name, provider] of Object.entries(opts.providers || {})) {
+      this.providers.set(name, provider);
+    }
+  }
+
+  loadConfig() {
+    if (fs.existsSync(this.configPath)) {
+      return yaml.parse(fs.readFileSync(this.configPath, 'utf-8')) || {};
+    }
+    return {
+      default_provider: 'anthropic',
+      providers: { anthropic: { type: 'anthropic' } },
+      models: { default: DEFAULT_MODEL }
+    };
+  }
+
+  static createProvider(name, definition = {}) {
+    const Provider = PROVIDER_TYPES[definition.type || name];
+    if (!Provider) throw new Error(`LLM provider "${name}" has unknown type "${definition.type}"`);
+    return new Provider(definition);
+  }
+
+  get defaultProvider() {
+    return this.config.default_provider || this.providers.keys().next().value;
+  }
+
+  /**
+   * Split a model spec into provider and model
+   */
+  parseSpec(spec) {
+    const value = this.config.aliases?.[spec] || spec;
+    const colon = value.indexOf(':');
+    if (colon > 0 && this.providers.has(value.slice(0, colon))) {
+      return { provider: value.slice(0, colon), model: value.slice(colon + 1) };
+    }
+    if (this.providers.has(value)) {
+      return { provider: value, model: this.providers.get(value).defaultModel };
+    }
+    return { provider: this.defaultProvider, model: value };
+  }
+
+  /**
+   * Pick the provider and model for a call: { task, agent, model }
+   */
+  resolve(opts = {}) {
+    const models = this.config.models || {};
+    const spec = opts.model || models.agents?.[opts.agent] ||
+      (opts.agent && this.getAgentModel(opts.agent)) || models.tasks?.[opts.task] ||
+      this.getDefaultModel() || models.default || this.defaultProvider || DEFAULT_MODEL;
+    const { provider, model } = this.parseSpec(String(spec));
+    if (!this.providers.has(provider)) throw new Error(`Unknown LLM provider "${provider}"`);
+    return { provider, model, spec: String(spec) };
+  }
+
+  /**
+   * Send a Messages request. opts: { task, agent, model, tags, signal, onText }
+   */
+  async create(params, opts = {}) {
+    let { provider, model } = this.resolve(opts);
+    let degraded = false;
+    const spent = this.meter ? this.meter.spentBudgets(opts) : [];
+    if (spent.length > 0) {
+      const names = spent.map(b => `${b.scope} ${b.id}`).join(', ');
+      if (!this.meter.degradeTo) throw new Error(`Daily budget spent for ${names}`);
+      ({ provider, model } = this.resolve({ model: this.meter.degradeTo }));
+      degraded = true;
+    }
+
+    const response = await this.providers.get(provider).createMessage({ ...params, model }, {
+      signal: opts.signal,
+      onText: opts.onText
+    });
+    if (this.meter) {
+      try {
+        this.meter.record({ ...opts.tags, provider, model, task: opts.task, agentId: opts.agent, usage: response.usage, degraded });
+      } catch (err) {
+        console.error('[USAGE] Could not record model call:', err.message);
+      }
+    }
+    return response;
+  }
+
+  /**
+   * A client with the Anthropic SDK's messages.create signature, bound to
+   * a task and agent, for code that takes a client
+   */
+  client(opts = {}) {
+    return {
+      messages: {
+        create: (params, requestOpts = {}) => this.create(params, { ...opts, ...requestOpts })
+      }
+    };
+  }
+
+  /**
+   * Providers and model choices, for the admin API
+   */
+  describe() {
+    const models = this.config.models || {};
+    return {
+      defaultProvider: this.defaultProvider,
+      defaultModel: this.resolve().spec,
+      providers: Array.from(this.providers.entries()).map(([name, p]) => ({
+        name,
+        type: p.type,
+        defaultModel: p.defaultModel,
+        baseUrl: p.baseUrl || null
+      })),
+      tasks: models.tasks || {},
+      agents: models.agents || {},
+      aliases: this.config.aliases || {}
+    };
+  }
+}
+
+module.exports = { LLMService, AnthropicProvider, OpenAICompatibleProvider, MockProvider };
@@ -1,287 +1,556 @@
 /**
- * KDT Aso - Memory Manager
- * Handles persistent memory for agents, sessions, and operations
+ * KDT Aso - Memory Service
+ * The one store for what agents remember: facts and notes per agent, the
+ * shared knowledge base and the operational log. The API manages the
+ * same facts the agents see in their prompts.
+ *
+ * Layout (under memory/):
+ *   agents/<agentId>.json       - { agentId, facts, notes, relationships, preferences }
+ *   knowledge/<category>.json   - { category, entries }
+ *   operational/<date>.jsonl    - one event per line
+ *
+ * Markdown memory from earlier versions (agents/*.md, operational/*.md,
+ * KNOWLEDGE.md) is converted on startup and left where it is;
+ * migrated.json records what has been converted. Retention (memory.retention in config/system.yaml) is applied
+ * on startup and then on its schedule; migrated entries are aged from
+ * when they were migrated, not from their original dates, so converting
+ * old markdown doesn't throw it away. redact() removes everything that
+ * mentions a person or identifier.
+ *
+ * Events:
+ *   added   - ({ kind, agentId, category, entry }) for each fact, note,
+ *             knowledge entry or operational event written
+ *   updated - ({ kind: 'fact', agentId, entry }) when a fact is edited or
+ *             confirmed
+ *   removed - ({ kind, agentId, ids }) when entries are discarded, expire
+ *             or are dropped by retention
  */
 
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { validatePathComponent } = require('./security');
 
-class MemoryManager {
-  constructor() {
-    this.memoryDir = path.join(__dirname, '..', 'memory');
-    this.sessions = new Map(); // In-memory session store
-    this.ensureDirectories();
-  }
+const DEFAULT_DIR = path.join(__dirname, '..', 'memory');
 
-  ensureDirectories() {
-    const dirs = ['agents', 'sessions', 'operational'];
-    for (const dir of dirs) {
-      const fullPath = path.join(this.memoryDir, dir);
-      if (!fs.existsSync(fullPath)) {
-        fs.mkdirSync(fullPath, { recursive: true });
-      }
+const DEFAULT_RETENTION = {
+  operational_days: 90,      // Operational log files older than this are deleted
+  note_days: 180,            // Agent notes older than this are dropped
+  max_notes_per_agent: 200,
+  fact_days: 0,              // Agent facts older than this are dropped; 0 keeps them
+  max_facts_per_agent: 500,  // Facts are kept until an agent has more than this
+  knowledge_days: 0          // Knowledge entries older than this are dropped; 0 keeps them
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const day = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Retention counts from when an entry came into this store
+const keptSince = (entry) => entry.migratedAt || entry.addedAt;
+
+class MemoryService extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.memoryDir = opts.dir || DEFAULT_DIR;
+    this.retention = { ...DEFAULT_RETENTION, ...(opts.retention || {}) };
+    this.agentsDir = path.join(this.memoryDir, 'agents');
+    this.knowledgeDir = path.join(this.memoryDir, 'knowledge');
+    this.operationalDir = path.join(this.memoryDir, 'operational');
+    this.agents = new Map();   // agentId -> memory, read through
+    this.prunedOn = null;
+    for (const dir of [this.agentsDir, this.knowledgeDir, this.operationalDir]) {
+      fs.mkdirSync(dir, { recursive: true });
     }
+    this.migrate();
+    this.prune();
   }
 
-  // ==================== SESSION MEMORY ====================
-  
-  /**
-   * Get or create a session
-   */
-  getSession(sessionId) {
-    if (!this.sessions.has(sessionId)) {
-      this.sessions.set(sessionId, {
-        id: sessionId,
-        messages: [],
-        startedAt: new Date().toISOString(),
-        lastActivity: new Date().toISOString()
-      });
-    }
-    return this.sessions.get(sessionId);
+  writeJson(file, data) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
   }
 
-  /**
-   * Add a message to session history
-   */
-  addToSession(sessionId, role, agent, content) {
-    const session = this.getSession(sessionId);
-    session.messages.push({
-      role,
-      agent,
-      content,
-      timestamp: new Date().toISOString()
-    });
-    session.lastActivity = new Date().toISOString();
-    
-    // Keep last 50 messages per session
-    if (session.messages.length > 50) {
-      session.messages = session.messages.slice(-50);
-    }
-    
-    return session;
+  // ==================== AGENT MEMORY ====================
+
+  agentPath(agentId) {
+    validatePathComponent(agentId, 'agentId');
+    return path.join(this.agentsDir, `${agentId}.json`);
   }
 
-  /**
-   * Get conversation history for an agent within a session
-   */
-  getSessionHistory(sessionId, agentId = null, limit = 20) {
-    const session = this.getSession(sessionId);
-    let messages = session.messages;
-    
-    if (agentId) {
-      // Filter to only messages involving this agent
-      messages = messages.filter(m => 
-        m.role === 'operator' || m.agent === agentId
-      );
-    }
-    
-    return messages.slice(-limit);
+  agentIds() {
+    return fs.readdirSync(this.agentsDir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5));
   }
 
   /**
-   * Format session history for Claude context
+   * An agent's memory; empty if it has none yet
    */
-  formatHistoryForContext(sessionId, agentId = null) {
-    const history = this.getSessionHistory(sessionId, agentId);
-    if (history.length === 0) return '';
-    
-    let formatted = '\n\n## Recent Conversation\n';
-    for (const msg of history) {
-      const role = msg.role === 'operator' ? 'Operator' : msg.agent;
-      formatted += `\n${role}: ${msg.content}\n`;
+  agentMemory(agentId) {
+    const file = this.agentPath(agentId);
+    if (this.agents.has(agentId)) return this.agents.get(agentId);
+    let memory;
+    if (fs.existsSync(file)) {
+      memory = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } else {
+      const now = new Date().toISOString();
+      memory = { agentId, createdAt: now, updatedAt: now };
     }
-    return formatted;
+    memory.facts = memory.facts || [];
+    memory.notes = memory.notes || [];
+    memory.relationships = memory.relationships || [];
+    memory.preferences = memory.preferences || {};
+    this.agents.set(agentId, memory);
+    return memory;
+  }
+
+  saveAgentMemory(agentId, memory) {
+    memory.updatedAt = new Date().toISOString();
+    this.agents.set(agentId, memory);
+    this.writeJson(this.agentPath(agentId), memory);
+    return memory;
   }
 
-  // ==================== AGENT MEMORY ====================
-  
   /**
-   * Get an agent's persistent memory file path
+   * Add a fact an agent should know. opts: { category, source, addedBy,
+   * status, confidence, expiresAt, sourceMessage } where source says where
+   * it came from (operator, agent, extracted, migrated) and status is
+   * 'pending' for facts awaiting an operator's review
    */
-  getAgentMemoryPath(agentId) {
-    return path.join(this.memoryDir, 'agents', `${agentId}.md`);
+  addFact(agentId, fact, opts = {}) {
+    if (typeof fact !== 'string' || !fact.trim()) throw new Error('fact is required');
+    const memory = this.agentMemory(agentId);
+    const entry = {
+      id: crypto.randomUUID(),
+      fact: fact.trim(),
+      category: opts.category || 'general',
+      source: opts.source || 'operator',
+      status: opts.status || 'confirmed',
+      confidence: opts.confidence ?? null,
+      expiresAt: opts.expiresAt || null,
+      sourceMessage: opts.sourceMessage || null,   // { text, threadId, operatorId }
+      addedBy: opts.addedBy || null,
+      addedAt: opts.addedAt || new Date().toISOString()
+    };
+    memory.facts.push(entry);
+    const dropped = memory.facts.splice(0, memory.facts.length - this.retention.max_facts_per_agent);
+    this.saveAgentMemory(agentId, memory);
+    this.emit('added', { kind: 'fact', agentId, entry });
+    if (dropped.length > 0) this.emit('removed', { kind: 'fact', agentId, ids: dropped.map(f => f.id) });
+    return entry;
   }
 
   /**
-   * Load an agent's persistent memory
+   * Edit a fact: { fact, category, expiresAt, status } plus any review
+   * details to record. Returns the fact, or null if there is none.
    */
-  loadAgentMemory(agentId) {
-    const memPath = this.getAgentMemoryPath(agentId);
-    if (fs.existsSync(memPath)) {
-      return fs.readFileSync(memPath, 'utf-8');
+  updateFact(agentId, factId, changes = {}) {
+    const memory = this.agentMemory(agentId);
+    const entry = memory.facts.find(f => f.id === factId);
+    if (!entry) return null;
+    if (changes.fact !== undefined) {
+      if (typeof changes.fact !== 'string' || !changes.fact.trim()) throw new Error('fact is required');
+      changes = { ...changes, fact: changes.fact.trim() };
     }
-    return '';
+    if (changes.expiresAt) {
+      if (isNaN(Date.parse(changes.expiresAt))) throw new Error('expiresAt must be a date');
+      changes = { ...changes, expiresAt: new Date(changes.expiresAt).toISOString() };
+    }
+    Object.assign(entry, changes);
+    this.saveAgentMemory(agentId, memory);
+    this.emit('updated', { kind: 'fact', agentId, entry });
+    return entry;
+  }
+
+  removeFact(agentId, factId) {
+    const memory = this.agentMemory(agentId);
+    const index = memory.facts.findIndex(f => f.id === factId);
+    if (index === -1) return false;
+    memory.facts.splice(index, 1);
+    this.saveAgentMemory(agentId, memory);
+    this.emit('removed', { kind: 'fact', agentId, ids: [factId] });
+    return true;
   }
 
   /**
-   * Save to an agent's persistent memory
+   * Facts awaiting review across all agents, newest first
    */
-  saveAgentMemory(agentId, content) {
-    const memPath = this.getAgentMemoryPath(agentId);
-    fs.writeFileSync(memPath, content);
+  pendingFacts(agentId = null) {
+    return (agentId ? [agentId] : this.agentIds())
+      .flatMap(id => this.agentMemory(id).facts.filter(f => f.status === 'pending').map(f => ({ agentId: id, ...f })))
+      .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
   }
 
   /**
-   * Append to an agent's memory
+   * Add a note to an agent's memory: something it observed or was told
+   * to keep in mind, with optional context
    */
-  appendAgentMemory(agentId, entry) {
-    const memPath = this.getAgentMemoryPath(agentId);
-    const timestamp = new Date().toISOString();
-    const formatted = `\n## ${timestamp}\n${entry}\n`;
-    
-    fs.appendFileSync(memPath, formatted);
+  addNote(agentId, note, opts = {}) {
+    if (typeof note !== 'string' || !note.trim()) throw new Error('note is required');
+    const memory = this.agentMemory(agentId);
+    const entry = {
+      id: crypto.randomUUID(),
+      note: note.trim(),
+      context: opts.context || null,
+      source: opts.source || 'agent',
+      addedAt: opts.addedAt || new Date().toISOString()
+    };
+    memory.notes.push(entry);
+    const dropped = memory.notes.splice(0, memory.notes.length - this.retention.max_notes_per_agent);
+    this.saveAgentMemory(agentId, memory);
+    this.emit('added', { kind: 'note', agentId, entry });
+    if (dropped.length > 0) this.emit('removed', { kind: 'note', agentId, ids: dropped.map(n => n.id) });
+    return entry;
+  }
+
+  // ==================== KNOWLEDGE BASE ====================
+
+  knowledgePath(category) {
+    validatePathComponent(category, 'category');
+    return path.join(this.knowledgeDir, `${category}.json`);
+  }
+
+  getKnowledge(category) {
+    const file = this.knowledgePath(category);
+    if (!fs.existsSync(file)) return { category, entries: [] };
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
   }
 
   /**
-   * Initialize agent memory file if it doesn't exist
+   * Add a fact about the operational environment shared by all agents
    */
-  initAgentMemory(agentId, agentName) {
-    const memPath = this.getAgentMemoryPath(agentId);
-    if (!fs.existsSync(memPath)) {
-      const initial = `# ${agentName} — Memory Log
-
-This file contains persistent memories and notes for the ${agentName}.
+  addKnowledge(category, fact, opts = {}) {
+    if (typeof fact !== 'string' || !fact.trim()) throw new Error('fact is required');
+    const knowledge = this.getKnowledge(category);
+    const entry = {
+      id: crypto.randomUUID(),
+      fact: fact.trim(),
+      source: opts.source || 'agent',
+      addedAt: opts.addedAt || new Date().toISOString(),
+      ...(opts.migratedAt && { migratedAt: opts.migratedAt })
+    };
+    knowledge.entries.push(entry);
+    knowledge.updatedAt = new Date().toISOString();
+    this.writeJson(this.knowledgePath(category), knowledge);
+    this.emit('added', { kind: 'knowledge', category, entry });
+    return entry;
+  }
 
----
-`;
-      fs.writeFileSync(memPath, initial);
-    }
+  knowledgeCategories() {
+    return fs.readdirSync(this.knowledgeDir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5));
   }
 
-  // ==================== OPERATIONAL MEMORY ====================
-  
   /**
-   * Get today's operational log path
+   * Knowledge entries containing the query, optionally within categories
    */
-  getOperationalLogPath(date = new Date()) {
-    const dateStr = date.toISOString().split('T')[0];
-    return path.join(this.memoryDir, 'operational', `${dateStr}.md`);
+  searchKnowledge(query, categories = null) {
+    const needle = String(query).toLowerCase();
+    return (categories || this.knowledgeCategories()).flatMap(category =>
+      this.getKnowledge(category).entries
+        .filter(entry => JSON.stringify(entry).toLowerCase().includes(needle))
+        .map(entry => ({ category, ...entry })));
   }
 
+  // ==================== OPERATIONAL LOG ====================
+
   /**
-   * Log an operational event
+   * Log an operational event: { type, agent, summary, details }
    */
   logOperationalEvent(event) {
-    const logPath = this.getOperationalLogPath();
-    const timestamp = new Date().toISOString();
-    
-    // Create file with header if it doesn't exist
-    if (!fs.existsSync(logPath)) {
-      const dateStr = new Date().toISOString().split('T')[0];
-      const header = `# Operational Log — ${dateStr}\n\n`;
-      fs.writeFileSync(logPath, header);
-    }
-    
-    const entry = `## ${timestamp}
-**Type:** ${event.type || 'general'}
-**Agent:** ${event.agent || 'system'}
-**Summary:** ${event.summary}
-${event.details ? `**Details:** ${event.details}` : ''}
-
----
-`;
-    
-    fs.appendFileSync(logPath, entry);
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      type: event.type || 'general',
+      agent: event.agent || 'system',
+      summary: event.summary,
+      details: event.details || null
+    };
+    fs.appendFileSync(path.join(this.operationalDir, `${day()}.jsonl`), JSON.stringify(entry) + '\n');
+    this.emit('added', { kind: 'event', entry });
+    return entry;
   }
 
   /**
-   * Load recent operational events
+   * Operational events from the last `hours`, oldest first, at most
+   * maxEvents of the latest
    */
-  loadRecentOperations(days = 1) {
+  recentOperations(hours = 24, maxEvents = 50) {
+    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const events = [];
+    for (const file of fs.readdirSync(this.operationalDir).sort()) {
+      const match = file.match(/^(\d{4}-\d{2}-\d{2})\.jsonl$/);
+      if (!match || match[1] < cutoff.slice(0, 10)) continue;
+      events.push(...this.readOperationalLog(file).filter(e => e.timestamp >= cutoff));
+    }
+    return events.slice(-maxEvents);
+  }
+
+  readOperationalLog(file) {
     const events = [];
-    const now = new Date();
-    
-    for (let i = 0; i < days; i++) {
-      const date = new Date(now);
-      date.setDate(date.getDate() - i);
-      const logPath = this.getOperationalLogPath(date);
-      
-      if (fs.existsSync(logPath)) {
-        events.push({
-          date: date.toISOString().split('T')[0],
-          content: fs.readFileSync(logPath, 'utf-8')
-        });
+    for (const line of fs.readFileSync(path.join(this.operationalDir, file), 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (err) {
+        // A torn last line from a crash; skip it
       }
     }
-    
     return events;
   }
 
   /**
-   * Get operational summary for context
+   * Today's operational activity formatted for a prompt, latest last,
+   * within maxChars
    */
   getOperationalContext(maxChars = 2000) {
-    const recent = this.loadRecentOperations(1);
-    if (recent.length === 0) return '';
-    
-    let context = '\n\n## Recent Operational Activity\n';
-    let chars = context.length;
-    
-    for (const day of recent) {
-      if (chars + day.content.length > maxChars) {
-        // Truncate
-        const available = maxChars - chars - 100;
-        if (available > 0) {
-          context += day.content.substring(0, available) + '\n...[truncated]';
+    const lines = this.recentOperations(24).map(e => `- ${e.timestamp.slice(11, 16)}Z [${e.type}] ${e.agent}: ${e.summary}`);
+    let text = '';
+    for (const line of lines.reverse()) {
+      if (text.length + line.length + 1 > maxChars) break;
+      text = `${line}\n${text}`;
+    }
+    return text ? `\n\n## Recent Operational Activity\n${text}` : '';
+  }
+
+  // ==================== RETENTION ====================
+
+  /**
+   * Apply the retention policy, at most once a day unless forced.
+   * Returns what was removed.
+   */
+  prune(opts = {}) {
+    const today = day();
+    if (this.prunedOn === today && !opts.force) return null;
+    this.prunedOn = today;
+    const removed = { operationalLogs: 0, notes: 0, facts: 0, knowledge: 0 };
+    const now = new Date().toISOString();
+
+    if (this.retention.operational_days) {
+      const cutoff = daysAgo(this.retention.operational_days);
+      for (const file of fs.readdirSync(this.operationalDir)) {
+        const match = file.match(/^(\d{4}-\d{2}-\d{2})\.jsonl$/);
+        if (match && match[1] < cutoff.slice(0, 10)) {
+          const events = this.readOperationalLog(file);
+          if (events.some(e => e.migratedAt && e.migratedAt >= cutoff)) continue;
+          const ids = events.map(e => e.id).filter(Boolean);
+          fs.unlinkSync(path.join(this.operationalDir, file));
+          removed.operationalLogs++;
+          if (ids.length > 0) this.emit('removed', { kind: 'event', agentId: null, ids });
         }
-        break;
       }
-      context += day.content;
-      chars += day.content.length;
     }
-    
-    return context;
+
+    const noteCutoff = this.retention.note_days ? daysAgo(this.retention.note_days) : null;
+    const factCutoff = this.retention.fact_days ? daysAgo(this.retention.fact_days) : null;
+    for (const agentId of this.agentIds()) {
+      const memory = this.agentMemory(agentId);
+      const notes = memory.notes
+        .filter(n => !noteCutoff || keptSince(n) >= noteCutoff)
+        .slice(-this.retention.max_notes_per_agent);
+      const facts = memory.facts
+        .filter(f => (!f.expiresAt || f.expiresAt > now) && (!factCutoff || keptSince(f) >= factCutoff))
+        .slice(-this.retention.max_facts_per_agent);
+      if (notes.length === memory.notes.length && facts.length === memory.facts.length) continue;
+      removed.notes += memory.notes.length - notes.length;
+      removed.facts += memory.facts.length - facts.length;
+      this.saveAgentMemory(agentId, { ...memory, notes, facts });
+      const gone = (before, after) => before.filter(e => !after.includes(e)).map(e => e.id);
+      if (notes.length < memory.notes.length) this.emit('removed', { kind: 'note', agentId, ids: gone(memory.notes, notes) });
+      if (facts.length < memory.facts.length) this.emit('removed', { kind: 'fact', agentId, ids: gone(memory.facts, facts) });
+    }
+
+    if (this.retention.knowledge_days) {
+      const cutoff = daysAgo(this.retention.knowledge_days);
+      for (const category of this.knowledgeCategories()) {
+        removed.knowledge += this.filterKnowledge(category, e => keptSince(e) >= cutoff);
+      }
+    }
+
+    if (Object.values(removed).some(n => n > 0)) {
+      console.log(`[MEMORY] Retention removed ${removed.operationalLogs} operational logs, ${removed.notes} notes, ${removed.facts} facts, ${removed.knowledge} knowledge entries`);
+    }
+    return removed;
   }
 
-  // ==================== KNOWLEDGE BASE ====================
-  
   /**
-   * Get knowledge base path
+   * Keep the knowledge entries in a category that pass keep(); returns
+   * how many were dropped
    */
-  getKnowledgePath() {
-    return path.join(this.memoryDir, 'KNOWLEDGE.md');
+  filterKnowledge(category, keep) {
+    const knowledge = this.getKnowledge(category);
+    const dropped = knowledge.entries.filter(e => !keep(e));
+    if (dropped.length === 0) return 0;
+    knowledge.entries = knowledge.entries.filter(keep);
+    knowledge.updatedAt = new Date().toISOString();
+    this.writeJson(this.knowledgePath(category), knowledge);
+    this.emit('removed', { kind: 'knowledge', agentId: null, ids: dropped.map(e => e.id) });
+    return dropped.length;
   }
 
+  // ==================== REDACTION ====================
+
   /**
-   * Load knowledge base
+   * Remove every fact, note, knowledge entry and operational event the
+   * matcher finds a mention in, and scrub it from the markdown memory.
+   * matcher: { test(text), replace(text) } from core/privacy.js. Returns
+   * what was removed.
    */
-  loadKnowledge() {
-    const kbPath = this.getKnowledgePath();
-    if (fs.existsSync(kbPath)) {
-      return fs.readFileSync(kbPath, 'utf-8');
+  redact(matcher) {
+    const purged = { facts: 0, notes: 0, knowledge: 0, operationalEvents: 0, legacyFiles: 0 };
+    const keep = (entry) => !matcher.test(JSON.stringify(entry));
+
+    for (const agentId of this.agentIds()) {
+      const memory = this.agentMemory(agentId);
+      const facts = memory.facts.filter(keep);
+      const notes = memory.notes.filter(keep);
+      // Relationships and preferences have no ids to remove by; scrub them
+      const other = JSON.stringify({ relationships: memory.relationships, preferences: memory.preferences });
+      const scrubbed = matcher.replace(other);
+      if (facts.length === memory.facts.length && notes.length === memory.notes.length && scrubbed === other) continue;
+      purged.facts += memory.facts.length - facts.length;
+      purged.notes += memory.notes.length - notes.length;
+      this.saveAgentMemory(agentId, { ...memory, ...JSON.parse(scrubbed), facts, notes });
+      const gone = (before) => before.filter(e => !keep(e)).map(e => e.id);
+      if (facts.length < memory.facts.length) this.emit('removed', { kind: 'fact', agentId, ids: gone(memory.facts) });
+      if (notes.length < memory.notes.length) this.emit('removed', { kind: 'note', agentId, ids: gone(memory.notes) });
+    }
+
+    for (const category of this.knowledgeCategories()) {
+      purged.knowledge += this.filterKnowledge(category, keep);
+    }
+
+    for (const file of fs.readdirSync(this.operationalDir).filter(f => f.endsWith('.jsonl'))) {
+      const events = this.readOperationalLog(file);
+      const kept = events.filter(keep);
+      if (kept.length === events.length) continue;
+      this.writeJsonLines(path.join(this.operationalDir, file), kept);
+      purged.operationalEvents += events.length - kept.length;
+      this.emit('removed', { kind: 'event', agentId: null, ids: events.filter(e => !keep(e)).map(e => e.id) });
+    }
+
+    const scrub = (file) => {
+      const text = fs.readFileSync(file, 'utf-8');
+      if (!matcher.test(text)) return;
+      fs.writeFileSync(file, matcher.replace(text));
+      purged.legacyFiles++;
+    };
+    for (const dir of [this.agentsDir, this.operationalDir]) {
+      for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.md'))) scrub(path.join(dir, file));
     }
-    return '';
+    const knowledgeFile = path.join(this.memoryDir, 'KNOWLEDGE.md');
+    if (fs.existsSync(knowledgeFile)) scrub(knowledgeFile);
+
+    return purged;
   }
 
-  /**
-   * Save knowledge base
-   */
-  saveKnowledge(content) {
-    const kbPath = this.getKnowledgePath();
-    fs.writeFileSync(kbPath, content);
+  writeJsonLines(file, records) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, records.map(r => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tmp, file);
   }
 
+  // ==================== MIGRATION ====================
+
   /**
-   * Add fact to knowledge base
+   * Convert markdown memory from earlier versions. The originals stay
+   * where they are; each is recorded in migrated.json once converted, so
+   * it is converted only once. Returns what was converted.
    */
-  addKnowledge(category, fact) {
-    const kbPath = this.getKnowledgePath();
-    const timestamp = new Date().toISOString().split('T')[0];
-    
-    // Create if doesn't exist
-    if (!fs.existsSync(kbPath)) {
-      const header = `# KDT Aso — Knowledge Base
-
-Persistent facts about the operational environment.
-
----
-`;
-      fs.writeFileSync(kbPath, header);
+  migrate() {
+    const migrated = { agents: 0, notes: 0, operationalEvents: 0, knowledge: 0 };
+    const migratedAt = new Date().toISOString();
+    const markerFile = path.join(this.memoryDir, 'migrated.json');
+    const marker = fs.existsSync(markerFile) ? JSON.parse(fs.readFileSync(markerFile, 'utf-8')) : { files: {} };
+    const pending = (file) => !marker.files[path.relative(this.memoryDir, file)];
+    const done = (file) => { marker.files[path.relative(this.memoryDir, file)] = migratedAt; };
+
+    // agents/<id>.md: a header, then "## <timestamp>" entries
+    for (const file of fs.readdirSync(this.agentsDir).filter(f => f.endsWith('.md'))) {
+      const agentId = file.slice(0, -3);
+      const source = path.join(this.agentsDir, file);
+      if (!pending(source)) continue;
+      const entries = fs.readFileSync(source, 'utf-8').split(/^## (?=\d{4}-\d{2}-\d{2}T)/m).slice(1);
+      if (entries.length > 0) {
+        const memory = this.agentMemory(agentId);
+        for (const entry of entries) {
+          const [timestamp, ...body] = entry.split('\n');
+          const note = body.join('\n').trim();
+          if (!note) continue;
+          memory.notes.push({ id: crypto.randomUUID(), note, context: null, source: 'migrated', addedAt: new Date(timestamp.trim()).toISOString(), migratedAt });
+          migrated.notes++;
+        }
+        this.saveAgentMemory(agentId, memory);
+        migrated.agents++;
+      }
+      done(source);
+    }
+
+    // operational/<date>.md: "## <timestamp>" blocks of **Field:** lines
+    for (const file of fs.readdirSync(this.operationalDir).filter(f => /^\d{4}-\d{2}-\d{2}\.md$/.test(f))) {
+      const source = path.join(this.operationalDir, file);
+      if (!pending(source)) continue;
+      const events = fs.readFileSync(source, 'utf-8').split(/^## (?=\d{4}-\d{2}-\d{2}T)/m).slice(1).map(block => {
+        const field = (name) => block.match(new RegExp(`^\\*\\*${name}:\\*\\* ?(.*)$`, 'm'))?.[1].trim() || null;
+        return {
+          id: crypto.randomUUID(),
+          timestamp: new Date(block.split('\n')[0].trim()).toISOString(),
+          type: field('Type') || 'general',
+          agent: field('Agent') || 'system',
+          summary: field('Summary'),
+          details: field('Details'),
+          migratedAt
+        };
+      });
+      if (events.length > 0) {
+        fs.appendFileSync(path.join(this.operationalDir, file.replace(/\.md$/, '.jsonl')), events.map(e => JSON.stringify(e)).join('\n') + '\n');
+        migrated.operationalEvents += events.length;
+      }
+      done(source);
+    }
+
+    // KNOWLEDGE.md: "### <Category> (<date>)" sections
+    const knowledgeFile = path.join(this.memoryDir, 'KNOWLEDGE.md');
+    if (fs.existsSync(knowledgeFile) && pending(knowledgeFile)) {
+      for (const section of fs.readFileSync(knowledgeFile, 'utf-8').split(/^### /m).slice(1)) {
+        const [heading, ...body] = section.split('\n');
+        const match = heading.match(/^(.+?)\s*\((\d{4}-\d{2}-\d{2})\)\s*$/);
+        const fact = body.join('\n').trim();
+        if (!match || !fact) continue;
+        const category = match[1].trim().replace(/[^\w -]/g, '');
+        this.addKnowledge(category, fact, { source: 'migrated', addedAt: new Date(match[2]).toISOString(), migratedAt });
+        migrated.knowledge++;
+      }
+      done(knowledgeFile);
+    }
+
+    if (Object.values(marker.files).includes(migratedAt)) this.writeJson(markerFile, marker);
+    if (Object.values(migrated).some(n => n > 0)) {
+      console.log(`[MEMORY] Migrated ${migrated.notes} agent notes, ${migrated.operationalEvents} operational events and ${migrated.knowledge} knowledge entries`);
+    }
+    return migrated;
+  }
+
+  // ==================== STATS ====================
+
+  stats() {
+    const count = (dir, ext) => fs.readdirSync(dir).filter(f => f.endsWith(ext)).length;
+    let facts = 0;
+    let notes = 0;
+    for (const agentId of this.agentIds()) {
+      const memory = this.agentMemory(agentId);
+      facts += memory.facts.length;
+      notes += memory.notes.length;
     }
-    
-    const entry = `\n### ${category} (${timestamp})\n${fact}\n`;
-    fs.appendFileSync(kbPath, entry);
+    return {
+      agents: count(this.agentsDir, '.json'),
+      facts,
+      notes,
+      operationalLogs: count(this.operationalDir, '.jsonl'),
+      knowledgeCategories: count(this.knowledgeDir, '.json'),
+      retention: this.retention
+    };
   }
 }
 
-module.exports = MemoryManager;
+module.exports = MemoryService;
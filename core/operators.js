@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('yaml');
+const Scheduler = require('./scheduler');
 
 class OperatorManager {
   constructor() {
@@ -176,6 +177,35 @@ class OperatorManager {
     return operator.notifications?.language || 'en';
   }
 
+  /**
+   * Hour and minute on the operator's clock: their preferences.timezone,
+   * or the server's if they have none
+   */
+  localTime(operatorId, currentTime = new Date()) {
+    const timezone = this.getOperator(operatorId).preferences?.timezone;
+    if (timezone && Scheduler.isValidTimezone(timezone)) {
+      const { hour, minute } = Scheduler.zonedParts(currentTime, timezone);
+      return { hour, minute };
+    }
+    return { hour: currentTime.getHours(), minute: currentTime.getMinutes() };
+  }
+
+  /**
+   * Minutes until the operator's overnight hours end, or null if it
+   * isn't overnight for them
+   */
+  overnightMinutesLeft(operatorId, currentTime = new Date()) {
+    const prefs = this.getOperator(operatorId).notifications || {};
+    const [startHour, endHour] = (prefs.overnight_hours || '2200-0600')
+      .split('-')
+      .map(h => parseInt(h.substring(0, 2)));
+    const { hour, minute } = this.localTime(operatorId, currentTime);
+
+    const isOvernight = hour >= startHour || hour < endHour;
+    if (!isOvernight) return null;
+    return (endHour * 60 - (hour * 60 + minute) + 24 * 60) % (24 * 60);
+  }
+
   /**
    * Check if operator should be notified based on priority and time
    */
@@ -188,22 +218,31 @@ class OperatorManager {
       return false;
     }
 
-    // Check overnight rules
-    if (prefs.overnight_critical_only) {
-      const hours = currentTime.getHours();
-      const [startHour, endHour] = (prefs.overnight_hours || '2200-0600')
-        .split('-')
-        .map(h => parseInt(h.substring(0, 2)));
-      
-      const isOvernight = hours >= startHour || hours < endHour;
-      
-      if (isOvernight && priority !== 'critical') {
+    // Check overnight rules, on the operator's own clock
+    if (prefs.overnight_critical_only && priority !== 'critical') {
+      if (this.overnightMinutesLeft(operatorId, currentTime) !== null) {
         return false;
       }
     }
 
     return true;
   }
+
+  /**
+   * When an operator held back from an alert of this priority by their
+   * overnight hours can be notified, or null if they aren't being held
+   * back by the hour (they are reachable, or don't take the priority)
+   */
+  quietUntil(operatorId, priority, currentTime = new Date()) {
+    const prefs = this.getOperator(operatorId).notifications || {};
+    if (!prefs.receive_alerts?.[priority] || !prefs.overnight_critical_only || priority === 'critical') {
+      return null;
+    }
+    const minutes = this.overnightMinutesLeft(operatorId, currentTime);
+    if (minutes === null) return null;
+    const minuteStart = Math.floor(currentTime.getTime() / 60000) * 60000;
+    return new Date(minuteStart + minutes * 60000);
+  }
 }
 
 module.exports = OperatorManager;
@@ -0,0 +1,183 @@
+/**
+ * KDT Aso - Staff Orchestrator
+ * Handles compound requests for the Aso identity: breaks the request into
+ * sub-tasks for staff agents, runs them as an action plan and synthesizes
+ * one reply that credits each contributor.
+ *
+ * Events:
+ *   contribution - { agentId, agent, task, response, timestamp } as each
+ *                  staff agent finishes its sub-task
+ */
+
+const EventEmitter = require('events');
+const { planActions, runPlan } = require('./action-plan');
+const { alternate } = require('./conversations');
+
+/**
+ * Pull the sub-task list out of the planner's reply. Tasks for unknown
+ * agents are dropped, and so are dependencies on dropped tasks.
+ */
+function parseStaffPlan(text, agents, maxTasks = 5) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch (err) {
+    return [];
+  }
+
+  const tasks = (Array.isArray(parsed.tasks) ? parsed.tasks : [])
+    .filter(t => t && agents[t.agent]?.type === 'agent' && typeof t.task === 'string' && t.task.trim())
+    .slice(0, maxTasks)
+    .map((t, i) => ({
+      id: String(t.id || `task_${i + 1}`),
+      agent: t.agent,
+      action: t.task.trim(),
+      depends_on: [].concat(t.depends_on || []).map(String)
+    }));
+
+  const ids = new Set(tasks.map(t => t.id));
+  if (ids.size !== tasks.length) return [];
+  return tasks.map(t => ({ ...t, depends_on: t.depends_on.filter(dep => ids.has(dep) && dep !== t.id) }));
+}
+
+class StaffOrchestrator extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.llm = opts.llm;
+    this.agents = opts.agents;
+    this.tools = opts.tools || null;
+    this.health = opts.health || null;   // AgentHealth: tracks sub-tasks and fails over agents in maintenance
+    this.guard = opts.guard || null;     // PromptGuard: fences staff output passed between agents
+    this.maxTasks = opts.maxTasks || 5;
+    this.taskTimeout = opts.taskTimeout || '90s';
+    this.fallbackAgent = opts.fallbackAgent || 'watch_officer';
+  }
+
+  staffList() {
+    return Object.entries(this.agents)
+      .filter(([, agent]) => agent.type === 'agent')
+      .map(([id, agent]) => `- ${id}: ${agent.name} (${agent.section})`)
+      .join('\n');
+  }
+
+  /**
+   * Ask the model which staff agents the request needs
+   */
+  async plan(message, opts = {}) {
+    const response = await this.llm.create({
+      max_tokens: 1024,
+      system: this.agents.aso?.soul,
+      messages: [{
+        role: 'user',
+        content: `Break the Operator's request into sub-tasks for your staff. Use only the agents the request needs, at most ${this.maxTasks}. If a sub-task needs another's result, list that task's id in depends_on.
+
+Staff:
+${this.staffList()}
+
+Request: "${message}"
+
+Respond with ONLY JSON: {"tasks": [{"id": "threat", "agent": "intelligence_officer", "task": "...", "depends_on": []}]}`
+      }]
+    }, { task: 'orchestration', agent: 'aso', tags: opts.tags, signal: opts.signal });
+
+    const tasks = parseStaffPlan(response.content[0].text, this.agents, this.maxTasks);
+    if (tasks.length > 0) return tasks;
+    return [{ id: 'task_1', agent: this.fallbackAgent, action: message, depends_on: [] }];
+  }
+
+  /**
+   * Run a compound request. opts: { context, history, user, tags, signal,
+   * onText } where context is extra system prompt (operator, memory,
+   * language), history is the thread's earlier turns for the coordinated
+   * reply and tags label the model calls for usage metering.
+   * Resolves to { content, contributions, toolCalls }.
+   */
+  async run(message, opts = {}) {
+    const plan = planActions(await this.plan(message, opts), { timeout: this.taskTimeout }).map(task => {
+      const target = this.health ? this.health.resolve(task.agent, this.agents) : { agentId: task.agent };
+      if (!target) return { ...task, skip: `${this.agents[task.agent].name} is in maintenance with no backup` };
+      return { ...task, agent: target.agentId };
+    });
+    const toolCalls = [];
+
+    const track = (agentId, fn, signal) => (this.health ? this.health.run(agentId, fn, { signal }) : fn());
+
+    const results = await runPlan(plan, (task, upstream, taskSignal) => {
+      const signal = opts.signal ? AbortSignal.any([opts.signal, taskSignal]) : taskSignal;
+      return track(task.agent, async () => {
+        const agent = this.agents[task.agent];
+        const staffReports = upstream.map(u => `- ${this.agents[u.agentId].name}: ${u.response}`).join('\n');
+        const upstreamBlock = upstream.length > 0
+          ? `\n\nFrom other staff:\n${this.guard ? this.guard.prepare('agent', staffReports, { label: 'Staff reports', agentId: task.agent }).text : staffReports}`
+          : '';
+        const params = {
+          max_tokens: 1024,
+          system: `${agent.soul}\n\n${opts.context || ''}${this.guard ? `\n\n${this.guard.instructions()}` : ''}`,
+          messages: [{
+            role: 'user',
+            content: `KDT Aso is coordinating the staff on this Operator request:
+"${message}"
+
+Your part: ${task.action}${upstreamBlock}
+
+Answer your part only, concisely. Your answer will be combined with the rest of the staff's.`
+          }]
+        };
+        const client = this.llm.client({ task: 'chat', agent: task.agent, tags: opts.tags });
+
+        let text;
+        if (this.tools && opts.user) {
+          const result = await this.tools.converse(client, params, { user: opts.user, agentId: task.agent }, { signal });
+          text = result.text;
+          toolCalls.push(...result.toolCalls);
+        } else {
+          const response = await client.messages.create(params, { signal });
+          text = response.content[0].text;
+        }
+
+        this.emit('contribution', {
+          agentId: task.agent,
+          agent: agent.name,
+          task: task.action,
+          response: text,
+          timestamp: new Date().toISOString()
+        });
+        return text;
+      }, signal);
+    }, { retryDelayMs: 0 });
+    if (opts.signal?.aborted) throw new Error('Request aborted');
+
+    const contributions = results.map(result => ({
+      agentId: result.agentId,
+      agent: this.agents[result.agentId].name,
+      task: result.action,
+      status: result.status,
+      response: result.response,
+      error: result.error
+    }));
+
+    const reports = contributions.map(c => c.status === 'success'
+      ? `### ${c.agent}\nTask: ${c.task}\n${c.response}`
+      : `### ${c.agent}\nTask: ${c.task}\nNo report: ${c.error}`).join('\n\n');
+    const response = await this.llm.create({
+      max_tokens: 2048,
+      system: `${this.agents.aso?.soul || ''}\n\n${opts.context || ''}${this.guard ? `\n\n${this.guard.instructions()}` : ''}`,
+      messages: alternate([...(opts.history || []), {
+        role: 'user',
+        content: `The Operator asked: "${message}"
+
+Your staff reported:
+
+${this.guard ? this.guard.prepare('agent', reports, { label: 'Staff reports', agentId: 'aso' }).text : reports}
+
+Give the Operator one coordinated reply. Credit each finding to the staff member who reported it by name (e.g. "Intelligence Officer assesses..."). Note any part that has no report.`
+      }])
+    }, { task: 'synthesis', agent: 'aso', tags: opts.tags, signal: opts.signal, onText: opts.onText });
+
+    return { content: response.content[0].text, contributions, toolCalls };
+  }
+}
+
+module.exports = { StaffOrchestrator, parseStaffPlan };
@@ -0,0 +1,79 @@
+/**
+ * KDT Aso - Standing Order Revisions
+ * Keeps every version of the standing orders file for history and rollback
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class OrderRevisions {
+  constructor(opts = {}) {
+    this.dir = opts.dir || path.join(__dirname, '..', 'data', 'standing-orders', 'revisions');
+    this.indexFile = path.join(this.dir, 'index.json');
+    this.revisions = this._load();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.indexFile)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(this.indexFile, 'utf-8'));
+    } catch (err) {
+      console.error('[STANDING ORDERS] Revision index load error:', err.message);
+      return [];
+    }
+  }
+
+  _save() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.indexFile, JSON.stringify(this.revisions, null, 2));
+  }
+
+  /**
+   * Store a full copy of the orders file
+   */
+  record(source, meta = {}) {
+    const id = (this.revisions[this.revisions.length - 1]?.id || 0) + 1;
+    const revision = {
+      id,
+      action: meta.action || 'edit',
+      orderId: meta.orderId || null,
+      userId: meta.userId || null,
+      note: meta.note || null,
+      rolledBackTo: meta.rolledBackTo || null,
+      timestamp: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, `${id}.yaml`), source);
+    this.revisions.push(revision);
+    this._save();
+    return revision;
+  }
+
+  /**
+   * List revisions, newest first
+   */
+  list(filters = {}) {
+    let revisions = [...this.revisions].reverse();
+    if (filters.orderId) revisions = revisions.filter(r => r.orderId === filters.orderId);
+    return revisions.slice(0, filters.limit || 100);
+  }
+
+  /**
+   * Get a revision with its file contents
+   */
+  get(id) {
+    const revision = this.revisions.find(r => r.id === Number(id));
+    if (!revision) return null;
+    const file = path.join(this.dir, `${revision.id}.yaml`);
+    if (!fs.existsSync(file)) return null;
+    return { ...revision, source: fs.readFileSync(file, 'utf-8') };
+  }
+
+  latest() {
+    const last = this.revisions[this.revisions.length - 1];
+    return last ? this.get(last.id) : null;
+  }
+}
+
+module.exports = OrderRevisions;
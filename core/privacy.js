@@ -0,0 +1,150 @@
+/**
+ * KDT Aso - Retention and Redaction
+ * Applies the retention policy (memory.retention in config/system.yaml)
+ * to each class of stored data on its schedule:
+ *
+ *   sessions     - conversation threads untouched for session_days
+ *   operational  - operational log days older than operational_days
+ *   facts/notes  - agent facts past fact_days or their expiry, notes past
+ *                  note_days, and the per-agent caps
+ *   knowledge    - knowledge entries older than knowledge_days
+ *
+ * and removes a named person or identifier on request from agent memory,
+ * the knowledge base, the operational log, conversation threads, the
+ * routing log, the retrieval index and the memory in every backup. Each
+ * redaction leaves a purge report under data/privacy/ saying what was
+ * removed where; the report keeps a hash of each term, never the term.
+ * Documents are official records and are not changed: the report lists
+ * the ones that mention the terms for someone to review.
+ *
+ * Events:
+ *   retention - (result) after each retention run
+ *   purged    - (report) after each redaction
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'privacy');
+const REDACTED = '[REDACTED]';
+
+/**
+ * Case-insensitive whole-word matcher for one or more terms:
+ * { test(text), replace(text) }
+ */
+function createMatcher(terms) {
+  const list = [].concat(terms || []).map(t => String(t).trim()).filter(Boolean);
+  if (list.length === 0) throw new Error('At least one term is required');
+  if (list.some(t => t.length < 3)) throw new Error('Terms must be at least 3 characters');
+  const pattern = list
+    .sort((a, b) => b.length - a.length)
+    .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+    .join('|');
+  const source = `(?<![\\p{L}\\p{N}])(?:${pattern})(?![\\p{L}\\p{N}])`;
+  return {
+    test: (text) => new RegExp(source, 'iu').test(String(text ?? '')),
+    replace: (text) => String(text ?? '').replace(new RegExp(source, 'giu'), REDACTED)
+  };
+}
+
+const hashTerm = (term) => crypto.createHash('sha256').update(String(term).trim().toLowerCase()).digest('hex');
+
+class PrivacyControls extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.memory = opts.memory;
+    this.conversations = opts.conversations || null;
+    this.routingLog = opts.routingLog || null;
+    this.classifier = opts.classifier || null;
+    this.retrieval = opts.retrieval || null;
+    this.backups = opts.backups || null;
+    this.documents = opts.documents || null;
+    this.sessionDays = opts.sessionDays ?? 90;
+    this.reportFile = path.join(opts.dir || DEFAULT_DIR, 'purges.jsonl');
+    this.lastRetention = null;
+  }
+
+  /**
+   * Apply retention to every data class now; returns what was removed
+   */
+  applyRetention() {
+    const result = {
+      ranAt: new Date().toISOString(),
+      sessions: this.conversations ? this.conversations.prune(this.sessionDays) : 0,
+      ...this.memory.prune({ force: true })
+    };
+    this.lastRetention = result;
+    this.emit('retention', result);
+    return result;
+  }
+
+  /**
+   * Remove every mention of the terms (a person's name, a plate, a phone
+   * number). opts: { requestedBy, reason, backups } where backups: false
+   * leaves backups untouched. Resolves to the purge report.
+   */
+  async redact(terms, opts = {}) {
+    const matcher = createMatcher(terms);
+    const id = uuidv4();
+    const indexed = this.retrieval?.size;
+    const purged = { memory: this.memory.redact(matcher) };
+    if (this.conversations) purged.conversations = this.conversations.redact(matcher);
+    if (this.routingLog) purged.routingDecisions = this.routingLog.redact(matcher);
+    if (this.classifier) purged.learnedRoutes = this.classifier.redact(matcher);
+    // The index follows the stores; this catches the rest, such as document excerpts
+    if (this.retrieval) {
+      this.retrieval.redact(matcher);
+      purged.searchIndexEntries = indexed - this.retrieval.size;
+    }
+
+    const backups = this.backups && opts.backups !== false
+      ? await this.backups.redact(matcher, { redactionId: id })
+      : [];
+
+    const documentsMentioning = [];
+    if (this.documents) {
+      for (const meta of this.documents.list()) {
+        const doc = await this.documents.get(meta.id);
+        if (doc && matcher.test(`${doc.title}\n${doc.tags.join(' ')}\n${doc.content}`)) {
+          documentsMentioning.push({ id: doc.id, title: matcher.replace(doc.title), category: doc.category });
+        }
+      }
+    }
+
+    const report = {
+      id,
+      createdAt: new Date().toISOString(),
+      requestedBy: opts.requestedBy || null,
+      reason: opts.reason ? matcher.replace(opts.reason) : null,
+      termHashes: [].concat(terms).map(t => String(t).trim()).filter(Boolean).map(hashTerm),
+      purged,
+      backups,
+      documentsMentioning
+    };
+    fs.mkdirSync(path.dirname(this.reportFile), { recursive: true });
+    fs.appendFileSync(this.reportFile, JSON.stringify(report) + '\n');
+    this.emit('purged', report);
+    return report;
+  }
+
+  /**
+   * Purge reports, newest first
+   */
+  reports(limit = 50) {
+    if (!fs.existsSync(this.reportFile)) return [];
+    return fs.readFileSync(this.reportFile, 'utf-8').split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  report(id) {
+    return this.reports(Infinity).find(r => r.id === id) || null;
+  }
+}
+
+module.exports = { PrivacyControls, createMatcher, hashTerm, REDACTED };
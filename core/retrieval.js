@@ -0,0 +1,409 @@
+/**
+ * KDT Aso - Retrieval Index
+ * Local search over agent facts and notes, the knowledge base, the
+ * operational log and document contents, so an agent's prompt carries
+ * what is relevant to the message in front of it. Ranking is BM25, with
+ * optional embeddings blended in (retrieval in config/system.yaml):
+ *
+ *   none  - BM25 only
+ *   hash  - hashed character n-gram vectors computed in-process; catches
+ *           spelling variants and word forms BM25 misses
+ *   local - an OpenAI-compatible /embeddings endpoint on this machine
+ *           (llama.cpp, Ollama); vectors are cached in data/retrieval/
+ *
+ * Nothing leaves the machine. The index is built from its sources on
+ * startup and then kept current from their added/removed/changed events,
+ * one entry at a time. Facts and notes are only found for their own
+ * agent; everything else is shared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'retrieval');
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have he her his i if in into is it its me my no not of on or our she so than that the their them then there these they this to was we were what when where which who will with you your ' +
+  'do does did can could should would shall may might must been being am any all some up down out over about just only also very').split(' '));
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const CHUNK_CHARS = 800;
+
+const sha = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 32);
+
+/**
+ * Lowercased word stems with stopwords removed
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const word of String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    if (word.length < 2 || STOPWORDS.has(word)) continue;
+    tokens.push(stem(word));
+  }
+  return tokens;
+}
+
+// Light suffix stripping so "patrols", "patrolling" and "patrolled" meet
+function stem(word) {
+  if (word.length <= 4 || /^\d+$/.test(word)) return word;
+  for (const suffix of ['ing', 'ed', 'es', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      const base = word.slice(0, -suffix.length);
+      return /([^aeiouls])\1$/.test(base) ? base.slice(0, -1) : base;
+    }
+  }
+  return word;
+}
+
+/**
+ * Split long text into chunks of about CHUNK_CHARS on paragraph breaks
+ */
+function chunkText(text, size = CHUNK_CHARS) {
+  const chunks = [];
+  let current = '';
+  for (const paragraph of String(text || '').split(/\n\s*\n/)) {
+    if (current && current.length + paragraph.length > size) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    for (let i = 0; i < paragraph.length; i += size) {
+      const piece = paragraph.slice(i, i + size);
+      if (current && current.length + piece.length > size) {
+        chunks.push(current.trim());
+        current = '';
+      }
+      current += `${piece}\n\n`;
+    }
+  }
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+}
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+};
+
+/**
+ * In-process embeddings: character trigrams of each word hashed into a
+ * fixed number of dimensions
+ */
+class HashEmbedder {
+  constructor(opts = {}) {
+    this.dimensions = opts.dimensions || 512;
+    this.model = `hash-${this.dimensions}`;
+  }
+
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(this.dimensions).fill(0);
+      for (const word of tokenize(text)) {
+        const padded = `^${word}$`;
+        for (let i = 0; i < padded.length - 2; i++) {
+          const hash = crypto.createHash('md5').update(padded.slice(i, i + 3)).digest().readUInt32LE(0);
+          vector[hash % this.dimensions] += 1;
+        }
+      }
+      return vector;
+    });
+  }
+}
+
+/**
+ * Embeddings from an OpenAI-compatible server running locally
+ */
+class LocalEmbedder {
+  constructor(opts = {}) {
+    if (!opts.base_url) throw new Error('retrieval.embeddings.base_url is required for local embeddings');
+    this.baseUrl = opts.base_url.replace(/\/$/, '');
+    this.model = opts.model || 'default';
+    this.timeoutMs = opts.timeout_ms || 30000;
+    this.fetch = opts.fetch || fetch;
+  }
+
+  async embed(texts) {
+    const res = await this.fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: this.model, input: texts }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!res.ok) throw new Error(`Embedding request failed: ${res.status}`);
+    const data = await res.json();
+    return data.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+  }
+}
+
+function createEmbedder(config = {}) {
+  switch (config.provider || 'none') {
+    case 'none': return null;
+    case 'hash': return new HashEmbedder(config);
+    case 'local': return new LocalEmbedder(config);
+    default: throw new Error(`Unknown embeddings provider "${config.provider}" (use none, hash or local)`);
+  }
+}
+
+class RetrievalIndex {
+  constructor(opts = {}) {
+    this.dir = opts.dir || DEFAULT_DIR;
+    this.embedder = opts.embedder !== undefined ? opts.embedder : createEmbedder(opts.embeddings);
+    this.embeddingWeight = opts.embeddings?.weight ?? 0.5;
+    this.operationalDays = opts.operationalDays || 30;
+    this.entries = new Map();    // id -> { id, kind, agentId, text, meta, hash, length, terms }
+    this.postings = new Map();   // term -> Map(id -> term frequency)
+    this.totalLength = 0;
+    this.vectors = this.loadVectors();   // content hash -> vector, for the current embedding model
+    this.vectorsDirty = false;
+  }
+
+  get vectorFile() {
+    return path.join(this.dir, 'vectors.json');
+  }
+
+  loadVectors() {
+    // Hashed vectors are cheap to recompute; only a server's are worth keeping
+    if (!(this.embedder instanceof LocalEmbedder) || !fs.existsSync(this.vectorFile)) return new Map();
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.vectorFile, 'utf-8'));
+      if (saved.model === this.embedder.model) return new Map(Object.entries(saved.vectors));
+    } catch (err) {
+      console.error(`[RETRIEVAL] Ignoring vector cache: ${err.message}`);
+    }
+    return new Map();
+  }
+
+  saveVectors() {
+    if (!this.vectorsDirty || !(this.embedder instanceof LocalEmbedder)) return;
+    const live = new Set([...this.entries.values()].map(e => e.hash));
+    const vectors = Object.fromEntries([...this.vectors].filter(([hash]) => live.has(hash)));
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.vectorFile, JSON.stringify({ model: this.embedder.model, vectors }));
+    this.vectorsDirty = false;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add or replace one entry: { id, kind, agentId, text, meta }. agentId
+   * limits it to that agent; null shares it. Unchanged text is a no-op.
+   */
+  upsert(entry) {
+    const text = String(entry.text || '');
+    const hash = sha(`${entry.meta?.title || ''}\n${text}`);
+    const existing = this.entries.get(entry.id);
+    if (existing && existing.hash === hash) {
+      existing.meta = entry.meta || {};
+      return false;
+    }
+    if (existing) this.remove(entry.id);
+    if (!text.trim()) return false;
+
+    const terms = new Map();
+    const tokens = tokenize(`${entry.meta?.title || ''} ${text}`);
+    for (const term of tokens) terms.set(term, (terms.get(term) || 0) + 1);
+    for (const [term, tf] of terms) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(entry.id, tf);
+    }
+    this.entries.set(entry.id, {
+      id: entry.id,
+      kind: entry.kind,
+      agentId: entry.agentId || null,
+      text,
+      meta: entry.meta || {},
+      hash,
+      length: tokens.length,
+      terms: [...terms.keys()]
+    });
+    this.totalLength += tokens.length;
+    return true;
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    for (const term of entry.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= entry.length;
+    this.entries.delete(id);
+    return true;
+  }
+
+  /**
+   * Index a document's content as chunks, dropping chunks it no longer has
+   */
+  upsertDocument(doc) {
+    const chunks = chunkText(doc.content);
+    chunks.forEach((text, i) => this.upsert({
+      id: `document:${doc.id}#${i}`,
+      kind: 'document',
+      text,
+      meta: { documentId: doc.id, title: doc.title, category: doc.category, chunk: i }
+    }));
+    for (let i = chunks.length; this.entries.has(`document:${doc.id}#${i}`); i++) {
+      this.remove(`document:${doc.id}#${i}`);
+    }
+  }
+
+  removeDocument(docId) {
+    for (let i = 0; this.remove(`document:${docId}#${i}`); i++);
+  }
+
+  /**
+   * Drop every entry mentioning what the matcher matches, and any cached
+   * vectors no entry uses any more; returns how many entries went
+   */
+  redact(matcher) {
+    let removed = 0;
+    for (const entry of [...this.entries.values()]) {
+      if (matcher.test(`${entry.meta.title || ''}\n${entry.text}`) && this.remove(entry.id)) removed++;
+    }
+    const live = new Set([...this.entries.values()].map(e => e.hash));
+    for (const hash of this.vectors.keys()) {
+      if (!live.has(hash)) this.vectors.delete(hash);
+    }
+    this.vectorsDirty = true;
+    this.saveVectors();
+    return removed;
+  }
+
+  bm25(queryTerms, inScope) {
+    const scores = new Map();
+    const n = this.entries.size;
+    const avgLength = n ? this.totalLength / n : 0;
+    for (const term of new Set(queryTerms)) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, tf] of posting) {
+        const entry = this.entries.get(id);
+        if (!inScope(entry)) continue;
+        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * entry.length / (avgLength || 1)));
+        scores.set(id, (scores.get(id) || 0) + idf * norm);
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Vectors for entries that don't have one yet, in batches
+   */
+  async embedMissing(entries) {
+    const missing = entries.filter(e => !this.vectors.has(e.hash));
+    for (let i = 0; i < missing.length; i += 32) {
+      const batch = missing.slice(i, i + 32);
+      const vectors = await this.embedder.embed(batch.map(e => `${e.meta.title ? `${e.meta.title}\n` : ''}${e.text}`));
+      batch.forEach((e, j) => this.vectors.set(e.hash, vectors[j]));
+      this.vectorsDirty = true;
+    }
+  }
+
+  /**
+   * The k entries most relevant to a query, best first:
+   * [{ id, kind, agentId, text, meta, score }]. opts: { agentId, kinds, k }
+   * where agentId adds that agent's own facts and notes to the shared
+   * entries. Entries past their meta.expiresAt are left out. Embedding
+   * failures fall back to BM25 alone.
+   */
+  async search(query, opts = {}) {
+    const k = opts.k || 5;
+    const now = new Date().toISOString();
+    const inScope = (entry) => (!entry.agentId || entry.agentId === opts.agentId) &&
+      (!opts.kinds || opts.kinds.includes(entry.kind)) &&
+      (!entry.meta.expiresAt || entry.meta.expiresAt > now);
+    const scores = this.bm25(tokenize(query), inScope);
+    const maxBm25 = Math.max(0, ...scores.values());
+
+    let combined = new Map([...scores].map(([id, score]) => [id, maxBm25 ? score / maxBm25 : 0]));
+    if (this.embedder) {
+      try {
+        const candidates = [...this.entries.values()].filter(inScope);
+        await this.embedMissing(candidates);
+        const [queryVector] = await this.embedder.embed([query]);
+        const w = this.embeddingWeight;
+        combined = new Map();
+        for (const entry of candidates) {
+          const lexical = maxBm25 ? (scores.get(entry.id) || 0) / maxBm25 : 0;
+          const semantic = Math.max(0, cosine(queryVector, this.vectors.get(entry.hash)));
+          const score = (1 - w) * lexical + w * semantic;
+          if (score > 0) combined.set(entry.id, score);
+        }
+        this.saveVectors();
+      } catch (err) {
+        console.error(`[RETRIEVAL] Embeddings unavailable, using BM25 only: ${err.message}`);
+      }
+    }
+
+    return [...combined]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([id, score]) => {
+        const { hash, length, terms, ...entry } = this.entries.get(id);
+        return { ...entry, score: Math.round(score * 1000) / 1000 };
+      });
+  }
+
+  // ==================== SOURCES ====================
+
+  /**
+   * Index the memory service and follow its changes
+   */
+  indexMemory(memory) {
+    const upsertFrom = ({ kind, agentId, entry, category }) => {
+      switch (kind) {
+        case 'fact':
+          return this.upsert({ id: `fact:${entry.id}`, kind, agentId, text: entry.fact, meta: { category: entry.category, source: entry.source, status: entry.status, expiresAt: entry.expiresAt, addedAt: entry.addedAt } });
+        case 'note':
+          return this.upsert({ id: `note:${entry.id}`, kind, agentId, text: entry.note, meta: { source: entry.source, addedAt: entry.addedAt } });
+        case 'knowledge':
+          return this.upsert({ id: `knowledge:${entry.id}`, kind, text: entry.fact || JSON.stringify(entry), meta: { category, addedAt: entry.addedAt } });
+        case 'event':
+          return this.upsert({ id: `event:${entry.id}`, kind, text: `${entry.agent}: ${entry.summary}${entry.details ? ` — ${entry.details}` : ''}`, meta: { type: entry.type, timestamp: entry.timestamp } });
+      }
+    };
+
+    for (const agentId of memory.agentIds()) {
+      const { facts, notes } = memory.agentMemory(agentId);
+      for (const entry of facts) upsertFrom({ kind: 'fact', agentId, entry });
+      for (const entry of notes) upsertFrom({ kind: 'note', agentId, entry });
+    }
+    for (const category of memory.knowledgeCategories()) {
+      for (const entry of memory.getKnowledge(category).entries) upsertFrom({ kind: 'knowledge', category, entry });
+    }
+    for (const entry of memory.recentOperations(this.operationalDays * 24, Infinity)) upsertFrom({ kind: 'event', entry });
+
+    memory.on('added', upsertFrom);
+    memory.on('updated', upsertFrom);
+    memory.on('removed', ({ kind, ids }) => ids.forEach(id => this.remove(`${kind}:${id}`)));
+  }
+
+  /**
+   * Index document contents and follow their changes
+   */
+  async indexDocuments(documents) {
+    await documents.ready;
+    for (const meta of documents.list()) {
+      const doc = await documents.get(meta.id);
+      if (doc) this.upsertDocument(doc);
+    }
+    documents.on('changed', doc => this.upsertDocument(doc));
+    documents.on('deleted', id => this.removeDocument(id));
+  }
+}
+
+module.exports = { RetrievalIndex, HashEmbedder, LocalEmbedder, createEmbedder, tokenize, chunkText };
@@ -3,76 +3,101 @@
  * Routes messages to appropriate agents based on intent
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const path = require('path');
 const yaml = require('yaml');
-const MemoryManager = require('./memory');
+const MemoryService = require('./memory');
 const LanguageSupport = require('./languages');
-const { getAnthropicApiKey } = require('../scripts/get-api-key');
+const { LLMService } = require('./llm');
+const { planActions, runPlan } = require('./action-plan');
+const { StaffOrchestrator } = require('./orchestrator');
+const { RoutingClassifier, RoutingLog } = require('./routing');
+const AgentRegistry = require('./agent-registry');
+const AgentHealth = require('./agent-health');
+const { PromptGuard } = require('./prompt-guard');
+const { ConversationStore, alternate } = require('./conversations');
+const { RetrievalIndex } = require('./retrieval');
+const { FactExtractor } = require('./fact-extraction');
 
 class AgentRouter {
-  constructor() {
-    this.anthropic = new Anthropic({ apiKey: getAnthropicApiKey() });
-    this.agents = this.loadAgents();
+  constructor(opts = {}) {
+    this.llm = opts.llm || new LLMService();
+    this.tools = opts.tools || null;   // ToolRegistry; agents answer in text only without one
+    this.registry = opts.registry || new AgentRegistry();
     this.systemConfig = this.loadConfig();
-    this.memory = new MemoryManager();
+    this.agents = this.loadAgents();
+    const healthConfig = this.systemConfig.agent_health || {};
+    this.health = opts.health || new AgentHealth({
+      maxConcurrent: healthConfig.max_concurrent,
+      window: healthConfig.window,
+      degradedErrorRate: healthConfig.degraded_error_rate
+    });
+    // Memory, documents and sensor data are fenced off by trust policy
+    this.guard = opts.guard || new PromptGuard({ policy: this.systemConfig.prompt_security?.sources });
+    // Threads carry the conversation; old turns are summarized to fit the context budget
+    const conversationConfig = this.systemConfig.conversations || {};
+    this.conversations = opts.conversations || new ConversationStore({
+      contextTokens: conversationConfig.context_tokens,
+      keepRecent: conversationConfig.keep_recent,
+      summarize: (summary, transcript, tags) => this.summarizeConversation(summary, transcript, tags)
+    });
+    // Compound requests routed to the Aso identity fan out to the staff
+    this.orchestrator = new StaffOrchestrator({ llm: this.llm, agents: this.agents, tools: this.tools, health: this.health, guard: this.guard });
+    this.classifier = new RoutingClassifier({ agents: this.agents, llm: this.llm, dir: opts.routingDir });
+    this.routingLog = new RoutingLog({ dir: opts.routingDir });
+    this.pendingClarifications = new Map();   // sessionId -> message awaiting the operator's pick
+    this.lastRoutes = new Map();              // sessionId -> last routed message, for corrections
+    this.maxSessions = opts.maxSessions || 200;   // Sessions remembered in each, most recent kept
+    // Agent facts and notes, the knowledge base and the operational log
+    this.memory = opts.memory || new MemoryService({ dir: opts.memoryDir, retention: this.systemConfig.memory?.retention });
+    // Prompts carry the memory and documents most relevant to the message
+    const retrievalConfig = this.systemConfig.retrieval || {};
+    this.retrievalTopK = retrievalConfig.top_k || 6;
+    this.retrieval = opts.retrieval || new RetrievalIndex({
+      operationalDays: retrievalConfig.operational_days,
+      embeddings: retrievalConfig.embeddings
+    });
+    if (!opts.retrieval) this.retrieval.indexMemory(this.memory);
+    // What operators tell the staff is kept as pending facts for review
+    const extractionConfig = this.systemConfig.fact_extraction || {};
+    this.extractor = opts.extractor || new FactExtractor({
+      llm: this.llm,
+      memory: this.memory,
+      guard: this.guard,
+      enabled: extractionConfig.enabled,
+      minConfidence: extractionConfig.min_confidence,
+      maxFacts: extractionConfig.max_facts
+    });
     this.language = new LanguageSupport();
-    this.initializeAgentMemories();
-  }
-
-  initializeAgentMemories() {
-    for (const [agentId, agent] of Object.entries(this.agents)) {
-      if (agent.type === 'agent') {
-        this.memory.initAgentMemory(agentId, agent.name);
-      }
-    }
   }
 
+  /**
+   * Enabled agents from the agents directory and system.yaml
+   */
   loadAgents() {
-    const agentsDir = path.join(__dirname, '..', 'agents');
-    const agents = {};
-
-    // Load main Aso identity
-    const asoPath = path.join(agentsDir, 'ASO.md');
-    if (fs.existsSync(asoPath)) {
-      agents['aso'] = {
-        name: 'KDT Aso',
-        soul: fs.readFileSync(asoPath, 'utf-8'),
-        type: 'orchestrator'
-      };
-    }
-
-    // Agent sections and their personnel
-    const sections = {
-      hero: ['intelligence_officer', 'intel_analyst', 'collection_manager'],
-      operations: ['operations_officer', 'watch_officer', 'plans_officer'],
-      geospatial: ['geospatial_officer'],
-      surveillance: ['surveillance_officer'],
-      communications: ['comms_officer'],
-      logistics: ['logistics_officer'],
-      admin: ['admin_officer']
-    };
-
-    for (const [section, personnel] of Object.entries(sections)) {
-      for (const person of personnel) {
-        const soulPath = path.join(agentsDir, section, person, 'SOUL.md');
-        if (fs.existsSync(soulPath)) {
-          agents[person] = {
-            name: this.formatAgentName(person),
-            section: section,
-            soul: fs.readFileSync(soulPath, 'utf-8'),
-            type: 'agent',
-            status: 'online'
-          };
-        }
-      }
-    }
-
+    const agents = this.registry.load(this.systemConfig.agents);
     console.log(`Loaded ${Object.keys(agents).length} agents`);
     return agents;
   }
 
+  /**
+   * Re-read system.yaml and the agents directory without a restart.
+   * The roster object is updated in place so everything holding it
+   * sees the change.
+   */
+  reloadAgents() {
+    this.systemConfig = this.loadConfig();
+    const before = Object.keys(this.agents);
+    const agents = this.loadAgents();
+    for (const id of before) delete this.agents[id];
+    Object.assign(this.agents, agents);
+    return {
+      agents: Object.keys(agents),
+      added: Object.keys(agents).filter(id => !before.includes(id)),
+      removed: before.filter(id => !agents[id])
+    };
+  }
+
   loadConfig() {
     const configPath = path.join(__dirname, '..', 'config', 'system.yaml');
     if (fs.existsSync(configPath)) {
@@ -81,13 +106,10 @@ class AgentRouter {
     return {};
   }
 
-  formatAgentName(agentId) {
-    return agentId
-      .split('_')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
-  }
-
+  /**
+   * Each staff agent with its live state from agent health: status is
+   * maintenance, busy or idle
+   */
   getAgentStatus() {
     const status = {};
     for (const [id, agent] of Object.entries(this.agents)) {
@@ -95,7 +117,8 @@ class AgentRouter {
         status[id] = {
           name: agent.name,
           section: agent.section,
-          status: agent.status || 'online'
+          backup: agent.backup || null,
+          ...this.health.status(id)
         };
       }
     }
@@ -103,60 +126,94 @@ class AgentRouter {
   }
 
   /**
-   * Determine which agent should handle a message
+   * Decide which agent handles a message. An answer to a pending
+   * clarifying question, or an operator correction ("no, send that to
+   * logistics"), re-routes the earlier message and is learned from.
+   * Resolves to { agentId, message, method, confidence, candidates,
+   * clarify, decision } where message is the text to hand the agent and
+   * clarify means the operator should be asked instead. opts: { forceAgent,
+   * user, urgent } where urgent routes to the best guess without asking.
    */
-  async determineAgent(message, operator) {
-    // Check for direct address patterns
-    const directPatterns = [
-      { pattern: /^(intel|intelligence|hero)/i, agent: 'intelligence_officer' },
-      { pattern: /^(ops|operations)/i, agent: 'operations_officer' },
-      { pattern: /^(watch)/i, agent: 'watch_officer' },
-      { pattern: /^(geo|geospatial|map)/i, agent: 'geospatial_officer' },
-      { pattern: /^(surv|surveillance|eyes)/i, agent: 'surveillance_officer' },
-      { pattern: /^(comms|communications)/i, agent: 'comms_officer' },
-      { pattern: /^(log|logistics)/i, agent: 'logistics_officer' },
-      { pattern: /^(admin)/i, agent: 'admin_officer' },
-      { pattern: /^(analyst)/i, agent: 'intel_analyst' },
-      { pattern: /^(collection)/i, agent: 'collection_manager' }
-    ];
-
-    for (const { pattern, agent } of directPatterns) {
-      if (pattern.test(message)) {
-        return agent;
-      }
-    }
+  async determineRoute(message, sessionId = 'default', opts = {}) {
+    const log = (details) => this.routingLog.record({ sessionId, userId: opts.user?.id, message, ...details });
+    const routeTo = (details) => {
+      const decision = log(details);
+      this.remember(this.lastRoutes, sessionId, { message: details.message || message, decisionId: decision.id });
+      return { message, candidates: [], ...details, clarify: false, decision };
+    };
 
-    // Use AI to determine routing for ambiguous messages
-    const routingPrompt = `You are the KDT Aso routing system. Based on the message, determine which agent should handle it.
+    if (opts.forceAgent) {
+      return routeTo({ agentId: opts.forceAgent, method: 'forced', confidence: 1 });
+    }
 
-Available agents:
-- intelligence_officer: Intel questions, threat assessment, profiles, OSINT, analysis requests
-- operations_officer: Task management, scheduling, missions, operational planning
-- watch_officer: Real-time status, current situation, what's happening now
-- geospatial_officer: Maps, locations, tracking, routes, coordinates
-- surveillance_officer: Cameras, drones, monitoring, visual surveillance
-- comms_officer: Messages, notifications, sitreps, communications
-- logistics_officer: Vehicles, equipment, supplies, assets, maintenance
-- admin_officer: Reports, documentation, briefings, records
+    const pending = this.pendingClarifications.get(sessionId);
+    if (pending) {
+      this.pendingClarifications.delete(sessionId);
+      const agentId = this.classifier.parseChoice(message, pending.candidates);
+      if (agentId) {
+        this.classifier.learn(pending.message, agentId);
+        return routeTo({ message: pending.message, agentId, method: 'clarified', confidence: 1, candidates: pending.candidates, resolves: pending.decisionId });
+      }
+    }
 
-Message: "${message}"
+    const last = this.lastRoutes.get(sessionId);
+    const corrected = this.classifier.parseCorrection(message);
+    if (corrected && last) {
+      this.classifier.learn(last.message, corrected);
+      this.routingLog.correct(last.decisionId, corrected);
+      return routeTo({ message: last.message, agentId: corrected, method: 'correction', confidence: 1, resolves: last.decisionId });
+    }
 
-Respond with ONLY the agent_id (e.g., "intelligence_officer"). No explanation.`;
+    const { candidates, method } = await this.classifier.classify(message, { tags: { operatorId: opts.user?.id, sessionId } });
+    const [top, next] = candidates;
+    const { clarify_below: below = 0.5, clarify_margin: margin = 0.1 } = this.systemConfig.routing || {};
+    const unsure = !top || top.confidence < below || (next && top.confidence - next.confidence < margin);
+    // Emergencies never wait on a question
+    if (unsure && opts.urgent) {
+      return routeTo({ agentId: top?.agentId || 'watch_officer', method: top ? method : 'fallback', confidence: top?.confidence || 0, candidates });
+    }
+    if (unsure) {
+      const decision = log({ method, candidates, clarification: true });
+      this.remember(this.pendingClarifications, sessionId, { message, candidates: candidates.slice(0, 3), decisionId: decision.id });
+      return { message, method, candidates, clarify: true, decision };
+    }
+    return routeTo({ agentId: top.agentId, method, confidence: top.confidence, candidates });
+  }
 
-    const response = await this.anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 50,
-      messages: [{ role: 'user', content: routingPrompt }]
-    });
+  /**
+   * Set a session's entry in a per-session map, dropping the least
+   * recently set session once there are more than maxSessions
+   */
+  remember(map, sessionId, value) {
+    map.delete(sessionId);
+    map.set(sessionId, value);
+    if (map.size > this.maxSessions) map.delete(map.keys().next().value);
+  }
 
-    const agentId = response.content[0].text.trim().toLowerCase().replace(/[^a-z_]/g, '');
-    return this.agents[agentId] ? agentId : 'watch_officer'; // Default to watch
+  /**
+   * The question asked when routing is unsure
+   */
+  clarifyingQuestion(candidates, operator) {
+    const address = operator?.address_as || 'Operator';
+    const names = candidates.slice(0, 3).map(c => this.agents[c.agentId].name);
+    if (names.length === 0) {
+      const sections = Object.values(this.agents).filter(a => a.type === 'agent').map(a => a.name);
+      return `${address}, I'm not sure who should take that. Which of the staff do you want: ${sections.join(', ')}?`;
+    }
+    const options = names.length === 1 ? names[0] : `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+    return `${address}, I'm not sure who should take that. Should it go to the ${options}?`;
   }
 
   /**
-   * Route a message to the appropriate agent and get response
+   * Route a message to the appropriate agent and get response.
+   * opts.threadId continues one of the operator's saved conversation
+   * threads; without it the session has a transient thread of its own.
    */
   async route(message, operator, language = 'auto', sessionId = 'default', opts = {}) {
+    const thread = opts.threadId ? this.conversations.get(opts.threadId, opts.user?.id) : this.conversations.transient(sessionId);
+    if (!thread) throw new Error('Conversation thread not found');
+    const threadRef = thread.transient ? {} : { threadId: thread.id };
+
     // Auto-detect language if not specified
     let detectedLanguage = language;
     if (language === 'auto' || !language) {
@@ -166,41 +223,86 @@ Respond with ONLY the agent_id (e.g., "intelligence_officer"). No explanation.`;
     // Check for emergency keywords (triggers priority handling)
     const isEmergency = this.language.isEmergency(message);
     
-    const agentId = opts.forceAgent || await this.determineAgent(message, operator);
-    const agent = this.agents[agentId];
+    const routing = await this.determineRoute(message, sessionId, { ...opts, urgent: isEmergency });
+    if (routing.clarify) {
+      const content = this.clarifyingQuestion(routing.candidates, operator);
+      this.conversations.append(thread, { role: 'user', content: message });
+      this.conversations.append(thread, { role: 'assistant', content, agentId: 'aso', agent: 'KDT Aso' });
+      if (opts.onStart) opts.onStart({ agent: 'KDT Aso', agentId: 'aso' });
+      if (opts.onText) opts.onText(content);
+      return {
+        agent: 'KDT Aso',
+        agentId: 'aso',
+        content,
+        timestamp: new Date().toISOString(),
+        language: detectedLanguage,
+        isEmergency,
+        clarification: true,
+        ...threadRef,
+        routing: { id: routing.decision.id, method: routing.method, candidates: routing.candidates },
+        toolCalls: []
+      };
+    }
+    // A clarified or corrected route answers the earlier message
+    const operatorMessage = message;
+    message = routing.message;
 
-    if (!agent) {
+    if (!this.agents[routing.agentId]) {
       return {
         agent: 'KDT Aso',
         content: 'Unable to route request. Please try again.',
         error: true
       };
     }
+    // An agent in maintenance hands its traffic to its backup
+    const target = this.health.resolve(routing.agentId, this.agents);
+    if (!target) {
+      return {
+        agent: 'KDT Aso',
+        agentId: 'aso',
+        content: `The ${this.agents[routing.agentId].name} is offline for maintenance and no backup is available.`,
+        timestamp: new Date().toISOString(),
+        error: true
+      };
+    }
+    const agentId = target.agentId;
+    const agent = this.agents[agentId];
 
-    // Add operator message to session memory
-    this.memory.addToSession(sessionId, 'operator', null, message);
+    // Everything below that isn't ours goes through the prompt guard
+    let fenced = false;
+    const guarded = (source, content, label) => {
+      const prepared = this.guard.prepare(source, content, { label, userId: opts.user?.id, sessionId, agentId });
+      if (prepared.trust !== 'trusted' && content) fenced = true;
+      return prepared.text;
+    };
 
     // Build context with memory
     const operatorContext = operator ? 
       `The Operator is ${operator.title || 'Operator'} ${operator.name || ''}. Address them as "${operator.address_as || 'Operator'}".` :
       'Address the user as "Operator".';
 
-    // Load agent's persistent memory
-    const agentMemory = this.memory.loadAgentMemory(agentId);
-    const memoryContext = agentMemory ? `\n\n## Your Memory\n${agentMemory.substring(0, 1500)}` : '';
+    // What the agent remembers and what the document store holds, ranked against this message
+    const snippets = await this.retrieval.search(message, { agentId, k: this.retrievalTopK });
+    const memoryContext = snippets.length > 0 ? `\n\n## Relevant Memory\n${this.formatSnippets(snippets, guarded)}` : '';
 
-    // Load conversation history
-    const conversationHistory = this.memory.formatHistoryForContext(sessionId, agentId);
+    // Usage is metered per operator, session and mission
+    const tags = { operatorId: opts.user?.id, sessionId, missionId: opts.missionContext?.missionId };
+    // Earlier turns go as messages; anything older than the context budget as a summary
+    const history = await this.conversations.history(thread, { agentId, tags });
+    const conversationSummary = history.summary
+      ? `\n\n## Earlier in This Conversation\n${guarded('memory', history.summary, 'Conversation summary')}`
+      : '';
+    this.conversations.append(thread, { role: 'user', content: operatorMessage });
 
     // Load operational context
-    const operationalContext = this.memory.getOperationalContext(1000);
+    const operationalContext = guarded('memory', this.memory.getOperationalContext(1000), 'Operational log');
 
     // Get language-specific context
     const languageContext = this.language.getLanguageContext(detectedLanguage);
     const languageInfo = this.language.getLanguageInfo(detectedLanguage);
     
     // Build mission context if available
-    const missionBlock = opts.missionContext ? `
+    const missionBlock = opts.missionContext ? guarded('document', `
 ## ACTIVE MISSION: ${opts.missionContext.missionName}
 Status: ${opts.missionContext.missionStatus}
 
@@ -215,14 +317,14 @@ ${opts.missionContext.taskings}
 
 ### MAP OVERLAYS
 ${opts.missionContext.overlays}
-` : '';
-
-    const systemPrompt = `${agent.soul}
+`, 'Mission plan') : '';
+    const operatorText = guarded('operator', message, 'Operator message');
 
-${operatorContext}
+    // Shared by the agent's prompt and, for Aso, every staff sub-task
+    const context = `${operatorContext}
 ${missionBlock}
 ${memoryContext}
-${conversationHistory}
+${conversationSummary}
 ${operationalContext}
 
 ## Language Instructions
@@ -233,20 +335,49 @@ ${isEmergency ? '\n⚠️ EMERGENCY DETECTED - Prioritize urgent response and es
 Current time: ${new Date().toISOString()}
 
 IMPORTANT: You have memory of past conversations and operational events. Reference them when relevant. If the Operator asks about something you should remember, check your memory context above.`;
+    const systemPrompt = `${agent.soul}
+
+${context}${fenced ? `\n\n${this.guard.instructions()}` : ''}`;
 
     // Get response from agent — use higher token limit for mission planning
     const maxTokens = opts.missionContext ? 4096 : 2048;
-    const response = await this.anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const params = {
       max_tokens: maxTokens,
       system: systemPrompt,
-      messages: [{ role: 'user', content: message }]
-    });
-
-    const responseContent = response.content[0].text;
+      messages: alternate([...history.messages, { role: 'user', content: operatorText }])
+    };
+    const client = this.llm.client({ task: opts.missionContext ? 'mission_chat' : 'chat', agent: agentId, tags });
+    // opts.onText streams the reply as it is generated; opts.signal cancels it
+    const requestOpts = { signal: opts.signal, onText: opts.onText };
+    if (opts.onStart) opts.onStart({ agent: agent.name, agentId, section: agent.section });
+
+    // Tools are only offered when we know who is asking (opts.user)
+    let responseContent;
+    let toolCalls = [];
+    let contributions;
+    if (agent.type === 'orchestrator') {
+      // The staff's sub-tasks are tracked individually
+      ({ content: responseContent, contributions, toolCalls } = await this.orchestrator.run(operatorText, {
+        context,
+        history: history.messages,
+        user: opts.user,
+        tags,
+        signal: opts.signal,
+        onText: opts.onText
+      }));
+    } else {
+      responseContent = await this.health.run(agentId, async () => {
+        if (this.tools && opts.user) {
+          let text;
+          ({ text, toolCalls } = await this.tools.converse(client, params, { user: opts.user, agentId }, requestOpts));
+          return text;
+        }
+        const response = await client.messages.create(params, requestOpts);
+        return response.content[0].text;
+      }, { signal: opts.signal });
+    }
 
-    // Add agent response to session memory
-    this.memory.addToSession(sessionId, 'agent', agent.name, responseContent);
+    this.conversations.append(thread, { role: 'assistant', content: responseContent, agentId, agent: agent.name });
 
     // Log operational event
     this.memory.logOperationalEvent({
@@ -256,6 +387,12 @@ IMPORTANT: You have memory of past conversations and operational events. Referen
       details: null
     });
 
+    // In the background; the operator doesn't wait on it
+    if (this.extractor) {
+      this.extractor.extract({ agentId, message, reply: responseContent, threadId: threadRef.threadId, tags })
+        .catch(err => console.error(`[MEMORY] Fact extraction failed: ${err.message}`));
+    }
+
     return {
       agent: agent.name,
       agentId: agentId,
@@ -264,60 +401,162 @@ IMPORTANT: You have memory of past conversations and operational events. Referen
       timestamp: new Date().toISOString(),
       language: detectedLanguage,
       languageName: languageInfo.name,
-      isEmergency: isEmergency
+      isEmergency: isEmergency,
+      ...threadRef,
+      toolCalls,
+      ...(contributions && { contributions }),
+      ...(target.failoverFrom && {
+        failover: { from: target.failoverFrom, reason: this.health.maintenance.get(target.failoverFrom).reason }
+      }),
+      routing: {
+        id: routing.decision.id,
+        method: routing.method,
+        confidence: routing.confidence,
+        candidates: routing.candidates
+      }
+    };
+  }
+
+  /**
+   * Retrieved snippets for a prompt: memory and document excerpts each
+   * fenced under their own trust level
+   */
+  formatSnippets(snippets, guarded) {
+    const line = (s) => {
+      switch (s.kind) {
+        case 'fact': return `- ${s.text}${s.meta.category && s.meta.category !== 'general' ? ` (${s.meta.category})` : ''}${s.meta.status === 'pending' ? ' [unconfirmed]' : ''}`;
+        case 'note': return `- ${s.meta.addedAt?.slice(0, 10)}: ${s.text}`;
+        case 'knowledge': return `- [${s.meta.category}] ${s.text}`;
+        case 'event': return `- ${s.meta.timestamp?.slice(0, 16)}Z [${s.meta.type}] ${s.text}`;
+      }
     };
+    const memory = snippets.filter(s => s.kind !== 'document').map(line).join('\n');
+    const documents = snippets.filter(s => s.kind === 'document')
+      .map(s => `### ${s.meta.title} (${s.meta.category})\n${s.text}`).join('\n\n');
+    return [
+      memory && guarded('memory', memory, 'Agent memory'),
+      documents && guarded('document', documents, 'Document excerpts')
+    ].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Fold older conversation turns into a thread's running summary
+   */
+  async summarizeConversation(summary, transcript, tags) {
+    const response = await this.llm.create({
+      max_tokens: 1024,
+      system: `You keep the running summary of a conversation between an Operator and the KDT Aso staff. Keep every decision, order, location, callsign, time and open question; drop pleasantries. Write plain prose under 300 words.\n\n${this.guard.instructions()}`,
+      messages: [{
+        role: 'user',
+        content: `${summary ? `Summary so far:\n${this.guard.prepare('memory', summary, { label: 'Conversation summary', ...tags }).text}\n\n` : ''}Turns to add:\n${this.guard.prepare('memory', transcript, { label: 'Conversation turns', ...tags }).text}\n\nReply with the updated summary only.`
+      }]
+    }, { task: 'summarization', agent: 'aso', tags });
+    return response.content[0].text.trim();
   }
 
   /**
    * Save important information to agent memory
    */
   async saveToAgentMemory(agentId, entry) {
-    this.memory.appendAgentMemory(agentId, entry);
+    return this.memory.addNote(agentId, entry);
   }
 
   /**
    * Add knowledge to the knowledge base
    */
   async addKnowledge(category, fact) {
-    this.memory.addKnowledge(category, fact);
+    return this.memory.addKnowledge(category, fact);
   }
 
   /**
-   * Execute a standing order across multiple agents
+   * Execute a standing order across multiple agents. Independent actions
+   * run in parallel; an action with depends_on waits for its upstreams
+   * and sees their output. Each result has a status of success, failure
+   * or skipped. Agents may use tools up to the order's authority level,
+   * capped by their authority ceiling, unless opts.tools is false.
+   * Actions for an agent in maintenance go to its backup, and the result
+   * names the agent it stood in for as failoverFrom.
+   * The trigger context is sensor data and upstream results are agent
+   * output; both reach the agents fenced by the prompt guard.
+   * opts.client replaces the model client (e.g. a simulation stub);
+   * opts.retryDelayMs sets the backoff between retries; opts.dryRun
+   * leaves agent health and the security audit untouched.
    */
-  async executeStandingOrder(order, context) {
-    const responses = [];
-
-    for (const action of order.actions) {
+  async executeStandingOrder(order, context, opts = {}) {
+    const plan = planActions(order.actions, {
+      timeout: order.action_timeout,
+      retries: order.action_retries
+    }).map(action => {
+      if (action.skip) return action;
+      if (!this.agents[action.agent]) return { ...action, skip: `Unknown agent "${action.agent}"` };
+      const target = this.health.resolve(action.agent, this.agents);
+      if (!target) return { ...action, skip: `${this.agents[action.agent].name} is in maintenance with no backup` };
+      return target.failoverFrom ? { ...action, agent: target.agentId, failoverFrom: target.failoverFrom } : action;
+    });
+    const failovers = new Map(plan.filter(a => a.failoverFrom).map(a => [a.id, a.failoverFrom]));
+    const tools = opts.tools === false ? null : this.tools;
+    const toolCalls = new Map();   // action id -> tool calls of the last attempt
+    const dryRun = Boolean(opts.dryRun);
+    const triggerContext = this.guard.prepare('sensor', JSON.stringify(context), { label: 'Trigger context', orderId: order.id, dryRun });
+    const tracked = dryRun ? (agentId, fn) => fn() : (agentId, fn, runOpts) => this.health.run(agentId, fn, runOpts);
+
+    const results = await runPlan(plan, (action, upstream, signal, attempt) => tracked(action.agent, async () => {
       const agent = this.agents[action.agent];
-      if (agent) {
-        const response = await this.anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 1024,
-          system: agent.soul,
-          messages: [{
-            role: 'user',
-            content: `STANDING ORDER EXECUTION: ${order.name}
+      const upstreamBlock = upstream.length > 0
+        ? `\n\nUpstream results:\n${this.guard.prepare('agent', upstream.map(u => `- ${this.agents[u.agentId]?.name || u.agentId} (${u.action}): ${u.response}`).join('\n'), {
+          label: 'Upstream results',
+          orderId: order.id,
+          agentId: action.agent,
+          dryRun
+        }).text}`
+        : '';
+
+      const client = opts.client || this.llm.client({ task: 'standing_order', agent: action.agent, tags: { orderId: order.id } });
+      const params = {
+        max_tokens: 1024,
+        system: `${agent.soul}\n\n${this.guard.instructions()}`,
+        messages: [{
+          role: 'user',
+          content: `STANDING ORDER EXECUTION: ${order.name}
             
 Action required: ${action.action}
 
-Context: ${JSON.stringify(context)}
+Context: ${triggerContext.text}${upstreamBlock}
 
 Execute this standing order action. Be concise.`
-          }]
-        });
+        }]
+      };
 
-        responses.push({
-          agent: agent.name,
-          agentId: action.agent,
-          action: action.action,
-          response: response.content[0].text,
-          timestamp: new Date().toISOString()
+      if (tools) {
+        // An agent never acts above its manifest's authority ceiling
+        const ceiling = agent.authorityCeiling ?? Infinity;
+        // Calls are recorded as they run, so a timeout still shows what was done
+        const calls = [];
+        toolCalls.set(action.id, calls);
+        const { text } = await tools.converse(client, params, {
+          orderId: order.id,
+          authorityLevel: Math.min(order.authority_level || 0, ceiling),
+          agentId: action.agent
+        }, {
+          signal,
+          onToolCall: (call) => {
+            calls.push(call);
+            if (call.sideEffects) attempt.sideEffects = true;
+          }
         });
+        return text;
       }
-    }
-
-    return responses;
+      const response = await client.messages.create(params, { signal });
+      return response.content[0].text;
+    }, { signal }), { retryDelayMs: opts.retryDelayMs });
+
+    return results.map(result => ({
+      ...result,
+      ...(failovers.has(result.id) && { failoverFrom: failovers.get(result.id) }),
+      agent: this.agents[result.agentId]?.name || result.agentId,
+      toolCalls: toolCalls.get(result.id) || [],
+      timestamp: result.completedAt
+    }));
   }
 }
 
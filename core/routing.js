@@ -0,0 +1,433 @@
+/**
+ * KDT Aso - Message Routing
+ * Scores which agent should take a message and keeps an audit trail of
+ * every decision.
+ *
+ * RoutingClassifier ranks candidate agents with a confidence from:
+ *   direct   - the message addresses an agent by id or name
+ *              ("Intelligence Officer, ...", "@watch_officer ...")
+ *   keyword  - the message mentions one of an agent's manifest keywords;
+ *              only a hint, scored low enough to still ask the operator
+ *   learned  - the message resembles one the operator re-routed before
+ *   model    - the routing model's own scored guess
+ *
+ * RoutingLog appends each decision (and any later correction) as a JSON
+ * line under data/routing/ so the routing rules can be tuned.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'routing');
+
+// "no, send that to logistics", "wrong agent, that's for intel", "route it to the plans officer instead"
+const CORRECTION_PATTERNS = [
+  /^(?:no|nope|wrong(?:\s+(?:agent|section|person))?)\b[\s,.!-]*(?:please\s+)?(?:send|route|give|pass|forward|take)\s+(?:that|this|it)\s+to\s+(.+)$/i,
+  /^(?:no|nope|wrong(?:\s+(?:agent|section|person))?)\b[\s,.!-]*(?:that(?:'s| is)|it(?:'s| is))\s+for\s+(.+)$/i,
+  /^(?:send|route|give|pass|forward)\s+(?:that|this|it)\s+to\s+(.+?)\s+instead\b.*$/i
+];
+
+const ORDINALS = { first: 0, '1': 0, one: 0, second: 1, '2': 1, two: 1, third: 2, '3': 2, three: 2 };
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'that', 'this', 'with', 'what', 'are', 'our', 'any', 'can', 'you', 'from', 'have', 'has', 'was', 'were', 'there', 'about', 'please', 'give', 'get', 'need', 'want', 'tell', 'show']);
+
+function tokenize(text) {
+  return [...new Set(String(text).toLowerCase().match(/[a-z0-9]+/g) || [])]
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word));
+}
+
+// An agent id, name or keyword as a regex source: metacharacters escaped,
+// underscores and spaces interchangeable
+function termPattern(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[_\s]+/g, '[_\\s]+');
+}
+
+function similarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = a.filter(word => setB.has(word)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+class RoutingClassifier {
+  constructor(opts = {}) {
+    this.agents = opts.agents || {};
+    this.llm = opts.llm || null;
+    this.learnedPath = path.join(opts.dir || DEFAULT_DIR, 'learned.json');
+    this.learnedMatch = opts.learnedMatch ?? 0.5;   // Minimum similarity to reuse a correction
+    this.keywordScore = opts.keywordScore ?? 0.4;   // Confidence a keyword mention alone carries
+    this.maxLearned = opts.maxLearned || 500;
+    this.learned = this.loadLearned();
+  }
+
+  loadLearned() {
+    try {
+      if (fs.existsSync(this.learnedPath)) return JSON.parse(fs.readFileSync(this.learnedPath, 'utf-8'));
+    } catch (err) {
+      console.error('[ROUTING] Could not read learned routes:', err.message);
+    }
+    return [];
+  }
+
+  saveLearned() {
+    fs.mkdirSync(path.dirname(this.learnedPath), { recursive: true });
+    fs.writeFileSync(this.learnedPath, JSON.stringify(this.learned, null, 2));
+  }
+
+  /**
+   * Find the agent a phrase names ("the plans officer", "@watch_officer"),
+   * looking only at its start. Keywords ("logistics") count too with
+   * opts.keywords, for answers that can only be naming an agent. Null
+   * when it names none.
+   */
+  matchAgent(text, opts = {}) {
+    const phrase = String(text).toLowerCase().replace(/^\s*(?:to\s+)?(?:the\s+)?@?/, '');
+    const startsWith = (term) => new RegExp(`^${termPattern(term)}(?![a-z0-9])`).test(phrase);
+
+    for (const [agentId, agent] of Object.entries(this.agents)) {
+      if (startsWith(agentId) || (agent.name && startsWith(agent.name.toLowerCase()))) return agentId;
+    }
+    if (!opts.keywords) return null;
+    for (const [agentId, agent] of Object.entries(this.agents)) {
+      if ((agent.keywords || []).some(startsWith)) return agentId;
+    }
+    return null;
+  }
+
+  /**
+   * The agent an operator correction asks for, or null if the message
+   * is not a correction
+   */
+  parseCorrection(message) {
+    const text = String(message).trim();
+    for (const pattern of CORRECTION_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) return this.matchAgent(match[1], { keywords: true });
+    }
+    return null;
+  }
+
+  /**
+   * Read an answer to a clarifying question: an agent name, or "first",
+   * "2" etc. picking from the offered candidates
+   */
+  parseChoice(message, candidates = []) {
+    const agentId = this.matchAgent(message, { keywords: true });
+    if (agentId) return agentId;
+    const word = String(message).toLowerCase().match(/\b(first|second|third|one|two|three|[123])\b/);
+    return word ? candidates[ORDINALS[word[1]]]?.agentId || null : null;
+  }
+
+  /**
+   * Remember that a message belonged to an agent
+   */
+  learn(message, agentId) {
+    const tokens = tokenize(message);
+    if (tokens.length === 0 || !this.agents[agentId]) return null;
+    const existing = this.learned.find(l => l.agentId === agentId && similarity(l.tokens, tokens) === 1);
+    if (existing) {
+      existing.count++;
+      existing.updatedAt = new Date().toISOString();
+    } else {
+      this.learned.push({ id: uuidv4(), message: String(message).substring(0, 200), tokens, agentId, count: 1, updatedAt: new Date().toISOString() });
+      if (this.learned.length > this.maxLearned) this.learned.shift();
+    }
+    this.saveLearned();
+    return existing || this.learned[this.learned.length - 1];
+  }
+
+  /**
+   * Remove a learned route by id
+   */
+  forget(id) {
+    const index = this.learned.findIndex(l => l.id === id);
+    if (index === -1) return false;
+    this.learned.splice(index, 1);
+    this.saveLearned();
+    return true;
+  }
+
+  /**
+   * Drop learned routes whose phrase the matcher finds a mention in;
+   * returns how many
+   */
+  redact(matcher) {
+    const before = this.learned.length;
+    this.learned = this.learned.filter(l => !matcher.test(l.message));
+    if (this.learned.length === before) return 0;
+    this.saveLearned();
+    return before - this.learned.length;
+  }
+
+  keywordCandidates(message) {
+    const text = String(message).toLowerCase();
+    const mentions = (term) => new RegExp(`(?<![a-z0-9])${termPattern(term)}(?![a-z0-9])`).test(text);
+    return Object.entries(this.agents)
+      .filter(([, agent]) => (agent.keywords || []).some(mentions))
+      .map(([agentId]) => ({ agentId, confidence: this.keywordScore, source: 'keyword' }));
+  }
+
+  learnedCandidates(message) {
+    const tokens = tokenize(message);
+    const best = {};
+    for (const entry of this.learned) {
+      const score = similarity(entry.tokens, tokens);
+      if (score >= this.learnedMatch && score > (best[entry.agentId] || 0)) best[entry.agentId] = score;
+    }
+    return Object.entries(best).map(([agentId, score]) => ({
+      agentId,
+      confidence: Math.round(score * 100) / 100,
+      source: 'learned'
+    }));
+  }
+
+  async modelCandidates(message, tags) {
+    // Staff first; Aso's duties refer back to them
+    const agentList = Object.entries(this.agents)
+      .filter(([, agent]) => agent.duties)
+      .sort(([, a], [, b]) => (a.type === 'orchestrator') - (b.type === 'orchestrator'))
+      .map(([id, agent]) => `- ${id}: ${agent.duties}`)
+      .join('\n');
+    const prompt = `You are the KDT Aso routing system. Based on the message, score which agents could handle it.
+
+Available agents:
+${agentList}
+
+Message: "${message}"
+
+Respond with ONLY JSON listing up to 3 agents, most likely first, with a confidence from 0 to 1: {"candidates": [{"agent": "intelligence_officer", "confidence": 0.8}]}`;
+
+    const response = await this.llm.create({
+      max_tokens: 200,
+      messages: [{ role: 'user', content: prompt }]
+    }, { task: 'routing', tags });
+    const text = response.content[0].text;
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0]);
+    } catch (err) {
+      parsed = null;
+    }
+    if (!Array.isArray(parsed?.candidates)) {
+      // A bare agent id still counts, but only as a guess
+      const agentId = text.trim().toLowerCase().replace(/[^a-z_]/g, '');
+      return this.agents[agentId] ? [{ agentId, confidence: 0.5, source: 'model' }] : [];
+    }
+    return parsed.candidates
+      .filter(c => this.agents[c?.agent])
+      .map(c => ({
+        agentId: c.agent,
+        confidence: Math.min(1, Math.max(0, Number(c.confidence) || 0)),
+        source: 'model'
+      }));
+  }
+
+  /**
+   * Rank the agents for a message. Resolves to { candidates, method }
+   * with candidates sorted by confidence (highest first); method is the
+   * source of the top candidate, or "none" when there are no candidates.
+   * The model is skipped when the message addresses an agent or a
+   * learned route matches with opts.confident or better; opts.tags
+   * label the model call for usage metering.
+   */
+  async classify(message, opts = {}) {
+    const confident = opts.confident ?? 0.8;
+    const direct = this.matchAgent(message);
+    if (direct) {
+      return { candidates: [{ agentId: direct, confidence: 1, source: 'direct' }], method: 'direct' };
+    }
+
+    let candidates = this.keywordCandidates(message).concat(this.learnedCandidates(message));
+    if (!candidates.some(c => c.confidence >= confident) && this.llm) {
+      candidates = candidates.concat(await this.modelCandidates(message, opts.tags));
+    }
+
+    // Keep each agent's best score
+    const best = new Map();
+    for (const candidate of candidates) {
+      if (!best.has(candidate.agentId) || candidate.confidence > best.get(candidate.agentId).confidence) {
+        best.set(candidate.agentId, candidate);
+      }
+    }
+    const ranked = [...best.values()].sort((a, b) => b.confidence - a.confidence);
+    return { candidates: ranked, method: ranked[0]?.source || 'none' };
+  }
+}
+
+class RoutingLog {
+  constructor(opts = {}) {
+    this.file = path.join(opts.dir || DEFAULT_DIR, 'decisions.jsonl');
+    this.maxEntries = opts.maxEntries || 5000;
+    this.entries = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return [];
+    const entries = [];
+    const byId = new Map();
+    for (const line of fs.readFileSync(this.file, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        console.error('[ROUTING] Skipping unreadable decision log line');
+        continue;
+      }
+      if (record.type === 'correction') {
+        const entry = byId.get(record.decisionId);
+        if (entry) entry.correction = record.correction;
+      } else {
+        entries.push(record);
+        byId.set(record.id, record);
+      }
+    }
+    return entries.slice(-this.maxEntries);
+  }
+
+  append(record) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Scrub what the matcher matches from logged messages, on disk and in
+   * memory; returns how many decisions changed
+   */
+  redact(matcher) {
+    for (const entry of this.entries) {
+      if (matcher.test(entry.message)) entry.message = matcher.replace(entry.message);
+    }
+    if (!fs.existsSync(this.file)) return 0;
+    let changed = 0;
+    const lines = fs.readFileSync(this.file, 'utf-8').split('\n').map(line => {
+      if (!line.trim() || !matcher.test(line)) return line;
+      try {
+        const record = JSON.parse(line);
+        if (record.type === 'correction' || !matcher.test(record.message)) return line;
+        changed++;
+        return JSON.stringify({ ...record, message: matcher.replace(record.message) });
+      } catch (err) {
+        return '';   // An unreadable line that names them goes
+      }
+    });
+    if (changed > 0) {
+      fs.writeFileSync(`${this.file}.tmp`, lines.join('\n'));
+      fs.renameSync(`${this.file}.tmp`, this.file);
+    }
+    return changed;
+  }
+
+  /**
+   * Log a routing decision
+   */
+  record(decision) {
+    const entry = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      sessionId: decision.sessionId || null,
+      userId: decision.userId || null,
+      message: String(decision.message || '').substring(0, 500),
+      method: decision.method,
+      agentId: decision.agentId || null,
+      confidence: decision.confidence ?? null,
+      candidates: decision.candidates || [],
+      clarification: Boolean(decision.clarification),
+      resolves: decision.resolves || null,
+      correction: null
+    };
+    this.append(entry);
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) this.entries.shift();
+    return entry;
+  }
+
+  /**
+   * Mark a decision as re-routed by the operator
+   */
+  correct(decisionId, agentId) {
+    const entry = this.get(decisionId);
+    if (!entry) return null;
+    entry.correction = { agentId, timestamp: new Date().toISOString() };
+    this.append({ type: 'correction', decisionId, correction: entry.correction });
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.find(e => e.id === id) || null;
+  }
+
+  /**
+   * Decisions, newest first. Filters: agentId (routed to), method,
+   * sessionId, userId, corrected, clarification, from, to, limit, offset.
+   */
+  query(filters = {}) {
+    const flag = (value) => (value === undefined || value === null ? null : String(value) === 'true');
+    const corrected = flag(filters.corrected);
+    const clarification = flag(filters.clarification);
+    const from = filters.from ? Date.parse(filters.from) : null;
+    const to = filters.to ? Date.parse(filters.to) : null;
+    if (Number.isNaN(from) || Number.isNaN(to)) throw new Error('Invalid date');
+
+    return this.entries
+      .filter(e => (!filters.agentId || e.agentId === filters.agentId) &&
+        (!filters.method || e.method === filters.method) &&
+        (!filters.sessionId || e.sessionId === filters.sessionId) &&
+        (!filters.userId || e.userId === filters.userId) &&
+        (corrected === null || Boolean(e.correction) === corrected) &&
+        (clarification === null || e.clarification === clarification) &&
+        (from === null || Date.parse(e.timestamp) >= from) &&
+        (to === null || Date.parse(e.timestamp) <= to))
+      .reverse()
+      .slice(filters.offset || 0, (filters.offset || 0) + (filters.limit || 100));
+  }
+
+  /**
+   * Totals for tuning: decisions by method, per-agent volume, average
+   * confidence and correction counts, and which agents get corrected to
+   * which
+   */
+  stats(filters = {}) {
+    const entries = this.query({ ...filters, limit: this.maxEntries, offset: 0 });
+    const byMethod = {};
+    const byAgent = {};
+    const confusions = {};
+    let corrections = 0;
+    let clarifications = 0;
+
+    for (const entry of entries) {
+      byMethod[entry.method] = (byMethod[entry.method] || 0) + 1;
+      if (entry.clarification) clarifications++;
+      if (!entry.agentId) continue;
+      const agent = byAgent[entry.agentId] || (byAgent[entry.agentId] = { routed: 0, corrected: 0, confidenceTotal: 0 });
+      agent.routed++;
+      agent.confidenceTotal += entry.confidence || 0;
+      if (entry.correction) {
+        corrections++;
+        agent.corrected++;
+        const key = `${entry.agentId}->${entry.correction.agentId}`;
+        confusions[key] = (confusions[key] || 0) + 1;
+      }
+    }
+
+    for (const agent of Object.values(byAgent)) {
+      agent.averageConfidence = Math.round((agent.confidenceTotal / agent.routed) * 100) / 100;
+      delete agent.confidenceTotal;
+    }
+    return {
+      total: entries.length,
+      clarifications,
+      corrections,
+      correctionRate: entries.length ? Math.round((corrections / entries.length) * 1000) / 1000 : 0,
+      byMethod,
+      byAgent,
+      confusions: Object.entries(confusions)
+        .map(([key, count]) => ({ from: key.split('->')[0], to: key.split('->')[1], count }))
+        .sort((a, b) => b.count - a.count)
+    };
+  }
+}
+
+module.exports = { RoutingClassifier, RoutingLog };
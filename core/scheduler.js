@@ -0,0 +1,501 @@
+/**
+ * KDT Aso - Scheduler
+ * Timezone-aware cron scheduling with catch-up of runs missed while down
+ *
+ * Schedule specs (string form is a cron expression):
+ *   "0 6 * * 1-5"                              minute hour day-of-month month day-of-week
+ *   "@daily"                                   @hourly, @daily, @weekly, @monthly, @yearly
+ *   { cron: "0 6 * * *" }
+ *   { at: "0600", days: [mon, tue] }           one or more HHMM times
+ *   { every: "15m", between: "0800-1800" }     every N minutes inside a window (may cross midnight)
+ * Any object spec may also set `timezone` and `catch_up` (latest | all | none).
+ *
+ * Events:
+ *   run       - ({ jobId, scheduledFor, firedAt, missed }) each time a job fires
+ *   job:error - (run plus error) when a handler throws or rejects; the
+ *               scheduler keeps running
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { parseDuration } = require('./conditions');
+
+const DAY_NAMES = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const MONTH_NAMES = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+const MINUTE = 60 * 1000;
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+// ==================== TIMEZONES ====================
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    dow: DAY_NAMES[parts.weekday.toLowerCase().slice(0, 3)]
+  };
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// ==================== PARSING ====================
+
+function parseCronField(field, min, max, names = {}) {
+  const values = new Set();
+  const toNumber = (token) => {
+    const named = names[token.toLowerCase()];
+    const value = named !== undefined ? named : Number(token);
+    if (!Number.isInteger(value)) throw new Error(`Invalid cron value '${token}'`);
+    return value;
+  };
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step '${stepText}'`);
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toNumber);
+    } else {
+      start = toNumber(range);
+      end = stepText === undefined ? start : max;
+    }
+
+    if (start < min || end > max || start > end) {
+      throw new Error(`Cron value out of range in '${part}' (${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const fields = source.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields, got ${fields.length}: '${expression}'`);
+  }
+
+  const [minute, hour, dom, month, dow] = fields;
+  const dowValues = parseCronField(dow, 0, 7, DAY_NAMES);
+  if (dowValues.has(7)) {
+    dowValues.delete(7);
+    dowValues.add(0);
+  }
+
+  const cron = {
+    minute: parseCronField(minute, 0, 59),
+    hour: parseCronField(hour, 0, 23),
+    dom: parseCronField(dom, 1, 31),
+    month: parseCronField(month, 1, 12, MONTH_NAMES),
+    dow: dowValues,
+    domRestricted: dom !== '*',
+    dowRestricted: dow !== '*'
+  };
+
+  return {
+    dayMatches: (p) => {
+      if (!cron.month.has(p.month)) return false;
+      // Standard cron: when both day fields are restricted either may match
+      if (cron.domRestricted && cron.dowRestricted) return cron.dom.has(p.day) || cron.dow.has(p.dow);
+      if (cron.domRestricted) return cron.dom.has(p.day);
+      if (cron.dowRestricted) return cron.dow.has(p.dow);
+      return true;
+    },
+    hourMatches: (p) => cron.hour.has(p.hour),
+    minuteMatches: (p) => cron.minute.has(p.minute)
+  };
+}
+
+function parseHhmm(value, label) {
+  const text = String(value).padStart(4, '0');
+  const match = /^(\d{2}):?(\d{2})$/.exec(text);
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    throw new Error(`Invalid ${label} '${value}', expected HHMM`);
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+function parseDays(days) {
+  if (days === undefined || days === null) return null;
+  const list = Array.isArray(days) ? days : String(days).split(',');
+  return new Set(list.map(d => {
+    const value = typeof d === 'number' ? d : DAY_NAMES[String(d).trim().toLowerCase().slice(0, 3)];
+    if (!Number.isInteger(value) || value < 0 || value > 6) throw new Error(`Invalid day '${d}'`);
+    return value;
+  }));
+}
+
+/**
+ * Build matchers for a time-of-day rule (at / every-between)
+ */
+function parseTimeRule(spec) {
+  const days = parseDays(spec.days);
+  let minuteMatches;
+  let describe;
+
+  if (spec.at !== undefined) {
+    const times = new Set((Array.isArray(spec.at) ? spec.at : [spec.at]).map(t => parseHhmm(t, 'time')));
+    minuteMatches = (mod) => times.has(mod);
+    describe = `at ${[].concat(spec.at).join(', ')}`;
+  } else {
+    const interval = typeof spec.every === 'number' ? spec.every * MINUTE : parseDuration(spec.every);
+    if (!interval || interval % MINUTE !== 0 || interval >= 24 * 60 * MINUTE) {
+      throw new Error(`Invalid interval '${spec.every}', expected whole minutes under 24h`);
+    }
+    const step = interval / MINUTE;
+    let start = 0;
+    let end = 24 * 60 - 1;
+    if (spec.between) {
+      const [from, to] = String(spec.between).split(/\s*(?:-|and)\s*/i);
+      start = parseHhmm(from, 'window start');
+      end = parseHhmm(to, 'window end');
+    }
+    const offset = (mod) => (mod - start + 24 * 60) % (24 * 60);
+    const length = offset(end);
+    minuteMatches = (mod) => offset(mod) <= length && offset(mod) % step === 0;
+    describe = `every ${spec.every}${spec.between ? ` between ${spec.between}` : ''}`;
+  }
+
+  const hours = Array.from({ length: 24 }, (_, h) =>
+    Array.from({ length: 60 }, (_, m) => h * 60 + m).some(minuteMatches));
+
+  if (days) describe += ` on ${Array.from(days).map(d => Object.keys(DAY_NAMES)[d]).join(',')}`;
+
+  return {
+    matchers: {
+      dayMatches: (p) => !days || days.has(p.dow),
+      hourMatches: (p) => hours[p.hour],
+      minuteMatches: (p) => minuteMatches(p.hour * 60 + p.minute)
+    },
+    description: describe
+  };
+}
+
+/**
+ * Parse a schedule spec into a compiled schedule
+ */
+function parseSchedule(spec) {
+  if (typeof spec === 'string') spec = { cron: spec };
+  if (!spec || typeof spec !== 'object') throw new Error('Schedule must be a cron string or an object');
+
+  let matchers;
+  let description;
+  if (spec.cron) {
+    matchers = parseCron(String(spec.cron));
+    description = `cron ${spec.cron}`;
+  } else if (spec.at !== undefined || spec.every !== undefined) {
+    ({ matchers, description } = parseTimeRule(spec));
+  } else {
+    throw new Error('Schedule needs one of: cron, at, every');
+  }
+
+  if (spec.timezone && !isValidTimezone(spec.timezone)) {
+    throw new Error(`Unknown timezone '${spec.timezone}'`);
+  }
+  const catchUp = spec.catch_up || spec.catchUp || 'latest';
+  if (!['latest', 'all', 'none'].includes(catchUp)) {
+    throw new Error(`Invalid catch_up '${catchUp}', expected latest, all or none`);
+  }
+
+  return { ...matchers, description, timezone: spec.timezone || null, catchUp };
+}
+
+/**
+ * Next scheduled minute strictly after `after`
+ */
+function nextOccurrence(schedule, after, timeZone) {
+  let t = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    const p = zonedParts(new Date(t), timeZone);
+    if (!schedule.dayMatches(p)) {
+      t += (24 * 60 - (p.hour * 60 + p.minute)) * MINUTE;
+    } else if (!schedule.hourMatches(p)) {
+      t += (60 - p.minute) * MINUTE;
+    } else if (!schedule.minuteMatches(p)) {
+      t += MINUTE;
+    } else {
+      return new Date(t);
+    }
+  }
+  return null;
+}
+
+// ==================== SCHEDULER ====================
+
+class Scheduler extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.timezone = opts.timezone || 'Africa/Lagos';
+    this.stateFile = opts.stateFile === undefined
+      ? path.join(__dirname, '..', 'data', 'scheduler', 'state.json')
+      : opts.stateFile;
+    this.maxCatchUp = opts.maxCatchUp || 24 * 60 * MINUTE;
+    this.maxSleep = opts.maxSleep || MINUTE;
+    this.jobs = new Map();
+    this.timer = null;
+    this.running = false;
+    this.state = this._loadState();
+  }
+
+  _loadState() {
+    if (this.stateFile && fs.existsSync(this.stateFile)) {
+      try {
+        return JSON.parse(fs.readFileSync(this.stateFile, 'utf-8'));
+      } catch (err) {
+        console.error('[SCHEDULER] State load error:', err.message);
+      }
+    }
+    return { lastTick: null, jobs: {} };
+  }
+
+  _saveState() {
+    if (!this.stateFile) return;
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+    } catch (err) {
+      console.error('[SCHEDULER] State save error:', err.message);
+    }
+  }
+
+  setTimezone(timeZone) {
+    if (!isValidTimezone(timeZone)) throw new Error(`Unknown timezone '${timeZone}'`);
+    this.timezone = timeZone;
+    const now = new Date();
+    for (const job of this.jobs.values()) {
+      job.next = nextOccurrence(job.schedule, now, this._tz(job));
+    }
+    this._arm();
+  }
+
+  _tz(job) {
+    return job.schedule.timezone || this.timezone;
+  }
+
+  /**
+   * Register a job. The handler receives { jobId, scheduledFor, firedAt, missed }.
+   */
+  add(id, spec, handler, opts = {}) {
+    const schedule = parseSchedule(spec);
+    if (opts.catchUp) schedule.catchUp = opts.catchUp;
+
+    const job = { id, spec, schedule, handler, next: null };
+    this.jobs.set(id, job);
+
+    if (this.running) {
+      this._catchUp(job, new Date());
+    }
+    job.next = nextOccurrence(schedule, new Date(), this._tz(job));
+    this._arm();
+    return this.describe(job);
+  }
+
+  remove(id) {
+    const removed = this.jobs.delete(id);
+    if (removed) this._arm();
+    return removed;
+  }
+
+  has(id) {
+    return this.jobs.has(id);
+  }
+
+  /**
+   * Start ticking, first running anything missed since the last tick
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    const now = new Date();
+    for (const job of this.jobs.values()) {
+      this._catchUp(job, now);
+      job.next = nextOccurrence(job.schedule, now, this._tz(job));
+    }
+    this.state.lastTick = now.toISOString();
+    this._saveState();
+    this._arm();
+    console.log(`[SCHEDULER] Started with ${this.jobs.size} job(s) (${this.timezone})`);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _catchUp(job, now) {
+    if (job.schedule.catchUp === 'none') return;
+    const lastRun = this.state.jobs[job.id]?.lastRun;
+    const since = [lastRun, this.state.lastTick].filter(Boolean).map(t => new Date(t).getTime());
+    if (since.length === 0) return;
+
+    const from = new Date(Math.max(Math.max(...since), now.getTime() - this.maxCatchUp));
+    const missed = [];
+    let t = nextOccurrence(job.schedule, from, this._tz(job));
+    while (t && t <= now && missed.length < 100) {
+      missed.push(t);
+      t = nextOccurrence(job.schedule, t, this._tz(job));
+    }
+    if (missed.length === 0) return;
+
+    const toRun = job.schedule.catchUp === 'all' ? missed : [missed[missed.length - 1]];
+    console.log(`[SCHEDULER] Catching up ${toRun.length} missed run(s) of ${job.id}`);
+    for (const scheduledFor of toRun) {
+      this._run(job, scheduledFor, true);
+    }
+  }
+
+  _arm() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.running) return;
+
+    const nexts = Array.from(this.jobs.values()).map(j => j.next).filter(Boolean);
+    const soonest = nexts.length ? Math.min(...nexts.map(d => d.getTime())) : Infinity;
+    // Wake at least every maxSleep so clock jumps and timezone changes are picked up
+    const delay = Math.max(0, Math.min(soonest - Date.now(), this.maxSleep));
+    this.timer = setTimeout(() => this._tick(), delay);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  _tick() {
+    const now = new Date();
+    for (const job of Array.from(this.jobs.values())) {
+      if (!job.next || job.next > now) continue;
+
+      // Several occurrences overdue (process was suspended): run the latest once
+      let due = job.next;
+      let following = nextOccurrence(job.schedule, due, this._tz(job));
+      while (following && following <= now) {
+        due = following;
+        following = nextOccurrence(job.schedule, due, this._tz(job));
+      }
+      job.next = following;
+      this._run(job, due, due.getTime() < now.getTime() - MINUTE);
+    }
+    this.state.lastTick = now.toISOString();
+    this._saveState();
+    this._arm();
+  }
+
+  _run(job, scheduledFor, missed) {
+    const lastRun = this.state.jobs[job.id]?.lastRun;
+    // Never fire the same scheduled minute twice
+    if (lastRun && new Date(lastRun).getTime() >= scheduledFor.getTime()) return;
+
+    this.state.jobs[job.id] = { lastRun: scheduledFor.toISOString() };
+    const run = {
+      jobId: job.id,
+      scheduledFor: scheduledFor.toISOString(),
+      firedAt: new Date().toISOString(),
+      missed
+    };
+
+    const failed = (err) => {
+      console.error(`[SCHEDULER] Job ${job.id} failed:`, err?.message || err);
+      this.emit('job:error', { ...run, error: err?.message || String(err) });
+    };
+    try {
+      const result = job.handler(run);
+      if (result && typeof result.catch === 'function') result.catch(failed);
+    } catch (err) {
+      failed(err);
+    }
+    this.emit('run', run);
+  }
+
+  /**
+   * Upcoming fire times for a job
+   */
+  nextRuns(id, count = 5, from = new Date()) {
+    const job = this.jobs.get(id);
+    if (!job) return [];
+    const runs = [];
+    let t = from;
+    while (runs.length < count) {
+      t = nextOccurrence(job.schedule, t, this._tz(job));
+      if (!t) break;
+      runs.push(t.toISOString());
+    }
+    return runs;
+  }
+
+  describe(job, count = 1) {
+    return {
+      id: job.id,
+      description: job.schedule.description,
+      timezone: this._tz(job),
+      catchUp: job.schedule.catchUp,
+      lastRun: this.state.jobs[job.id]?.lastRun || null,
+      nextRuns: this.nextRuns(job.id, count)
+    };
+  }
+
+  /**
+   * List all jobs with their next fire times
+   */
+  list(count = 3) {
+    return Array.from(this.jobs.values()).map(job => this.describe(job, count));
+  }
+}
+
+Scheduler.parseSchedule = parseSchedule;
+Scheduler.zonedParts = zonedParts;
+Scheduler.isValidTimezone = isValidTimezone;
+Scheduler.parseHhmm = parseHhmm;
+
+module.exports = Scheduler;
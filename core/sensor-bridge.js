@@ -0,0 +1,245 @@
+/**
+ * KDT Aso - Sensor Trigger Bridge
+ * Maps sensor triggers onto standing orders with dedupe and per-sensor cooldowns
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const conditions = require('./conditions');
+
+class SensorTriggerBridge extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.standingOrders = opts.standingOrders;
+    this.configPath = opts.configPath || path.join(__dirname, '..', 'config', 'sensor_triggers.yaml');
+    this.recentData = new Map();   // fingerprint -> last seen (ms)
+    this.cooldowns = new Map();    // sensorId:target -> cooldown expiry (ms)
+    this.history = [];
+    this.maxHistory = 500;
+    this.loadConfig();
+  }
+
+  /**
+   * Load mappings from config. Invalid `when` expressions throw at load.
+   */
+  loadConfig() {
+    let config = {};
+    if (fs.existsSync(this.configPath)) {
+      config = yaml.parse(fs.readFileSync(this.configPath, 'utf-8'))?.sensor_triggers || {};
+    }
+
+    const defaults = config.defaults || {};
+    this.dedupeWindow = this.parseWindow(defaults.dedupe_window, 5000);
+    this.defaultCooldown = this.parseWindow(defaults.cooldown, 60000);
+
+    this.mappings = (config.mappings || []).map((mapping, index) => {
+      if (!mapping.sensor_trigger || !mapping.standing_order_trigger) {
+        throw new Error(`Sensor trigger mapping #${index + 1} needs sensor_trigger and standing_order_trigger`);
+      }
+      let when = null;
+      if (mapping.when) {
+        try {
+          when = conditions.compile(String(mapping.when), { allowedFunctions: [] });
+        } catch (err) {
+          throw new Error(`Invalid "when" in sensor trigger mapping #${index + 1} (${mapping.sensor_trigger}): ${err.message}`);
+        }
+      }
+      return {
+        sensorTrigger: mapping.sensor_trigger,
+        standingOrderTrigger: mapping.standing_order_trigger,
+        when,
+        cooldown: this.parseWindow(mapping.cooldown, this.defaultCooldown)
+      };
+    });
+
+    return this.mappings;
+  }
+
+  parseWindow(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    if (typeof value === 'number') return value * 1000;
+    const ms = conditions.parseDuration(value);
+    if (ms === null) throw new Error(`Invalid duration in sensor trigger config: ${value}`);
+    return ms;
+  }
+
+  /**
+   * Subscribe to a SensorSystem's trigger and offline events
+   */
+  attach(sensorSystem) {
+    sensorSystem.on('sensor:trigger', (trigger) => this.handle(trigger));
+    sensorSystem.on('sensor:offline', (sensor) => this.handle({
+      trigger: 'sensor_offline',
+      sensorId: sensor.id,
+      sensorName: sensor.name,
+      sensorType: sensor.type,
+      zone: sensor.zone,
+      data: sensor.lastData,
+      lastSeen: sensor.lastSeen,
+      timestamp: new Date().toISOString()
+    }));
+    return this;
+  }
+
+  /**
+   * Build the standing order context for a sensor trigger.
+   * `cause` identifies the data point that set the order off.
+   */
+  buildContext(trigger) {
+    const { trigger: name, sensorId, sensorName, sensorType, zone, data, timestamp, ...extra } = trigger;
+    return {
+      ...extra,
+      trigger: name,
+      originalTrigger: name,
+      sensor: { id: sensorId, name: sensorName, type: sensorType, zone },
+      sensorName,
+      sensorType,
+      zone,
+      data,
+      timestamp,
+      cause: {
+        sensorId,
+        sensorName,
+        trigger: name,
+        dataPointId: data?.id || null,
+        timestamp: data?.timestamp || timestamp,
+        dataPoint: data || null
+      }
+    };
+  }
+
+  /**
+   * Process a sensor trigger. Returns what was fired and what was suppressed.
+   */
+  handle(trigger, now = Date.now()) {
+    const result = { fired: [], suppressed: [] };
+    const context = this.buildContext(trigger);
+
+    if (this.isDuplicate(trigger, now)) {
+      result.suppressed.push({ reason: 'duplicate' });
+      this.record(trigger, 'duplicate', null, context, now);
+      return result;
+    }
+
+    // Named standing order triggers via the mapping table
+    const fired = new Set();
+    for (const mapping of this.mappings) {
+      if (mapping.sensorTrigger !== trigger.trigger) continue;
+      const target = mapping.standingOrderTrigger;
+      if (fired.has(target)) continue;
+
+      if (mapping.when && !this.safeEvaluate(mapping.when, context)) {
+        this.record(trigger, 'filtered', target, context, now);
+        continue;
+      }
+      if (!this.takeCooldown(trigger.sensorId, target, mapping.cooldown, now)) {
+        result.suppressed.push({ target, reason: 'cooldown' });
+        this.record(trigger, 'cooldown', target, context, now);
+        continue;
+      }
+
+      fired.add(target);
+      const matched = this.standingOrders?.checkTrigger(target, context) || false;
+      this.record(trigger, matched ? 'fired' : 'no_order', target, context, now);
+      if (matched) result.fired.push({ target, type: 'event' });
+    }
+
+    // Expression standing orders see every (deduped) sensor trigger
+    if (this.standingOrders?.evaluate) {
+      const orderIds = this.standingOrders.evaluate(context, {
+        shouldFire: (orderId) => {
+          if (this.takeCooldown(trigger.sensorId, `order:${orderId}`, this.defaultCooldown, now)) return true;
+          result.suppressed.push({ target: orderId, reason: 'cooldown' });
+          this.record(trigger, 'cooldown', orderId, context, now);
+          return false;
+        }
+      });
+      for (const orderId of orderIds) {
+        result.fired.push({ target: orderId, type: 'expression' });
+        this.record(trigger, 'fired', orderId, context, now);
+      }
+    }
+
+    if (result.fired.length > 0) {
+      this.emit('dispatch', { ...result, cause: context.cause });
+    }
+    return result;
+  }
+
+  safeEvaluate(expression, context) {
+    try {
+      return Boolean(expression.evaluate(context));
+    } catch (err) {
+      console.error('[SENSOR BRIDGE] Mapping condition failed:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Drop identical data points from the same sensor inside the dedupe window
+   */
+  isDuplicate(trigger, now) {
+    if (!this.dedupeWindow) return false;
+    const { id, timestamp, ...payload } = trigger.data || {};
+    const fingerprint = `${trigger.sensorId}:${trigger.trigger}:${JSON.stringify(payload)}`;
+
+    for (const [key, seenAt] of this.recentData) {
+      if (now - seenAt > this.dedupeWindow) this.recentData.delete(key);
+    }
+
+    const seenAt = this.recentData.get(fingerprint);
+    this.recentData.set(fingerprint, now);
+    return seenAt !== undefined && now - seenAt <= this.dedupeWindow;
+  }
+
+  /**
+   * Start a cooldown for sensor/target, or return false if one is running
+   */
+  takeCooldown(sensorId, target, cooldown, now) {
+    const key = `${sensorId}:${target}`;
+    const until = this.cooldowns.get(key);
+    if (until && now < until) return false;
+    if (cooldown > 0) this.cooldowns.set(key, now + cooldown);
+    return true;
+  }
+
+  record(trigger, outcome, target, context, now) {
+    this.history.push({
+      timestamp: new Date(now).toISOString(),
+      sensorId: trigger.sensorId,
+      sensorTrigger: trigger.trigger,
+      target,
+      outcome,
+      cause: context.cause
+    });
+    if (this.history.length > this.maxHistory) {
+      this.history = this.history.slice(-this.maxHistory);
+    }
+  }
+
+  /**
+   * Get recent dispatch decisions, newest first
+   */
+  getHistory(limit = 100, filters = {}) {
+    let entries = [...this.history].reverse();
+    if (filters.sensorId) entries = entries.filter(e => e.sensorId === filters.sensorId);
+    if (filters.outcome) entries = entries.filter(e => e.outcome === filters.outcome);
+    return entries.slice(0, limit);
+  }
+
+  /**
+   * List mappings in API form
+   */
+  listMappings() {
+    return this.mappings.map(m => ({
+      sensorTrigger: m.sensorTrigger,
+      standingOrderTrigger: m.standingOrderTrigger,
+      when: m.when?.source || null,
+      cooldownMs: m.cooldown
+    }));
+  }
+}
+
+module.exports = SensorTriggerBridge;
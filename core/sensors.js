@@ -172,6 +172,7 @@ class SensorSystem extends EventEmitter {
     const timestamp = data.timestamp || new Date().toISOString();
     const dataPoint = {
       ...data,
+      id: uuidv4(),
       timestamp,
       sensorId,
       sensorType: sensor.type,
@@ -8,6 +8,7 @@
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
+const Scheduler = require('./scheduler');
 
 class ShiftManager {
   constructor(opts = {}) {
@@ -16,7 +17,10 @@ class ShiftManager {
     this.activeShifts = new Map();
     this._ensureDir();
     this._loadSchedules();
-    this._checkInterval = null;
+    this.scheduler = opts.scheduler || null;
+    this._ownsScheduler = !opts.scheduler;
+    this._io = null;
+    this._getSystemState = null;
   }
 
   _ensureDir() {
@@ -43,6 +47,10 @@ class ShiftManager {
 
   // Create a shift schedule
   createSchedule(opts) {
+    // Throws on malformed times before anything is saved
+    Scheduler.parseHhmm(opts.startTime, 'startTime');
+    Scheduler.parseHhmm(opts.endTime, 'endTime');
+
     const schedule = {
       id: uuidv4(),
       name: opts.name, // e.g., "Day Shift", "Night Watch"
@@ -50,55 +58,91 @@ class ShiftManager {
       endTime: opts.endTime, // "1800"
       daysOfWeek: opts.daysOfWeek || [0, 1, 2, 3, 4, 5, 6], // 0=Sun
       assignedUsers: opts.assignedUsers || [], // user IDs
+      lead: opts.lead || null, // user ID of the shift lead; defaults to the first assigned user
       briefingTemplate: opts.briefingTemplate || null,
       active: true,
     };
 
     this.schedules.set(schedule.id, schedule);
     this._saveSchedules();
+    if (this._io) this._scheduleShift(schedule);
     return schedule;
   }
 
-  // Start the automatic shift checker
+  // Start the automatic shift checker. Shift starts and ends run as
+  // scheduler jobs in the system timezone; a shift already in progress
+  // (e.g. after a restart) is started straight away.
   startAutoCheck(io, getSystemState) {
-    // Check every minute
-    this._checkInterval = setInterval(() => {
-      this._checkShifts(io, getSystemState);
-    }, 60000);
-    
-    // Also check immediately
-    this._checkShifts(io, getSystemState);
+    this._io = io;
+    this._getSystemState = getSystemState;
+    if (!this.scheduler) this.scheduler = new Scheduler();
+
+    for (const schedule of this.schedules.values()) {
+      this._scheduleShift(schedule);
+    }
+    this._resumeInProgress();
+
+    if (this._ownsScheduler) this.scheduler.start();
     console.log('[SHIFTS] Auto-check started');
   }
 
   stop() {
-    if (this._checkInterval) {
-      clearInterval(this._checkInterval);
-      this._checkInterval = null;
+    if (this.scheduler) {
+      for (const id of this.schedules.keys()) this._unscheduleShift(id);
+      if (this._ownsScheduler) this.scheduler.stop();
     }
+    this._io = null;
   }
 
-  _checkShifts(io, getSystemState) {
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}${String(now.getMinutes()).padStart(2, '0')}`;
-    const currentDay = now.getDay();
+  _scheduleShift(schedule) {
+    if (!schedule.active) return;
+    const days = schedule.daysOfWeek;
+    // Overnight shifts end on the day after they start
+    const endDays = schedule.endTime <= schedule.startTime
+      ? days.map(d => (d + 1) % 7)
+      : days;
 
-    for (const [id, schedule] of this.schedules) {
-      if (!schedule.active) continue;
-      if (!schedule.daysOfWeek.includes(currentDay)) continue;
-      
-      // Check if this shift is starting right now (within 1 minute)
-      if (currentTime === schedule.startTime && !this.activeShifts.has(id)) {
-        this._startShift(id, schedule, io, getSystemState);
+    this.scheduler.add(`shift:${schedule.id}:start`, { at: schedule.startTime, days }, () => {
+      if (!this.activeShifts.has(schedule.id)) {
+        this._startShift(schedule.id, schedule, this._io, this._getSystemState);
+      }
+    }, { catchUp: 'none' });
+
+    this.scheduler.add(`shift:${schedule.id}:end`, { at: schedule.endTime, days: endDays }, () => {
+      if (this.activeShifts.has(schedule.id)) {
+        this._endShift(schedule.id, schedule, this._io);
       }
-      
-      // Check if this shift is ending
-      if (currentTime === schedule.endTime && this.activeShifts.has(id)) {
-        this._endShift(id, schedule, io);
+    }, { catchUp: 'none' });
+  }
+
+  _unscheduleShift(id) {
+    this.scheduler.remove(`shift:${id}:start`);
+    this.scheduler.remove(`shift:${id}:end`);
+  }
+
+  _resumeInProgress(now = new Date()) {
+    for (const [id, schedule] of this.schedules) {
+      if (schedule.active && !this.activeShifts.has(id) && this.isInShift(schedule, now)) {
+        this._startShift(id, schedule, this._io, this._getSystemState);
       }
     }
   }
 
+  // Whether a schedule covers the given instant in the scheduler's timezone
+  isInShift(schedule, date = new Date()) {
+    const timezone = this.scheduler?.timezone || 'Africa/Lagos';
+    const { hour, minute, dow } = Scheduler.zonedParts(date, timezone);
+    const now = hour * 60 + minute;
+    const start = Scheduler.parseHhmm(schedule.startTime, 'startTime');
+    const end = Scheduler.parseHhmm(schedule.endTime, 'endTime');
+
+    if (start < end) {
+      return schedule.daysOfWeek.includes(dow) && now >= start && now < end;
+    }
+    return (schedule.daysOfWeek.includes(dow) && now >= start) ||
+      (schedule.daysOfWeek.includes((dow + 6) % 7) && now < end);
+  }
+
   _startShift(scheduleId, schedule, io, getSystemState) {
     const state = getSystemState ? getSystemState() : {};
     
@@ -183,6 +227,19 @@ class ShiftManager {
     return Array.from(this.activeShifts.values());
   }
 
+  // Who is on duty now: each active shift with its lead and users
+  getOnDuty() {
+    return Array.from(this.activeShifts.keys())
+      .map(id => this.schedules.get(id))
+      .filter(Boolean)
+      .map(schedule => ({
+        scheduleId: schedule.id,
+        shiftName: schedule.name,
+        lead: schedule.lead || schedule.assignedUsers[0] || null,
+        users: schedule.assignedUsers
+      }));
+  }
+
   // List schedules
   listSchedules() {
     return Array.from(this.schedules.values());
@@ -190,6 +247,7 @@ class ShiftManager {
 
   // Delete schedule
   deleteSchedule(id) {
+    if (this.scheduler) this._unscheduleShift(id);
     this.schedules.delete(id);
     this.activeShifts.delete(id);
     this._saveSchedules();
@@ -0,0 +1,235 @@
+/**
+ * KDT Aso - Standing Order Simulator
+ * Dry-runs standing orders: trigger evaluation, action planning and
+ * escalation checks, reported back instead of executed. Nothing is
+ * emitted, logged or alerted.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Scheduler = require('./scheduler');
+
+class StandingOrderSimulator {
+  constructor(opts = {}) {
+    this.standingOrders = opts.standingOrders;
+    this.agentRouter = opts.agentRouter;
+  }
+
+  /**
+   * Agent client that records prompts and answers from canned responses.
+   * responses maps an action name (or "*") to the reply text.
+   */
+  createStubClient(responses = {}) {
+    const calls = [];
+    return {
+      calls,
+      messages: {
+        create: async (params) => {
+          const prompt = params.messages?.[0]?.content || '';
+          const action = (prompt.match(/Action required: (.*)/) || [])[1]?.trim() || null;
+          calls.push({ action, prompt });
+          const text = responses[action] ?? responses['*'] ?? `[simulated] ${action || 'action'} completed, nothing to report`;
+          return { content: [{ type: 'text', text }] };
+        }
+      }
+    };
+  }
+
+  /**
+   * Run a simulation.
+   *   orderId  - an existing order (enabled or not)
+   *   order    - an unsaved order definition to try out
+   *   context  - one trigger context, or
+   *   events   - a sequence of contexts (for count() windows)
+   *   responses - canned agent replies for the stub client
+   *   live     - call the real agent client instead of the stub
+   * Without orderId or order, every enabled order is evaluated.
+   */
+  async simulate(opts = {}) {
+    const candidates = this.selectOrders(opts);
+    const report = {
+      id: uuidv4(),
+      dryRun: true,
+      agentClient: opts.live ? 'live' : 'stub',
+      simulatedAt: new Date().toISOString(),
+      orders: []
+    };
+
+    for (const candidate of candidates) {
+      report.orders.push(await this.simulateOrder(candidate, opts));
+    }
+    report.matched = report.orders.filter(o => o.matched).map(o => o.orderId);
+    return report;
+  }
+
+  selectOrders(opts) {
+    if (opts.order) {
+      const orderId = opts.orderId || opts.order.id || 'simulated_order';
+      const { id, ...order } = opts.order;
+      let compiled;
+      try {
+        compiled = this.standingOrders.compileOrders({ [orderId]: order }).get(orderId);
+      } catch (err) {
+        throw new Error(`Invalid order definition: ${err.message}`);
+      }
+      return [{ orderId, order, compiled, saved: false }];
+    }
+
+    if (opts.orderId) {
+      const order = this.standingOrders.orders[opts.orderId];
+      if (!order) throw new Error(`Standing order not found: ${opts.orderId}`);
+      return [{ orderId: opts.orderId, order, compiled: this.standingOrders.compiled.get(opts.orderId), saved: true }];
+    }
+
+    return Object.entries(this.standingOrders.orders)
+      .filter(([, order]) => order.enabled !== false)
+      .map(([orderId, order]) => ({ orderId, order, compiled: this.standingOrders.compiled.get(orderId), saved: true }));
+  }
+
+  /**
+   * Pick the contexts to replay: supplied, recorded from the order's
+   * last trigger, or synthesised from the order itself
+   */
+  resolveEvents({ orderId, order, compiled }, opts) {
+    if (Array.isArray(opts.events) && opts.events.length > 0) {
+      return { source: 'supplied', events: opts.events };
+    }
+    if (opts.context) {
+      return { source: 'supplied', events: [opts.context] };
+    }
+    if (opts.trigger) {
+      return { source: 'supplied', events: [{ trigger: opts.trigger }] };
+    }
+
+    const recorded = this.standingOrders.getLogs(1000)
+      .filter(entry => entry.orderId === orderId && entry.action === 'triggered')
+      .pop();
+    if (recorded) {
+      return { source: 'recorded', events: [recorded.details], recordedAt: recorded.timestamp };
+    }
+
+    const synthetic = { trigger: order.trigger, simulated: true };
+    if (compiled?.schedule) synthetic.scheduledFor = this.nextRuns(compiled.schedule, 1)[0] || null;
+    return { source: 'synthetic', events: [synthetic] };
+  }
+
+  nextRuns(schedule, count) {
+    const scheduler = new Scheduler({ stateFile: null, timezone: this.standingOrders.scheduler?.timezone });
+    scheduler.add('simulation', schedule, () => {});
+    return scheduler.nextRuns('simulation', count);
+  }
+
+  /**
+   * Evaluate the trigger over the replayed events with a private count()
+   */
+  evaluateTrigger({ order, compiled }, events) {
+    const seen = [];
+    const count = (windowMs, now) => {
+      seen.push(now);
+      return seen.filter(t => now - t <= windowMs).length;
+    };
+
+    for (let i = 0; i < events.length; i++) {
+      const event = events[i];
+      if (compiled?.schedule && event.scheduledFor) {
+        return { matched: true, eventIndex: i, reason: 'schedule' };
+      }
+      if (!compiled?.trigger) {
+        if (event.trigger === order.trigger) return { matched: true, eventIndex: i, reason: 'named trigger' };
+        continue;
+      }
+
+      const now = event.timestamp ? new Date(event.timestamp).getTime() : Date.now() + i;
+      try {
+        const hit = compiled.trigger.evaluate(event, { functions: { count: (windowMs) => count(windowMs, now) } });
+        if (hit) return { matched: true, eventIndex: i, reason: 'expression' };
+      } catch (err) {
+        return { matched: false, eventIndex: i, reason: `Evaluation failed: ${err.message}` };
+      }
+    }
+
+    return {
+      matched: false,
+      eventIndex: null,
+      reason: compiled?.trigger
+        ? `Expression never matched across ${events.length} event(s)`
+        : `No event with trigger "${order.trigger}"`
+    };
+  }
+
+  async simulateOrder(candidate, opts) {
+    const { orderId, order, compiled, saved } = candidate;
+    const { source, events, recordedAt } = this.resolveEvents(candidate, opts);
+    const trigger = this.evaluateTrigger(candidate, events);
+    const result = {
+      orderId,
+      saved,
+      enabled: order.enabled !== false,
+      triggerType: compiled?.trigger ? 'expression' : 'event',
+      contextSource: source,
+      recordedAt: recordedAt || null,
+      matched: trigger.matched,
+      matchReason: trigger.reason,
+      schedule: compiled?.schedule ? this.nextRuns(compiled.schedule, 3) : null,
+      approval: null,
+      actions: [],
+      escalation: null
+    };
+    if (!trigger.matched) return result;
+
+    const context = events[trigger.eventIndex];
+    result.approval = {
+      required: this.standingOrders.requiresApproval(order),
+      timeoutMs: this.standingOrders.approvalTimeout(order)
+    };
+
+    // Action planning through the real executor with a stubbed (or live)
+    // client. Tools stay off even in live mode, and the run counts toward
+    // neither agent health nor the security audit: a simulation changes nothing.
+    const executable = { id: orderId, name: orderId, ...order };
+    const client = opts.live ? undefined : this.createStubClient(opts.responses);
+    const responses = await this.agentRouter.executeStandingOrder(executable, context, { client, tools: false, dryRun: true });
+    result.actions = responses.map(r => ({
+      id: r.id,
+      agent: r.agentId,
+      agentName: this.agentRouter.agents[r.agentId]?.name || null,
+      action: r.action,
+      dependsOn: r.dependsOn,
+      status: r.status,
+      wouldRun: r.status !== 'skipped',
+      skipReason: r.status === 'skipped' ? r.error : null,
+      error: r.status === 'failure' ? r.error : null,
+      response: r.response
+    }));
+
+    // Escalation check with private count() windows
+    const seen = [];
+    const escalate = this.standingOrders.requiresEscalation(executable, responses, context, {
+      threshold: compiled?.threshold || undefined,
+      count: (windowMs) => {
+        const now = Date.now();
+        seen.push(now);
+        return seen.filter(t => now - t <= windowMs).length;
+      }
+    });
+    if (escalate) {
+      const escalation = this.standingOrders.buildEscalation(executable, responses);
+      result.escalation = {
+        required: true,
+        ...escalation,
+        alert: {
+          priority: escalation.priority,
+          category: 'operational',
+          title: `Standing Order: ${escalation.orderName}`,
+          message: escalation.reason,
+          requiresAck: escalation.requiresAcknowledgment
+        }
+      };
+    } else {
+      result.escalation = { required: false };
+    }
+
+    return result;
+  }
+}
+
+module.exports = StandingOrderSimulator;
@@ -7,22 +7,134 @@ const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const yaml = require('yaml');
+const conditions = require('./conditions');
+const Scheduler = require('./scheduler');
+const OrderRevisions = require('./order-revisions');
+const ExecutionJournal = require('./execution-journal');
+const { planActions } = require('./action-plan');
+
+// Legacy time triggers ("time == 0600") are scheduled as a daily run
+const LEGACY_TIME_TRIGGER = /^\s*time\s*==\s*(\d{4})\s*$/;
 
 class StandingOrders extends EventEmitter {
-  constructor() {
+  constructor(opts = {}) {
     super();
+    this.ordersPath = opts.ordersPath || path.join(__dirname, '..', 'config', 'standing_orders.yaml');
+    this.compiled = new Map();   // orderId -> { trigger, threshold } compiled expressions
+    this.windows = new Map();    // orderId -> timestamps seen by count()
+    this.scheduler = opts.scheduler || null;
+    this.ownsScheduler = !opts.scheduler;
     this.orders = this.loadOrders();
     this.activeMonitors = new Map();
+    this.monitorsInitialized = false;
     this.logs = [];
+    this.revisions = new OrderRevisions({ dir: opts.revisionsDir });
+    this.journal = new ExecutionJournal({ dir: opts.journalDir });
+    this.isKnownAgent = opts.isKnownAgent || null;
+    this.triggerSources = [];
+  }
+
+  /**
+   * Set how edits are validated: isKnownAgent(agentId) and functions
+   * returning named triggers that something can emit
+   */
+  configureValidation({ isKnownAgent, triggerSources = [] } = {}) {
+    if (isKnownAgent) this.isKnownAgent = isKnownAgent;
+    this.triggerSources.push(...triggerSources);
   }
 
+  /**
+   * Load and compile standing orders. Invalid trigger or threshold
+   * expressions throw with the file and line they came from.
+   */
   loadOrders() {
-    const ordersPath = path.join(__dirname, '..', 'config', 'standing_orders.yaml');
-    if (fs.existsSync(ordersPath)) {
-      const config = yaml.parse(fs.readFileSync(ordersPath, 'utf-8'));
-      return config.standing_orders || {};
+    const source = fs.existsSync(this.ordersPath) ? fs.readFileSync(this.ordersPath, 'utf-8') : '';
+    const { orders, compiled, defaults } = this.parseSource(source);
+    this.compiled = compiled;
+    this.defaults = defaults;
+    return orders;
+  }
+
+  /**
+   * Parse and compile a standing orders YAML document without applying it
+   */
+  parseSource(source) {
+    const lineCounter = new yaml.LineCounter();
+    const doc = yaml.parseDocument(source, { lineCounter });
+    if (doc.errors.length > 0) {
+      const err = doc.errors[0];
+      throw new Error(`Invalid standing orders file ${this.ordersPath}:${err.linePos?.[0]?.line || '?'}: ${err.message}`);
+    }
+
+    const config = doc.toJS() || {};
+    const orders = config.standing_orders || {};
+    const compiled = this.compileOrders(orders, (orderId, field, err) => {
+      const node = doc.getIn(['standing_orders', orderId, ...field.split('.')], true);
+      let location = this.ordersPath;
+      if (node?.range) {
+        // Quoted scalars start one character before the expression text
+        const quoted = node.type === 'QUOTE_DOUBLE' || node.type === 'QUOTE_SINGLE';
+        const pos = lineCounter.linePos(node.range[0] + (quoted ? 1 : 0) + (err.position || 0));
+        location = `${this.ordersPath}:${pos.line}:${pos.col}`;
+      }
+      const wrapped = new Error(`Invalid ${field} for standing order "${orderId}" at ${location}: ${err.message}`);
+      wrapped.orderId = orderId;
+      wrapped.field = field;
+      return wrapped;
+    });
+
+    return { orders, compiled, defaults: config.defaults || {} };
+  }
+
+  /**
+   * Compile trigger, schedule and escalation threshold expressions for a set of orders
+   */
+  compileOrders(orders, wrapError = (orderId, field, err) => err) {
+    const compiled = new Map();
+
+    for (const [orderId, order] of Object.entries(orders)) {
+      const entry = { trigger: null, threshold: null, schedule: null };
+
+      if (typeof order.trigger !== 'string' || order.trigger.trim() === '') {
+        throw wrapError(orderId, 'trigger', new Error('Trigger is required'));
+      }
+      if (!conditions.isEventName(order.trigger)) {
+        try {
+          entry.trigger = conditions.compile(order.trigger);
+        } catch (err) {
+          throw wrapError(orderId, 'trigger', err);
+        }
+      }
+
+      const legacyTime = typeof order.trigger === 'string' && order.trigger.match(LEGACY_TIME_TRIGGER);
+      const schedule = order.schedule || (legacyTime ? { at: legacyTime[1] } : null);
+      if (schedule) {
+        try {
+          Scheduler.parseSchedule(schedule);
+          entry.schedule = schedule;
+        } catch (err) {
+          throw wrapError(orderId, 'schedule', err);
+        }
+      }
+
+      try {
+        planActions(order.actions || [], { timeout: order.action_timeout, retries: order.action_retries });
+      } catch (err) {
+        throw wrapError(orderId, 'actions', err);
+      }
+
+      if (order.escalation?.threshold) {
+        try {
+          entry.threshold = conditions.compile(String(order.escalation.threshold));
+        } catch (err) {
+          throw wrapError(orderId, 'escalation.threshold', err);
+        }
+      }
+
+      compiled.set(orderId, entry);
     }
-    return {};
+
+    return compiled;
   }
 
   /**
@@ -32,9 +144,14 @@ class StandingOrders extends EventEmitter {
     return Object.entries(this.orders).map(([id, order]) => ({
       id,
       trigger: order.trigger,
+      triggerType: this.compiled.get(id)?.trigger ? 'expression' : 'event',
       authorityLevel: order.authority_level,
       actions: order.actions?.length || 0,
-      active: this.activeMonitors.has(id)
+      enabled: order.enabled !== false,
+      active: this.activeMonitors.has(id),
+      nextRun: this.activeMonitors.has(id)
+        ? this.scheduler.nextRuns(this.activeMonitors.get(id), 1)[0] || null
+        : null
     }));
   }
 
@@ -42,56 +159,138 @@ class StandingOrders extends EventEmitter {
    * Get count of active standing orders
    */
   getActiveCount() {
-    return Object.keys(this.orders).length;
+    return Object.values(this.orders).filter(o => o.enabled !== false).length;
   }
 
   /**
-   * Check if a trigger should fire a standing order
+   * Check if a named trigger should fire a standing order
    */
   checkTrigger(triggerName, context = {}) {
+    let fired = false;
     for (const [orderId, order] of Object.entries(this.orders)) {
-      if (order.trigger === triggerName) {
-        this.log(orderId, 'triggered', context);
-        this.emit('trigger', { 
-          id: orderId, 
-          name: orderId,
-          ...order 
-        }, context);
-        return true;
+      if (order.trigger === triggerName && order.enabled !== false) {
+        this.fire(orderId, order, context);
+        fired = true;
       }
     }
-    return false;
+    return fired;
   }
 
   /**
-   * Evaluate if escalation is needed based on responses
+   * Evaluate expression triggers against an event context.
+   * opts.shouldFire(orderId) can veto a match (e.g. cooldowns).
+   * Returns the ids of the orders that fired.
    */
-  requiresEscalation(order, responses) {
+  evaluate(context = {}, opts = {}) {
+    const fired = [];
+    for (const [orderId, order] of Object.entries(this.orders)) {
+      if (order.enabled === false) continue;
+      if (this.matches(orderId, context) && (!opts.shouldFire || opts.shouldFire(orderId))) {
+        this.fire(orderId, order, context);
+        fired.push(orderId);
+      }
+    }
+    return fired;
+  }
+
+  /**
+   * Test a single order's expression trigger against a context
+   */
+  matches(orderId, context = {}) {
+    const expression = this.compiled.get(orderId)?.trigger;
+    if (!expression) return false;
+
+    try {
+      return Boolean(expression.evaluate(context, {
+        functions: { count: (windowMs) => this.countInWindow(orderId, windowMs, expression.maxWindow) }
+      }));
+    } catch (err) {
+      console.error(`Standing order ${orderId} trigger evaluation failed:`, err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record an event for count() and return how many fall inside the window.
+   * Events reach count() only when the conditions to its left are true.
+   */
+  countInWindow(orderId, windowMs, maxWindow = windowMs) {
+    const now = Date.now();
+    const seen = (this.windows.get(orderId) || []).filter(t => now - t <= maxWindow);
+    seen.push(now);
+    this.windows.set(orderId, seen);
+    return seen.filter(t => now - t <= windowMs).length;
+  }
+
+  /**
+   * Whether an order must be approved by a human before its actions run.
+   * `requires_approval` on the order overrides defaults.require_approval_above.
+   */
+  requiresApproval(order) {
+    if (order.requires_approval !== undefined) return Boolean(order.requires_approval);
+    const above = this.defaults?.require_approval_above;
+    if (above === undefined || above === null) return false;
+    return (order.authority_level || 0) > above;
+  }
+
+  /**
+   * How long an approval request stays open (ms)
+   */
+  approvalTimeout(order) {
+    const value = order.approval_timeout || this.defaults?.approval_timeout;
+    if (typeof value === 'number') return value * 1000;
+    return (value && conditions.parseDuration(String(value))) || 15 * 60 * 1000;
+  }
+
+  /**
+   * Emit a standing order for execution
+   */
+  fire(orderId, order, context) {
+    this.log(orderId, 'triggered', context);
+    this.emit('trigger', {
+      id: orderId,
+      name: orderId,
+      ...order
+    }, context);
+  }
+
+  /**
+   * Evaluate if escalation is needed based on responses.
+   * Threshold names missing from the context match as keywords in the
+   * agent responses (armed_individuals matches "armed individuals").
+   * opts.threshold and opts.count replace the compiled threshold and the
+   * shared count() windows (used by simulations).
+   */
+  requiresEscalation(order, responses, context = {}, opts = {}) {
     if (!order.escalation) return false;
     if (order.escalation.always_notify) return true;
-    
-    // Check threshold conditions
-    if (order.escalation.threshold) {
-      // This would be expanded to parse threshold conditions
-      // For now, check for keywords in responses
-      const responseText = responses.map(r => r.response).join(' ').toLowerCase();
-      const thresholdTerms = order.escalation.threshold.toLowerCase().split(' OR ');
-      
-      for (const term of thresholdTerms) {
-        if (responseText.includes(term.trim())) {
-          return true;
+    if (!order.escalation.threshold) return false;
+
+    const threshold = opts.threshold || this.compiled.get(order.id)?.threshold ||
+      conditions.compile(String(order.escalation.threshold));
+    const count = opts.count ||
+      ((windowMs) => this.countInWindow(`${order.id}:escalation`, windowMs, threshold.maxWindow));
+    const responseText = responses.map(r => r.response || '').join(' ').toLowerCase();
+
+    try {
+      return Boolean(threshold.evaluate({ ...context, responses, response: responseText }, {
+        functions: { count },
+        resolve: (name) => {
+          const term = name.toLowerCase();
+          return responseText.includes(term) || responseText.includes(term.replace(/_/g, ' '));
         }
-      }
+      }));
+    } catch (err) {
+      console.error(`Standing order ${order.id} threshold evaluation failed:`, err.message);
+      return false;
     }
-    
-    return false;
   }
 
   /**
-   * Escalate a standing order result
+   * Build the escalation record for a standing order result
    */
-  escalate(order, responses) {
-    const escalation = {
+  buildEscalation(order, responses) {
+    return {
       orderId: order.id,
       orderName: order.name,
       priority: order.escalation?.priority || 'high',
@@ -100,7 +299,13 @@ class StandingOrders extends EventEmitter {
       timestamp: new Date().toISOString(),
       requiresAcknowledgment: order.authority_level >= 4
     };
+  }
 
+  /**
+   * Escalate a standing order result
+   */
+  escalate(order, responses) {
+    const escalation = this.buildEscalation(order, responses);
     this.log(order.id, 'escalated', escalation);
     this.emit('escalation', escalation);
     
@@ -132,54 +337,195 @@ class StandingOrders extends EventEmitter {
     return this.logs.slice(-limit);
   }
 
+  // ==================== EDITING ====================
+
   /**
-   * Start a time-based standing order monitor
+   * Named triggers an edited order may use: anything a trigger source
+   * can emit plus the triggers already in use
    */
-  startTimeBasedMonitor(orderId, cronExpression) {
-    // Simplified time-based monitoring
-    // In production, use a proper cron library
-    const order = this.orders[orderId];
-    if (!order) return;
+  knownTriggers() {
+    const known = new Set();
+    for (const source of this.triggerSources) {
+      for (const name of source()) known.add(name);
+    }
+    for (const order of Object.values(this.orders)) {
+      if (conditions.isEventName(order.trigger)) known.add(order.trigger);
+    }
+    return known;
+  }
 
-    // Parse simple time triggers like "time == 0600"
-    const timeMatch = order.trigger.match(/time\s*==\s*(\d{4})/);
-    if (timeMatch) {
-      const targetTime = timeMatch[1];
-      
-      const checkInterval = setInterval(() => {
-        const now = new Date();
-        const currentTime = now.getHours().toString().padStart(2, '0') + 
-                          now.getMinutes().toString().padStart(2, '0');
-        
-        if (currentTime === targetTime) {
-          this.checkTrigger(order.trigger, { scheduledTime: targetTime });
-        }
-      }, 60000); // Check every minute
+  /**
+   * Check an order submitted through the API. Expressions and schedules
+   * are compiled again when the file is reparsed.
+   */
+  validateOrder(orderId, order) {
+    if (typeof orderId !== 'string' || !/^[a-z][a-z0-9_]*$/.test(orderId)) {
+      throw new Error(`Invalid standing order id "${orderId}": use lowercase letters, digits and underscores`);
+    }
+    if (!order || typeof order !== 'object' || Array.isArray(order)) {
+      throw new Error('Standing order must be an object');
+    }
+    if (typeof order.trigger !== 'string' || order.trigger.trim() === '') {
+      throw new Error('Trigger is required');
+    }
+    if (conditions.isEventName(order.trigger) && !order.schedule && !this.knownTriggers().has(order.trigger)) {
+      throw new Error(`Unknown trigger "${order.trigger}". Known triggers: ${Array.from(this.knownTriggers()).sort().join(', ')}`);
+    }
+    if (!Number.isInteger(order.authority_level) || order.authority_level < 1 || order.authority_level > 5) {
+      throw new Error('authority_level must be an integer from 1 to 5');
+    }
+    if (!Array.isArray(order.actions) || order.actions.length === 0) {
+      throw new Error('At least one action is required');
+    }
+    order.actions.forEach((action, index) => {
+      if (!action || typeof action.agent !== 'string' || typeof action.action !== 'string' || !action.action.trim()) {
+        throw new Error(`Action #${index + 1} needs an agent and an action`);
+      }
+      if (this.isKnownAgent && !this.isKnownAgent(action.agent)) {
+        throw new Error(`Action #${index + 1}: unknown agent "${action.agent}"`);
+      }
+    });
+  }
+
+  createOrder(orderId, order, meta = {}) {
+    if (this.orders[orderId]) throw new Error(`Standing order already exists: ${orderId}`);
+    this.validateOrder(orderId, order);
+    return this.editFile(doc => doc.setIn(['standing_orders', orderId], order), { ...meta, action: 'create', orderId });
+  }
+
+  updateOrder(orderId, order, meta = {}) {
+    if (!this.orders[orderId]) throw new Error(`Standing order not found: ${orderId}`);
+    this.validateOrder(orderId, order);
+    return this.editFile(doc => doc.setIn(['standing_orders', orderId], order), { ...meta, action: 'update', orderId });
+  }
+
+  setEnabled(orderId, enabled, meta = {}) {
+    if (!this.orders[orderId]) throw new Error(`Standing order not found: ${orderId}`);
+    return this.editFile(doc => {
+      if (enabled) doc.deleteIn(['standing_orders', orderId, 'enabled']);
+      else doc.setIn(['standing_orders', orderId, 'enabled'], false);
+    }, { ...meta, action: enabled ? 'enable' : 'disable', orderId });
+  }
+
+  deleteOrder(orderId, meta = {}) {
+    if (!this.orders[orderId]) throw new Error(`Standing order not found: ${orderId}`);
+    return this.editFile(doc => doc.deleteIn(['standing_orders', orderId]), { ...meta, action: 'delete', orderId });
+  }
 
-      this.activeMonitors.set(orderId, checkInterval);
+  /**
+   * Restore the orders file as it was at a revision
+   */
+  rollback(revisionId, meta = {}) {
+    const revision = this.revisions.get(revisionId);
+    if (!revision) throw new Error(`Revision not found: ${revisionId}`);
+    return this.writeSource(revision.source, { ...meta, action: 'rollback', rolledBackTo: revision.id });
+  }
+
+  /**
+   * Re-read the orders file after a manual edit
+   */
+  reload(meta = {}) {
+    const source = this.readSource();
+    const parsed = this.parseSource(source);
+    let revision = null;
+    if (this.revisions.latest()?.source !== source) {
+      revision = this.revisions.record(source, { ...meta, action: 'reload' });
+    }
+    this.applyParsed(parsed);
+    return revision;
+  }
+
+  readSource() {
+    return fs.existsSync(this.ordersPath) ? fs.readFileSync(this.ordersPath, 'utf-8') : '';
+  }
+
+  editFile(mutate, meta) {
+    const doc = yaml.parseDocument(this.readSource());
+    mutate(doc);
+    return this.writeSource(doc.toString(), meta);
+  }
+
+  /**
+   * Validate, write, record a revision and apply live. Nothing is
+   * written if the new file does not compile.
+   */
+  writeSource(source, meta = {}) {
+    const parsed = this.parseSource(source);
+    const previous = this.readSource();
+    if (this.revisions.list({ limit: 1 }).length === 0 && previous) {
+      this.revisions.record(previous, { action: 'baseline' });
+    }
+
+    fs.writeFileSync(this.ordersPath, source);
+    const revision = this.revisions.record(source, meta);
+    this.applyParsed(parsed);
+    this.log(meta.orderId || '*', meta.action || 'edit', { revision: revision.id, userId: meta.userId || null });
+    return revision;
+  }
+
+  /**
+   * Swap in newly parsed orders and re-register their schedules
+   */
+  applyParsed({ orders, compiled, defaults }) {
+    const reschedule = this.monitorsInitialized;
+    if (reschedule) {
+      for (const orderId of Array.from(this.activeMonitors.keys())) this.stopMonitor(orderId);
+    }
+
+    this.orders = orders;
+    this.compiled = compiled;
+    this.defaults = defaults;
+    for (const key of Array.from(this.windows.keys())) {
+      if (!orders[key.split(':')[0]]) this.windows.delete(key);
+    }
+
+    if (reschedule) {
+      for (const orderId of Object.keys(orders)) this.startTimeBasedMonitor(orderId);
     }
+    this.emit('reloaded', { count: Object.keys(orders).length });
+  }
+
+  /**
+   * Register a scheduled standing order with the scheduler
+   */
+  startTimeBasedMonitor(orderId) {
+    const schedule = this.compiled.get(orderId)?.schedule;
+    if (!this.orders[orderId] || !schedule || this.orders[orderId].enabled === false) return;
+
+    if (!this.scheduler) this.scheduler = new Scheduler();
+    const jobId = `standing-order:${orderId}`;
+    this.scheduler.add(jobId, schedule, (run) => {
+      const order = this.orders[orderId];
+      if (!order || order.enabled === false) return;
+      this.fire(orderId, order, {
+        trigger: order.trigger,
+        scheduledFor: run.scheduledFor,
+        missed: run.missed
+      });
+    });
+    this.activeMonitors.set(orderId, jobId);
   }
 
   /**
    * Stop a standing order monitor
    */
   stopMonitor(orderId) {
-    const monitor = this.activeMonitors.get(orderId);
-    if (monitor) {
-      clearInterval(monitor);
+    const jobId = this.activeMonitors.get(orderId);
+    if (jobId) {
+      this.scheduler.remove(jobId);
       this.activeMonitors.delete(orderId);
     }
   }
 
   /**
-   * Initialize all time-based monitors
+   * Initialize all scheduled standing orders
    */
   initializeMonitors() {
-    for (const [orderId, order] of Object.entries(this.orders)) {
-      if (order.trigger.includes('time ==')) {
-        this.startTimeBasedMonitor(orderId, order.trigger);
-      }
+    this.monitorsInitialized = true;
+    for (const orderId of Object.keys(this.orders)) {
+      this.startTimeBasedMonitor(orderId);
     }
+    if (this.ownsScheduler && this.scheduler) this.scheduler.start();
     console.log(`Initialized ${this.activeMonitors.size} time-based standing orders`);
   }
 }
@@ -0,0 +1,319 @@
+/**
+ * KDT Aso - Usage Metering
+ * Records the tokens and cost of every model call, tagged with the
+ * operator, agent, session, mission and standing order it was for, and
+ * keeps daily budgets per operator and per agent. Prices and budgets are
+ * set in config/usage.yaml; records go to data/usage/<date>.jsonl.
+ *
+ * Events:
+ *   budget - { scope, id, level, date, spentUsd, spentTokens, limitUsd,
+ *              limitTokens, ratio } when a budget passes its warning
+ *              threshold (level "warning") or is spent ("exceeded").
+ *              Each fires once per budget per day.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'usage');
+
+// Report groupings and the record field each reads
+const GROUPS = {
+  operator: r => r.operatorId,
+  agent: r => r.agentId,
+  session: r => r.sessionId,
+  mission: r => r.missionId,
+  order: r => r.orderId,
+  model: r => `${r.provider}:${r.model}`,
+  task: r => r.task,
+  day: r => r.timestamp.slice(0, 10)
+};
+
+const FILTERS = ['operatorId', 'agentId', 'sessionId', 'missionId', 'orderId', 'model', 'task'];
+
+const day = (date = new Date()) => date.toISOString().slice(0, 10);
+const round = (usd) => Math.round(usd * 1e6) / 1e6;
+
+const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, degradedCalls: 0 });
+
+function addTo(totals, record) {
+  totals.calls++;
+  totals.inputTokens += record.inputTokens;
+  totals.outputTokens += record.outputTokens;
+  totals.costUsd = round(totals.costUsd + record.costUsd);
+  if (record.degraded) totals.degradedCalls++;
+  return totals;
+}
+
+class UsageMeter extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.configPath = opts.configPath || path.join(__dirname, '..', 'config', 'usage.yaml');
+    this.dir = opts.dir || DEFAULT_DIR;
+    this.config = opts.config || this.loadConfig();
+    this.spend = null;   // Today's totals: { date, operator: Map, agent: Map }
+    this.notified = new Set();
+    this.rollover();
+  }
+
+  loadConfig() {
+    if (fs.existsSync(this.configPath)) {
+      return yaml.parse(fs.readFileSync(this.configPath, 'utf-8')) || {};
+    }
+    return {};
+  }
+
+  get budgets() {
+    return this.config.budgets || {};
+  }
+
+  /**
+   * Model that calls fall back to once a budget is spent. Without one a
+   * spent budget stops calls outright.
+   */
+  get degradeTo() {
+    return this.budgets.degrade_to || null;
+  }
+
+  fileFor(date) {
+    return path.join(this.dir, `${date}.jsonl`);
+  }
+
+  readDay(date) {
+    const file = this.fileFor(date);
+    if (!fs.existsSync(file)) return [];
+    const records = [];
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        // A torn last line from a crash; skip it
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Start a new day's totals when the date changes, rebuilding them from
+   * today's file after a restart, and drop files past retention
+   */
+  rollover() {
+    const today = day();
+    if (this.spend?.date === today) return;
+    this.spend = { date: today, operator: new Map(), agent: new Map() };
+    this.notified.clear();
+    for (const record of this.readDay(today)) this.addSpend(record);
+    this.prune();
+  }
+
+  prune() {
+    const keep = this.config.retention_days;
+    if (!keep || !fs.existsSync(this.dir)) return;
+    const cutoff = day(new Date(Date.now() - keep * 24 * 60 * 60 * 1000));
+    for (const file of fs.readdirSync(this.dir)) {
+      const match = file.match(/^(\d{4}-\d{2}-\d{2})\.jsonl$/);
+      if (match && match[1] < cutoff) fs.unlinkSync(path.join(this.dir, file));
+    }
+  }
+
+  addSpend(record) {
+    for (const [scope, id] of [['operator', record.operatorId], ['agent', record.agentId]]) {
+      if (!id) continue;
+      const spent = this.spend[scope].get(id) || { usd: 0, tokens: 0 };
+      spent.usd = round(spent.usd + record.costUsd);
+      spent.tokens += record.inputTokens + record.outputTokens;
+      this.spend[scope].set(id, spent);
+    }
+  }
+
+  /**
+   * USD per million tokens for a model: "provider:model", then the model
+   * id, then the provider name. Unpriced models cost nothing.
+   */
+  priceOf(provider, model) {
+    const pricing = this.config.pricing || {};
+    return pricing[`${provider}:${model}`] || pricing[model] || pricing[provider] || null;
+  }
+
+  cost(provider, model, inputTokens, outputTokens) {
+    const price = this.priceOf(provider, model);
+    if (!price) return 0;
+    return round(((price.input || 0) * inputTokens + (price.output || 0) * outputTokens) / 1e6);
+  }
+
+  /**
+   * A budget from config: operators.<id> or agents.<id>, else that
+   * scope's default. Null when there is none.
+   */
+  limitFor(scope, id) {
+    const budgets = this.budgets[`${scope}s`] || {};
+    const limit = budgets[id] || budgets.default;
+    if (!limit || (limit.daily_usd == null && limit.daily_tokens == null)) return null;
+    return { usd: limit.daily_usd ?? null, tokens: limit.daily_tokens ?? null };
+  }
+
+  /**
+   * Today's spend against one budget. scope is operator or agent; status
+   * is ok, warning, exceeded or unbudgeted.
+   */
+  budgetStatus(scope, id) {
+    this.rollover();
+    const spent = this.spend[scope].get(id) || { usd: 0, tokens: 0 };
+    const limit = this.limitFor(scope, id);
+    const ratios = limit ? [
+      limit.usd != null ? (limit.usd > 0 ? spent.usd / limit.usd : Infinity) : 0,
+      limit.tokens != null ? (limit.tokens > 0 ? spent.tokens / limit.tokens : Infinity) : 0
+    ] : [0];
+    const ratio = Math.round(Math.max(...ratios) * 1000) / 1000;
+    const warnAt = this.budgets.warn_at ?? 0.8;
+    return {
+      scope,
+      id,
+      date: this.spend.date,
+      spentUsd: spent.usd,
+      spentTokens: spent.tokens,
+      limitUsd: limit?.usd ?? null,
+      limitTokens: limit?.tokens ?? null,
+      ratio,
+      status: !limit ? 'unbudgeted' : ratio >= 1 ? 'exceeded' : ratio >= warnAt ? 'warning' : 'ok'
+    };
+  }
+
+  /**
+   * The budgets a call would draw on that are already spent.
+   * opts: { agent, tags: { operatorId } } as given to LLMService.create
+   */
+  spentBudgets(opts = {}) {
+    this.rollover();
+    return [['operator', opts.tags?.operatorId], ['agent', opts.agent]]
+      .filter(([, id]) => id)
+      .map(([scope, id]) => this.budgetStatus(scope, id))
+      .filter(status => status.status === 'exceeded');
+  }
+
+  /**
+   * Record one model call. call: { provider, model, task, agentId,
+   * operatorId, sessionId, missionId, orderId, usage, degraded }
+   * where usage is the response's usage block.
+   */
+  record(call) {
+    this.rollover();
+    const inputTokens = call.usage?.input_tokens || 0;
+    const outputTokens = call.usage?.output_tokens || 0;
+    const record = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      provider: call.provider,
+      model: call.model,
+      task: call.task || null,
+      agentId: call.agentId || null,
+      operatorId: call.operatorId || null,
+      sessionId: call.sessionId || null,
+      missionId: call.missionId || null,
+      orderId: call.orderId || null,
+      inputTokens,
+      outputTokens,
+      costUsd: this.cost(call.provider, call.model, inputTokens, outputTokens),
+      degraded: !!call.degraded
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.fileFor(this.spend.date), JSON.stringify(record) + '\n');
+    this.addSpend(record);
+
+    for (const [scope, id] of [['operator', record.operatorId], ['agent', record.agentId]]) {
+      if (!id) continue;
+      const status = this.budgetStatus(scope, id);
+      if (status.status !== 'warning' && status.status !== 'exceeded') continue;
+      const key = `${scope}:${id}:${status.status}`;
+      if (this.notified.has(key)) continue;
+      this.notified.add(key);
+      const { status: level, ...details } = status;
+      this.emit('budget', { ...details, level });
+    }
+    return record;
+  }
+
+  /**
+   * Records between two dates (YYYY-MM-DD, inclusive; default today),
+   * oldest first
+   */
+  readRange(opts = {}) {
+    const to = opts.to || day();
+    const from = opts.from || to;
+    if (![from, to].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d))) throw new Error('from and to must be dates (YYYY-MM-DD)');
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .map(file => file.match(/^(\d{4}-\d{2}-\d{2})\.jsonl$/)?.[1])
+      .filter(date => date && date >= from && date <= to)
+      .sort()
+      .flatMap(date => this.readDay(date))
+      .filter(r => FILTERS.every(field => !opts[field] || r[field] === opts[field]));
+  }
+
+  /**
+   * Individual calls, newest first. opts: { from, to, operatorId,
+   * agentId, sessionId, missionId, orderId, model, task, limit, offset }
+   */
+  records(opts = {}) {
+    const matching = this.readRange(opts).reverse();
+    const offset = opts.offset || 0;
+    return { total: matching.length, records: matching.slice(offset, offset + (opts.limit || 100)) };
+  }
+
+  /**
+   * Totals over a date range, grouped by operator, agent, session,
+   * mission, order, model, task or day. Takes the same filters as
+   * records(). Groups are sorted by cost, then tokens.
+   */
+  report(opts = {}) {
+    const groupBy = opts.groupBy || 'operator';
+    const keyOf = GROUPS[groupBy];
+    if (!keyOf) throw new Error(`Cannot group usage by "${groupBy}"`);
+
+    const to = opts.to || day();
+    const totals = emptyTotals();
+    const groups = new Map();
+    for (const record of this.readRange({ ...opts, to })) {
+      addTo(totals, record);
+      const key = keyOf(record) || null;
+      if (!groups.has(key)) groups.set(key, emptyTotals());
+      addTo(groups.get(key), record);
+    }
+
+    return {
+      from: opts.from || to,
+      to,
+      groupBy,
+      totals,
+      groups: [...groups.entries()]
+        .map(([key, sums]) => ({ key, ...sums }))
+        .sort((a, b) => b.costUsd - a.costUsd || (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens))
+    };
+  }
+
+  /**
+   * Today's spend against budget for every operator and agent that has
+   * a budget of its own or has spent anything today
+   */
+  budgetReport() {
+    this.rollover();
+    const ids = (scope) => new Set([
+      ...Object.keys(this.budgets[`${scope}s`] || {}).filter(id => id !== 'default'),
+      ...this.spend[scope].keys()
+    ]);
+    return {
+      date: this.spend.date,
+      warnAt: this.budgets.warn_at ?? 0.8,
+      degradeTo: this.degradeTo,
+      operators: [...ids('operator')].map(id => this.budgetStatus('operator', id)),
+      agents: [...ids('agent')].map(id => this.budgetStatus('agent', id))
+    };
+  }
+}
+
+module.exports = UsageMeter;
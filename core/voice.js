@@ -23,26 +23,10 @@ class VoiceInterface {
       fs.mkdirSync(this.audioDir, { recursive: true });
     }
     
-    // ElevenLabs voice IDs - professional, clear voices
-    // These are default ElevenLabs voices (no cloning needed)
+    // ElevenLabs voice IDs. Agents get theirs from their manifest
+    // (agents/<section>/<agent>/agent.yaml); anyone else uses the default.
     this.voiceProfiles = {
-      // Command voices - authoritative
-      intelligence_officer: { voiceId: 'pNInz6obpgDQGcFmaJgB', name: 'Adam' },      // Deep, authoritative
-      operations_officer: { voiceId: 'ErXwobaYiN019PkySvjV', name: 'Antoni' },       // Professional male
-      watch_officer: { voiceId: 'VR6AewLTigWG4xSOukaG', name: 'Arnold' },            // Strong, clear
-      
-      // Analyst voices - precise, clear
-      intel_analyst: { voiceId: 'EXAVITQu4vr4xnSDxMaL', name: 'Bella' },             // Clear female
-      collection_manager: { voiceId: 'MF3mGyEYCl7XYWbV9V6O', name: 'Elli' },         // Professional female
-      geospatial_officer: { voiceId: 'TxGEqnHWrfWFTfGW9XjX', name: 'Josh' },         // Neutral male
-      
-      // Support voices
-      surveillance_officer: { voiceId: 'pNInz6obpgDQGcFmaJgB', name: 'Adam' },
-      comms_officer: { voiceId: 'jBpfuIE2acCO8z3wKNLl', name: 'Gigi' },              // Clear, friendly
-      logistics_officer: { voiceId: 'odq8hYkDhTreDLlPKjFy', name: 'Patrick' },       // Practical
-      admin_officer: { voiceId: 'jsCqWAovK2LkecY7zXl4', name: 'Freya' },             // Professional female
-      
-      default: { voiceId: 'pNInz6obpgDQGcFmaJgB', name: 'Adam' }
+      default: { voiceId: 'pNInz6obpgDQGcFmaJgB', name: 'Adam' }      // Deep, authoritative
     };
     
     // ElevenLabs settings
@@ -98,6 +82,63 @@ class VoiceInterface {
     };
   }
 
+  /**
+   * Speak text as it streams in, a sentence at a time. Sentences shorter
+   * than opts.minLength are joined to the next. onAudio({ index, text,
+   * audioUrl, voice }) is called in sentence order.
+   * @returns {{push: function(string), end: function(): Promise<Array>, cancel: function()}}
+   */
+  speakStream(agentId, onAudio, opts = {}) {
+    const minLength = opts.minLength || 40;
+    const results = [];
+    let buffer = '';
+    let index = 0;
+    let cancelled = false;
+    let queue = Promise.resolve();
+
+    const say = (text) => {
+      const sentence = text.trim();
+      if (!sentence || cancelled) return;
+      const n = index++;
+      // Synthesise right away, deliver in order
+      const pending = this.speak(sentence, agentId);
+      pending.catch(() => {});
+      queue = queue.then(() => pending).then((result) => {
+        if (cancelled) return;
+        const audio = { index: n, text: sentence, audioUrl: result.audioUrl, voice: result.voice };
+        results.push(audio);
+        onAudio(audio);
+      }).catch(err => console.error('Voice generation error:', err.message));
+    };
+
+    return {
+      push: (delta) => {
+        buffer += delta;
+        const boundary = /[.!?]+["')\]]*\s+|\n+/g;
+        let cut = 0;
+        let match;
+        while ((match = boundary.exec(buffer))) {
+          const end = match.index + match[0].length;
+          if (buffer.slice(cut, end).trim().length >= minLength) {
+            say(buffer.slice(cut, end));
+            cut = end;
+          }
+        }
+        buffer = buffer.slice(cut);
+      },
+      end: async () => {
+        say(buffer);
+        buffer = '';
+        await queue;
+        return results;
+      },
+      cancel: () => {
+        cancelled = true;
+        buffer = '';
+      }
+    };
+  }
+
   /**
    * Get voice profile for an agent
    */
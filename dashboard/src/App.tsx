@@ -4,7 +4,7 @@ import { apiFetch, API_URL } from './utils/api'
 import Login from './components/Login'
 import Header from './components/Header'
 import AgentPanel from './components/AgentPanel'
-import ChatInterface from './components/ChatInterface'
+import ChatInterface, { ConversationThread } from './components/ChatInterface'
 import AlertsPanel from './components/AlertsPanel'
 import ActivityLog from './components/ActivityLog'
 import MapPanel from './components/MapPanel'
@@ -22,12 +22,24 @@ interface Message {
   content: string
   timestamp: string
   isOperator?: boolean
+  audioUrl?: string
+  audioUrls?: string[]
+  streaming?: boolean
+  cancelled?: boolean
 }
 
 interface Agent {
   name: string
   section: string
   status: string
+  health?: string
+  active?: number
+  queueDepth?: number
+  latencyMs?: number | null
+  errorRate?: number
+  lastActivity?: string | null
+  maintenance?: { reason: string | null; backup: string | null } | null
+  backup?: string | null
 }
 
 interface Alert {
@@ -55,6 +67,8 @@ function App() {
   const [socket, setSocket] = useState<Socket | null>(null)
   const [connected, setConnected] = useState(false)
   const [messages, setMessages] = useState<Message[]>([])
+  const [threads, setThreads] = useState<ConversationThread[]>([])
+  const [threadId, setThreadId] = useState<string | null>(null)
   const [agents, setAgents] = useState<Record<string, Agent>>({})
   const [alerts, setAlerts] = useState<Alert[]>([])
   const [activity, setActivity] = useState<any[]>([])
@@ -83,8 +97,8 @@ function App() {
       timestamp: new Date().toISOString(),
       isOperator: true
     }])
-    socket.emit('message', { message: text, language: 'en', voiceEnabled: true })
-  }, [user, socket])
+    socket.emit('message', { message: text, language: 'en', voiceEnabled: true, threadId: threadId || undefined, newThread: !threadId })
+  }, [user, socket, threadId])
 
   const handleVoiceError = useCallback((error: string) => {
     console.error('Voice error:', error)
@@ -92,7 +106,7 @@ function App() {
 
   const {
     isRecording, isPlaying, voiceEnabled, voiceAvailable, sttAvailable,
-    startRecording, stopRecording, playAudio, toggleVoice
+    startRecording, stopRecording, playAudio, queueAudio, toggleVoice
   } = useVoice({
     socket,
     onTranscription: handleVoiceTranscription,
@@ -115,6 +129,32 @@ function App() {
     checkAuth()
   }, [])
 
+  // Show a saved thread's turns in the chat
+  const openThread = useCallback(async (id: string) => {
+    const res = await apiFetch(`/api/conversations/${id}`)
+    if (!res.ok) return
+    const thread = await res.json()
+    setThreadId(thread.id)
+    setMessages(thread.messages.map((m: any, i: number) => ({
+      id: `${thread.id}-${i}`,
+      from: m.role === 'user' ? user?.title || 'Operator' : m.agent || 'KDT Aso',
+      content: m.content,
+      timestamp: m.timestamp,
+      isOperator: m.role === 'user'
+    })))
+  }, [user])
+
+  const refreshThreads = useCallback(() => {
+    return apiFetch('/api/conversations')
+      .then(res => res.json())
+      .then((data: ConversationThread[]) => { setThreads(data); return data })
+  }, [])
+
+  const startNewThread = () => {
+    setThreadId(null)
+    setMessages([])
+  }
+
   // Connect socket and fetch data when authenticated
   useEffect(() => {
     if (!authenticated) return
@@ -127,16 +167,62 @@ function App() {
     })
     newSocket.on('disconnect', () => setConnected(false))
 
+    // Streamed replies: start creates the message, deltas grow it, end
+    // replaces it with the final text
+    const updateMessage = (id: string, update: (msg: Message) => Message) => {
+      setMessages(prev => prev.map(msg => msg.id === id ? update(msg) : msg))
+    }
+
+    newSocket.on('response:start', (data) => {
+      setMessages(prev => [...prev, {
+        id: data.id,
+        from: data.agent,
+        content: '',
+        timestamp: data.timestamp,
+        streaming: true
+      }])
+    })
+
+    newSocket.on('response:delta', (data) => {
+      updateMessage(data.id, msg => ({ ...msg, content: msg.content + data.delta }))
+    })
+
+    newSocket.on('response:end', (data) => {
+      updateMessage(data.id, msg => ({
+        ...msg,
+        content: data.content ?? msg.content,
+        timestamp: data.timestamp || msg.timestamp,
+        streaming: false,
+        cancelled: data.cancelled
+      }))
+    })
+
+    newSocket.on('response:audio', (data) => {
+      updateMessage(data.id, msg => ({ ...msg, audioUrls: [...(msg.audioUrls || []), data.audioUrl] }))
+      queueAudio(data.audioUrl)
+    })
+
     newSocket.on('response', (data) => {
-      const newMessage = {
-        id: Date.now().toString(),
+      // Already shown through the stream
+      setMessages(prev => prev.some(msg => msg.id === data.id) ? prev : [...prev, {
+        id: data.id || Date.now().toString(),
         from: data.agent,
         content: data.content,
         timestamp: data.timestamp,
         audioUrl: data.audioUrl
-      }
-      setMessages(prev => [...prev, newMessage])
-      if (data.audioUrl && voiceEnabled) playAudio(data.audioUrl)
+      }])
+    })
+
+    // The server opened a thread for our first message; keep using it
+    newSocket.on('chat:thread', (thread: ConversationThread) => {
+      setThreadId(thread.id)
+      setThreads(prev => [thread, ...prev.filter(t => t.id !== thread.id)])
+    })
+
+    newSocket.on('agents:updated', (data) => setAgents(data))
+
+    newSocket.on('agent:status', ({ agentId, ...status }) => {
+      setAgents(prev => prev[agentId] ? { ...prev, [agentId]: { ...prev[agentId], ...status } } : prev)
     })
 
     newSocket.on('activity', (data) => {
@@ -159,6 +245,11 @@ function App() {
       .then(data => setAgents(data))
       .catch(err => console.error('Failed to fetch agents:', err))
 
+    // Pick up the most recent conversation where it was left
+    refreshThreads()
+      .then(data => { if (data[0]) return openThread(data[0].id) })
+      .catch(err => console.error('Failed to fetch conversations:', err))
+
     return () => { newSocket.close() }
   }, [authenticated])
 
@@ -172,6 +263,8 @@ function App() {
     setAuthenticated(false)
     setUser(null)
     setMessages([])
+    setThreads([])
+    setThreadId(null)
     socket?.close()
   }
 
@@ -192,9 +285,16 @@ function App() {
       language: 'en', 
       voiceEnabled: withVoice ?? voiceEnabled,
       missionId: activeMissionId || undefined,
+      threadId: threadId || undefined,
+      // No thread picked means "New conversation", not the latest thread
+      newThread: !threadId,
     })
   }
 
+  const cancelResponse = (id: string) => {
+    socket?.emit('response:cancel', { id })
+  }
+
   if (checkingAuth) {
     return (
       <div className="app loading">
@@ -316,6 +416,7 @@ function App() {
             <ChatInterface 
               messages={messages} 
               onSendMessage={sendMessage}
+              onCancelResponse={cancelResponse}
               connected={connected}
               userTitle={user?.title}
               voiceEnabled={voiceEnabled}
@@ -327,8 +428,13 @@ function App() {
               onStopRecording={stopRecording}
               onToggleVoice={toggleVoice}
               onPlayAudio={playAudio}
+              onQueueAudio={queueAudio}
               activeMissionId={activeMissionId}
               activeMissionName={activeMissionName}
+              threads={threads}
+              threadId={threadId}
+              onSelectThread={openThread}
+              onNewThread={startNewThread}
             />
           </section>
           <section className="mission-map-section">
@@ -352,6 +458,7 @@ function App() {
               <ChatInterface 
                 messages={messages} 
                 onSendMessage={sendMessage}
+                onCancelResponse={cancelResponse}
                 connected={connected}
                 userTitle={user?.title}
                 voiceEnabled={voiceEnabled}
@@ -363,8 +470,13 @@ function App() {
                 onStopRecording={stopRecording}
                 onToggleVoice={toggleVoice}
                 onPlayAudio={playAudio}
+                onQueueAudio={queueAudio}
                 activeMissionId={activeMissionId}
                 activeMissionName={activeMissionName}
+                threads={threads}
+                threadId={threadId}
+                onSelectThread={openThread}
+                onNewThread={startNewThread}
               />
             </section>
           )}
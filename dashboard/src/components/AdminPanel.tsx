@@ -435,9 +435,10 @@ const AdminPanel: React.FC<AdminPanelProps> = ({ onClose }) => {
                         value={settings.agents.defaultModel}
                         onChange={e => handleSettingChange('agents', 'defaultModel', e.target.value)}
                       >
-                        <option value="claude-3-sonnet">Claude 3 Sonnet</option>
-                        <option value="claude-3-opus">Claude 3 Opus</option>
-                        <option value="claude-3-haiku">Claude 3 Haiku</option>
+                        <option value="claude-sonnet-4-20250514">Claude Sonnet 4</option>
+                        <option value="claude-opus-4-20250514">Claude Opus 4</option>
+                        <option value="claude-3-5-haiku-20241022">Claude 3.5 Haiku</option>
+                        <option value="local">Local model (offline)</option>
                       </select>
                     </div>
                     <div className="setting-item">
@@ -4,6 +4,14 @@ interface Agent {
   name: string
   section: string
   status: string
+  health?: string
+  active?: number
+  queueDepth?: number
+  latencyMs?: number | null
+  errorRate?: number
+  lastActivity?: string | null
+  maintenance?: { reason: string | null; backup: string | null } | null
+  backup?: string | null
 }
 
 interface AgentPanelProps {
@@ -36,6 +44,31 @@ const AgentPanel: React.FC<AgentPanelProps> = ({ agents }) => {
     return name.split(' ').map(n => n[0]).join('').substring(0, 2)
   }
 
+  const describe = (agent: Agent) => {
+    if (agent.status === 'maintenance') {
+      const backup = agent.maintenance?.backup || agent.backup
+      const standIn = backup && agents[backup] ? ` — ${agents[backup].name} covering` : ''
+      return `Maintenance${standIn}`
+    }
+    const parts = [agent.status === 'busy' ? `Busy (${agent.active})` : 'Idle']
+    if (agent.queueDepth) parts.push(`${agent.queueDepth} queued`)
+    if (agent.latencyMs != null) parts.push(`${(agent.latencyMs / 1000).toFixed(1)}s`)
+    if (agent.errorRate) parts.push(`${Math.round(agent.errorRate * 100)}% errors`)
+    return parts.join(' · ')
+  }
+
+  const dotClass = (agent: Agent) => {
+    if (agent.status === 'maintenance') return 'maintenance'
+    if (agent.health === 'degraded') return 'degraded'
+    return agent.status === 'busy' ? 'busy' : ''
+  }
+
+  const tooltip = (agent: Agent) => [
+    agent.maintenance?.reason && `Maintenance: ${agent.maintenance.reason}`,
+    agent.lastActivity && `Last active ${new Date(agent.lastActivity).toLocaleTimeString()}`,
+    agent.backup && agents[agent.backup] && `Backup: ${agents[agent.backup].name}`
+  ].filter(Boolean).join('\n')
+
   return (
     <div className="agent-panel">
       <div className="panel-header">Staff</div>
@@ -47,15 +80,15 @@ const AgentPanel: React.FC<AgentPanelProps> = ({ agents }) => {
           <div key={section} className="agent-section">
             <div className="agent-section-title">{sectionLabels[section] || section}</div>
             {sectionAgents.map(([id, agent]) => (
-              <div key={id} className="agent-item">
+              <div key={id} className="agent-item" title={tooltip(agent)}>
                 <div className={`agent-avatar ${section === 'hero' ? 'hero' : ''}`}>
                   {getInitials(agent.name)}
                 </div>
                 <div className="agent-info">
                   <div className="agent-name">{agent.name}</div>
-                  <div className="agent-status">{agent.status}</div>
+                  <div className="agent-status">{describe(agent)}</div>
                 </div>
-                <div className="agent-online-dot"></div>
+                <div className={`agent-online-dot ${dotClass(agent)}`}></div>
               </div>
             ))}
           </div>
@@ -77,6 +77,16 @@ interface Message {
   timestamp: string
   isOperator?: boolean
   audioUrl?: string
+  audioUrls?: string[]
+  streaming?: boolean
+  cancelled?: boolean
+}
+
+export interface ConversationThread {
+  id: string
+  title: string | null
+  updatedAt: string
+  messageCount: number
 }
 
 interface MissionSuggestion {
@@ -87,6 +97,7 @@ interface MissionSuggestion {
 interface ChatInterfaceProps {
   messages: Message[]
   onSendMessage: (message: string, voiceEnabled?: boolean) => void
+  onCancelResponse?: (id: string) => void
   connected: boolean
   userTitle?: string
   voiceEnabled?: boolean
@@ -98,9 +109,15 @@ interface ChatInterfaceProps {
   onStopRecording?: () => void
   onToggleVoice?: () => void
   onPlayAudio?: (url: string) => void
+  onQueueAudio?: (url: string) => void
   // Mission context
   activeMissionId?: string | null
   activeMissionName?: string | null
+  // Conversation threads
+  threads?: ConversationThread[]
+  threadId?: string | null
+  onSelectThread?: (id: string) => void
+  onNewThread?: () => void
 }
 
 const MISSION_SUGGESTIONS: MissionSuggestion[] = [
@@ -113,6 +130,7 @@ const MISSION_SUGGESTIONS: MissionSuggestion[] = [
 const ChatInterface: React.FC<ChatInterfaceProps> = ({ 
   messages, 
   onSendMessage, 
+  onCancelResponse,
   connected,
   voiceEnabled = false,
   voiceAvailable = false,
@@ -123,11 +141,17 @@ const ChatInterface: React.FC<ChatInterfaceProps> = ({
   onStopRecording,
   onToggleVoice,
   onPlayAudio,
+  onQueueAudio,
   activeMissionId,
   activeMissionName,
+  threads = [],
+  threadId,
+  onSelectThread,
+  onNewThread,
 }) => {
   const [input, setInput] = useState('')
   const messagesEndRef = useRef<HTMLDivElement>(null)
+  const streamingMessage = messages.find(msg => msg.streaming)
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
@@ -169,6 +193,31 @@ const ChatInterface: React.FC<ChatInterfaceProps> = ({
         </div>
       )}
 
+      {onNewThread && (
+        <div className="chat-thread-bar">
+          <select
+            className="chat-thread-select"
+            value={threadId || ''}
+            onChange={e => e.target.value && onSelectThread?.(e.target.value)}
+            disabled={!!streamingMessage}
+          >
+            {!threadId && <option value="">New conversation</option>}
+            {threads.map(t => (
+              <option key={t.id} value={t.id}>{t.title || 'Untitled conversation'}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="chat-thread-new"
+            onClick={onNewThread}
+            disabled={!threadId || !!streamingMessage}
+            title="Start a new conversation"
+          >
+            + New
+          </button>
+        </div>
+      )}
+
       <div className="chat-messages">
         {messages.length === 0 ? (
           <div className="empty-state">
@@ -206,8 +255,18 @@ const ChatInterface: React.FC<ChatInterfaceProps> = ({
                     🔊
                   </button>
                 )}
+                {!msg.streaming && msg.audioUrls && msg.audioUrls.length > 0 && (
+                  <button 
+                    className="audio-play-btn"
+                    onClick={() => msg.audioUrls!.forEach((url, i) => i === 0 ? onPlayAudio?.(url) : onQueueAudio?.(url))}
+                    title="Play voice"
+                  >
+                    🔊
+                  </button>
+                )}
+                {msg.cancelled && <span className="message-cancelled">stopped</span>}
               </div>
-              <div className="message-content"
+              <div className={`message-content ${msg.streaming ? 'streaming' : ''}`}
                 dangerouslySetInnerHTML={msg.isOperator ? undefined : { __html: renderMarkdown(msg.content) }}
               >
                 {msg.isOperator ? msg.content : undefined}
@@ -252,13 +311,24 @@ const ChatInterface: React.FC<ChatInterfaceProps> = ({
             </button>
           )}
           
-          <button 
-            type="submit" 
-            className="chat-send-btn"
-            disabled={!connected || !input.trim() || isRecording}
-          >
-            Send
-          </button>
+          {streamingMessage && onCancelResponse ? (
+            <button 
+              type="button" 
+              className="chat-send-btn chat-stop-btn"
+              onClick={() => onCancelResponse(streamingMessage.id)}
+              title="Stop response"
+            >
+              Stop
+            </button>
+          ) : (
+            <button 
+              type="submit" 
+              className="chat-send-btn"
+              disabled={!connected || !input.trim() || isRecording}
+            >
+              Send
+            </button>
+          )}
         </form>
       </div>
     </div>
@@ -41,6 +41,8 @@ export function useVoice({ socket, onTranscription, onError }: UseVoiceOptions)
   
   const recognitionRef = useRef<any>(null)
   const audioRef = useRef<HTMLAudioElement | null>(null)
+  // Sentence clips from a streaming reply, played back to back
+  const audioQueueRef = useRef<string[]>([])
 
   // Check if TTS is available on server, and if browser STT is available
   useEffect(() => {
@@ -113,6 +115,7 @@ export function useVoice({ socket, onTranscription, onError }: UseVoiceOptions)
   }, [isRecording])
 
   const playAudio = useCallback((audioUrl: string) => {
+    audioQueueRef.current = []
     if (audioRef.current) {
       audioRef.current.pause()
     }
@@ -121,8 +124,12 @@ export function useVoice({ socket, onTranscription, onError }: UseVoiceOptions)
     audioRef.current = audio
 
     audio.onplay = () => setIsPlaying(true)
-    audio.onended = () => setIsPlaying(false)
+    audio.onended = () => {
+      audioRef.current = null
+      setIsPlaying(false)
+    }
     audio.onerror = () => {
+      audioRef.current = null
       setIsPlaying(false)
       onError?.('Failed to play audio')
     }
@@ -133,7 +140,38 @@ export function useVoice({ socket, onTranscription, onError }: UseVoiceOptions)
     })
   }, [onError])
 
+  const playNext = useCallback(() => {
+    const next = audioQueueRef.current.shift()
+    if (!next) {
+      audioRef.current = null
+      setIsPlaying(false)
+      return
+    }
+
+    const audio = new Audio(`${API_URL}${next}`)
+    audioRef.current = audio
+
+    audio.onplay = () => setIsPlaying(true)
+    audio.onended = () => playNext()
+    audio.onerror = () => {
+      onError?.('Failed to play audio')
+      playNext()
+    }
+
+    audio.play().catch(err => {
+      console.error('Audio playback error:', err)
+      playNext()
+    })
+  }, [onError])
+
+  // Play after whatever is already queued, instead of interrupting it
+  const queueAudio = useCallback((audioUrl: string) => {
+    audioQueueRef.current.push(audioUrl)
+    if (!audioRef.current) playNext()
+  }, [playNext])
+
   const stopAudio = useCallback(() => {
+    audioQueueRef.current = []
     if (audioRef.current) {
       audioRef.current.pause()
       audioRef.current = null
@@ -154,6 +192,7 @@ export function useVoice({ socket, onTranscription, onError }: UseVoiceOptions)
     startRecording,
     stopRecording,
     playAudio,
+    queueAudio,
     stopAudio,
     toggleVoice
   }
@@ -6,7 +6,10 @@
 
 const { execSync } = require('child_process');
 
-function getAnthropicApiKey() {
+/**
+ * Look up the key without exiting; null when there is none
+ */
+function findAnthropicApiKey() {
   try {
     // Try to get from keychain first
     const key = execSync('security find-generic-password -a "kdt-aso" -s "anthropic-api" -w 2>/dev/null', { encoding: 'utf8' }).trim();
@@ -18,8 +21,13 @@ function getAnthropicApiKey() {
   }
 
   // Fallback to environment variable for development/docker
-  if (process.env.ANTHROPIC_API_KEY) {
-    return process.env.ANTHROPIC_API_KEY;
+  return process.env.ANTHROPIC_API_KEY || null;
+}
+
+function getAnthropicApiKey() {
+  const key = findAnthropicApiKey();
+  if (key) {
+    return key;
   }
 
   console.error('❌ CRITICAL: No Anthropic API key found!');
@@ -32,5 +40,5 @@ function getAnthropicApiKey() {
 if (require.main === module) {
   console.log(getAnthropicApiKey());
 } else {
-  module.exports = { getAnthropicApiKey };
+  module.exports = { getAnthropicApiKey, findAnthropicApiKey };
 }
\ No newline at end of file